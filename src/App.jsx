@@ -13,6 +13,8 @@ import InterviewDetail from '@/pages/interviews/InterviewDetail'
 import InterviewCalendar from '@/pages/interviews/InterviewCalendar'
 import CompanyList from '@/pages/companies/CompanyList'
 import CompanyDetail from '@/pages/companies/CompanyDetail'
+import ContactList from '@/pages/contacts/ContactList'
+import ContactDetail from '@/pages/contacts/ContactDetail'
 import ResumeList from '@/pages/resumes/ResumeList'
 import WebhookList from '@/pages/webhooks/WebhookList'
 import ExportCenter from '@/pages/exports/ExportCenter'
@@ -22,6 +24,10 @@ import JobMatchAnalyzer from '@/pages/ai/JobMatchAnalyzer'
 import InterviewQuestions from '@/pages/ai/InterviewQuestions'
 import AIHistory from '@/pages/ai/AIHistory'
 import Settings from '@/pages/Settings'
+import TaskList from '@/pages/tasks/TaskList'
+import StaleReview from '@/pages/applications/StaleReview'
+import OfferComparison from '@/pages/applications/OfferComparison'
+import TagManager from '@/pages/tags/TagManager'
 import ProtectedRoute from '@/components/layout/ProtectedRoute'
 import AppLayout from '@/components/layout/AppLayout'
 import { ToastProvider } from '@/hooks/useToast'
@@ -49,9 +55,15 @@ function App() {
           }>
             <Route path="/dashboard" element={<Dashboard />} />
             <Route path="/applications" element={<ApplicationList />} />
+            <Route path="/applications/review" element={<StaleReview />} />
+            <Route path="/applications/offers" element={<OfferComparison />} />
             <Route path="/applications/:id" element={<ApplicationDetail />} />
+            <Route path="/tasks" element={<TaskList />} />
+            <Route path="/tags" element={<TagManager />} />
             <Route path="/companies" element={<CompanyList />} />
             <Route path="/companies/:id" element={<CompanyDetail />} />
+            <Route path="/contacts" element={<ContactList />} />
+            <Route path="/contacts/:id" element={<ContactDetail />} />
             <Route path="/resumes" element={<ResumeList />} />
             <Route path="/webhooks" element={<WebhookList />} />
             <Route path="/exports" element={<ExportCenter />} />
@@ -0,0 +1,51 @@
+import React, { useEffect, useState } from 'react'
+import { format } from 'date-fns'
+import { Gauge } from 'lucide-react'
+import { cn } from '@/utils/cn'
+import useRateLimitStore, { getBudget, AI_HOURLY_LIMIT } from '@/stores/useRateLimitStore'
+
+// Remaining generations at or below this are shown as a warning
+const LOW_BUDGET = 3
+
+/**
+ * AIBudgetIndicator - Generations left in the current AI rate-limit window
+ *
+ * @param {string} [className]
+ */
+const AIBudgetIndicator = ({ className }) => {
+    const entry = useRateLimitStore((state) => state.buckets.ai)
+    const [now, setNow] = useState(() => Date.now())
+
+    // Re-evaluate periodically so the budget refills once the window resets
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 30 * 1000)
+        return () => clearInterval(interval)
+    }, [])
+
+    const { limit, remaining, reset } = getBudget(entry, now, AI_HOURLY_LIMIT)
+    const isEmpty = remaining <= 0
+    const isLow = !isEmpty && remaining <= LOW_BUDGET
+
+    return (
+        <div
+            className={cn(
+                'inline-flex items-center gap-2 px-3 py-1.5 rounded-lg border text-sm',
+                isEmpty ? 'bg-rose-50 border-rose-200 text-rose-700'
+                    : isLow ? 'bg-amber-50 border-amber-200 text-amber-700'
+                        : 'bg-slate-50 border-slate-200 text-slate-600',
+                className
+            )}
+            title={`AI generations are limited to ${limit} per hour`}
+        >
+            <Gauge size={14} className="shrink-0" />
+            <span>
+                <span className="font-semibold">{Math.max(remaining, 0)}</span> of {limit} generations left
+                {reset && (isEmpty || isLow) && (
+                    <span className="text-xs opacity-80"> · resets {format(reset, 'h:mm a')}</span>
+                )}
+            </span>
+        </div>
+    )
+}
+
+export default AIBudgetIndicator
@@ -0,0 +1,259 @@
+import React, { useState } from 'react'
+import { useMutation, useQueryClient } from '@tanstack/react-query'
+import { Building, ChevronLeft, ChevronRight, GripVertical, SlidersHorizontal } from 'lucide-react'
+import { format } from 'date-fns'
+import { applicationService, STATUS_OPTIONS, STATUS_ACCENTS } from '@/services/applicationService'
+import useBoardStore from '@/stores/useBoardStore'
+import { useToast } from '@/hooks/useToast'
+import { cn } from '@/utils/cn'
+
+/**
+ * ApplicationBoard - Kanban pipeline with one column per status
+ * Dropping a card moves the application optimistically and rolls back on failure.
+ *
+ * @param {Object[]} applications - Applications to place on the board
+ * @param {Array} queryKey - Query key holding the board's applications, patched optimistically
+ * @param {Function} onCardClick - Called with the application when a card is opened
+ */
+const ApplicationBoard = ({ applications, queryKey, onCardClick }) => {
+    const queryClient = useQueryClient()
+    const { error: showError, warning } = useToast()
+    const { wipLimits, collapsed, setWipLimit, toggleCollapsed } = useBoardStore()
+
+    const [draggingId, setDraggingId] = useState(null)
+    const [dropTarget, setDropTarget] = useState(null)
+
+    const statusMutation = useMutation({
+        mutationFn: ({ id, status }) => applicationService.updateStatus(id, status),
+        onMutate: async ({ id, status }) => {
+            await queryClient.cancelQueries({ queryKey })
+            const previous = queryClient.getQueryData(queryKey)
+            queryClient.setQueryData(queryKey, (old) => old && {
+                ...old,
+                results: old.results.map((app) => app.id === id ? { ...app, status } : app)
+            })
+            return { previous }
+        },
+        onError: (err, variables, context) => {
+            queryClient.setQueryData(queryKey, context?.previous)
+            showError('Failed to update status. The card was moved back.')
+        },
+        onSettled: (data, err, { id }) => {
+            queryClient.invalidateQueries({ queryKey: ['applications'] })
+            queryClient.invalidateQueries({ queryKey: ['application', String(id)] })
+        }
+    })
+
+    const columns = STATUS_OPTIONS.map((option) => ({
+        ...option,
+        items: applications.filter((app) => app.status === option.value)
+    }))
+
+    const handleDrop = (status) => {
+        const application = applications.find((app) => app.id === draggingId)
+        setDraggingId(null)
+        setDropTarget(null)
+        if (!application || application.status === status) return
+
+        const column = columns.find((c) => c.value === status)
+        const limit = wipLimits[status]
+        if (limit && column.items.length >= limit) {
+            warning(`${column.label} is over its WIP limit of ${limit}`)
+        }
+
+        statusMutation.mutate({ id: application.id, status })
+    }
+
+    return (
+        <div className="flex gap-4 overflow-x-auto pb-4 -mx-2 px-2">
+            {columns.map((column) => (
+                <BoardColumn
+                    key={column.value}
+                    column={column}
+                    limit={wipLimits[column.value]}
+                    isCollapsed={!!collapsed[column.value]}
+                    isDropTarget={dropTarget === column.value}
+                    draggingId={draggingId}
+                    onToggleCollapsed={() => toggleCollapsed(column.value)}
+                    onLimitChange={(limit) => setWipLimit(column.value, limit)}
+                    onDragEnter={() => draggingId && setDropTarget(column.value)}
+                    onDrop={() => handleDrop(column.value)}
+                    onCardDragStart={setDraggingId}
+                    onCardDragEnd={() => {
+                        setDraggingId(null)
+                        setDropTarget(null)
+                    }}
+                    onCardClick={onCardClick}
+                />
+            ))}
+        </div>
+    )
+}
+
+const BoardColumn = ({
+    column,
+    limit,
+    isCollapsed,
+    isDropTarget,
+    draggingId,
+    onToggleCollapsed,
+    onLimitChange,
+    onDragEnter,
+    onDrop,
+    onCardDragStart,
+    onCardDragEnd,
+    onCardClick
+}) => {
+    const [isEditingLimit, setIsEditingLimit] = useState(false)
+    const count = column.items.length
+    const isOverLimit = !!limit && count > limit
+    const isAtLimit = !!limit && count === limit
+
+    const dropHandlers = {
+        onDragOver: (e) => e.preventDefault(),
+        onDragEnter,
+        onDrop: (e) => {
+            e.preventDefault()
+            onDrop()
+        }
+    }
+
+    if (isCollapsed) {
+        return (
+            <div
+                {...dropHandlers}
+                className={cn(
+                    "shrink-0 w-12 rounded-xl border border-slate-200 bg-slate-50 flex flex-col items-center py-3 gap-3 transition-colors",
+                    isDropTarget && "border-teal-brand-400 bg-teal-brand-50"
+                )}
+            >
+                <button
+                    onClick={onToggleCollapsed}
+                    className="p-1 rounded-md text-slate-400 hover:text-slate-700 hover:bg-slate-200 transition-colors"
+                    title={`Expand ${column.label}`}
+                >
+                    <ChevronRight size={16} />
+                </button>
+                <span className="px-1.5 py-0.5 text-xs font-bold rounded-full bg-slate-200 text-slate-600">
+                    {count}
+                </span>
+                <span className="[writing-mode:vertical-rl] rotate-180 text-xs font-semibold uppercase tracking-wider text-slate-500">
+                    {column.label}
+                </span>
+            </div>
+        )
+    }
+
+    return (
+        <div
+            {...dropHandlers}
+            className={cn(
+                "shrink-0 w-72 rounded-xl border bg-slate-50 flex flex-col max-h-[calc(100vh-16rem)] transition-colors",
+                isOverLimit ? "border-rose-300" : "border-slate-200",
+                isDropTarget && "border-teal-brand-400 bg-teal-brand-50"
+            )}
+        >
+            {/* Column Header */}
+            <div className="flex items-center gap-2 px-3 py-3 border-b border-slate-200">
+                <span className={cn("w-2 h-2 rounded-full", STATUS_ACCENTS[column.value])} />
+                <h3 className="text-sm font-bold text-slate-700 flex-1">{column.label}</h3>
+                <span
+                    className={cn(
+                        "px-2 py-0.5 text-xs font-bold rounded-full",
+                        isOverLimit ? "bg-rose-100 text-rose-700"
+                            : isAtLimit ? "bg-amber-100 text-amber-700"
+                                : "bg-slate-200 text-slate-600"
+                    )}
+                    title={limit ? `WIP limit: ${limit}` : undefined}
+                >
+                    {limit ? `${count}/${limit}` : count}
+                </span>
+                <button
+                    onClick={() => setIsEditingLimit(!isEditingLimit)}
+                    className="p-1 rounded-md text-slate-400 hover:text-slate-700 hover:bg-slate-200 transition-colors"
+                    title="Set WIP limit"
+                >
+                    <SlidersHorizontal size={14} />
+                </button>
+                <button
+                    onClick={onToggleCollapsed}
+                    className="p-1 rounded-md text-slate-400 hover:text-slate-700 hover:bg-slate-200 transition-colors"
+                    title={`Collapse ${column.label}`}
+                >
+                    <ChevronLeft size={14} />
+                </button>
+            </div>
+
+            {isEditingLimit && (
+                <div className="flex items-center gap-2 px-3 py-2 border-b border-slate-200 bg-white text-xs text-slate-500">
+                    <label htmlFor={`wip-${column.value}`} className="font-medium">WIP limit</label>
+                    <input
+                        id={`wip-${column.value}`}
+                        type="number"
+                        min="0"
+                        value={limit || ''}
+                        placeholder="None"
+                        onChange={(e) => onLimitChange(parseInt(e.target.value, 10) || 0)}
+                        className="w-16 px-2 py-1 rounded-md border border-slate-200 text-slate-900 focus:outline-none focus:border-teal-brand-500"
+                    />
+                </div>
+            )}
+
+            {/* Cards */}
+            <div className="flex-1 overflow-y-auto p-2 space-y-2 min-h-[6rem]">
+                {column.items.map((application) => (
+                    <BoardCard
+                        key={application.id}
+                        application={application}
+                        isDragging={draggingId === application.id}
+                        onDragStart={() => onCardDragStart(application.id)}
+                        onDragEnd={onCardDragEnd}
+                        onClick={() => onCardClick(application)}
+                    />
+                ))}
+                {count === 0 && (
+                    <p className="py-6 text-center text-xs text-slate-400">Drop applications here</p>
+                )}
+            </div>
+        </div>
+    )
+}
+
+const BoardCard = ({ application, isDragging, onDragStart, onDragEnd, onClick }) => {
+    const { job_title, company_name, applied_date, priority } = application
+
+    return (
+        <div
+            draggable
+            onDragStart={(e) => {
+                e.dataTransfer.effectAllowed = 'move'
+                e.dataTransfer.setData('text/plain', String(application.id))
+                onDragStart()
+            }}
+            onDragEnd={onDragEnd}
+            onClick={onClick}
+            className={cn(
+                "group flex gap-2 p-3 rounded-lg border border-slate-200 bg-white shadow-sm cursor-grab active:cursor-grabbing",
+                "hover:border-teal-brand-500/50 hover:shadow-md transition-all",
+                isDragging && "opacity-40"
+            )}
+        >
+            <GripVertical size={14} className="mt-0.5 shrink-0 text-slate-300 group-hover:text-slate-400" />
+            <div className="min-w-0 flex-1">
+                <p className="text-sm font-semibold text-slate-900 line-clamp-2">{job_title}</p>
+                <div className="flex items-center text-xs text-slate-500 mt-1">
+                    <Building className="w-3 h-3 mr-1 shrink-0" />
+                    <span className="truncate">{company_name}</span>
+                </div>
+                <div className="flex items-center justify-between mt-2 text-[11px] text-slate-400">
+                    <span>{applied_date ? format(new Date(applied_date), 'MMM d') : 'Not applied'}</span>
+                    {priority === 'high' && (
+                        <span className="px-1.5 py-0.5 rounded bg-rose-50 text-rose-600 font-semibold uppercase">High</span>
+                    )}
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default ApplicationBoard
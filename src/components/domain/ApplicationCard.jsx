@@ -1,8 +1,15 @@
 import React from 'react'
-import { Calendar, Building, MapPin, DollarSign, ExternalLink } from 'lucide-react'
+import { useQuery } from '@tanstack/react-query'
+import { Calendar, Building, MapPin, DollarSign, ExternalLink, Check, Hourglass } from 'lucide-react'
 import Card from '@/components/ui/Card'
 import Button from '@/components/ui/Button'
 import { format } from 'date-fns'
+import { cn } from '@/utils/cn'
+import useStalenessStore from '@/stores/useStalenessStore'
+import { isStale, getDaysSinceApplied } from '@/utils/staleness'
+import { getTags } from '@/services/tagService'
+import { TagBadge } from '@/components/ui/TagSelector'
+import PendingSyncBadge from '@/components/domain/PendingSyncBadge'
 
 const statusColors = {
     wishlist: 'bg-gray-500/10 text-gray-400 border-gray-500/20',
@@ -16,7 +23,7 @@ const statusColors = {
     ghosted: 'bg-slate-700/10 text-slate-500 border-slate-700/20',
 }
 
-const ApplicationCard = ({ application, onClick }) => {
+const ApplicationCard = ({ application, onClick, isSelected = false, onToggleSelect }) => {
     const {
         company_name,
         job_title,
@@ -37,15 +44,47 @@ const ApplicationCard = ({ application, onClick }) => {
     }
 
     const salary = formatSalary(salary_min, salary_max)
+    const stalenessRule = useStalenessStore((state) => state.rule)
+    const stale = isStale(application, stalenessRule)
+
+    const { data: tagsData } = useQuery({
+        queryKey: ['tags'],
+        queryFn: () => getTags(),
+        staleTime: 60 * 1000,
+    })
+    const tags = (tagsData?.tags || []).filter((tag) => tag.application_ids.includes(String(application.id)))
 
     return (
         <Card
             onClick={onClick}
             hoverEffect={true}
-            className="cursor-pointer relative group border border-white/5 hover:border-white/10"
+            className={cn(
+                "cursor-pointer relative group border border-white/5 hover:border-white/10",
+                isSelected && "ring-2 ring-teal-brand-500 border-teal-brand-500"
+            )}
         >
             <div className="flex justify-between items-start mb-4">
-                <div>
+                {onToggleSelect && (
+                    <button
+                        type="button"
+                        role="checkbox"
+                        aria-checked={isSelected}
+                        aria-label={`Select ${job_title}`}
+                        onClick={(e) => {
+                            e.stopPropagation()
+                            onToggleSelect(e)
+                        }}
+                        className={cn(
+                            "mt-1 mr-3 w-5 h-5 shrink-0 rounded border flex items-center justify-center transition-colors",
+                            isSelected
+                                ? "bg-teal-brand-600 border-teal-brand-600 text-white"
+                                : "border-slate-300 bg-white text-transparent hover:border-teal-brand-500"
+                        )}
+                    >
+                        <Check size={14} strokeWidth={3} />
+                    </button>
+                )}
+                <div className="flex-1 min-w-0">
                     <h3 className="text-lg font-bold text-white group-hover:text-[var(--color-primary)] transition-colors line-clamp-1">
                         {job_title}
                     </h3>
@@ -74,8 +113,24 @@ const ApplicationCard = ({ application, onClick }) => {
                     <Calendar className="w-4 h-4 mr-2 opacity-70" />
                     Applied: {applied_date ? format(new Date(applied_date), 'MMM d, yyyy') : 'N/A'}
                 </div>
+                {stale && (
+                    <div
+                        className="inline-flex items-center gap-1.5 px-2 py-0.5 rounded-full text-xs font-medium bg-amber-500/10 text-amber-600 border border-amber-500/20"
+                        title="No response yet and no follow-up scheduled"
+                    >
+                        <Hourglass className="w-3 h-3" />
+                        Stale · no response in {getDaysSinceApplied(application)}d
+                    </div>
+                )}
+                <PendingSyncBadge entity="application" id={application.id} />
             </div>
 
+            {tags.length > 0 && (
+                <div className="flex flex-wrap gap-1.5 mb-4">
+                    {tags.map((tag) => <TagBadge key={tag.id} tag={tag} size="sm" />)}
+                </div>
+            )}
+
             {job_url && (
                 <div className="mt-4 pt-4 border-t border-white/5 flex justify-end">
                     <a
@@ -0,0 +1,96 @@
+import React from 'react'
+import { useQuery } from '@tanstack/react-query'
+import { X } from 'lucide-react'
+import Select from '@/components/ui/Select'
+import TagSelector from '@/components/ui/TagSelector'
+import { getTags } from '@/services/tagService'
+import { APPLICATION_FILTERS } from '@/utils/applicationFilters'
+
+const selectFilters = APPLICATION_FILTERS.filter((filter) => filter.type === 'select')
+
+const rangeFilters = [
+    { label: 'Salary', from: 'salary_min', to: 'salary_max', type: 'number', placeholders: ['Min', 'Max'] },
+    { label: 'Applied Date', from: 'applied_from', to: 'applied_to', type: 'date' },
+    { label: 'Response Date', from: 'response_from', to: 'response_to', type: 'date' },
+    { label: 'Days Since Applied', from: 'days_min', to: 'days_max', type: 'number', placeholders: ['Min', 'Max'] },
+]
+
+/**
+ * ApplicationFilterBuilder - Advanced filter panel for the application list
+ *
+ * @param {Object.<string, string>} filters - Active filters (URL-backed)
+ * @param {Function} onChange - Called with the next filters object
+ * @param {Function} onClear - Resets every filter
+ * @param {string[]} [hiddenKeys] - Filter keys the current view does not support
+ */
+const ApplicationFilterBuilder = ({ filters, onChange, onClear, hiddenKeys = [] }) => {
+    const setFilter = (key, value) => onChange({ ...filters, [key]: value })
+
+    const { data: tagsData } = useQuery({
+        queryKey: ['tags'],
+        queryFn: () => getTags(),
+        staleTime: 60 * 1000,
+    })
+    const selectedTagIds = filters.tags ? filters.tags.split(',') : []
+    const selectedTags = (tagsData?.tags || []).filter((tag) => selectedTagIds.includes(String(tag.id)))
+
+    return (
+        <div className="bg-white p-4 rounded-xl border border-slate-200 shadow-sm mb-6 space-y-4 animate-fade-in">
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
+                {selectFilters.filter((filter) => !hiddenKeys.includes(filter.key)).map((filter) => (
+                    <Select
+                        key={filter.key}
+                        label={filter.label}
+                        value={filters[filter.key] || ''}
+                        onChange={(e) => setFilter(filter.key, e.target.value)}
+                        options={[{ value: '', label: 'Any' }, ...filter.options]}
+                    />
+                ))}
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+                {rangeFilters.map((range) => (
+                    <div key={range.label} className="space-y-2">
+                        <label className="text-sm font-bold text-slate-700 ml-1">{range.label}</label>
+                        <div className="flex items-center gap-2">
+                            {[range.from, range.to].map((key, index) => (
+                                <input
+                                    key={key}
+                                    type={range.type}
+                                    min={range.type === 'number' ? 0 : undefined}
+                                    value={filters[key] || ''}
+                                    placeholder={range.placeholders?.[index]}
+                                    onChange={(e) => setFilter(key, e.target.value)}
+                                    className="input min-w-0 px-3"
+                                    aria-label={`${range.label} ${index === 0 ? 'from' : 'to'}`}
+                                />
+                            ))}
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            <div className="space-y-2">
+                <label className="text-sm font-bold text-slate-700 ml-1">Tags</label>
+                <TagSelector
+                    value={selectedTags}
+                    onChange={(tags) => setFilter('tags', tags.map((tag) => tag.id).join(','))}
+                    placeholder="Any tag"
+                    allowCreate={false}
+                />
+            </div>
+
+            <div className="flex justify-end">
+                <button
+                    type="button"
+                    onClick={onClear}
+                    className="flex items-center gap-1 text-sm font-medium text-slate-500 hover:text-slate-900 transition-colors"
+                >
+                    <X size={14} /> Clear all filters
+                </button>
+            </div>
+        </div>
+    )
+}
+
+export default ApplicationFilterBuilder
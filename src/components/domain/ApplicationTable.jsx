@@ -0,0 +1,338 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { useInfiniteQuery } from '@tanstack/react-query'
+import { format } from 'date-fns'
+import { ArrowDown, ArrowUp, ArrowUpDown, Check, Columns3, Loader2 } from 'lucide-react'
+import {
+    applicationService, STATUS_OPTIONS, PRIORITY_OPTIONS, WORK_TYPE_OPTIONS, SOURCE_OPTIONS
+} from '@/services/applicationService'
+import { toApiParams, hasClientFilters, matchesClientFilters } from '@/utils/applicationFilters'
+import useTableStore from '@/stores/useTableStore'
+import { cn } from '@/utils/cn'
+
+const ROW_HEIGHT = 44
+const OVERSCAN = 8
+// Start loading the next page when this many rows remain below the viewport
+const PREFETCH_ROWS = 15
+
+const labelFor = (options, value) => options.find((option) => option.value === value)?.label || value || '—'
+
+const formatDate = (value) => value ? format(new Date(value), 'MMM d, yyyy') : '—'
+
+const formatSalary = (min, max) => {
+    if (!min && !max) return '—'
+    if (min && max) return `$${(min / 1000).toFixed(0)}k - $${(max / 1000).toFixed(0)}k`
+    return `$${((min || max) / 1000).toFixed(0)}k`
+}
+
+/**
+ * Column definitions. `ordering` is the API ordering field for sortable columns.
+ */
+const COLUMNS = [
+    { key: 'job_title', label: 'Job Title', width: 'minmax(220px, 2fr)', fixed: true },
+    { key: 'company_name', label: 'Company', width: 'minmax(150px, 1.5fr)' },
+    { key: 'status', label: 'Status', width: '130px', ordering: 'status', render: (app) => labelFor(STATUS_OPTIONS, app.status) },
+    { key: 'priority', label: 'Priority', width: '110px', ordering: 'priority', render: (app) => labelFor(PRIORITY_OPTIONS, app.priority).replace(' Priority', '') },
+    { key: 'work_type', label: 'Work Type', width: '110px', render: (app) => labelFor(WORK_TYPE_OPTIONS, app.work_type) },
+    { key: 'location', label: 'Location', width: 'minmax(130px, 1fr)' },
+    { key: 'source', label: 'Source', width: '140px', render: (app) => labelFor(SOURCE_OPTIONS, app.source) },
+    { key: 'salary', label: 'Salary', width: '130px', render: (app) => formatSalary(app.salary_min, app.salary_max) },
+    { key: 'applied_date', label: 'Applied', width: '120px', ordering: 'applied_date', render: (app) => formatDate(app.applied_date) },
+    { key: 'days_since_applied', label: 'Days', width: '70px', render: (app) => app.days_since_applied ?? '—' },
+    { key: 'updated_at', label: 'Updated', width: '120px', ordering: 'updated_at', render: (app) => formatDate(app.updated_at) },
+    { key: 'created_at', label: 'Created', width: '120px', ordering: 'created_at', render: (app) => formatDate(app.created_at) },
+]
+
+/**
+ * ApplicationTable - Dense, virtualized table with infinite scrolling
+ * Pages are loaded through the API `next` links as the user scrolls; only the
+ * rows inside the viewport are rendered, so thousands of rows stay smooth.
+ *
+ * @param {Object.<string, string>} filters - Active application filters
+ * @param {Object.<number, Object>} selected - Selected applications keyed by id
+ * @param {Function} onToggleSelect - (application, index, event, rows) selection handler
+ * @param {Function} onOpen - Called with an application to open its detail page
+ * @param {Function} [onCountChange] - Called with the number of matching applications
+ */
+const ApplicationTable = ({ filters, selected, onToggleSelect, onOpen, onCountChange }) => {
+    const { visibleColumns, ordering, toggleColumn, resetColumns, setOrdering } = useTableStore()
+    const scrollRef = useRef(null)
+    const [scrollTop, setScrollTop] = useState(0)
+    const [viewportHeight, setViewportHeight] = useState(600)
+    const [activeIndex, setActiveIndex] = useState(0)
+    const [isChooserOpen, setIsChooserOpen] = useState(false)
+
+    const apiParams = { ...toApiParams(filters), ordering: ordering || undefined }
+    const needsClientFiltering = hasClientFilters(filters)
+
+    const { data, isLoading, error, hasNextPage, fetchNextPage, isFetchingNextPage } = useInfiniteQuery({
+        queryKey: ['applications', 'table', filters, ordering],
+        queryFn: async ({ pageParam, signal }) => {
+            if (!needsClientFiltering) {
+                return applicationService.getApplications({ ...apiParams, page: pageParam }, { signal })
+            }
+            const all = await applicationService.getAllApplications(apiParams, { signal })
+            const results = all.filter((app) => matchesClientFilters(app, filters))
+            return { count: results.length, next: null, previous: null, results }
+        },
+        initialPageParam: 1,
+        getNextPageParam: (lastPage, pages) => lastPage.next ? pages.length + 1 : undefined,
+    })
+
+    const rows = data?.pages.flatMap((page) => page.results) || []
+    const totalCount = data?.pages[0]?.count ?? 0
+
+    useEffect(() => {
+        onCountChange?.(totalCount)
+    }, [onCountChange, totalCount])
+    const columns = COLUMNS.filter((column) => column.fixed || visibleColumns.includes(column.key))
+    const gridTemplateColumns = ['44px', ...columns.map((column) => column.width)].join(' ')
+
+    // Window of rows to render
+    const start = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN)
+    const end = Math.min(rows.length, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN)
+    const visibleRows = rows.slice(start, end)
+
+    const maybeFetchMore = (top, height) => {
+        const lastVisible = Math.ceil((top + height) / ROW_HEIGHT)
+        if (hasNextPage && !isFetchingNextPage && rows.length - lastVisible < PREFETCH_ROWS) {
+            fetchNextPage()
+        }
+    }
+
+    const handleScroll = (e) => {
+        const { scrollTop: top, clientHeight } = e.currentTarget
+        setScrollTop(top)
+        setViewportHeight(clientHeight)
+        maybeFetchMore(top, clientHeight)
+    }
+
+    // Keeps the keyboard-active row inside the viewport
+    const focusRow = (index) => {
+        const next = Math.max(0, Math.min(rows.length - 1, index))
+        setActiveIndex(next)
+
+        const container = scrollRef.current
+        if (!container) return
+        const rowTop = next * ROW_HEIGHT
+        if (rowTop < container.scrollTop) {
+            container.scrollTop = rowTop
+        } else if (rowTop + ROW_HEIGHT > container.scrollTop + container.clientHeight) {
+            container.scrollTop = rowTop + ROW_HEIGHT - container.clientHeight
+        }
+    }
+
+    const handleKeyDown = (e) => {
+        if (rows.length === 0) return
+        const pageSize = Math.max(1, Math.floor(viewportHeight / ROW_HEIGHT) - 1)
+        const keyActions = {
+            ArrowDown: () => focusRow(activeIndex + 1),
+            j: () => focusRow(activeIndex + 1),
+            ArrowUp: () => focusRow(activeIndex - 1),
+            k: () => focusRow(activeIndex - 1),
+            PageDown: () => focusRow(activeIndex + pageSize),
+            PageUp: () => focusRow(activeIndex - pageSize),
+            Home: () => focusRow(0),
+            End: () => focusRow(rows.length - 1),
+            Enter: () => onOpen(rows[activeIndex]),
+            ' ': () => onToggleSelect(rows[activeIndex], activeIndex, e, rows),
+        }
+        const action = keyActions[e.key]
+        if (action) {
+            e.preventDefault()
+            action()
+        }
+    }
+
+    // Cycles ascending -> descending -> unsorted
+    const toggleSort = (field) => {
+        if (ordering === field) setOrdering(`-${field}`)
+        else if (ordering === `-${field}`) setOrdering('')
+        else setOrdering(field)
+        if (scrollRef.current) scrollRef.current.scrollTop = 0
+        setScrollTop(0)
+        setActiveIndex(0)
+    }
+
+    if (error) {
+        return (
+            <div className="text-center py-20 text-rose-500 bg-rose-500/5 rounded-xl border border-rose-500/20">
+                <h3 className="font-bold mb-2">Error loading applications</h3>
+                <p>Please check your connection and try again.</p>
+            </div>
+        )
+    }
+
+    return (
+        <div className="bg-white rounded-xl border border-slate-200 shadow-sm">
+            {/* Toolbar */}
+            <div className="flex items-center justify-between px-4 py-2 border-b border-slate-200">
+                <p className="text-sm text-slate-500">
+                    {isLoading ? 'Loading…' : `Showing ${rows.length} of ${totalCount}`}
+                    <span className="hidden md:inline text-slate-400"> · ↑↓ to move, Enter to open, Space to select</span>
+                </p>
+                <div className="relative">
+                    <button
+                        onClick={() => setIsChooserOpen(!isChooserOpen)}
+                        className="flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm font-medium text-slate-600 hover:bg-slate-100 transition-colors"
+                    >
+                        <Columns3 size={16} />
+                        Columns
+                    </button>
+                    {isChooserOpen && (
+                        <>
+                            <div className="fixed inset-0 z-40" onClick={() => setIsChooserOpen(false)} />
+                            <div className="absolute right-0 mt-1 w-56 bg-white rounded-xl shadow-lg border border-slate-200 py-2 z-50">
+                                {COLUMNS.filter((column) => !column.fixed).map((column) => (
+                                    <label
+                                        key={column.key}
+                                        className="flex items-center gap-2 px-4 py-1.5 text-sm text-slate-700 hover:bg-slate-50 cursor-pointer"
+                                    >
+                                        <input
+                                            type="checkbox"
+                                            checked={visibleColumns.includes(column.key)}
+                                            onChange={() => toggleColumn(column.key)}
+                                            className="rounded border-slate-300"
+                                        />
+                                        {column.label}
+                                    </label>
+                                ))}
+                                <div className="mt-1 pt-1 border-t border-slate-100">
+                                    <button
+                                        onClick={resetColumns}
+                                        className="w-full px-4 py-1.5 text-left text-sm text-teal-brand-600 hover:bg-teal-brand-50"
+                                    >
+                                        Reset to default
+                                    </button>
+                                </div>
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+
+            <div
+                ref={scrollRef}
+                role="grid"
+                aria-rowcount={totalCount}
+                tabIndex={0}
+                onScroll={handleScroll}
+                onKeyDown={handleKeyDown}
+                className="relative overflow-auto max-h-[calc(100vh-22rem)] min-h-[20rem] focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-brand-500/40 rounded-b-xl"
+            >
+                {/* Header */}
+                <div
+                    role="row"
+                    className="sticky top-0 z-10 grid items-center bg-slate-50 border-b border-slate-200 text-xs font-semibold uppercase tracking-wider text-slate-500 min-w-max"
+                    style={{ gridTemplateColumns, height: ROW_HEIGHT }}
+                >
+                    <div role="columnheader" />
+                    {columns.map((column) => {
+                        const isAsc = ordering === column.ordering
+                        const isDesc = ordering === `-${column.ordering}`
+                        return (
+                            <div
+                                key={column.key}
+                                role="columnheader"
+                                aria-sort={isAsc ? 'ascending' : isDesc ? 'descending' : 'none'}
+                                className="px-3"
+                            >
+                                {column.ordering ? (
+                                    <button
+                                        onClick={() => toggleSort(column.ordering)}
+                                        className={cn(
+                                            "flex items-center gap-1 uppercase tracking-wider hover:text-slate-900 transition-colors",
+                                            (isAsc || isDesc) && "text-teal-brand-700"
+                                        )}
+                                    >
+                                        {column.label}
+                                        {isAsc ? <ArrowUp size={12} /> : isDesc ? <ArrowDown size={12} /> : <ArrowUpDown size={12} className="opacity-40" />}
+                                    </button>
+                                ) : column.label}
+                            </div>
+                        )
+                    })}
+                </div>
+
+                {isLoading ? (
+                    <div className="flex items-center justify-center py-20 text-slate-400">
+                        <Loader2 size={24} className="animate-spin" />
+                    </div>
+                ) : rows.length === 0 ? (
+                    <p className="py-20 text-center text-sm text-slate-500">No applications match these filters.</p>
+                ) : (
+                    <div className="relative min-w-max" style={{ height: rows.length * ROW_HEIGHT }}>
+                        {visibleRows.map((app, offset) => {
+                            const index = start + offset
+                            const isSelected = !!selected[app.id]
+                            return (
+                                <div
+                                    key={app.id}
+                                    role="row"
+                                    aria-rowindex={index + 1}
+                                    aria-selected={isSelected}
+                                    onClick={(e) => {
+                                        setActiveIndex(index)
+                                        if (e.shiftKey || e.metaKey || e.ctrlKey) onToggleSelect(app, index, e, rows)
+                                        else onOpen(app)
+                                    }}
+                                    className={cn(
+                                        "absolute left-0 right-0 grid items-center border-b border-slate-100 text-sm text-slate-700 cursor-pointer",
+                                        isSelected ? "bg-teal-brand-50" : "hover:bg-slate-50",
+                                        index === activeIndex && "outline outline-2 -outline-offset-2 outline-teal-brand-400"
+                                    )}
+                                    style={{ gridTemplateColumns, height: ROW_HEIGHT, top: index * ROW_HEIGHT }}
+                                >
+                                    <div role="gridcell" className="flex justify-center">
+                                        <button
+                                            type="button"
+                                            role="checkbox"
+                                            aria-checked={isSelected}
+                                            aria-label={`Select ${app.job_title}`}
+                                            onClick={(e) => {
+                                                e.stopPropagation()
+                                                setActiveIndex(index)
+                                                onToggleSelect(app, index, e, rows)
+                                            }}
+                                            className={cn(
+                                                "w-4 h-4 rounded border flex items-center justify-center transition-colors",
+                                                isSelected
+                                                    ? "bg-teal-brand-600 border-teal-brand-600 text-white"
+                                                    : "border-slate-300 bg-white text-transparent hover:border-teal-brand-500"
+                                            )}
+                                        >
+                                            <Check size={12} strokeWidth={3} />
+                                        </button>
+                                    </div>
+                                    {columns.map((column) => (
+                                        <div
+                                            key={column.key}
+                                            role="gridcell"
+                                            className={cn("px-3 truncate", column.key === 'job_title' && "font-semibold text-slate-900")}
+                                        >
+                                            {column.render ? column.render(app) : app[column.key] || '—'}
+                                        </div>
+                                    ))}
+                                </div>
+                            )
+                        })}
+                    </div>
+                )}
+
+                {(hasNextPage || isFetchingNextPage) && (
+                    <div className="sticky left-0 flex justify-center py-3 border-t border-slate-100">
+                        <button
+                            onClick={() => fetchNextPage()}
+                            disabled={isFetchingNextPage}
+                            className="flex items-center gap-2 text-sm font-medium text-teal-brand-600 hover:underline disabled:opacity-60"
+                        >
+                            {isFetchingNextPage && <Loader2 size={14} className="animate-spin" />}
+                            {isFetchingNextPage ? 'Loading more…' : 'Load more'}
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default ApplicationTable
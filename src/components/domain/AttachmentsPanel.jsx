@@ -0,0 +1,347 @@
+import React, { useRef, useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { format } from 'date-fns'
+import {
+    Paperclip, Upload, FileText, Image as ImageIcon, File, Eye, Download,
+    Edit2, Trash2, Check, X, Loader2
+} from 'lucide-react'
+import {
+    getAttachments, uploadAttachment, updateAttachment, deleteAttachment,
+    validateAttachmentFile, getPreviewType, getAttachmentSize,
+    ATTACHMENT_CATEGORIES, ATTACHMENT_ACCEPT, MAX_ATTACHMENT_SIZE_DISPLAY
+} from '@/services/attachmentService'
+import Card from '@/components/ui/Card'
+import Button from '@/components/ui/Button'
+import Modal from '@/components/ui/Modal'
+import ConfirmDialog from '@/components/ui/ConfirmDialog'
+import { useToast } from '@/hooks/useToast'
+import { isMissingEndpoint } from '@/services/apiErrors'
+import { cn } from '@/utils/cn'
+import { ATTACHMENT_CATEGORY } from '@/schemas/domain'
+
+const previewIcons = { pdf: FileText, image: ImageIcon }
+
+const categoryLabel = (value) => ATTACHMENT_CATEGORY.label(value)
+
+const apiError = (err, fallback) => err.response?.data?.detail || err.response?.data?.error || err.message || fallback
+
+/**
+ * AttachmentsPanel - Documents kept with an application
+ * (offer letters, take-homes, portfolios, NDAs)
+ *
+ * @param {number|string} applicationId
+ */
+const AttachmentsPanel = ({ applicationId }) => {
+    const queryClient = useQueryClient()
+    const { success, error: showError } = useToast()
+    const inputRef = useRef(null)
+    const [isDragging, setIsDragging] = useState(false)
+    const [pending, setPending] = useState(null) // { file, label, category }
+    const [progress, setProgress] = useState(0)
+    const [editing, setEditing] = useState(null) // { id, label, category }
+    const [previewing, setPreviewing] = useState(null)
+    const [deleting, setDeleting] = useState(null)
+
+    const queryKey = ['attachments', String(applicationId)]
+    const { data: attachments = [], isLoading, error: loadError } = useQuery({
+        queryKey,
+        queryFn: ({ signal }) => getAttachments(applicationId, { signal }),
+        retry: (failureCount, err) => !isMissingEndpoint(err) && failureCount < 3,
+    })
+
+    const uploadMutation = useMutation({
+        mutationFn: ({ file, label, category }) => uploadAttachment(applicationId, file, { label, category }, setProgress),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey })
+            success('Attachment uploaded')
+            setPending(null)
+        },
+        onError: (err) => showError(apiError(err, 'Failed to upload attachment')),
+        onSettled: () => setProgress(0)
+    })
+
+    const updateMutation = useMutation({
+        mutationFn: ({ id, ...data }) => updateAttachment(applicationId, id, data),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey })
+            setEditing(null)
+        },
+        onError: (err) => showError(apiError(err, 'Failed to rename attachment'))
+    })
+
+    const deleteMutation = useMutation({
+        mutationFn: (attachment) => deleteAttachment(applicationId, attachment.id),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey })
+            success('Attachment deleted')
+            setDeleting(null)
+        },
+        onError: (err) => showError(apiError(err, 'Failed to delete attachment'))
+    })
+
+    const selectFile = (file) => {
+        const { valid, error } = validateAttachmentFile(file)
+        if (!valid) {
+            showError(error)
+            return
+        }
+        setPending({ file, label: file.name.replace(/\.[^/.]+$/, ''), category: 'other' })
+    }
+
+    const handleDrop = (e) => {
+        e.preventDefault()
+        setIsDragging(false)
+        if (e.dataTransfer.files?.[0]) selectFile(e.dataTransfer.files[0])
+    }
+
+    // A server without the attachments endpoints gets no panel rather than an error
+    if (isMissingEndpoint(loadError)) return null
+
+    return (
+        <Card className="p-6">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+                    <Paperclip size={18} className="text-slate-400" />
+                    Attachments
+                </h3>
+                {attachments.length > 0 && <span className="text-sm text-slate-500">{attachments.length}</span>}
+            </div>
+
+            {/* Upload */}
+            {pending ? (
+                <form
+                    onSubmit={(e) => {
+                        e.preventDefault()
+                        uploadMutation.mutate(pending)
+                    }}
+                    className="p-4 mb-4 rounded-xl bg-slate-50 border border-slate-100 space-y-3"
+                >
+                    <p className="text-sm text-slate-500 truncate">
+                        {pending.file.name} · {getAttachmentSize({ file_size: pending.file.size })}
+                    </p>
+                    <div className="flex flex-col sm:flex-row gap-2">
+                        <input
+                            type="text"
+                            value={pending.label}
+                            onChange={(e) => setPending({ ...pending, label: e.target.value })}
+                            placeholder="Label"
+                            className="input py-2 px-3 flex-1"
+                            aria-label="Label"
+                            required
+                        />
+                        <select
+                            value={pending.category}
+                            onChange={(e) => setPending({ ...pending, category: e.target.value })}
+                            className="input py-2 px-3 sm:w-48"
+                            aria-label="Category"
+                        >
+                            {ATTACHMENT_CATEGORIES.map((category) => (
+                                <option key={category.value} value={category.value}>{category.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    {uploadMutation.isPending && (
+                        <div className="w-full h-2 bg-teal-100 rounded-full overflow-hidden">
+                            <div
+                                className="h-full bg-teal-500 rounded-full transition-all duration-300"
+                                style={{ width: `${progress}%` }}
+                            />
+                        </div>
+                    )}
+                    <div className="flex justify-end gap-2">
+                        <Button type="button" variant="ghost" size="sm" onClick={() => setPending(null)} disabled={uploadMutation.isPending}>
+                            Cancel
+                        </Button>
+                        <Button type="submit" size="sm" startIcon={<Upload size={14} />} isLoading={uploadMutation.isPending}>
+                            {uploadMutation.isPending ? `Uploading ${progress}%` : 'Upload'}
+                        </Button>
+                    </div>
+                </form>
+            ) : (
+                <div
+                    onDragEnter={(e) => {
+                        e.preventDefault()
+                        setIsDragging(true)
+                    }}
+                    onDragOver={(e) => e.preventDefault()}
+                    onDragLeave={() => setIsDragging(false)}
+                    onDrop={handleDrop}
+                    onClick={() => inputRef.current?.click()}
+                    className={cn(
+                        "mb-4 p-5 rounded-xl border-2 border-dashed text-center cursor-pointer transition-colors",
+                        isDragging ? "border-teal-500 bg-teal-50" : "border-slate-200 hover:border-teal-400 hover:bg-slate-50"
+                    )}
+                >
+                    <input
+                        ref={inputRef}
+                        type="file"
+                        accept={ATTACHMENT_ACCEPT}
+                        onChange={(e) => {
+                            if (e.target.files?.[0]) selectFile(e.target.files[0])
+                            e.target.value = ''
+                        }}
+                        className="hidden"
+                    />
+                    <Upload size={20} className="mx-auto mb-2 text-slate-400" />
+                    <p className="text-sm font-medium text-slate-700">Drop a file or click to browse</p>
+                    <p className="text-xs text-slate-400 mt-1">
+                        PDF, Office, images, text or ZIP up to {MAX_ATTACHMENT_SIZE_DISPLAY}
+                    </p>
+                </div>
+            )}
+
+            {/* List */}
+            {isLoading ? (
+                <div className="flex justify-center py-4">
+                    <Loader2 size={20} className="animate-spin text-slate-400" />
+                </div>
+            ) : attachments.length > 0 && (
+                <ul className="divide-y divide-slate-100">
+                    {attachments.map((attachment) => {
+                        const previewType = getPreviewType(attachment)
+                        const Icon = previewIcons[previewType] || File
+                        const isEditing = editing?.id === attachment.id
+
+                        return (
+                            <li key={attachment.id} className="flex items-center gap-3 py-3">
+                                <div className="w-9 h-9 rounded-lg bg-slate-100 flex items-center justify-center text-slate-500 shrink-0">
+                                    <Icon size={18} />
+                                </div>
+
+                                {isEditing ? (
+                                    <div className="flex-1 flex flex-col sm:flex-row gap-2 min-w-0">
+                                        <input
+                                            type="text"
+                                            value={editing.label}
+                                            autoFocus
+                                            onChange={(e) => setEditing({ ...editing, label: e.target.value })}
+                                            onKeyDown={(e) => {
+                                                if (e.key === 'Enter' && editing.label.trim()) updateMutation.mutate(editing)
+                                                if (e.key === 'Escape') setEditing(null)
+                                            }}
+                                            className="input py-1.5 px-2 text-sm flex-1 min-w-0"
+                                            aria-label="Label"
+                                        />
+                                        <select
+                                            value={editing.category}
+                                            onChange={(e) => setEditing({ ...editing, category: e.target.value })}
+                                            className="input py-1.5 px-2 text-sm sm:w-40"
+                                            aria-label="Category"
+                                        >
+                                            {ATTACHMENT_CATEGORIES.map((category) => (
+                                                <option key={category.value} value={category.value}>{category.label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                ) : (
+                                    <div className="flex-1 min-w-0">
+                                        <p className="font-medium text-slate-900 text-sm truncate">{attachment.label || attachment.file_name}</p>
+                                        <p className="text-xs text-slate-500 truncate">
+                                            {categoryLabel(attachment.category)} · {getAttachmentSize(attachment)}
+                                            {attachment.created_at && ` · ${format(new Date(attachment.created_at), 'MMM d, yyyy')}`}
+                                        </p>
+                                    </div>
+                                )}
+
+                                <div className="flex items-center shrink-0">
+                                    {isEditing ? (
+                                        <>
+                                            <IconButton
+                                                label="Save"
+                                                onClick={() => editing.label.trim() && updateMutation.mutate(editing)}
+                                                className="hover:text-emerald-600"
+                                            >
+                                                {updateMutation.isPending ? <Loader2 size={15} className="animate-spin" /> : <Check size={15} />}
+                                            </IconButton>
+                                            <IconButton label="Cancel" onClick={() => setEditing(null)}>
+                                                <X size={15} />
+                                            </IconButton>
+                                        </>
+                                    ) : (
+                                        <>
+                                            {previewType && (
+                                                <IconButton label="Preview" onClick={() => setPreviewing(attachment)}>
+                                                    <Eye size={15} />
+                                                </IconButton>
+                                            )}
+                                            <a
+                                                href={attachment.file_url}
+                                                target="_blank"
+                                                rel="noopener noreferrer"
+                                                download={attachment.file_name}
+                                                className="p-1.5 rounded-lg text-slate-400 hover:text-slate-700 hover:bg-slate-100"
+                                                title="Download"
+                                            >
+                                                <Download size={15} />
+                                            </a>
+                                            <IconButton
+                                                label="Rename"
+                                                onClick={() => setEditing({
+                                                    id: attachment.id,
+                                                    label: attachment.label || attachment.file_name,
+                                                    category: attachment.category || 'other'
+                                                })}
+                                            >
+                                                <Edit2 size={15} />
+                                            </IconButton>
+                                            <IconButton label="Delete" onClick={() => setDeleting(attachment)} className="hover:text-rose-600 hover:bg-rose-50">
+                                                <Trash2 size={15} />
+                                            </IconButton>
+                                        </>
+                                    )}
+                                </div>
+                            </li>
+                        )
+                    })}
+                </ul>
+            )}
+
+            {/* Preview */}
+            <Modal
+                isOpen={!!previewing}
+                onClose={() => setPreviewing(null)}
+                title={previewing?.label || previewing?.file_name}
+                className="max-w-4xl"
+            >
+                {previewing && (getPreviewType(previewing) === 'image' ? (
+                    <img
+                        src={previewing.file_url}
+                        alt={previewing.label || previewing.file_name}
+                        className="max-h-[70vh] mx-auto rounded-lg"
+                    />
+                ) : (
+                    <iframe
+                        src={previewing.file_url}
+                        title={previewing.label || previewing.file_name}
+                        className="w-full h-[70vh] rounded-lg border border-slate-200"
+                    />
+                ))}
+            </Modal>
+
+            <ConfirmDialog
+                isOpen={!!deleting}
+                onClose={() => setDeleting(null)}
+                onConfirm={() => deleteMutation.mutate(deleting)}
+                isLoading={deleteMutation.isPending}
+                title="Delete Attachment"
+                description={`Delete "${deleting?.label || deleting?.file_name}"? This action cannot be undone.`}
+                confirmLabel="Delete"
+                isDestructive
+            />
+        </Card>
+    )
+}
+
+const IconButton = ({ label, onClick, className, children }) => (
+    <button
+        type="button"
+        onClick={onClick}
+        title={label}
+        aria-label={label}
+        className={cn("p-1.5 rounded-lg text-slate-400 hover:text-slate-700 hover:bg-slate-100", className)}
+    >
+        {children}
+    </button>
+)
+
+export default AttachmentsPanel
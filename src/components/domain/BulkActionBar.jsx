@@ -0,0 +1,102 @@
+import React from 'react'
+import { Download, Trash2, X, Loader2 } from 'lucide-react'
+import Button from '@/components/ui/Button'
+import { STATUS_OPTIONS, PRIORITY_OPTIONS } from '@/services/applicationService'
+
+/**
+ * BulkActionBar - Floating toolbar for acting on selected applications
+ * Used in ApplicationList while one or more cards are selected
+ */
+const BulkActionBar = ({
+    selectedCount,
+    matchingCount,
+    isBusy = false,
+    isSelectingAll = false,
+    onSelectAllMatching,
+    onStatusChange,
+    onPriorityChange,
+    onExport,
+    onDelete,
+    onClear
+}) => {
+    if (selectedCount === 0) return null
+
+    const selectClassName = "h-9 px-3 pr-8 rounded-lg border border-slate-200 bg-white text-sm text-slate-700 cursor-pointer focus:outline-none focus:border-teal-brand-500 disabled:opacity-60"
+
+    return (
+        <div className="fixed bottom-6 left-1/2 -translate-x-1/2 ml-32 z-40 animate-fade-in">
+            <div className="flex flex-wrap items-center gap-3 px-4 py-3 rounded-2xl bg-white border border-slate-200 shadow-2xl">
+                <div className="flex items-center gap-2 pr-3 border-r border-slate-200">
+                    <button
+                        onClick={onClear}
+                        className="p-1 rounded-md text-slate-400 hover:text-slate-700 hover:bg-slate-100 transition-colors"
+                        title="Clear selection"
+                    >
+                        <X size={16} />
+                    </button>
+                    <span className="text-sm font-bold text-slate-900 whitespace-nowrap">
+                        {selectedCount} selected
+                    </span>
+                    {matchingCount > selectedCount && (
+                        <button
+                            onClick={onSelectAllMatching}
+                            disabled={isSelectingAll}
+                            className="flex items-center gap-1 text-sm font-medium text-teal-brand-600 hover:underline whitespace-nowrap disabled:opacity-60"
+                        >
+                            {isSelectingAll && <Loader2 size={14} className="animate-spin" />}
+                            Select all {matchingCount} matching
+                        </button>
+                    )}
+                </div>
+
+                <select
+                    value=""
+                    disabled={isBusy}
+                    onChange={(e) => e.target.value && onStatusChange(e.target.value)}
+                    className={selectClassName}
+                    aria-label="Change status"
+                >
+                    <option value="" disabled>Set status…</option>
+                    {STATUS_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+
+                <select
+                    value=""
+                    disabled={isBusy}
+                    onChange={(e) => e.target.value && onPriorityChange(e.target.value)}
+                    className={selectClassName}
+                    aria-label="Change priority"
+                >
+                    <option value="" disabled>Set priority…</option>
+                    {PRIORITY_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+
+                <Button
+                    size="sm"
+                    variant="secondary"
+                    onClick={onExport}
+                    disabled={isBusy}
+                    startIcon={<Download size={14} />}
+                >
+                    Export
+                </Button>
+                <Button
+                    size="sm"
+                    variant="danger"
+                    onClick={onDelete}
+                    disabled={isBusy}
+                    startIcon={<Trash2 size={14} />}
+                >
+                    Delete
+                </Button>
+                {isBusy && <Loader2 size={18} className="animate-spin text-slate-400" />}
+            </div>
+        </div>
+    )
+}
+
+export default BulkActionBar
@@ -0,0 +1,174 @@
+import React, { useId, useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { Building2, Check, Loader2, Plus } from 'lucide-react'
+import { companyService } from '@/services/companyService'
+import { applicationService } from '@/services/applicationService'
+import { useDebouncedValue } from '@/hooks/useDebouncedValue'
+import { useToast } from '@/hooks/useToast'
+import { cn } from '@/utils/cn'
+
+/**
+ * CompanyCombobox - Search existing companies or create one inline
+ * Controlled by the typed name plus the id of the linked company.
+ *
+ * @param {string} label
+ * @param {string} name - Text in the input
+ * @param {number|null} companyId - Linked company, null while the text is unmatched
+ * @param {Function} onTextChange - Called with the new text (unlinks the company)
+ * @param {Function} onSelect - Called with the chosen or newly created company
+ * @param {Object|string} [error] - react-hook-form error or message
+ * @param {boolean} [disabled]
+ */
+const CompanyCombobox = ({ label, name = '', companyId, onTextChange, onSelect, error, disabled }) => {
+    const queryClient = useQueryClient()
+    const { error: showError } = useToast()
+    const listboxId = useId()
+    const [isOpen, setIsOpen] = useState(false)
+    const [activeIndex, setActiveIndex] = useState(0)
+
+    const term = useDebouncedValue(name.trim())
+    const { data: companies = [], isFetching } = useQuery({
+        queryKey: ['companies', 'search', term],
+        queryFn: ({ signal }) => companyService.searchCompanies(term, { signal }),
+        enabled: isOpen && term.length >= 2,
+        staleTime: 30 * 1000,
+    })
+
+    const select = (company) => {
+        onSelect(company)
+        setIsOpen(false)
+    }
+
+    const createMutation = useMutation({
+        mutationFn: (companyName) => applicationService.createCompany({ name: companyName }),
+        onSuccess: (company) => {
+            queryClient.invalidateQueries({ queryKey: ['companies'] })
+            select(company)
+        },
+        onError: (err) => showError(err.response?.data?.name?.[0] || err.response?.data?.error || 'Failed to create company')
+    })
+
+    const hasExactMatch = companies.some((company) => company.name.toLowerCase() === name.trim().toLowerCase())
+    const canCreate = name.trim().length > 0 && !hasExactMatch
+    // Search results followed by the "create" row
+    const optionCount = companies.length + (canCreate ? 1 : 0)
+
+    const chooseActive = () => {
+        if (activeIndex < companies.length) select(companies[activeIndex])
+        else if (canCreate) createMutation.mutate(name.trim())
+    }
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault()
+            setIsOpen(true)
+            setActiveIndex((index) => Math.min(index + 1, optionCount - 1))
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault()
+            setActiveIndex((index) => Math.max(index - 1, 0))
+        } else if (e.key === 'Enter' && isOpen && optionCount > 0) {
+            e.preventDefault()
+            chooseActive()
+        } else if (e.key === 'Escape') {
+            setIsOpen(false)
+        }
+    }
+
+    const errorMessage = error && typeof error === 'object' ? error.message : error
+    const isLinked = !!companyId
+
+    return (
+        <div className="w-full space-y-2">
+            {label && <label className="text-sm font-bold text-slate-700 ml-1">{label}</label>}
+
+            <div className="relative">
+                <div className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-500">
+                    <Building2 size={16} />
+                </div>
+                <input
+                    type="text"
+                    role="combobox"
+                    aria-expanded={isOpen}
+                    aria-controls={listboxId}
+                    aria-autocomplete="list"
+                    autoComplete="off"
+                    value={name}
+                    disabled={disabled}
+                    placeholder="Search or add a company..."
+                    onChange={(e) => {
+                        onTextChange(e.target.value)
+                        setIsOpen(true)
+                        setActiveIndex(0)
+                    }}
+                    onFocus={() => setIsOpen(true)}
+                    // Let clicks on options land before closing
+                    onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+                    onKeyDown={handleKeyDown}
+                    className={cn("input pl-10 pr-10", errorMessage && "input-error")}
+                />
+                <div className="absolute right-3 top-1/2 -translate-y-1/2">
+                    {isFetching || createMutation.isPending
+                        ? <Loader2 size={16} className="animate-spin text-slate-400" />
+                        : isLinked && <Check size={16} className="text-emerald-500" />}
+                </div>
+
+                {isOpen && !disabled && name.trim().length > 0 && (
+                    <ul
+                        id={listboxId}
+                        role="listbox"
+                        className="absolute z-50 mt-1 w-full max-h-60 overflow-y-auto bg-white rounded-lg border border-slate-200 shadow-lg py-1"
+                    >
+                        {companies.map((company, index) => (
+                            <li
+                                key={company.id}
+                                role="option"
+                                aria-selected={company.id === companyId}
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => select(company)}
+                                onMouseEnter={() => setActiveIndex(index)}
+                                className={cn(
+                                    "flex items-center justify-between gap-2 px-3 py-2 text-sm cursor-pointer",
+                                    activeIndex === index ? "bg-slate-50" : ""
+                                )}
+                            >
+                                <span className="min-w-0">
+                                    <span className="block font-medium text-slate-900 truncate">{company.name}</span>
+                                    {(company.industry || company.location) && (
+                                        <span className="block text-xs text-slate-500 truncate">
+                                            {[company.industry, company.location].filter(Boolean).join(' · ')}
+                                        </span>
+                                    )}
+                                </span>
+                                {company.id === companyId && <Check size={14} className="text-teal-brand-600 shrink-0" />}
+                            </li>
+                        ))}
+                        {canCreate && (
+                            <li
+                                role="option"
+                                aria-selected={false}
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => createMutation.mutate(name.trim())}
+                                onMouseEnter={() => setActiveIndex(companies.length)}
+                                className={cn(
+                                    "flex items-center gap-2 px-3 py-2 text-sm text-teal-brand-700 cursor-pointer",
+                                    activeIndex === companies.length ? "bg-teal-brand-50" : ""
+                                )}
+                            >
+                                <Plus size={14} />
+                                Create &ldquo;{name.trim()}&rdquo;
+                            </li>
+                        )}
+                    </ul>
+                )}
+            </div>
+
+            {errorMessage ? (
+                <p className="text-xs text-rose-500 font-medium ml-1">{errorMessage}</p>
+            ) : name.trim() && !isLinked && (
+                <p className="text-xs text-slate-500 ml-1">Pick a company from the list or create it.</p>
+            )}
+        </div>
+    )
+}
+
+export default CompanyCombobox
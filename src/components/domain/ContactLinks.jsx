@@ -0,0 +1,183 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { Users, Plus, X, Mail, Linkedin, UserPlus } from 'lucide-react'
+import { contactService, LINK_ROLES } from '@/services/contactService'
+import Card from '@/components/ui/Card'
+import Button from '@/components/ui/Button'
+import Modal from '@/components/ui/Modal'
+import ContactForm from '@/pages/contacts/ContactForm'
+import { useToast } from '@/hooks/useToast'
+
+/**
+ * ContactLinks - People linked to an application or interview
+ *
+ * @param {'application'|'interview'} type
+ * @param {number|string} targetId
+ * @param {string} label - Shown on the contact's page for this link
+ * @param {{company?: number, company_name?: string}} [companyDefaults] - Prefill for new contacts
+ */
+const ContactLinks = ({ type, targetId, label, companyDefaults = {} }) => {
+    const queryClient = useQueryClient()
+    const { success, error: showError } = useToast()
+    const roles = LINK_ROLES[type]
+    const [isLinking, setIsLinking] = useState(false)
+    const [isCreateOpen, setIsCreateOpen] = useState(false)
+    const [contactId, setContactId] = useState('')
+    const [role, setRole] = useState(roles[0].value)
+
+    const linksKey = ['contacts', 'links', type, String(targetId)]
+    const { data: links = [] } = useQuery({
+        queryKey: linksKey,
+        queryFn: () => contactService.getLinkedContacts(type, targetId),
+    })
+
+    const { data: contactsData } = useQuery({
+        queryKey: ['contacts', {}],
+        queryFn: () => contactService.getContacts(),
+        enabled: isLinking,
+    })
+
+    const linkMutation = useMutation({
+        mutationFn: ({ id, role: linkRole }) => contactService.linkContact(id, { type, target_id: targetId, role: linkRole, label }),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['contacts'] })
+            queryClient.invalidateQueries({ queryKey: ['contact'] })
+            setIsLinking(false)
+            setContactId('')
+        },
+        onError: (err) => showError(err.message || 'Failed to link contact')
+    })
+
+    const unlinkMutation = useMutation({
+        mutationFn: (linkId) => contactService.unlinkContact(linkId),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['contacts'] })
+            queryClient.invalidateQueries({ queryKey: ['contact'] })
+        }
+    })
+
+    const roleLabel = (value) => roles.find((option) => option.value === value)?.label || value
+
+    return (
+        <Card className="p-6">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-bold text-slate-900">Contacts</h3>
+                <Button
+                    size="sm"
+                    variant="secondary"
+                    className="px-2"
+                    onClick={() => setIsLinking(!isLinking)}
+                    aria-label="Link a contact"
+                >
+                    <Plus size={16} />
+                </Button>
+            </div>
+
+            {isLinking && (
+                <div className="space-y-2 p-3 mb-4 rounded-lg bg-slate-50 border border-slate-100 animate-fade-in">
+                    <select
+                        value={contactId}
+                        onChange={(e) => setContactId(e.target.value)}
+                        className="input py-1.5 px-2 text-sm"
+                        aria-label="Contact"
+                    >
+                        <option value="">Choose a contact...</option>
+                        {(contactsData?.results || []).map((contact) => (
+                            <option key={contact.id} value={contact.id}>
+                                {contact.name}{contact.company_name ? ` (${contact.company_name})` : ''}
+                            </option>
+                        ))}
+                    </select>
+                    <select
+                        value={role}
+                        onChange={(e) => setRole(e.target.value)}
+                        className="input py-1.5 px-2 text-sm"
+                        aria-label="Role"
+                    >
+                        {roles.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+                    </select>
+                    <div className="flex items-center justify-between gap-2">
+                        <button
+                            type="button"
+                            onClick={() => setIsCreateOpen(true)}
+                            className="flex items-center gap-1 text-xs font-medium text-teal-brand-600 hover:text-teal-brand-700"
+                        >
+                            <UserPlus size={12} /> New contact
+                        </button>
+                        <Button
+                            size="sm"
+                            disabled={!contactId}
+                            isLoading={linkMutation.isPending}
+                            onClick={() => linkMutation.mutate({ id: contactId, role })}
+                        >
+                            Link
+                        </Button>
+                    </div>
+                </div>
+            )}
+
+            {links.length > 0 ? (
+                <div className="space-y-2">
+                    {links.map(({ id, role: linkRole, contact }) => (
+                        <div key={id} className="group flex items-center gap-3 p-3 rounded-lg bg-slate-50 border border-slate-100">
+                            <div className="flex-1 min-w-0">
+                                <Link
+                                    to={`/contacts/${contact.id}`}
+                                    className="block font-medium text-slate-900 hover:text-teal-brand-600 truncate"
+                                >
+                                    {contact.name}
+                                </Link>
+                                <p className="text-xs text-slate-500 truncate">
+                                    {[roleLabel(linkRole), contact.title].filter(Boolean).join(' · ')}
+                                </p>
+                            </div>
+                            {contact.email && (
+                                <a href={`mailto:${contact.email}`} className="p-1.5 text-slate-400 hover:text-slate-600" title="Send email">
+                                    <Mail size={14} />
+                                </a>
+                            )}
+                            {contact.linkedin_url && (
+                                <a
+                                    href={contact.linkedin_url}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="p-1.5 text-slate-400 hover:text-blue-600"
+                                    title="View LinkedIn"
+                                >
+                                    <Linkedin size={14} />
+                                </a>
+                            )}
+                            <button
+                                type="button"
+                                onClick={() => unlinkMutation.mutate(id)}
+                                className="p-1.5 text-slate-300 hover:text-rose-500 opacity-0 group-hover:opacity-100 transition-opacity"
+                                aria-label={`Unlink ${contact.name}`}
+                            >
+                                <X size={14} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            ) : !isLinking && (
+                <div className="text-center py-6 border border-dashed border-slate-200 rounded-lg">
+                    <Users size={20} className="mx-auto mb-2 text-slate-300" />
+                    <p className="text-sm text-slate-500">No contacts linked</p>
+                </div>
+            )}
+
+            <Modal isOpen={isCreateOpen} onClose={() => setIsCreateOpen(false)} title="New Contact">
+                <ContactForm
+                    defaults={{ ...companyDefaults, role }}
+                    onSuccess={(contact) => {
+                        setIsCreateOpen(false)
+                        success('Contact added')
+                        linkMutation.mutate({ id: contact.id, role })
+                    }}
+                />
+            </Modal>
+        </Card>
+    )
+}
+
+export default ContactLinks
@@ -0,0 +1,183 @@
+import React, { useMemo, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { Copy, GitMerge, EyeOff, ExternalLink, Loader2 } from 'lucide-react'
+import Button from '@/components/ui/Button'
+import ConfirmDialog from '@/components/ui/ConfirmDialog'
+import EmptyState from '@/components/ui/EmptyState'
+import { applicationService, STATUS_OPTIONS } from '@/services/applicationService'
+import useDuplicateStore from '@/stores/useDuplicateStore'
+import { findDuplicateGroups, pairKey } from '@/utils/duplicateDetection'
+import { useToast } from '@/hooks/useToast'
+import { cn } from '@/utils/cn'
+
+const groupKey = (group) => group.applications.map((application) => application.id).join('-')
+
+// The most recently touched record is usually the one being worked on
+const defaultKeepId = (group) => [...group.applications]
+    .sort((a, b) => new Date(b.updated_at || 0) - new Date(a.updated_at || 0))[0].id
+
+/**
+ * DuplicateFinder - Scans every application for likely duplicates and merges them
+ */
+const DuplicateFinder = () => {
+    const queryClient = useQueryClient()
+    const { success, error: showError } = useToast()
+    const { ignoredPairs, ignoreGroup, clearIgnored } = useDuplicateStore()
+    const [keepIds, setKeepIds] = useState({})
+    const [pendingMerge, setPendingMerge] = useState(null)
+
+    const { data: applications = [], isLoading } = useQuery({
+        queryKey: ['applications', 'all'],
+        queryFn: ({ signal }) => applicationService.getAllApplications({}, { signal }),
+        staleTime: 60 * 1000,
+    })
+
+    const groups = useMemo(() => {
+        const ignored = new Set(ignoredPairs)
+        return findDuplicateGroups(applications, (idA, idB) => ignored.has(pairKey(idA, idB)))
+    }, [applications, ignoredPairs])
+
+    const mergeMutation = useMutation({
+        mutationFn: ({ keepId, duplicateIds }) => applicationService.mergeApplications(keepId, duplicateIds),
+        onSuccess: (_, { duplicateIds }) => {
+            success(`Merged ${duplicateIds.length} duplicate${duplicateIds.length === 1 ? '' : 's'}`)
+            setPendingMerge(null)
+        },
+        onError: (err) => {
+            showError(err.response?.data?.error || 'Failed to merge applications')
+            setPendingMerge(null)
+        },
+        // Partial merges still change data, so refresh either way
+        onSettled: () => {
+            queryClient.invalidateQueries({ queryKey: ['applications'] })
+        }
+    })
+
+    const requestMerge = (group) => {
+        const keepId = keepIds[groupKey(group)] ?? defaultKeepId(group)
+        setPendingMerge({
+            keepId,
+            duplicateIds: group.applications.map((application) => application.id).filter((id) => id !== keepId),
+        })
+    }
+
+    if (isLoading) {
+        return (
+            <div className="flex items-center justify-center gap-2 py-12 text-slate-500">
+                <Loader2 size={18} className="animate-spin" /> Scanning applications...
+            </div>
+        )
+    }
+
+    return (
+        <div className="space-y-4">
+            {groups.length === 0 ? (
+                <EmptyState
+                    icon={Copy}
+                    title="No duplicates found"
+                    description={`Checked ${applications.length} applications by company, job title and job URL.`}
+                />
+            ) : (
+                <>
+                    <p className="text-sm text-slate-600">
+                        Found {groups.length} group{groups.length === 1 ? '' : 's'} of likely duplicates.
+                        Pick the record to keep; notes and interviews from the others are moved onto it.
+                    </p>
+                    <ul className="space-y-3 max-h-[60vh] overflow-y-auto pr-1">
+                        {groups.map((group) => {
+                            const key = groupKey(group)
+                            const keepId = keepIds[key] ?? defaultKeepId(group)
+                            return (
+                                <li key={key} className="rounded-xl border border-slate-200 p-3 space-y-2">
+                                    <p className="text-xs font-medium text-slate-500">{group.reasons.join(' · ')}</p>
+                                    {group.applications.map((application) => (
+                                        <label
+                                            key={application.id}
+                                            className={cn(
+                                                "flex items-center gap-3 rounded-lg px-3 py-2 cursor-pointer border",
+                                                keepId === application.id
+                                                    ? "border-teal-brand-300 bg-teal-brand-50"
+                                                    : "border-transparent hover:bg-slate-50"
+                                            )}
+                                        >
+                                            <input
+                                                type="radio"
+                                                name={`keep-${key}`}
+                                                checked={keepId === application.id}
+                                                onChange={() => setKeepIds({ ...keepIds, [key]: application.id })}
+                                                className="accent-teal-brand-600"
+                                            />
+                                            <div className="flex-1 min-w-0">
+                                                <p className="text-sm font-semibold text-slate-900 truncate">
+                                                    {application.job_title} · {application.company_name}
+                                                </p>
+                                                <p className="text-xs text-slate-500">
+                                                    {STATUS_OPTIONS.find((option) => option.value === application.status)?.label || application.status}
+                                                    {application.applied_date && ` · Applied ${application.applied_date}`}
+                                                </p>
+                                            </div>
+                                            {keepId === application.id && (
+                                                <span className="text-xs font-semibold text-teal-brand-700">Keep</span>
+                                            )}
+                                            <Link
+                                                to={`/applications/${application.id}`}
+                                                className="p-1 text-slate-400 hover:text-slate-700"
+                                                title="Open application"
+                                            >
+                                                <ExternalLink size={14} />
+                                            </Link>
+                                        </label>
+                                    ))}
+                                    <div className="flex justify-end gap-2 pt-1">
+                                        <Button
+                                            size="sm"
+                                            variant="ghost"
+                                            startIcon={<EyeOff size={14} />}
+                                            onClick={() => ignoreGroup(group.applications.map((application) => application.id))}
+                                        >
+                                            Not Duplicates
+                                        </Button>
+                                        <Button
+                                            size="sm"
+                                            variant="secondary"
+                                            startIcon={<GitMerge size={14} />}
+                                            onClick={() => requestMerge(group)}
+                                        >
+                                            Merge
+                                        </Button>
+                                    </div>
+                                </li>
+                            )
+                        })}
+                    </ul>
+                </>
+            )}
+
+            {ignoredPairs.length > 0 && (
+                <div className="flex justify-end">
+                    <button
+                        type="button"
+                        onClick={clearIgnored}
+                        className="text-xs font-medium text-slate-500 hover:text-slate-900"
+                    >
+                        Show {ignoredPairs.length} dismissed pair{ignoredPairs.length === 1 ? '' : 's'} again
+                    </button>
+                </div>
+            )}
+
+            <ConfirmDialog
+                isOpen={!!pendingMerge}
+                onClose={() => setPendingMerge(null)}
+                onConfirm={() => mergeMutation.mutate(pendingMerge)}
+                isLoading={mergeMutation.isPending}
+                title="Merge Applications"
+                description={`Missing details, notes and interviews will be moved onto the kept application, then ${pendingMerge?.duplicateIds.length === 1 ? 'the duplicate is' : 'the duplicates are'} deleted. This cannot be undone.`}
+                confirmLabel="Merge"
+                isDestructive={true}
+            />
+        </div>
+    )
+}
+
+export default DuplicateFinder
@@ -0,0 +1,83 @@
+import React from 'react'
+import { Link } from 'react-router-dom'
+import { AlertTriangle, ExternalLink, GitMerge } from 'lucide-react'
+import Button from '@/components/ui/Button'
+import { STATUS_OPTIONS } from '@/services/applicationService'
+
+/**
+ * DuplicateWarning - Shown in ApplicationForm when the new application looks like an existing one
+ *
+ * @param {DuplicateMatch[]} matches - Likely duplicates, best first
+ * @param {Function} onMerge - Called with the application to merge into
+ * @param {Function} onCreateAnyway - Saves the new application regardless
+ * @param {Function} onBack - Returns to editing the form
+ * @param {number|string} [mergingId] - Application currently being merged into
+ * @param {boolean} [isCreating] - Create-anyway request in flight
+ */
+const DuplicateWarning = ({ matches, onMerge, onCreateAnyway, onBack, mergingId, isCreating }) => {
+    const isBusy = !!mergingId || isCreating
+
+    return (
+        <div className="rounded-xl border border-amber-200 bg-amber-50 p-4 space-y-3 animate-fade-in">
+            <div className="flex items-start gap-2 text-amber-800">
+                <AlertTriangle size={18} className="mt-0.5 shrink-0" />
+                <div>
+                    <p className="font-semibold">This looks like an application you already have</p>
+                    <p className="text-sm text-amber-700">
+                        Merging fills in any details the existing record is missing.
+                    </p>
+                </div>
+            </div>
+
+            <ul className="space-y-2">
+                {matches.slice(0, 5).map(({ application, reasons }) => (
+                    <li
+                        key={application.id}
+                        className="flex flex-col sm:flex-row sm:items-center gap-2 justify-between bg-white rounded-lg border border-amber-100 px-3 py-2"
+                    >
+                        <div className="min-w-0">
+                            <p className="font-medium text-slate-900 truncate">
+                                {application.job_title} · {application.company_name}
+                            </p>
+                            <p className="text-xs text-slate-500">
+                                {STATUS_OPTIONS.find((option) => option.value === application.status)?.label || application.status}
+                                {application.applied_date && ` · Applied ${application.applied_date}`}
+                                {' · '}{reasons.join(', ')}
+                            </p>
+                        </div>
+                        <div className="flex items-center gap-2 shrink-0">
+                            <Link
+                                to={`/applications/${application.id}`}
+                                className="flex items-center gap-1 text-sm font-medium text-slate-600 hover:text-slate-900"
+                            >
+                                <ExternalLink size={14} /> Open
+                            </Link>
+                            <Button
+                                type="button"
+                                size="sm"
+                                variant="secondary"
+                                startIcon={<GitMerge size={14} />}
+                                isLoading={mergingId === application.id}
+                                disabled={isBusy}
+                                onClick={() => onMerge(application)}
+                            >
+                                Merge
+                            </Button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+
+            <div className="flex justify-end gap-3 pt-1">
+                <Button type="button" variant="ghost" onClick={onBack} disabled={isBusy}>
+                    Back to Form
+                </Button>
+                <Button type="button" onClick={onCreateAnyway} isLoading={isCreating} disabled={isBusy}>
+                    Create Anyway
+                </Button>
+            </div>
+        </div>
+    )
+}
+
+export default DuplicateWarning
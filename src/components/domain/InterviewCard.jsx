@@ -7,12 +7,13 @@ import {
 import Card from '@/components/ui/Card';
 import Badge from '@/components/ui/Badge';
 import Button from '@/components/ui/Button';
+import PendingSyncBadge from '@/components/domain/PendingSyncBadge';
+import { INTERVIEW_TYPE, INTERVIEW_OUTCOME } from '@/schemas/domain';
 
 const outcomeColors = {
     pending: 'bg-slate-700/50 text-slate-400 border-slate-700/50',
     passed: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20',
     failed: 'bg-rose-500/10 text-rose-400 border-rose-500/20',
-    no_show: 'bg-amber-500/10 text-amber-400 border-amber-500/20',
 };
 
 const typeIcons = {
@@ -63,11 +64,14 @@ const InterviewCard = ({ interview, onClick, condensed = false }) => {
                             </h4>
                             <p className="text-sm text-slate-400 truncate">{job_title}</p>
                         </div>
-                        {outcome !== 'pending' && (
-                            <Badge className={`text-xs px-2 py-0.5 ${outcomeColors[outcome]}`}>
-                                {outcome}
-                            </Badge>
-                        )}
+                        <div className="flex items-center gap-2">
+                            <PendingSyncBadge entity="interview" id={interview.id} />
+                            {outcome !== 'pending' && (
+                                <Badge className={`text-xs px-2 py-0.5 ${outcomeColors[outcome]}`}>
+                                    {INTERVIEW_OUTCOME.label(outcome)}
+                                </Badge>
+                            )}
+                        </div>
                     </div>
 
                     <div className="mt-3 flex flex-wrap gap-y-2 gap-x-4 text-sm text-slate-400">
@@ -76,9 +80,9 @@ const InterviewCard = ({ interview, onClick, condensed = false }) => {
                             <span>{format(date, 'h:mm a')} ({duration_minutes}m)</span>
                         </div>
 
-                        <div className="flex items-center gap-1.5 capitalize">
+                        <div className="flex items-center gap-1.5">
                             {typeIcons[interview_type] || typeIcons.default}
-                            <span>{interview_type.replace('_', ' ')} (Round {round_number})</span>
+                            <span>{INTERVIEW_TYPE.label(interview_type)} (Round {round_number})</span>
                         </div>
 
                         {meeting_link && (
@@ -9,23 +9,15 @@ import Button from '@/components/ui/Button';
 import Input from '@/components/ui/Input';
 import Select from '@/components/ui/Select';
 import Textarea from '@/components/ui/Textarea';
+import FormErrorBanner from '@/components/ui/FormErrorBanner';
+import { useServerErrors } from '@/hooks/useServerErrors';
 import { format } from 'date-fns';
-
-const interviewTypes = [
-    { value: 'phone', label: 'Phone Screen' },
-    { value: 'technical', label: 'Technical' },
-    { value: 'behavioral', label: 'Behavioral' },
-    { value: 'system_design', label: 'System Design' },
-    { value: 'coding', label: 'Coding Challenge' },
-    { value: 'onsite', label: 'On-site' },
-    { value: 'hr', label: 'HR / Final' },
-    { value: 'other', label: 'Other' },
-];
+import { INTERVIEW_TYPE } from '@/schemas/domain';
 
 const schema = z.object({
     application: z.coerce.number().min(1, 'Please select an application'),
     round_number: z.coerce.number().min(1, 'Round number required').default(1),
-    interview_type: z.string().min(1, 'Type is required'),
+    interview_type: z.enum(INTERVIEW_TYPE.values, 'Type is required'),
     scheduled_at: z.string().min(1, 'Date & Time is required'), // Start time
     duration_minutes: z.coerce.number().min(15).default(45),
     meeting_link: z.string().url().optional().or(z.literal('')),
@@ -41,7 +33,7 @@ const InterviewForm = ({ onSuccess, initialData, preSelectedApplicationId }) =>
     // Fetch user's active applications for the dropdown
     const { data: applicationsObj } = useQuery({
         queryKey: ['applications_list_simple'],
-        queryFn: () => applicationService.getApplications({ page_size: 100, status: 'applied,screening,interviewing,offer' }), // Filter relevant statuses
+        queryFn: ({ signal }) => applicationService.getApplications({ page_size: 100, status: 'applied,screening,interviewing,offer' }, { signal }), // Filter relevant statuses
     });
 
     // Map applications to options for Select
@@ -61,10 +53,15 @@ const InterviewForm = ({ onSuccess, initialData, preSelectedApplicationId }) =>
         duration_minutes: 45
     };
 
-    const { register, handleSubmit, formState: { errors } } = useForm({
+    const { register, handleSubmit, setError, formState: { errors } } = useForm({
         resolver: zodResolver(schema),
         defaultValues
     });
+    const { formError, handleServerError, clearServerError } = useServerErrors({
+        setError,
+        // Without the application select, errors about it go to the banner
+        fields: Object.keys(schema.shape).filter((name) => !(preSelectedApplicationId && name === 'application'))
+    });
 
     const mutation = useMutation({
         mutationFn: (data) => {
@@ -85,10 +82,14 @@ const InterviewForm = ({ onSuccess, initialData, preSelectedApplicationId }) =>
             queryClient.invalidateQueries(['interviews']);
             if (preSelectedApplicationId) queryClient.invalidateQueries(['application', preSelectedApplicationId]);
             onSuccess?.();
-        }
+        },
+        onError: handleServerError
     });
 
-    const onSubmit = (data) => mutation.mutate(data);
+    const onSubmit = (data) => {
+        clearServerError();
+        mutation.mutate(data);
+    };
 
     return (
         <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
@@ -113,7 +114,7 @@ const InterviewForm = ({ onSuccess, initialData, preSelectedApplicationId }) =>
             <div className="grid grid-cols-2 gap-4">
                 <Select
                     label="Interview Type"
-                    options={interviewTypes}
+                    options={INTERVIEW_TYPE.options}
                     error={errors.interview_type}
                     {...register('interview_type')}
                 />
@@ -159,9 +160,12 @@ const InterviewForm = ({ onSuccess, initialData, preSelectedApplicationId }) =>
             <Textarea
                 label="Preparation Notes"
                 placeholder="Topics to study, questions to ask..."
+                error={errors.preparation_notes}
                 {...register('preparation_notes')}
             />
 
+            <FormErrorBanner error={formError} />
+
             <div className="flex justify-end pt-4 gap-3">
                 {onSuccess && (
                     <Button type="button" variant="ghost" onClick={onSuccess}>Cancel</Button>
@@ -0,0 +1,112 @@
+import React, { useState } from 'react'
+import { ClipboardPaste, ChevronDown, Sparkles, CheckCircle2, AlertCircle } from 'lucide-react'
+import Button from '@/components/ui/Button'
+import { parseJobPosting } from '@/utils/jobPostingParser'
+import { cn } from '@/utils/cn'
+
+const fieldLabels = {
+    job_title: 'Job Title',
+    company_name: 'Company',
+    location: 'Location',
+    work_type: 'Work Type',
+    salary_min: 'Salary Min',
+    salary_max: 'Salary Max',
+    job_url: 'Job URL',
+    job_description: 'Description',
+}
+
+/**
+ * JobPostingImport - Paste a job posting (page HTML or text) to prefill the application form
+ *
+ * @param {Function} onImport - Called with the extracted field values
+ */
+const JobPostingImport = ({ onImport }) => {
+    const [isOpen, setIsOpen] = useState(false)
+    const [text, setText] = useState('')
+    // Rich clipboard content keeps the JSON-LD and headings that plain text loses
+    const [pastedHtml, setPastedHtml] = useState(null)
+    const [result, setResult] = useState(null)
+
+    const handlePaste = (e) => {
+        const html = e.clipboardData.getData('text/html')
+        setPastedHtml(html || null)
+    }
+
+    const handleChange = (e) => {
+        // Typing after a paste means the HTML no longer matches what the user sees
+        if (e.nativeEvent.inputType !== 'insertFromPaste') setPastedHtml(null)
+        setText(e.target.value)
+        setResult(null)
+    }
+
+    const handleExtract = () => {
+        const parsed = parseJobPosting(pastedHtml || text)
+        setResult(parsed)
+        if (Object.keys(parsed.fields).length > 0) onImport(parsed.fields)
+    }
+
+    const foundKeys = result ? Object.keys(fieldLabels).filter((key) => key in result.fields) : []
+
+    return (
+        <div className="rounded-xl border border-dashed border-teal-brand-200 bg-teal-brand-50/40">
+            <button
+                type="button"
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-full flex items-center justify-between px-4 py-3 text-sm font-medium text-teal-brand-700"
+            >
+                <span className="flex items-center gap-2">
+                    <ClipboardPaste size={16} />
+                    Import from posting
+                </span>
+                <ChevronDown size={16} className={cn("transition-transform", isOpen && "rotate-180")} />
+            </button>
+
+            {isOpen && (
+                <div className="px-4 pb-4 space-y-3 animate-fade-in">
+                    <p className="text-xs text-slate-500">
+                        Paste the job page (or its source) to fill in the title, company, location, salary and work type.
+                        You can review everything before saving.
+                    </p>
+                    <textarea
+                        value={text}
+                        onPaste={handlePaste}
+                        onChange={handleChange}
+                        rows={5}
+                        placeholder="Paste the job posting here..."
+                        className="input min-h-[100px] py-3 resize-y text-sm"
+                    />
+
+                    <div className="flex items-center justify-between gap-3">
+                        <div className="text-xs min-h-[1rem]">
+                            {result && foundKeys.length > 0 && (
+                                <span className="flex items-center gap-1.5 text-emerald-600">
+                                    <CheckCircle2 size={14} />
+                                    Filled {foundKeys.map((key) => fieldLabels[key]).join(', ')}
+                                    {result.source === 'json-ld' ? ' from structured data' : ''}
+                                </span>
+                            )}
+                            {result && foundKeys.length === 0 && (
+                                <span className="flex items-center gap-1.5 text-amber-600">
+                                    <AlertCircle size={14} />
+                                    Couldn't find any details. Try pasting the whole page.
+                                </span>
+                            )}
+                        </div>
+                        <Button
+                            type="button"
+                            size="sm"
+                            variant="secondary"
+                            startIcon={<Sparkles size={14} />}
+                            onClick={handleExtract}
+                            disabled={!text.trim() && !pastedHtml}
+                        >
+                            Extract Details
+                        </Button>
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default JobPostingImport
@@ -3,6 +3,7 @@ import { format } from 'date-fns'
 import { FileText, RefreshCw, MessageSquare, Search, CheckSquare, Edit2, Trash2, MoreHorizontal } from 'lucide-react'
 import { cn } from '@/utils/cn'
 import { NOTE_TYPES, getNoteTypeConfig } from '@/services/noteService'
+import PendingSyncBadge from '@/components/domain/PendingSyncBadge'
 
 // Icon mapping
 const ICON_MAP = {
@@ -95,6 +96,7 @@ const NoteCard = ({
                             <span className="text-xs text-slate-400 ml-2">
                                 {format(new Date(note.created_at), 'MMM d, yyyy • h:mm a')}
                             </span>
+                            <PendingSyncBadge entity="note" id={note.id} className="ml-2" />
                         </div>
 
                         {/* Actions Menu */}
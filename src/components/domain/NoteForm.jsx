@@ -3,10 +3,13 @@ import { useForm } from 'react-hook-form'
 import { zodResolver } from '@hookform/resolvers/zod'
 import { z } from 'zod'
 import { useMutation, useQueryClient } from '@tanstack/react-query'
-import { noteService, NOTE_TYPES } from '@/services/noteService'
+import { noteService } from '@/services/noteService'
+import { NOTE_TYPE } from '@/schemas/domain'
 import Textarea from '@/components/ui/Textarea'
 import Select from '@/components/ui/Select'
 import Button from '@/components/ui/Button'
+import FormErrorBanner from '@/components/ui/FormErrorBanner'
+import { useServerErrors } from '@/hooks/useServerErrors'
 import { Send, Loader2 } from 'lucide-react'
 
 // Validation Schema
@@ -14,7 +17,7 @@ const noteSchema = z.object({
     content: z.string()
         .min(1, 'Note content is required')
         .max(2000, 'Note must be less than 2000 characters'),
-    note_type: z.string().default('general')
+    note_type: NOTE_TYPE.schema.default('general')
 })
 
 /**
@@ -35,6 +38,7 @@ const NoteForm = ({
         register,
         handleSubmit,
         reset,
+        setError,
         formState: { errors, isSubmitting },
         watch
     } = useForm({
@@ -44,6 +48,10 @@ const NoteForm = ({
             note_type: initialData?.note_type || 'general'
         }
     })
+    const { formError, handleServerError, clearServerError } = useServerErrors({
+        setError,
+        fields: Object.keys(noteSchema.shape)
+    })
 
     // eslint-disable-next-line react-hooks/incompatible-library
     const content = watch('content')
@@ -61,17 +69,16 @@ const NoteForm = ({
             queryClient.invalidateQueries(['notes', applicationId])
             reset()
             onSuccess?.()
-        }
+        },
+        onError: handleServerError
     })
 
     const onSubmit = (data) => {
+        clearServerError()
         mutation.mutate(data)
     }
 
-    const noteTypeOptions = NOTE_TYPES.map(type => ({
-        value: type.value,
-        label: type.label
-    }))
+    const noteTypeOptions = NOTE_TYPE.options
 
     if (variant === 'compact') {
         return (
@@ -107,6 +114,7 @@ const NoteForm = ({
                         </Button>
                     </div>
                 </div>
+                <FormErrorBanner error={formError} />
             </form>
         )
     }
@@ -136,11 +144,7 @@ const NoteForm = ({
             </div>
 
             {/* Error Message */}
-            {mutation.isError && (
-                <div className="p-3 rounded-lg bg-rose-50 border border-rose-200 text-rose-600 text-sm">
-                    {mutation.error?.response?.data?.error || 'Failed to save note. Please try again.'}
-                </div>
-            )}
+            <FormErrorBanner error={formError} />
 
             {/* Actions */}
             <div className="flex justify-end gap-3 pt-2">
@@ -29,7 +29,7 @@ const NotesTimeline = ({
     // Fetch notes if not provided
     const { data: fetchedNotes, isLoading } = useQuery({
         queryKey: ['notes', applicationId],
-        queryFn: () => noteService.getNotes(applicationId),
+        queryFn: ({ signal }) => noteService.getNotes(applicationId, { signal }),
         enabled: initialNotes.length === 0 && !!applicationId,
         initialData: initialNotes.length > 0 ? initialNotes : undefined
     })
@@ -126,7 +126,7 @@ export default function NotificationDropdown({ isOpen, onClose, className }) {
   // Fetch recent notifications
   const { data, isLoading, isError } = useQuery({
     queryKey: ['notifications', 'recent'],
-    queryFn: () => getNotifications({ page: 1, per_page: 10 }),
+    queryFn: ({ signal }) => getNotifications({ page: 1, per_page: 10 }, { signal }),
     enabled: isOpen,
     staleTime: 10000,
   });
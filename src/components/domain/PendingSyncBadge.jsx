@@ -0,0 +1,39 @@
+import React from 'react'
+import { CloudOff, AlertTriangle } from 'lucide-react'
+import { cn } from '@/utils/cn'
+import useOfflineQueueStore from '@/stores/useOfflineQueueStore'
+
+/**
+ * PendingSyncBadge - Marks a record with changes that haven't reached the server yet
+ *
+ * @param {'application'|'note'|'interview'} entity
+ * @param {number|string} id
+ * @param {string} [className]
+ */
+const PendingSyncBadge = ({ entity, id, className }) => {
+    const entries = useOfflineQueueStore((state) => state.queue)
+        .filter((entry) => entry.entity === entity && String(entry.targetId) === String(id))
+
+    if (entries.length === 0) return null
+
+    const needsAttention = entries.some((entry) => entry.status !== 'pending')
+    const Icon = needsAttention ? AlertTriangle : CloudOff
+
+    return (
+        <span
+            className={cn(
+                'inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium border',
+                needsAttention
+                    ? 'bg-rose-500/10 text-rose-600 border-rose-500/20'
+                    : 'bg-sky-500/10 text-sky-600 border-sky-500/20',
+                className
+            )}
+            title={needsAttention ? entries.find((entry) => entry.error)?.error : 'Saved on this device, not yet synced'}
+        >
+            <Icon className="w-3 h-3" />
+            {needsAttention ? 'Sync issue' : 'Pending sync'}
+        </span>
+    )
+}
+
+export default PendingSyncBadge
@@ -0,0 +1,159 @@
+import React, { useState } from 'react'
+import { Bookmark, ChevronDown, ArrowUp, ArrowDown, Pin, PinOff, Pencil, Trash2, Check, Plus } from 'lucide-react'
+import useSavedViewsStore from '@/stores/useSavedViewsStore'
+import { cn } from '@/utils/cn'
+
+/**
+ * SavedViewsMenu - Dropdown to apply, pin, rename, reorder and delete saved views
+ *
+ * @param {string} currentQuery - Query string of the filters currently applied
+ * @param {Function} onApply - Called with a view's query string
+ * @param {Function} onSaveCurrent - Opens the "save view" dialog
+ */
+const SavedViewsMenu = ({ currentQuery, onApply, onSaveCurrent }) => {
+    const { views, renameView, togglePinned, deleteView, moveView } = useSavedViewsStore()
+    const [isOpen, setIsOpen] = useState(false)
+    const [editingId, setEditingId] = useState(null)
+    const [draftName, setDraftName] = useState('')
+
+    const activeView = views.find((view) => view.query === currentQuery)
+
+    const startRename = (view) => {
+        setEditingId(view.id)
+        setDraftName(view.name)
+    }
+
+    const commitRename = () => {
+        if (draftName.trim()) renameView(editingId, draftName.trim())
+        setEditingId(null)
+    }
+
+    const iconButton = "p-1 rounded-md text-slate-400 hover:text-slate-700 hover:bg-slate-100 transition-colors disabled:opacity-30 disabled:pointer-events-none"
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className={cn(
+                    "h-full flex items-center gap-2 px-4 py-2.5 rounded-lg border text-sm font-medium transition-colors whitespace-nowrap",
+                    activeView
+                        ? "border-teal-brand-300 bg-teal-brand-50 text-teal-brand-700"
+                        : "border-slate-200 bg-white text-slate-600 hover:bg-slate-50"
+                )}
+            >
+                <Bookmark size={16} />
+                <span className="max-w-[10rem] truncate">{activeView?.name || 'Views'}</span>
+                <ChevronDown size={14} />
+            </button>
+
+            {isOpen && (
+                <>
+                    <div className="fixed inset-0 z-40" onClick={() => setIsOpen(false)} />
+                    <div className="absolute right-0 mt-2 w-80 bg-white rounded-xl shadow-lg border border-slate-200 py-2 z-50">
+                        {views.length === 0 ? (
+                            <p className="px-4 py-3 text-sm text-slate-500">
+                                No saved views yet. Set up some filters and save them for later.
+                            </p>
+                        ) : (
+                            <ul className="max-h-80 overflow-y-auto">
+                                {views.map((view, index) => (
+                                    <li
+                                        key={view.id}
+                                        className={cn(
+                                            "group flex items-center gap-1 px-2 py-1.5 hover:bg-slate-50",
+                                            view.id === activeView?.id && "bg-teal-brand-50/60"
+                                        )}
+                                    >
+                                        {editingId === view.id ? (
+                                            <form
+                                                className="flex-1 flex items-center gap-1"
+                                                onSubmit={(e) => {
+                                                    e.preventDefault()
+                                                    commitRename()
+                                                }}
+                                            >
+                                                <input
+                                                    autoFocus
+                                                    value={draftName}
+                                                    onChange={(e) => setDraftName(e.target.value)}
+                                                    onKeyDown={(e) => e.key === 'Escape' && setEditingId(null)}
+                                                    className="flex-1 min-w-0 px-2 py-1 text-sm rounded-md border border-slate-200 focus:outline-none focus:border-teal-brand-500"
+                                                />
+                                                <button type="submit" className={iconButton} title="Save name">
+                                                    <Check size={14} />
+                                                </button>
+                                            </form>
+                                        ) : (
+                                            <button
+                                                onClick={() => {
+                                                    onApply(view.query)
+                                                    setIsOpen(false)
+                                                }}
+                                                className="flex-1 min-w-0 flex items-center gap-2 px-2 py-1 text-left text-sm text-slate-700"
+                                            >
+                                                {view.pinned && <Pin size={12} className="shrink-0 text-teal-brand-600" />}
+                                                <span className="truncate">{view.name}</span>
+                                            </button>
+                                        )}
+
+                                        <div className="flex items-center opacity-0 group-hover:opacity-100 transition-opacity">
+                                            <button
+                                                onClick={() => moveView(view.id, views[index - 1]?.id)}
+                                                disabled={index === 0}
+                                                className={iconButton}
+                                                title="Move up"
+                                            >
+                                                <ArrowUp size={14} />
+                                            </button>
+                                            <button
+                                                onClick={() => moveView(view.id, views[index + 1]?.id)}
+                                                disabled={index === views.length - 1}
+                                                className={iconButton}
+                                                title="Move down"
+                                            >
+                                                <ArrowDown size={14} />
+                                            </button>
+                                            <button
+                                                onClick={() => togglePinned(view.id)}
+                                                className={iconButton}
+                                                title={view.pinned ? 'Unpin from sidebar' : 'Pin to sidebar'}
+                                            >
+                                                {view.pinned ? <PinOff size={14} /> : <Pin size={14} />}
+                                            </button>
+                                            <button onClick={() => startRename(view)} className={iconButton} title="Rename">
+                                                <Pencil size={14} />
+                                            </button>
+                                            <button
+                                                onClick={() => deleteView(view.id)}
+                                                className={cn(iconButton, "hover:text-rose-600 hover:bg-rose-50")}
+                                                title="Delete view"
+                                            >
+                                                <Trash2 size={14} />
+                                            </button>
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+
+                        <div className="mt-1 pt-1 border-t border-slate-100">
+                            <button
+                                onClick={() => {
+                                    setIsOpen(false)
+                                    onSaveCurrent()
+                                }}
+                                disabled={!currentQuery || !!activeView}
+                                className="w-full flex items-center gap-2 px-4 py-2 text-sm text-teal-brand-600 hover:bg-teal-brand-50 transition-colors disabled:text-slate-400 disabled:hover:bg-transparent"
+                            >
+                                <Plus size={16} />
+                                Save current filters as view
+                            </button>
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    )
+}
+
+export default SavedViewsMenu
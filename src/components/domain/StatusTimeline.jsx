@@ -0,0 +1,223 @@
+import React, { useState } from 'react'
+import { format } from 'date-fns'
+import { History, Pencil, Trash2, Plus, Check, X } from 'lucide-react'
+import Card from '@/components/ui/Card'
+import Button from '@/components/ui/Button'
+import { STATUS_OPTIONS, STATUS_ACCENTS } from '@/services/applicationService'
+import useStatusHistoryStore, { initialTransitions } from '@/stores/useStatusHistoryStore'
+import { buildTimeline, stageDurations, formatStageDuration } from '@/utils/statusHistory'
+import { cn } from '@/utils/cn'
+
+const statusLabel = (status) => STATUS_OPTIONS.find((option) => option.value === status)?.label || status
+
+// datetime-local inputs work in local time without a timezone suffix
+const toInputValue = (iso) => format(new Date(iso), "yyyy-MM-dd'T'HH:mm")
+
+/**
+ * StatusTimeline - Stage history for an application with time spent in each stage
+ * Past transition dates can be edited and missing ones backfilled.
+ *
+ * @param {Object} application - Application detail
+ */
+const StatusTimeline = ({ application }) => {
+    const key = String(application.id)
+    const {
+        history, seedHistory, addTransition, updateTransitionDate, removeTransition
+    } = useStatusHistoryStore()
+    const [editingId, setEditingId] = useState(null)
+    const [draftDate, setDraftDate] = useState('')
+    const [isAdding, setIsAdding] = useState(false)
+    const [newStatus, setNewStatus] = useState('applied')
+
+    const recorded = history[key] || []
+    const isInferred = recorded.length === 0
+    const entries = isInferred ? initialTransitions(application) : recorded
+    const timeline = buildTimeline(entries)
+    const stages = stageDurations(timeline)
+    const totalMs = stages.reduce((sum, stage) => sum + stage.durationMs, 0)
+    const maxDate = toInputValue(new Date().toISOString())
+
+    const startEdit = (entry) => {
+        setEditingId(entry.id)
+        setDraftDate(toInputValue(entry.at))
+    }
+
+    const saveEdit = () => {
+        if (!draftDate) return
+        const at = new Date(draftDate).toISOString()
+        if (isInferred) {
+            // Editing an inferred entry turns the guess into recorded history
+            seedHistory(key, entries.map((entry) => entry.id === editingId ? { ...entry, at } : entry))
+        } else {
+            updateTransitionDate(key, editingId, at)
+        }
+        setEditingId(null)
+    }
+
+    const saveNew = (e) => {
+        e.preventDefault()
+        if (!draftDate) return
+        const transition = { status: newStatus, at: new Date(draftDate).toISOString() }
+        if (isInferred) {
+            seedHistory(key, [...entries, transition])
+        } else {
+            addTransition(key, transition.status, transition.at)
+        }
+        setIsAdding(false)
+    }
+
+    return (
+        <Card className="p-6">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+                    <History size={18} className="text-slate-400" />
+                    Status History
+                </h3>
+                <Button
+                    size="sm"
+                    variant="secondary"
+                    className="px-2"
+                    title="Add a past transition"
+                    onClick={() => {
+                        setIsAdding(!isAdding)
+                        setDraftDate(maxDate)
+                        setEditingId(null)
+                    }}
+                >
+                    <Plus size={16} />
+                </Button>
+            </div>
+
+            {/* Time in stage */}
+            {totalMs > 0 && (
+                <div className="mb-5">
+                    <div className="flex h-2 rounded-full overflow-hidden bg-slate-100">
+                        {stages.map((stage) => (
+                            <div
+                                key={stage.status}
+                                className={STATUS_ACCENTS[stage.status]}
+                                style={{ width: `${(stage.durationMs / totalMs) * 100}%` }}
+                                title={`${statusLabel(stage.status)}: ${formatStageDuration(stage.durationMs)}`}
+                            />
+                        ))}
+                    </div>
+                    <div className="flex flex-wrap gap-x-3 gap-y-1 mt-2">
+                        {stages.map((stage) => (
+                            <span key={stage.status} className="flex items-center gap-1.5 text-xs text-slate-500">
+                                <span className={cn("w-2 h-2 rounded-full", STATUS_ACCENTS[stage.status])} />
+                                {statusLabel(stage.status)} · {formatStageDuration(stage.durationMs)}
+                            </span>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {isAdding && (
+                <form onSubmit={saveNew} className="mb-4 p-3 rounded-lg border border-slate-200 bg-slate-50 space-y-2">
+                    <select
+                        value={newStatus}
+                        onChange={(e) => setNewStatus(e.target.value)}
+                        className="input py-1.5 text-sm"
+                        aria-label="Status"
+                    >
+                        {STATUS_OPTIONS.map((option) => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                    <input
+                        type="datetime-local"
+                        value={draftDate}
+                        max={maxDate}
+                        onChange={(e) => setDraftDate(e.target.value)}
+                        className="input py-1.5 text-sm"
+                        aria-label="Date"
+                    />
+                    <div className="flex justify-end gap-2">
+                        <Button type="button" size="sm" variant="ghost" onClick={() => setIsAdding(false)}>Cancel</Button>
+                        <Button type="submit" size="sm">Add</Button>
+                    </div>
+                </form>
+            )}
+
+            {/* Newest first */}
+            <ol className="space-y-0">
+                {[...timeline].reverse().map((entry, index, list) => (
+                    <li key={entry.id} className="relative flex gap-3 pb-4 last:pb-0 group">
+                        {index < list.length - 1 && (
+                            <span className="absolute left-[5px] top-4 bottom-0 w-px bg-slate-200" />
+                        )}
+                        <span className={cn("relative mt-1.5 w-[11px] h-[11px] rounded-full ring-2 ring-white shrink-0", STATUS_ACCENTS[entry.status])} />
+                        <div className="flex-1 min-w-0">
+                            <p className="text-sm font-semibold text-slate-900">
+                                {entry.from ? `${statusLabel(entry.from)} → ${statusLabel(entry.status)}` : statusLabel(entry.status)}
+                            </p>
+
+                            {editingId === entry.id ? (
+                                <div className="flex items-center gap-1 mt-1">
+                                    <input
+                                        type="datetime-local"
+                                        autoFocus
+                                        value={draftDate}
+                                        max={maxDate}
+                                        onChange={(e) => setDraftDate(e.target.value)}
+                                        onKeyDown={(e) => {
+                                            if (e.key === 'Enter') saveEdit()
+                                            if (e.key === 'Escape') setEditingId(null)
+                                        }}
+                                        className="input py-1 px-2 text-xs min-w-0"
+                                        aria-label="Transition date"
+                                    />
+                                    <button type="button" onClick={saveEdit} className="p-1 text-teal-brand-600 hover:bg-teal-brand-50 rounded" title="Save date">
+                                        <Check size={14} />
+                                    </button>
+                                    <button type="button" onClick={() => setEditingId(null)} className="p-1 text-slate-400 hover:bg-slate-100 rounded" title="Cancel">
+                                        <X size={14} />
+                                    </button>
+                                </div>
+                            ) : (
+                                <p className="text-xs text-slate-500">
+                                    {format(new Date(entry.at), 'MMM d, yyyy')}
+                                    {' · '}
+                                    {entry.isCurrent ? 'current' : formatStageDuration(entry.durationMs)}
+                                    {entry.isCurrent && entry.durationMs > 0 && `, ${formatStageDuration(entry.durationMs)}`}
+                                    {entry.inferred && ' · estimated'}
+                                </p>
+                            )}
+                        </div>
+
+                        {editingId !== entry.id && (
+                            <div className="flex items-start gap-0.5 opacity-0 group-hover:opacity-100 transition-opacity">
+                                <button
+                                    type="button"
+                                    onClick={() => startEdit(entry)}
+                                    className="p-1 rounded text-slate-400 hover:text-slate-700 hover:bg-slate-100"
+                                    title="Edit date"
+                                >
+                                    <Pencil size={13} />
+                                </button>
+                                {!isInferred && timeline.length > 1 && (
+                                    <button
+                                        type="button"
+                                        onClick={() => removeTransition(key, entry.id)}
+                                        className="p-1 rounded text-slate-400 hover:text-rose-600 hover:bg-rose-50"
+                                        title="Remove transition"
+                                    >
+                                        <Trash2 size={13} />
+                                    </button>
+                                )}
+                            </div>
+                        )}
+                    </li>
+                ))}
+            </ol>
+
+            {isInferred && (
+                <p className="mt-4 text-xs text-slate-400">
+                    Estimated from the applied and last-updated dates. Changes made from now on are recorded.
+                </p>
+            )}
+        </Card>
+    )
+}
+
+export default StatusTimeline
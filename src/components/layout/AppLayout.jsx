@@ -3,10 +3,14 @@ import { Outlet, useLocation } from 'react-router-dom';
 import gsap from 'gsap';
 import Sidebar from './Sidebar';
 import Header from './Header';
+import OfflineBanner from './OfflineBanner';
+import LockScreen from './LockScreen';
+import useSessionLockStore from '@/stores/useSessionLockStore';
 
 export default function AppLayout() {
   const location = useLocation();
   const mainRef = useRef(null);
+  const isLocked = useSessionLockStore((state) => state.lockedAt !== null);
 
   useEffect(() => {
     // Premium Page Transition
@@ -41,12 +45,16 @@ export default function AppLayout() {
       {/* Main Content Area - Offset by sidebar width */}
       <div className="pl-64 flex flex-col min-h-screen">
         <Header title={getPageTitle(location.pathname)} />
+        <OfflineBanner />
 
         {/* Key ensures React remounts/refreshes, ref target for GSAP */}
         <main ref={mainRef} key={location.pathname} className="flex-1 p-6">
           <Outlet />
         </main>
       </div>
+
+      {/* Drawn over the page rather than replacing it, so unsaved input survives */}
+      {isLocked && <LockScreen />}
     </div>
   );
 }
@@ -13,11 +13,12 @@ import Input from '@/components/ui/Input';
 import NotificationBell from '@/components/ui/NotificationBell';
 import NotificationDropdown from '@/components/domain/NotificationDropdown';
 import useAuthStore from '@/stores/useAuthStore';
+import { authService } from '@/services/authService';
 
 export default function Header({ title = "Dashboard" }) {
   const [isNotificationsOpen, setIsNotificationsOpen] = useState(false);
   const [isUserMenuOpen, setIsUserMenuOpen] = useState(false);
-  const { user, logout } = useAuthStore();
+  const user = useAuthStore((state) => state.user);
 
   return (
     <header className="sticky top-0 z-30 flex h-16 items-center border-b border-slate-200 bg-white/80 px-6 backdrop-blur-xl transition-all duration-200">
@@ -100,7 +101,7 @@ export default function Header({ title = "Dashboard" }) {
                     <button
                       onClick={() => {
                         setIsUserMenuOpen(false);
-                        logout();
+                        authService.logout();
                       }}
                       className="w-full flex items-center gap-3 px-4 py-2 text-sm text-red-600 hover:bg-red-50 transition-colors"
                     >
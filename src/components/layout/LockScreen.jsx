@@ -0,0 +1,155 @@
+/**
+ * Lock Screen
+ * Covers the app after inactivity (see services/sessionLock). The page stays
+ * mounted underneath, so unsaved input survives unlocking with the password
+ * or a two-factor code.
+ *
+ * @module components/layout/LockScreen
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useMutation, useQuery } from '@tanstack/react-query';
+import { format } from 'date-fns';
+import { Lock, KeyRound, Smartphone } from 'lucide-react';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import useAuthStore from '@/stores/useAuthStore';
+import useSessionLockStore from '@/stores/useSessionLockStore';
+import useOfflineQueueStore from '@/stores/useOfflineQueueStore';
+import { authService } from '@/services/authService';
+import { get2FAStatus } from '@/services/twoFactorService';
+import { getApiError } from '@/services/apiErrors';
+import { getSignOutAt } from '@/services/sessionLock';
+
+export default function LockScreen() {
+  const containerRef = useRef(null);
+  const user = useAuthStore((state) => state.user);
+  const lockedAt = useSessionLockStore((state) => state.lockedAt);
+  const unlock = useSessionLockStore((state) => state.unlock);
+  const unsyncedCount = useOfflineQueueStore((state) => state.queue.length);
+  const [method, setMethod] = useState('password');
+  const [value, setValue] = useState('');
+
+  const { data: twoFactorStatus } = useQuery({
+    queryKey: ['2fa-status'],
+    queryFn: get2FAStatus
+  });
+
+  const mutation = useMutation({
+    mutationFn: async () => {
+      if (method === 'password') return authService.confirmPassword(value);
+      // A 200 isn't enough on its own; the response has to confirm the code
+      const result = await authService.verify2FA(value.trim());
+      if (result.verified !== true) throw new Error('Invalid verification code');
+      return result;
+    },
+    onSuccess: unlock
+  });
+
+  // Keep keyboard and screen reader users out of the page underneath, modals included
+  useEffect(() => {
+    const covered = [...document.body.children].filter((el) => el !== containerRef.current && !el.inert);
+    covered.forEach((el) => { el.inert = true; });
+    return () => covered.forEach((el) => { el.inert = false; });
+  }, []);
+
+  const switchMethod = (next) => {
+    setMethod(next);
+    setValue('');
+    mutation.reset();
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (value) mutation.mutate();
+  };
+
+  const apiError = mutation.isError ? getApiError(mutation.error) : null;
+  const errorMessage = apiError && (apiError.status === 401 && method === 'password'
+    ? 'Incorrect password'
+    : apiError.message);
+  const name = user?.first_name || user?.email;
+
+  return createPortal(
+    <div
+      ref={containerRef}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="lock-screen-title"
+      className="fixed inset-0 z-[200] flex items-center justify-center p-4 bg-slate-900/95 backdrop-blur-xl"
+    >
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-white rounded-2xl shadow-2xl p-8 space-y-6">
+        <div className="text-center space-y-2">
+          <div className="mx-auto flex h-12 w-12 items-center justify-center rounded-full bg-teal-brand-50 text-teal-brand-600">
+            <Lock size={22} />
+          </div>
+          <h2 id="lock-screen-title" className="text-lg font-semibold text-slate-900">
+            {name ? `Welcome back, ${name}` : 'Session locked'}
+          </h2>
+          <p className="text-sm text-slate-500">
+            syncQ locked after a period of inactivity.{' '}
+            {method === 'password' ? 'Enter your password to continue.' : 'Enter a code from your authenticator app.'}
+          </p>
+        </div>
+
+        {method === 'password' ? (
+          <Input
+            key="password"
+            label="Password"
+            type="password"
+            autoComplete="current-password"
+            autoFocus
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            error={errorMessage}
+          />
+        ) : (
+          <Input
+            key="code"
+            label="Authentication code"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            placeholder="123456 or a backup code"
+            autoFocus
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            error={errorMessage}
+          />
+        )}
+
+        <Button type="submit" className="w-full" isLoading={mutation.isPending} disabled={!value}>
+          Unlock
+        </Button>
+
+        <div className="flex items-center justify-between text-sm">
+          {twoFactorStatus?.enabled ? (
+            <button
+              type="button"
+              onClick={() => switchMethod(method === 'password' ? 'code' : 'password')}
+              className="flex items-center gap-1.5 text-teal-brand-600 hover:text-teal-brand-700 font-medium"
+            >
+              {method === 'password' ? <Smartphone size={14} /> : <KeyRound size={14} />}
+              {method === 'password' ? 'Use authenticator code' : 'Use password'}
+            </button>
+          ) : <span />}
+          <button
+            type="button"
+            onClick={() => authService.logout()}
+            className="text-slate-500 hover:text-slate-700 font-medium"
+          >
+            Sign out
+          </button>
+        </div>
+
+        {lockedAt && (
+          <p className="text-xs text-center text-slate-400">
+            You&apos;ll be signed out automatically at {format(getSignOutAt(lockedAt), 'p')}.
+            {unsyncedCount > 0 && ` Unlock before then, or your ${unsyncedCount} unsynced ${unsyncedCount === 1 ? 'change' : 'changes'} will be discarded.`}
+          </p>
+        )}
+      </form>
+    </div>,
+    document.body
+  );
+}
@@ -0,0 +1,141 @@
+/**
+ * Offline Banner
+ * Connection state and the sync status of changes made while offline.
+ * 
+ * @module components/layout/OfflineBanner
+ */
+
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { WifiOff, RefreshCw, AlertTriangle, Loader2 } from 'lucide-react';
+import Modal from '@/components/ui/Modal';
+import Button from '@/components/ui/Button';
+import useOfflineQueueStore from '@/stores/useOfflineQueueStore';
+import { useOnlineStatus } from '@/hooks/useOnlineStatus';
+import { replayQueue, resolveQueuedChange } from '@/services/offlineQueue';
+
+/**
+ * Short human description of a queued change, e.g. "Edit to application: Frontend Engineer"
+ */
+function describeChange(entry) {
+  const payload = [...entry.args].reverse().find((arg) => arg && typeof arg === 'object') || {};
+  const action = entry.kind === 'create' ? `New ${entry.entity}` : `Edit to ${entry.entity}`;
+  const subject = payload.job_title || payload.title || payload.content?.slice(0, 60) ||
+    (payload.status && `status → ${payload.status}`) || (payload.outcome && `outcome → ${payload.outcome}`);
+  return subject ? `${action}: ${subject}` : action;
+}
+
+/**
+ * Conflicted and failed changes, each with a way to settle it
+ */
+function SyncIssuesModal({ isOpen, onClose, entries }) {
+  const [busyId, setBusyId] = useState(null);
+
+  const resolve = async (entry, resolution) => {
+    setBusyId(entry.id);
+    try {
+      await resolveQueuedChange(entry.id, resolution);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Changes that need attention">
+      {entries.length === 0 ? (
+        <p className="text-sm text-slate-500">Everything is in sync.</p>
+      ) : (
+        <ul className="space-y-3">
+          {entries.map((entry) => (
+            <li key={entry.id} className="p-3 rounded-lg border border-slate-200 bg-slate-50">
+              <p className="font-medium text-slate-900">{describeChange(entry)}</p>
+              <p className="text-xs text-slate-500 mt-0.5">
+                Made {format(new Date(entry.createdAt), 'MMM d, h:mm a')}
+                {entry.serverUpdatedAt && ` · changed elsewhere ${format(new Date(entry.serverUpdatedAt), 'MMM d, h:mm a')}`}
+              </p>
+              {entry.error && <p className="text-sm text-rose-600 mt-1">{entry.error}</p>}
+              <div className="flex justify-end gap-2 mt-3">
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  disabled={busyId === entry.id}
+                  onClick={() => resolve(entry, 'discard')}
+                >
+                  Discard my change
+                </Button>
+                <Button
+                  size="sm"
+                  isLoading={busyId === entry.id}
+                  onClick={() => resolve(entry, 'overwrite')}
+                >
+                  {entry.status === 'conflict' ? 'Keep mine' : 'Retry'}
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Modal>
+  );
+}
+
+export default function OfflineBanner() {
+  const isOnline = useOnlineStatus();
+  const queue = useOfflineQueueStore((state) => state.queue);
+  const isSyncing = useOfflineQueueStore((state) => state.isSyncing);
+  const [isReviewOpen, setIsReviewOpen] = useState(false);
+
+  const pending = queue.filter((entry) => entry.status === 'pending');
+  const issues = queue.filter((entry) => entry.status !== 'pending');
+  const plural = (count) => `${count} change${count === 1 ? '' : 's'}`;
+
+  if (isOnline && queue.length === 0) return null;
+
+  return (
+    <>
+      {!isOnline ? (
+        <div className="flex items-center gap-3 px-6 py-2 text-sm bg-slate-800 text-white">
+          <WifiOff size={16} className="shrink-0" />
+          <p className="flex-1">
+            You're offline. Changes are saved on this device and sync when you reconnect.
+          </p>
+          {pending.length > 0 && (
+            <span className="text-slate-300">{plural(pending.length)} pending</span>
+          )}
+        </div>
+      ) : pending.length > 0 && (
+        <div className="flex items-center gap-3 px-6 py-2 text-sm bg-sky-50 text-sky-800 border-b border-sky-100">
+          {isSyncing ? <Loader2 size={16} className="animate-spin shrink-0" /> : <RefreshCw size={16} className="shrink-0" />}
+          <p className="flex-1">
+            {isSyncing ? `Syncing ${plural(pending.length)}…` : `${plural(pending.length)} waiting to sync`}
+          </p>
+          {!isSyncing && (
+            <button
+              type="button"
+              onClick={() => replayQueue()}
+              className="font-medium hover:underline"
+            >
+              Retry now
+            </button>
+          )}
+        </div>
+      )}
+
+      {issues.length > 0 && (
+        <div className="flex items-center gap-3 px-6 py-2 text-sm bg-amber-50 text-amber-800 border-b border-amber-100">
+          <AlertTriangle size={16} className="shrink-0" />
+          <p className="flex-1">{plural(issues.length)} couldn't be synced.</p>
+          <button
+            type="button"
+            onClick={() => setIsReviewOpen(true)}
+            className="font-medium hover:underline"
+          >
+            Review
+          </button>
+        </div>
+      )}
+
+      <SyncIssuesModal isOpen={isReviewOpen} onClose={() => setIsReviewOpen(false)} entries={issues} />
+    </>
+  );
+}
@@ -1,8 +1,10 @@
-import React from 'react';
-import { NavLink } from 'react-router-dom';
-import { LayoutDashboard, Briefcase, Building2, Component, Settings, LogOut, Calendar, Bell, Sparkles, FileText, Webhook, Download } from 'lucide-react';
+import React, { useState } from 'react';
+import { NavLink, Link, useLocation } from 'react-router-dom';
+import { LayoutDashboard, Briefcase, Building2, Component, Settings, LogOut, Calendar, Bell, Sparkles, FileText, Webhook, Download, Bookmark, ListTodo, Tag, Contact } from 'lucide-react';
 import { cn } from '@/utils/cn';
-import useAuthStore from '@/stores/useAuthStore';
+import { authService } from '@/services/authService';
+import useSavedViewsStore from '@/stores/useSavedViewsStore';
+import { useTasks } from '@/hooks/useTasks';
 
 // eslint-disable-next-line no-unused-vars
 const NavItem = ({ to, icon: Icon, label, badge }) => {
@@ -30,6 +32,44 @@ const NavItem = ({ to, icon: Icon, label, badge }) => {
   );
 };
 
+// Pinned saved views, drag to reorder
+const SavedViewLinks = () => {
+  const location = useLocation();
+  const views = useSavedViewsStore((state) => state.views);
+  const moveView = useSavedViewsStore((state) => state.moveView);
+  const [draggingId, setDraggingId] = useState(null);
+
+  const pinned = views.filter((view) => view.pinned);
+  if (pinned.length === 0) return null;
+
+  return (
+    <div className="ml-5 pl-3 border-l border-white/10 space-y-0.5">
+      {pinned.map((view) => {
+        const isActive = location.pathname === '/applications' && location.search.slice(1) === view.query;
+        return (
+          <Link
+            key={view.id}
+            to={`/applications?${view.query}`}
+            draggable
+            onDragStart={() => setDraggingId(view.id)}
+            onDragEnter={() => draggingId && draggingId !== view.id && moveView(draggingId, view.id)}
+            onDragOver={(e) => e.preventDefault()}
+            onDragEnd={() => setDraggingId(null)}
+            className={cn(
+              "flex items-center gap-2 px-2 py-1.5 rounded-md text-xs transition-colors",
+              isActive ? "bg-white/20 text-white font-semibold" : "text-teal-100/70 hover:bg-white/10 hover:text-white",
+              draggingId === view.id && "opacity-50"
+            )}
+          >
+            <Bookmark size={12} className="shrink-0" />
+            <span className="truncate">{view.name}</span>
+          </Link>
+        );
+      })}
+    </div>
+  );
+};
+
 const NavSection = ({ title, children }) => (
   <div className="space-y-1">
     {title && (
@@ -42,7 +82,7 @@ const NavSection = ({ title, children }) => (
 );
 
 export default function Sidebar() {
-  const logout = useAuthStore((state) => state.logout);
+  const { overdueCount } = useTasks();
 
   return (
     <aside className="fixed top-0 left-0 z-40 h-screen w-64 bg-[#005149] text-white shadow-xl">
@@ -62,7 +102,11 @@ export default function Sidebar() {
           {/* Job Search */}
           <NavSection title="Job Search">
             <NavItem to="/applications" icon={Briefcase} label="Applications" />
+            <SavedViewLinks />
+            <NavItem to="/tasks" icon={ListTodo} label="Tasks" badge={overdueCount || null} />
+            <NavItem to="/tags" icon={Tag} label="Tags" />
             <NavItem to="/companies" icon={Building2} label="Companies" />
+            <NavItem to="/contacts" icon={Contact} label="Contacts" />
             <NavItem to="/resumes" icon={FileText} label="Resumes" />
             <NavItem to="/interviews" icon={Calendar} label="Interviews" />
             <NavItem to="/notifications" icon={Bell} label="Notifications" />
@@ -91,7 +135,7 @@ export default function Sidebar() {
         <div className="space-y-1 mt-auto pt-6 border-t border-white/10">
           <NavItem to="/settings" icon={Settings} label="Settings" />
           <button
-            onClick={logout}
+            onClick={() => authService.logout()}
             className="w-full flex items-center gap-3 px-3 py-2.5 rounded-lg text-teal-100 hover:text-white hover:bg-white/10 transition-all duration-200"
           >
             <LogOut size={18} />
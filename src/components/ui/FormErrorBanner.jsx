@@ -0,0 +1,32 @@
+import React from 'react';
+import { AlertCircle } from 'lucide-react';
+import { cn } from '@/utils/cn';
+
+/**
+ * Form-level error from useServerErrors: the main message plus any
+ * details that couldn't be shown next to a field.
+ */
+const FormErrorBanner = ({ error, className }) => {
+    if (!error) return null;
+
+    return (
+        <div
+            role="alert"
+            className={cn("p-3 rounded-lg bg-rose-50 border border-rose-200 text-rose-600 text-sm", className)}
+        >
+            <div className="flex items-center gap-2 font-medium">
+                <AlertCircle size={16} className="shrink-0" />
+                {error.message}
+            </div>
+            {error.details?.length > 0 && (
+                <ul className="list-disc list-inside mt-1 space-y-0.5">
+                    {error.details.map((detail) => (
+                        <li key={detail}>{detail}</li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default FormErrorBanner;
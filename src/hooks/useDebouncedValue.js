@@ -0,0 +1,20 @@
+import { useEffect, useState } from 'react'
+
+/**
+ * Returns `value` once it has stopped changing for `delay` ms.
+ * Useful for search inputs that drive queries.
+ *
+ * @param {*} value
+ * @param {number} [delay=300]
+ * @returns {*}
+ */
+export const useDebouncedValue = (value, delay = 300) => {
+    const [debounced, setDebounced] = useState(value)
+
+    useEffect(() => {
+        const timer = setTimeout(() => setDebounced(value), delay)
+        return () => clearTimeout(timer)
+    }, [value, delay])
+
+    return debounced
+}
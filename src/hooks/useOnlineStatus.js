@@ -0,0 +1,17 @@
+import { useSyncExternalStore } from 'react'
+
+const subscribe = (callback) => {
+    window.addEventListener('online', callback)
+    window.addEventListener('offline', callback)
+    return () => {
+        window.removeEventListener('online', callback)
+        window.removeEventListener('offline', callback)
+    }
+}
+
+/**
+ * Whether the browser currently has a network connection
+ *
+ * @returns {boolean}
+ */
+export const useOnlineStatus = () => useSyncExternalStore(subscribe, () => navigator.onLine)
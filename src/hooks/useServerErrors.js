@@ -0,0 +1,51 @@
+import { useState } from 'react'
+import { getApiError, humanizeField } from '@/services/apiErrors'
+
+/**
+ * Shows a rejected request on a react-hook-form form.
+ * Field errors for fields the form renders go through `setError`, so they appear
+ * under the input that caused them; everything else becomes `formError`,
+ * meant for a FormErrorBanner.
+ *
+ * @param {Object} options
+ * @param {Function} options.setError - react-hook-form's setError
+ * @param {string[]} options.fields - Names of the fields the form renders
+ * @param {Object.<string, string>} [options.fieldMap] - API field name → form field name, where they differ
+ * @returns {{ formError: ?{message: string, details: string[]}, handleServerError: Function, clearServerError: Function }}
+ */
+export const useServerErrors = ({ setError, fields, fieldMap = {} }) => {
+    const [formError, setFormError] = useState(null)
+
+    const handleServerError = (error) => {
+        const apiError = getApiError(error)
+        const unmatched = []
+        let matched = 0
+
+        Object.entries(apiError.fieldErrors).forEach(([path, messages]) => {
+            const name = fieldMap[path] ?? path
+            if (fields.includes(name.split('.')[0])) {
+                setError(name, { type: 'server', message: messages.join(' ') }, { shouldFocus: matched === 0 })
+                matched++
+            } else {
+                unmatched.push(`${humanizeField(path)}: ${messages.join(' ')}`)
+            }
+        })
+
+        if (apiError.nonFieldErrors.length > 0) {
+            const [message, ...rest] = apiError.nonFieldErrors
+            setFormError({ message, details: [...rest, ...unmatched] })
+        } else if (unmatched.length > 0) {
+            setFormError({ message: 'Some values were rejected:', details: unmatched })
+        } else if (matched === 0) {
+            setFormError({ message: apiError.message, details: [] })
+        } else {
+            // Every problem is already shown next to its field
+            setFormError(null)
+        }
+        return apiError
+    }
+
+    const clearServerError = () => setFormError(null)
+
+    return { formError, handleServerError, clearServerError }
+}
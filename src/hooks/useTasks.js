@@ -0,0 +1,23 @@
+import { useQuery } from '@tanstack/react-query'
+import { applicationService } from '@/services/applicationService'
+import { getTasks } from '@/utils/tasks'
+
+/**
+ * Pending next actions across every application.
+ * Shares the ['applications', 'all'] cache so the sidebar badge and the
+ * tasks page don't load the list twice.
+ *
+ * @returns {{ tasks: Array, overdueCount: number, isLoading: boolean, isError: boolean }}
+ */
+export const useTasks = () => {
+    const { data: applications = [], isLoading, isError } = useQuery({
+        queryKey: ['applications', 'all'],
+        queryFn: ({ signal }) => applicationService.getAllApplications({}, { signal }),
+        staleTime: 60 * 1000,
+    })
+
+    const tasks = getTasks(applications)
+    const overdueCount = tasks.filter((task) => task.group === 'overdue').length
+
+    return { tasks, overdueCount, isLoading, isError }
+}
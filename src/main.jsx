@@ -1,15 +1,25 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
-import { QueryClient, QueryClientProvider } from '@tanstack/react-query'
+import { QueryClientProvider } from '@tanstack/react-query'
 import App from './App.jsx'
+import { queryClient, restoreQueryCache, startQueryCachePersistence } from '@/services/queryClient'
+import { startOfflineSync } from '@/services/offlineQueue'
+import { startAuthSync } from '@/services/authSync'
+import { startSessionLock } from '@/services/sessionLock'
 import './styles/global.css'
 
-const queryClient = new QueryClient()
+// Restore cached data first so pages render offline without a loading flash
+restoreQueryCache().finally(() => {
+  startQueryCachePersistence()
+  startOfflineSync()
+  startAuthSync()
+  startSessionLock()
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <QueryClientProvider client={queryClient}>
-      <App />
-    </QueryClientProvider>
-  </React.StrictMode>,
-)
+  ReactDOM.createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+      <QueryClientProvider client={queryClient}>
+        <App />
+      </QueryClientProvider>
+    </React.StrictMode>,
+  )
+})
@@ -0,0 +1,73 @@
+/**
+ * Mock Database
+ * Collections behind the in-browser mock API. Held in memory and saved to
+ * IndexedDB after every write, so demo data survives reloads. The mock is a
+ * single workspace: every account signs in to the same data.
+ *
+ * @module mocks/db
+ */
+
+import { idbGet, idbSet, idbDelete } from '@/utils/idbStorage';
+import { createFixtures } from './fixtures';
+
+const DB_KEY = 'mock-api-db';
+
+let db = null;
+let loadPromise = null;
+
+/**
+ * The database, seeded from fixtures on first use
+ * @returns {Promise<Object>}
+ */
+export const loadDb = () => {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      const saved = await idbGet(DB_KEY).catch(() => null);
+      // Collections added since the data was saved start out empty
+      db = saved ? { sessions: [], securityEvents: [], ...saved } : createFixtures();
+      if (!saved) await saveDb();
+      return db;
+    })();
+  }
+  return loadPromise;
+};
+
+/**
+ * Persist the current state
+ * @returns {Promise<void>}
+ */
+export const saveDb = () =>
+  idbSet(DB_KEY, db).catch((error) => console.warn('Mock API: could not save data', error));
+
+/**
+ * Replace all data, by default with freshly generated fixtures
+ * @param {Object} [options]
+ * @param {Object} [options.data] - A snapshot from exportDb, or custom fixtures
+ * @param {number} [options.seed] - Seed for generated fixtures
+ * @returns {Promise<void>}
+ */
+export const resetDb = async ({ data, seed } = {}) => {
+  await idbDelete(DB_KEY).catch(() => {});
+  db = data ? { ...createFixtures({ seed }), ...data } : createFixtures({ seed });
+  loadPromise = Promise.resolve(db);
+  await saveDb();
+};
+
+/**
+ * JSON-safe copy of the data, e.g. to save as a fixture file. Uploaded files are left out.
+ * @returns {Object}
+ */
+export const exportDb = () => JSON.parse(JSON.stringify(db, (key, value) => (value instanceof Blob ? undefined : value)));
+
+/**
+ * Next id for a collection
+ * @param {Object} data - The database
+ * @param {string} collection
+ * @returns {number}
+ */
+export const nextId = (data, collection) => {
+  data.sequences[collection] = (data.sequences[collection] || 0) + 1;
+  return data.sequences[collection];
+};
+
+export const timestamp = () => new Date().toISOString();
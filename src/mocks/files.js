@@ -0,0 +1,164 @@
+/**
+ * Mock Files
+ * File helpers for the mock API: object URLs for stored uploads, a sample
+ * PDF for seeded resumes, and the CSV and ZIP builders used by exports.
+ *
+ * @module mocks/files
+ */
+
+// ============================================
+// STORED FILES
+// ============================================
+
+// Object URLs only live as long as the page, so they are created on demand
+const objectUrls = new Map();
+
+/**
+ * URL for a stored file, generating a placeholder PDF for seeded records without one
+ * @param {string} key - Stable cache key, e.g. "resume:3"
+ * @param {Blob|null} file
+ * @param {string} title - Shown in the placeholder document
+ * @returns {string}
+ */
+export const getFileUrl = (key, file, title) => {
+  if (!objectUrls.has(key)) {
+    objectUrls.set(key, URL.createObjectURL(file || createSamplePdf(title)));
+  }
+  return objectUrls.get(key);
+};
+
+/**
+ * Release a file's object URL once the record is deleted
+ * @param {string} key
+ */
+export const revokeFileUrl = (key) => {
+  if (objectUrls.has(key)) {
+    URL.revokeObjectURL(objectUrls.get(key));
+    objectUrls.delete(key);
+  }
+};
+
+/**
+ * Human-readable size, matching the API's file_size_display
+ * @param {number} bytes
+ * @returns {string}
+ */
+export const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * A one-page PDF with a title and a line of text
+ * @param {string} title
+ * @returns {Blob}
+ */
+export const createSamplePdf = (title) => {
+  const escape = (text) => text.replace(/[\\()]/g, (char) => `\\${char}`);
+  const stream = [
+    'BT /F1 20 Tf 72 720 Td', `(${escape(title)}) Tj`,
+    '0 -32 Td /F1 12 Tf', '(Sample document served by the syncQ mock API.) Tj', 'ET'
+  ].join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  let body = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = body.length;
+    body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = body.length;
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF`;
+
+  return new Blob([body], { type: 'application/pdf' });
+};
+
+// ============================================
+// EXPORTS
+// ============================================
+
+/**
+ * CSV text with a header row
+ * @param {Array<Object>} rows
+ * @param {string[]} columns
+ * @returns {string}
+ */
+export const toCsv = (rows, columns) => {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map((row) => columns.map((column) => escape(row[column])).join(','))].join('\n');
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * An uncompressed ZIP archive
+ * @param {Array<{name: string, content: string}>} files
+ * @returns {Blob}
+ */
+export const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(local, nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(entry, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+};
@@ -0,0 +1,309 @@
+/**
+ * Mock Fixtures
+ * Seed data for the mock API: a demo account with a realistic job search.
+ * Dates are relative to today so the dashboard always looks current, and a
+ * seeded random generator keeps the data the same across resets.
+ *
+ * @module mocks/fixtures
+ */
+
+export const DEMO_EMAIL = 'demo@syncq.dev';
+export const DEMO_PASSWORD = 'demo1234';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// mulberry32: small deterministic PRNG
+const createRandom = (seed) => () => {
+  seed |= 0;
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const COMPANIES = [
+  { name: 'Northwind Labs', industry: 'Technology', location: 'San Francisco, CA', size: 'medium', glassdoor_rating: '4.3' },
+  { name: 'Acme Robotics', industry: 'Manufacturing', location: 'Austin, TX', size: 'large', glassdoor_rating: '3.9' },
+  { name: 'Lumen Health', industry: 'Healthcare', location: 'Boston, MA', size: 'medium', glassdoor_rating: '4.1' },
+  { name: 'Brightpath', industry: 'Education', location: 'Remote', size: 'startup', glassdoor_rating: '4.6' },
+  { name: 'Cobalt Systems', industry: 'Technology', location: 'Seattle, WA', size: 'enterprise', glassdoor_rating: '3.8' },
+  { name: 'Harbor Analytics', industry: 'Finance', location: 'New York, NY', size: 'small', glassdoor_rating: '4.0' },
+  { name: 'Pinecone Studio', industry: 'Media', location: 'Los Angeles, CA', size: 'startup', glassdoor_rating: '4.4' },
+  { name: 'Vertex Cloud', industry: 'Technology', location: 'Denver, CO', size: 'large', glassdoor_rating: '4.2' },
+  { name: 'Riverstone Bank', industry: 'Finance', location: 'Chicago, IL', size: 'enterprise', glassdoor_rating: '3.6' },
+  { name: 'Orbit Media', industry: 'Media', location: 'Remote', size: 'small', glassdoor_rating: '4.5' }
+];
+
+const JOB_TITLES = [
+  'Frontend Engineer', 'Senior Frontend Engineer', 'Full Stack Developer', 'React Developer',
+  'Software Engineer II', 'UI Engineer', 'Staff Frontend Engineer', 'Product Engineer'
+];
+
+// Weighted so the funnel narrows like a real search
+const STATUSES = [
+  'wishlist', 'wishlist', 'applied', 'applied', 'applied', 'applied', 'applied', 'screening', 'screening',
+  'interviewing', 'interviewing', 'interviewing', 'offer', 'accepted', 'rejected', 'rejected', 'rejected',
+  'ghosted', 'ghosted', 'withdrawn', 'applied', 'screening'
+];
+
+const SOURCES = ['linkedin', 'indeed', 'glassdoor', 'company_site', 'referral', 'recruiter', 'job_fair', 'other'];
+const WORK_TYPES = ['remote', 'hybrid', 'onsite'];
+const PRIORITIES = ['high', 'medium', 'low'];
+const INTERVIEW_TYPES = ['phone', 'technical', 'behavioral', 'coding', 'system_design', 'onsite', 'hr'];
+const RESPONDED = ['screening', 'interviewing', 'offer', 'accepted', 'rejected'];
+const INTERVIEWED = ['interviewing', 'offer', 'accepted'];
+
+const JOB_DESCRIPTION = `We are looking for an engineer to build fast, accessible interfaces with React and TypeScript.
+You will work closely with design and product, own features end to end, and help shape our component library.
+
+Requirements:
+- 3+ years of experience with React and modern JavaScript
+- Experience with REST APIs, testing and CI/CD
+- Familiarity with accessibility and performance best practices
+
+Nice to have: GraphQL, Node.js, design systems experience.`;
+
+/**
+ * Generate a fresh set of mock data
+ * @param {Object} [options]
+ * @param {number} [options.seed=42] - Change to get a different but repeatable data set
+ * @param {number} [options.now=Date.now()] - Reference time for relative dates
+ * @returns {Object} Database contents
+ */
+export const createFixtures = ({ seed = 42, now = Date.now() } = {}) => {
+  const random = createRandom(seed);
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const at = (daysAgo, hour = 10) => {
+    const date = new Date(now - daysAgo * DAY);
+    date.setHours(hour, 0, 0, 0);
+    return date.toISOString();
+  };
+  const dateOnly = (daysAgo) => at(daysAgo).slice(0, 10);
+
+  const users = [{
+    id: 1,
+    email: DEMO_EMAIL,
+    password: DEMO_PASSWORD,
+    username: 'demo',
+    first_name: 'Alex',
+    last_name: 'Morgan',
+    phone: '+1 555 0100',
+    linkedin_url: 'https://linkedin.com/in/alex-morgan-demo',
+    portfolio_url: 'https://alexmorgan.dev',
+    github_url: 'https://github.com/alex-morgan-demo',
+    desired_role: 'Senior Frontend Engineer',
+    desired_salary_min: 140000,
+    desired_salary_max: 180000,
+    preferred_work_type: 'remote',
+    is_email_verified: true,
+    created_at: at(90),
+    updated_at: at(30)
+  }];
+
+  const companies = COMPANIES.map((company, index) => ({
+    id: index + 1,
+    ...company,
+    website: `https://${company.name.toLowerCase().replace(/\s+/g, '')}.example.com`,
+    notes: '',
+    created_at: at(80 - index),
+    updated_at: at(40 - index)
+  }));
+
+  const resumes = [
+    { id: 1, version_name: 'Frontend Focus', file_name: 'alex_morgan_frontend.pdf', is_default: true, created_at: at(85) },
+    { id: 2, version_name: 'Full Stack', file_name: 'alex_morgan_fullstack.pdf', is_default: false, created_at: at(60) }
+  ].map((resume) => ({ ...resume, file: null, file_size: 48000 + resume.id * 7000 }));
+
+  const applications = STATUSES.map((status, index) => {
+    const company = companies[index % companies.length];
+    const appliedDaysAgo = 3 + Math.floor(random() * 65);
+    const applied = status !== 'wishlist';
+    const responded = RESPONDED.includes(status);
+    const salaryMin = 110000 + Math.floor(random() * 8) * 10000;
+
+    return {
+      id: index + 1,
+      company: company.id,
+      company_name: company.name,
+      job_title: pick(JOB_TITLES),
+      job_url: `${company.website}/careers/${1000 + index}`,
+      job_description: JOB_DESCRIPTION,
+      status,
+      priority: pick(PRIORITIES),
+      work_type: pick(WORK_TYPES),
+      location: company.location,
+      salary_min: salaryMin,
+      salary_max: salaryMin + 30000,
+      source: pick(SOURCES),
+      referrer_name: '',
+      cover_letter: '',
+      resume_version: applied ? (random() < 0.6 ? 1 : 2) : null,
+      applied_date: applied ? dateOnly(appliedDaysAgo) : null,
+      response_date: responded ? dateOnly(Math.max(appliedDaysAgo - 2 - Math.floor(random() * 8), 0)) : null,
+      next_action: INTERVIEWED.includes(status) ? 'Prepare for next round' : status === 'applied' ? 'Follow up with recruiter' : '',
+      next_action_date: ['applied', 'interviewing'].includes(status) ? dateOnly(-Math.floor(random() * 7)) : null,
+      created_at: at(appliedDaysAgo + 1),
+      updated_at: at(Math.max(appliedDaysAgo - 5, 0))
+    };
+  });
+
+  const interviews = [];
+  applications.filter((app) => INTERVIEWED.includes(app.status) || app.status === 'screening').forEach((app) => {
+    const rounds = app.status === 'screening' ? 1 : 2 + Math.floor(random() * 2);
+    for (let round = 1; round <= rounds; round++) {
+      const isLast = round === rounds;
+      const upcoming = isLast && ['screening', 'interviewing'].includes(app.status);
+      const daysAgo = upcoming ? -(1 + Math.floor(random() * 10)) : 20 - round * 5;
+      interviews.push({
+        id: interviews.length + 1,
+        application: app.id,
+        round_number: round,
+        interview_type: round === 1 ? 'phone' : pick(INTERVIEW_TYPES),
+        scheduled_at: at(daysAgo, 9 + Math.floor(random() * 8)),
+        duration_minutes: round === 1 ? 30 : 60,
+        timezone: 'America/Los_Angeles',
+        meeting_link: 'https://meet.example.com/abc-defg-hij',
+        meeting_location: '',
+        interviewer_names: round === 1 ? 'Jordan Lee' : 'Sam Patel, Riley Chen',
+        interviewer_titles: round === 1 ? 'Recruiter' : 'Engineering Manager, Senior Engineer',
+        interviewers: [],
+        status: upcoming ? 'scheduled' : 'completed',
+        outcome: upcoming ? 'pending' : 'passed',
+        preparation_notes: 'Review the product and prepare two project deep dives.',
+        post_interview_notes: upcoming ? '' : 'Good conversation, positive signals.',
+        questions_asked: '',
+        created_at: at(Math.max(daysAgo, 0) + 5),
+        updated_at: at(Math.max(daysAgo, 0))
+      });
+    }
+  });
+
+  const notes = [];
+  applications.filter((app) => app.status !== 'wishlist').slice(0, 12).forEach((app) => {
+    notes.push({
+      id: notes.length + 1,
+      application: app.id,
+      content: `Applied through ${app.source.replace('_', ' ')}. Role focuses on ${app.job_title.toLowerCase()} work.`,
+      note_type: 'general',
+      created_at: app.created_at,
+      updated_at: app.created_at
+    });
+    if (RESPONDED.includes(app.status)) {
+      notes.push({
+        id: notes.length + 1,
+        application: app.id,
+        content: 'Recruiter reached out, scheduling a first call.',
+        note_type: 'follow_up',
+        created_at: at(10),
+        updated_at: at(10)
+      });
+    }
+  });
+
+  const webhooks = [{
+    id: '5b7d2f0e-8c1a-4e7b-9a51-2f3c4d5e6f70',
+    name: 'Slack notifications',
+    url: 'https://hooks.example.com/services/demo',
+    secret: 'whsec_demo_3f9a1c7e5b',
+    events: ['application.created', 'application.status_changed', 'interview.created'],
+    is_active: true,
+    failure_count: 1,
+    last_failure_at: at(2),
+    last_success_at: at(1),
+    created_at: at(50),
+    updated_at: at(1)
+  }];
+
+  const deliveries = ['success', 'success', 'failed', 'success'].map((status, index) => ({
+    id: `9c1e4a2b-0d3f-4b6a-8e7c-${String(index + 1).padStart(12, '0')}`,
+    endpoint: webhooks[0].id,
+    endpoint_name: webhooks[0].name,
+    event: index % 2 ? 'application.status_changed' : 'application.created',
+    payload: { event: 'application.created', data: { id: applications[index].id, job_title: applications[index].job_title } },
+    status,
+    attempt_count: status === 'failed' ? 3 : 1,
+    max_attempts: 3,
+    response_status_code: status === 'failed' ? 500 : 200,
+    error_message: status === 'failed' ? 'Server responded with 500' : '',
+    created_at: at(4 - index),
+    delivered_at: status === 'failed' ? null : at(4 - index)
+  }));
+
+  const upcomingInterview = interviews.find((interview) => interview.status === 'scheduled');
+  const notifications = [
+    { type: 'interview_reminder', title: 'Interview tomorrow', message: 'You have an interview scheduled tomorrow.', data: upcomingInterview ? { interview_id: upcomingInterview.id } : {} },
+    { type: 'status_change', title: 'Application moved to interviewing', message: `${applications[9].job_title} at ${applications[9].company_name}`, data: { application_id: applications[9].id } },
+    { type: 'offer_received', title: 'Offer received', message: `${applications[12].company_name} sent an offer.`, data: { application_id: applications[12].id } },
+    { type: 'follow_up', title: 'Time to follow up', message: `No response from ${applications[2].company_name} in 10 days.`, data: { application_id: applications[2].id } },
+    { type: 'rejection', title: 'Application closed', message: `${applications[14].company_name} decided not to move forward.`, data: { application_id: applications[14].id } },
+    { type: 'system', title: 'Welcome to syncQ', message: 'This is demo data served by the mock API.', data: {} }
+  ].map((notification, index) => ({
+    id: index + 1,
+    ...notification,
+    is_read: index > 2,
+    created_at: at(index * 2, 8)
+  }));
+
+  const aiHistory = [
+    { content_type: 'cover_letter', app: applications[2], output: 'Dear Hiring Manager,\n\nI am excited to apply...' },
+    { content_type: 'job_match', app: applications[9], output: JSON.stringify({ match_score: 82, summary: 'Strong frontend match.' }) },
+    { content_type: 'interview_questions', app: applications[10], output: '1. Walk me through a component you designed.\n2. How do you debug a slow render?' }
+  ].map(({ content_type, app, output }, index) => ({
+    id: index + 1,
+    content_type,
+    input_company_name: app.company_name,
+    input_job_title: app.job_title,
+    output_content: output,
+    model_used: 'mock-llm',
+    tokens_used: 900 + index * 250,
+    is_favorite: index === 0,
+    rating: index === 0 ? 5 : null,
+    application: app.id,
+    created_at: at(12 - index * 3)
+  }));
+
+  // Sign-ins from other devices; the browser running the mock gets its own session on login
+  const PHONE = { device_type: 'mobile', os: 'iOS', browser: 'Safari', ip_address: '203.0.113.24', location: 'San Francisco, US' };
+  const WORK_LAPTOP = { device_type: 'desktop', os: 'Windows', browser: 'Edge', ip_address: '198.51.100.7', location: 'Oakland, US' };
+  const UNKNOWN = { device_type: 'desktop', os: 'Linux', browser: 'Firefox', ip_address: '192.0.2.88', location: null };
+
+  const sessions = [
+    { ...PHONE, created_at: at(6, 8), last_active_at: at(1, 19) },
+    { ...WORK_LAPTOP, created_at: at(20, 9), last_active_at: at(3, 14) }
+  ].map((session, index) => ({ id: index + 1, user_id: 1, ...session, revoked_at: null }));
+
+  const securityEvents = [
+    { event_type: 'login', ...WORK_LAPTOP, created_at: at(20, 9) },
+    { event_type: 'password_changed', ...WORK_LAPTOP, created_at: at(14, 11) },
+    { event_type: 'login_failed', ...UNKNOWN, created_at: at(9, 22) },
+    { event_type: 'login_failed', ...UNKNOWN, created_at: at(9, 23) },
+    { event_type: 'login', ...PHONE, created_at: at(6, 8) }
+  ].map((event, index) => ({ id: index + 1, user_id: 1, ...event }));
+
+  const collections = {
+    users, companies, applications, interviews, notes, resumes, webhooks, deliveries, notifications, aiHistory,
+    sessions, securityEvents,
+    attachments: [],
+    aiTasks: []
+  };
+
+  return {
+    ...collections,
+    aiUsage: [],
+    revokedTokens: [],
+    notificationPreferences: {
+      email_enabled: true,
+      push_enabled: false,
+      application_updates: true,
+      interview_reminders: true,
+      follow_up_reminders: true,
+      weekly_digest: true,
+      reminder_time: '1_day_before'
+    },
+    twoFactor: { enabled: false, secret: null, backup_codes: [], verified_at: null, last_used_at: null },
+    sequences: Object.fromEntries(Object.entries(collections).map(([name, items]) => [
+      name,
+      items.reduce((max, item) => (typeof item.id === 'number' ? Math.max(max, item.id) : max), 0)
+    ]))
+  };
+};
@@ -0,0 +1,342 @@
+/**
+ * Mock AI Handlers
+ * Canned generations built from the request, so the AI pages can be demoed
+ * without a model. The 20-per-hour generation limit, its rate-limit headers
+ * and async tasks behave like the real API.
+ *
+ * @module mocks/handlers/ai
+ */
+
+import {
+  get, post, patch, del, noContent, badRequest, missingFields, findOr404,
+  orderBy, matchesFilter, paginate, MockResponse, MockHttpError
+} from '../router';
+import { nextId, timestamp } from '../db';
+
+const HOURLY_LIMIT = 20;
+const HOUR = 60 * 60 * 1000;
+const MODEL = 'mock-llm';
+
+// How long an async task stays pending, then processing
+const TASK_PENDING_MS = 1000;
+const TASK_PROCESSING_MS = 4000;
+
+const CONTENT_TYPE_LABELS = {
+  cover_letter: 'Cover Letter',
+  job_match: 'Job Match',
+  interview_questions: 'Interview Questions'
+};
+
+const TASK_STATUS_LABELS = {
+  pending: 'Pending',
+  processing: 'Processing',
+  completed: 'Completed',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+const SKILLS = [
+  'JavaScript', 'TypeScript', 'React', 'Vue', 'Angular', 'Node.js', 'Python', 'Django', 'Java', 'Go',
+  'GraphQL', 'REST', 'SQL', 'PostgreSQL', 'MongoDB', 'Redis', 'AWS', 'GCP', 'Azure', 'Docker',
+  'Kubernetes', 'CI/CD', 'Testing', 'Accessibility', 'Performance', 'Design Systems', 'Tailwind',
+  'CSS', 'HTML', 'Agile', 'Leadership', 'Mentoring'
+];
+
+// Stands in for the text of an uploaded resume, which the mock does not parse
+const SAMPLE_RESUME_TEXT = 'JavaScript TypeScript React Node.js REST Testing CSS HTML Tailwind Accessibility Agile Design Systems';
+
+const QUESTION_BANK = [
+  'Tell me about yourself and why you are interested in the {job_title} role at {company_name}.',
+  'Walk me through a project you are proud of. What was your specific contribution?',
+  'Describe a time you disagreed with a teammate about a technical decision. How did you resolve it?',
+  'How would you approach building a feature you have never worked on before?',
+  'What does good code review look like to you?',
+  'Tell me about a time you had to deliver under a tight deadline. What trade-offs did you make?',
+  'How do you keep a large frontend codebase maintainable as it grows?',
+  'Describe how you would debug a page that has become slow for some users.',
+  'What do you know about {company_name}, and what would you want to improve in our product?',
+  'How do you make sure the interfaces you build are accessible?',
+  'Tell me about a mistake you made in production and what you learned from it.',
+  'How do you decide when to write tests, and what kind?',
+  'Describe a time you mentored someone or helped a teammate grow.',
+  'Where do you see yourself in two years, and how does this role fit into that?',
+  'What questions do you have for us about the team or the {job_title} position?'
+];
+
+const TONE_OPENINGS = {
+  professional: 'I am writing to apply for the {job_title} position at {company_name}.',
+  enthusiastic: "I was thrilled to see the {job_title} opening at {company_name} and couldn't wait to apply!",
+  formal: 'Please accept this letter as my formal application for the position of {job_title} at {company_name}.',
+  conversational: "I'd love to join {company_name} as your next {job_title}, and here's why."
+};
+
+const fill = (template, values) => template.replace(/\{(\w+)\}/g, (_, key) => values[key] || '');
+
+const findSkills = (text) => SKILLS.filter((skill) =>
+  new RegExp(`(^|[^a-z])${skill.replace(/[.+/]/g, '\\$&')}([^a-z]|$)`, 'i').test(text || ''));
+
+const estimateTokens = (...texts) => Math.round(texts.join(' ').length / 4) + 150;
+
+// ============================================
+// GENERATORS
+// ============================================
+
+const GENERATORS = {
+  cover_letter: ({ body, user }) => {
+    const values = { company_name: body.company_name || 'your company', job_title: body.job_title || 'open' };
+    const skills = findSkills(body.job_description).slice(0, 3);
+    const name = [user.first_name, user.last_name].filter(Boolean).join(' ') || user.username;
+    const coverLetter = [
+      'Dear Hiring Manager,',
+      fill(TONE_OPENINGS[body.tone] || TONE_OPENINGS.professional, values),
+      `Over the past few years I have built and shipped user-facing products end to end${skills.length ? `, with a focus on ${skills.join(', ')}` : ''}. ` +
+        'I enjoy working closely with design and product, and I care about fast, accessible interfaces that are pleasant to maintain.',
+      fill('What draws me to {company_name} is the chance to have a real impact on the product while learning from a strong team. ' +
+        'I would bring ownership, clear communication and a habit of leaving code better than I found it.', values),
+      'Thank you for your time and consideration. I would welcome the chance to discuss how I can contribute.',
+      `Sincerely,\n${name}`
+    ].join('\n\n');
+    return { output: coverLetter, result: { cover_letter: coverLetter } };
+  },
+
+  job_match: ({ body }) => {
+    const required = findSkills(body.job_description);
+    const offered = findSkills(body.resume_text || SAMPLE_RESUME_TEXT);
+    const matching = required.filter((skill) => offered.includes(skill));
+    const missing = required.filter((skill) => !offered.includes(skill));
+    const score = required.length ? Math.round(40 + (matching.length / required.length) * 55) : 60;
+    const analysis = {
+      match_score: score,
+      matching_skills: matching,
+      missing_skills: missing,
+      recommendations: [
+        ...missing.slice(0, 3).map((skill) => `Highlight any experience with ${skill}, or mention how you are learning it.`),
+        'Quantify the impact of your recent projects with concrete numbers.',
+        'Mirror the key phrases from the job description in your summary.'
+      ],
+      summary: score >= 80
+        ? 'Strong match. Your experience lines up with most of the core requirements.'
+        : score >= 60
+          ? 'Good match with a few gaps worth addressing in your application.'
+          : 'Partial match. Consider tailoring your resume before applying.'
+    };
+    return { output: JSON.stringify(analysis), result: { analysis } };
+  },
+
+  interview_questions: ({ body }) => {
+    const count = Math.min(Math.max(Number(body.question_count) || 10, 1), QUESTION_BANK.length);
+    const questions = QUESTION_BANK.slice(0, count)
+      .map((question, index) => `${index + 1}. ${fill(question, body)}`)
+      .join('\n');
+    return { output: questions, result: { questions } };
+  }
+};
+
+// ============================================
+// RATE LIMIT
+// ============================================
+
+const getUsage = (db) => {
+  const since = Date.now() - HOUR;
+  db.aiUsage = db.aiUsage.filter((time) => time > since);
+  return db.aiUsage;
+};
+
+const rateLimitHeaders = (usage) => ({
+  'x-ratelimit-limit': String(HOURLY_LIMIT),
+  'x-ratelimit-remaining': String(Math.max(HOURLY_LIMIT - usage.length, 0)),
+  'x-ratelimit-reset': String(Math.ceil(((usage[0] || Date.now()) + HOUR) / 1000))
+});
+
+const checkRateLimit = (db) => {
+  const usage = getUsage(db);
+  if (usage.length >= HOURLY_LIMIT) {
+    const seconds = Math.ceil((usage[0] + HOUR - Date.now()) / 1000);
+    throw new MockHttpError(429, { detail: `Request was throttled. Expected available in ${seconds} seconds.` }, {
+      headers: { ...rateLimitHeaders(usage), 'retry-after': String(seconds) }
+    });
+  }
+  usage.push(Date.now());
+  return rateLimitHeaders(usage);
+};
+
+// ============================================
+// GENERATION
+// ============================================
+
+const saveToHistory = (db, type, body, output, tokens) => {
+  const item = {
+    id: nextId(db, 'aiHistory'),
+    content_type: type,
+    input_company_name: body.company_name || '',
+    input_job_title: body.job_title || '',
+    output_content: output,
+    model_used: MODEL,
+    tokens_used: tokens,
+    is_favorite: false,
+    rating: null,
+    application: body.application_id || null,
+    created_at: timestamp()
+  };
+  db.aiHistory.push(item);
+  return item.id;
+};
+
+const generate = (db, type, body, user) => {
+  const { output, result } = GENERATORS[type]({ body, user });
+  const tokens = estimateTokens(body.job_description || '', output);
+  const savedId = body.save_to_history === false ? null : saveToHistory(db, type, body, output, tokens);
+  return { ...result, model: MODEL, tokens_used: tokens, saved_id: savedId };
+};
+
+const createGenerationRoute = (path, type, required) => post(path, ({ body, db, user }) => {
+  const errors = missingFields(body, required);
+  if (errors) throw badRequest(errors);
+  const headers = checkRateLimit(db);
+
+  if (body.async_mode) {
+    const task = {
+      id: nextId(db, 'aiTasks'),
+      task_type: type,
+      status: 'pending',
+      input_params: { company_name: body.company_name, job_title: body.job_title, tone: body.tone },
+      body,
+      result: null,
+      error_message: '',
+      created_at: timestamp(),
+      started_at: null,
+      completed_at: null
+    };
+    db.aiTasks.push(task);
+    return new MockResponse({
+      task_id: task.id,
+      status: 'pending',
+      message: `${CONTENT_TYPE_LABELS[type]} generation queued. Poll /api/v1/ai/tasks/${task.id}/ for status.`
+    }, { status: 202, headers });
+  }
+
+  return new MockResponse(generate(db, type, body, user), { headers });
+});
+
+/**
+ * Move an async task along based on how long ago it was queued, producing its result once done
+ */
+const advanceTask = (db, task, user) => {
+  if (!['pending', 'processing'].includes(task.status)) return task;
+  const created = new Date(task.created_at).getTime();
+  const elapsed = Date.now() - created;
+
+  if (elapsed >= TASK_PENDING_MS) {
+    task.status = 'processing';
+    task.started_at = new Date(created + TASK_PENDING_MS).toISOString();
+  }
+  if (elapsed >= TASK_PROCESSING_MS) {
+    task.status = 'completed';
+    task.completed_at = new Date(created + TASK_PROCESSING_MS).toISOString();
+    task.result = generate(db, task.task_type, task.body, user);
+  }
+  return task;
+};
+
+const serializeTask = (task) => {
+  const { body: _body, ...data } = task;
+  return {
+    ...data,
+    task_type_display: CONTENT_TYPE_LABELS[task.task_type],
+    status_display: TASK_STATUS_LABELS[task.status],
+    duration: task.started_at && task.completed_at
+      ? (new Date(task.completed_at) - new Date(task.started_at)) / 1000
+      : null
+  };
+};
+
+const serializeHistory = (item) => ({
+  ...item,
+  content_type_display: CONTENT_TYPE_LABELS[item.content_type]
+});
+
+const updateHistory = (item, body) => {
+  if (body.rating !== undefined && body.rating !== null) {
+    const rating = Number(body.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      throw badRequest({ error: 'Rating must be between 1 and 5' });
+    }
+    item.rating = rating;
+  }
+  if (body.is_favorite !== undefined) item.is_favorite = Boolean(body.is_favorite);
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+export default [
+  createGenerationRoute('/ai/cover-letter/generate/', 'cover_letter', ['job_description', 'company_name', 'job_title']),
+
+  createGenerationRoute('/ai/job-match/analyze/', 'job_match', ['job_description']),
+
+  createGenerationRoute('/ai/interview-questions/generate/', 'interview_questions', ['job_description', 'job_title']),
+
+  get('/ai/tasks/', ({ query, db, user }) => {
+    const tasks = orderBy(db.aiTasks, '-created_at').map((task) => serializeTask(advanceTask(db, task, user)));
+    return paginate(tasks, query, '/ai/tasks/');
+  }),
+
+  get('/ai/tasks/pending/', ({ db, user }) => db.aiTasks
+    .map((task) => advanceTask(db, task, user))
+    .filter((task) => ['pending', 'processing'].includes(task.status))
+    .map(serializeTask)),
+
+  get('/ai/tasks/:id/', ({ params, db, user }) => serializeTask(advanceTask(db, findOr404(db.aiTasks, params.id), user))),
+
+  post('/ai/tasks/:id/cancel/', ({ params, db, user }) => {
+    const task = advanceTask(db, findOr404(db.aiTasks, params.id), user);
+    if (task.status !== 'pending') {
+      throw badRequest({ error: `Cannot cancel task with status: ${task.status}` });
+    }
+    task.status = 'cancelled';
+    return { status: 'cancelled' };
+  }),
+
+  del('/ai/tasks/:id/', ({ params, db }) => {
+    const task = findOr404(db.aiTasks, params.id);
+    db.aiTasks = db.aiTasks.filter((entry) => entry !== task);
+    return noContent();
+  }),
+
+  get('/ai/history/', ({ query, db }) => {
+    const items = db.aiHistory
+      .filter((item) => matchesFilter(item.content_type, query.content_type))
+      .map(serializeHistory);
+    return paginate(orderBy(items, query.ordering || '-created_at'), query, '/ai/history/');
+  }),
+
+  get('/ai/history/favorites/', ({ db }) =>
+    orderBy(db.aiHistory.filter((item) => item.is_favorite), '-created_at').map(serializeHistory)),
+
+  get('/ai/history/:id/', ({ params, db }) => serializeHistory(findOr404(db.aiHistory, params.id))),
+
+  patch('/ai/history/:id/', ({ params, body, db }) => {
+    const item = findOr404(db.aiHistory, params.id);
+    updateHistory(item, body);
+    return serializeHistory(item);
+  }),
+
+  post('/ai/history/:id/toggle_favorite/', ({ params, db }) => {
+    const item = findOr404(db.aiHistory, params.id);
+    item.is_favorite = !item.is_favorite;
+    return { is_favorite: item.is_favorite };
+  }),
+
+  post('/ai/history/:id/rate/', ({ params, body, db }) => {
+    const item = findOr404(db.aiHistory, params.id);
+    updateHistory(item, { rating: body.rating ?? 0 });
+    return { rating: item.rating };
+  }),
+
+  del('/ai/history/:id/', ({ params, db }) => {
+    const item = findOr404(db.aiHistory, params.id);
+    db.aiHistory = db.aiHistory.filter((entry) => entry !== item);
+    return noContent();
+  })
+];
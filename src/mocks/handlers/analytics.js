@@ -0,0 +1,112 @@
+/**
+ * Mock Analytics Handlers
+ * Dashboard figures computed from the mock data, plus the health probes.
+ *
+ * @module mocks/handlers/analytics
+ */
+
+import { differenceInCalendarDays, startOfWeek, subWeeks } from 'date-fns';
+import { get } from '../router';
+import { isActiveApplication } from '../serializers';
+
+const FUNNEL_STAGES = ['applied', 'screening', 'interviewing', 'offer', 'accepted'];
+
+// Statuses that imply an application reached at least the given stage
+const REACHED = {
+  applied: ['applied', 'screening', 'interviewing', 'offer', 'accepted', 'rejected', 'ghosted', 'withdrawn'],
+  screening: ['screening', 'interviewing', 'offer', 'accepted'],
+  interviewing: ['interviewing', 'offer', 'accepted'],
+  offer: ['offer', 'accepted'],
+  accepted: ['accepted']
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const percent = (part, total) => (total ? round((part / total) * 100) : 0);
+
+export default [
+  get('/analytics/dashboard/', ({ db }) => {
+    const applications = db.applications;
+    const applied = applications.filter((app) => app.applied_date);
+    const responded = applied.filter((app) => app.response_date);
+    const responseDays = responded.map((app) => differenceInCalendarDays(new Date(app.response_date), new Date(app.applied_date)));
+
+    return {
+      total_applications: applications.length,
+      active_applications: applications.filter(isActiveApplication).length,
+      offers_received: applications.filter((app) => ['offer', 'accepted'].includes(app.status)).length,
+      interviews_scheduled: db.interviews.filter((interview) =>
+        interview.status === 'scheduled' && new Date(interview.scheduled_at) > new Date()).length,
+      response_rate: percent(responded.length, applied.length),
+      avg_response_days: responseDays.length ? round(responseDays.reduce((sum, days) => sum + days, 0) / responseDays.length) : null,
+      status_breakdown: applications.reduce((counts, app) => ({ ...counts, [app.status]: (counts[app.status] || 0) + 1 }), {})
+    };
+  }),
+
+  get('/analytics/response-rate/', ({ db }) => {
+    const bySource = {};
+    db.applications.filter((app) => app.applied_date).forEach((app) => {
+      bySource[app.source] = bySource[app.source] || { source: app.source, total: 0, with_response: 0 };
+      bySource[app.source].total += 1;
+      if (app.response_date) bySource[app.source].with_response += 1;
+    });
+    return {
+      by_source: Object.values(bySource)
+        .map((entry) => ({ ...entry, response_rate: percent(entry.with_response, entry.total) }))
+        .sort((a, b) => b.response_rate - a.response_rate)
+    };
+  }),
+
+  get('/analytics/funnel/', ({ db }) => {
+    const total = db.applications.filter((app) => REACHED.applied.includes(app.status)).length;
+    return {
+      funnel: FUNNEL_STAGES.map((stage) => {
+        const count = db.applications.filter((app) => REACHED[stage].includes(app.status)).length;
+        return { stage, count, percentage: percent(count, total) };
+      }),
+      total_applications: total
+    };
+  }),
+
+  get('/analytics/weekly/', ({ query, db }) => {
+    const weeks = Number(query.weeks) || 12;
+    const thisWeek = startOfWeek(new Date(), { weekStartsOn: 1 });
+    const buckets = Array.from({ length: weeks }, (_, index) => subWeeks(thisWeek, weeks - 1 - index));
+
+    return {
+      weekly_applications: buckets.map((week) => ({
+        week: week.toISOString(),
+        count: db.applications.filter((app) =>
+          app.applied_date && startOfWeek(new Date(app.applied_date), { weekStartsOn: 1 }).getTime() === week.getTime()).length
+      })),
+      period_weeks: weeks
+    };
+  }),
+
+  get('/analytics/top-companies/', ({ query, db }) => {
+    const limit = Number(query.limit) || 10;
+    const companies = db.companies.map((company) => {
+      const applicationIds = db.applications
+        .filter((app) => String(app.company) === String(company.id))
+        .map((app) => String(app.id));
+      return {
+        company__id: company.id,
+        company__name: company.name,
+        application_count: applicationIds.length,
+        interview_count: db.interviews.filter((interview) => applicationIds.includes(String(interview.application))).length
+      };
+    });
+    return {
+      top_companies: companies
+        .filter((company) => company.application_count > 0)
+        .sort((a, b) => b.application_count - a.application_count || b.interview_count - a.interview_count)
+        .slice(0, limit)
+    };
+  }),
+
+  get('/analytics/health/', () => ({ status: 'healthy', database: 'connected', cache: 'connected' }), { isPublic: true }),
+
+  get('/analytics/ready/', () => ({ ready: true }), { isPublic: true }),
+
+  get('/analytics/live/', () => ({ alive: true }), { isPublic: true })
+];
@@ -0,0 +1,269 @@
+/**
+ * Mock Application Handlers
+ * Applications with their notes and attachments, plus resume versions, which
+ * the API serves from under /applications/.
+ *
+ * @module mocks/handlers/applications
+ */
+
+import {
+  get, post, put, patch, del, created, noContent, notFound, badRequest, missingFields, findOr404,
+  orderBy, matchesSearch, matchesFilter, paginate
+} from '../router';
+import { nextId, timestamp } from '../db';
+import { revokeFileUrl } from '../files';
+import { serializeApplication, serializeResume, serializeAttachment } from '../serializers';
+
+const RESUME_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+
+/**
+ * Remove applications and everything that belongs to them
+ * @param {Object} db
+ * @param {Array<number|string>} ids
+ */
+export const deleteApplications = (db, ids) => {
+  const removed = ids.map(String);
+  const belongs = (record) => removed.includes(String(record.application));
+
+  db.attachments.filter(belongs).forEach((attachment) => revokeFileUrl(`attachment:${attachment.id}`));
+  db.applications = db.applications.filter((app) => !removed.includes(String(app.id)));
+  db.interviews = db.interviews.filter((interview) => !belongs(interview));
+  db.notes = db.notes.filter((note) => !belongs(note));
+  db.attachments = db.attachments.filter((attachment) => !belongs(attachment));
+};
+
+const validateApplication = (db, body, { partial = false } = {}) => {
+  const errors = partial ? {} : missingFields(body, ['company', 'job_title']) || {};
+  if (body.company !== undefined && !db.companies.some((company) => String(company.id) === String(body.company))) {
+    errors.company = [`Invalid pk "${body.company}" - object does not exist.`];
+  }
+  if (body.salary_min && body.salary_max && Number(body.salary_min) > Number(body.salary_max)) {
+    errors.salary_max = ['Maximum salary must be greater than minimum salary.'];
+  }
+  if (Object.keys(errors).length) throw badRequest(errors);
+};
+
+const updateApplication = ({ params, body, db }) => {
+  const application = findOr404(db.applications, params.id);
+  validateApplication(db, body, { partial: true });
+  const { id: _id, created_at: _created, ...changes } = body;
+  Object.assign(application, changes, { updated_at: timestamp() });
+  return serializeApplication(db, application, { detail: true });
+};
+
+const findNote = (db, params) => {
+  const note = findOr404(db.notes, params.noteId);
+  if (String(note.application) !== String(params.id)) throw notFound();
+  return note;
+};
+
+const findAttachment = (db, params) => {
+  const attachment = findOr404(db.attachments, params.attachmentId);
+  if (String(attachment.application) !== String(params.id)) throw notFound();
+  return attachment;
+};
+
+const updateNote = ({ params, body, db }) => {
+  const note = findNote(db, params);
+  Object.assign(note, { content: body.content ?? note.content, note_type: body.note_type ?? note.note_type, updated_at: timestamp() });
+  return note;
+};
+
+export default [
+  // ---- Resumes (matched before /applications/:id/) ----
+
+  get('/applications/resumes/', ({ db }) => {
+    const resumes = orderBy(db.resumes, '-created_at').map(serializeResume);
+    return { count: resumes.length, next: null, previous: null, results: resumes };
+  }),
+
+  post('/applications/resumes/upload/', ({ body, db }) => {
+    const errors = missingFields(body, ['file', 'version_name']);
+    if (errors) throw badRequest(errors);
+    if (!(body.file instanceof Blob) || !RESUME_TYPES.includes(body.file.type)) {
+      throw badRequest({ file: ['Invalid file type. Allowed: PDF, DOC, DOCX.'] });
+    }
+
+    const isDefault = body.is_default === true || body.is_default === 'true' || db.resumes.length === 0;
+    if (isDefault) db.resumes.forEach((resume) => { resume.is_default = false; });
+
+    const resume = {
+      id: nextId(db, 'resumes'),
+      version_name: body.version_name,
+      file: body.file,
+      file_name: body.file.name || 'resume.pdf',
+      file_size: body.file.size,
+      is_default: isDefault,
+      created_at: timestamp()
+    };
+    db.resumes.push(resume);
+    return created(serializeResume(resume));
+  }),
+
+  get('/applications/resumes/:id/', ({ params, db }) => serializeResume(findOr404(db.resumes, params.id))),
+
+  patch('/applications/resumes/:id/', ({ params, body, db }) => {
+    const resume = findOr404(db.resumes, params.id);
+    if (body.version_name !== undefined) resume.version_name = body.version_name;
+    return serializeResume(resume);
+  }),
+
+  post('/applications/resumes/:id/set-default/', ({ params, db }) => {
+    const resume = findOr404(db.resumes, params.id);
+    db.resumes.forEach((entry) => { entry.is_default = entry === resume; });
+    return serializeResume(resume);
+  }),
+
+  del('/applications/resumes/:id/', ({ params, db }) => {
+    const resume = findOr404(db.resumes, params.id);
+    db.resumes = db.resumes.filter((entry) => entry !== resume);
+    if (resume.is_default && db.resumes.length) db.resumes[0].is_default = true;
+    revokeFileUrl(`resume:${resume.id}`);
+    return noContent();
+  }),
+
+  // ---- Applications ----
+
+  get('/applications/', ({ query, db }) => {
+    const applications = db.applications
+      .map((app) => serializeApplication(db, app))
+      .filter((app) => matchesSearch(app, query.search, ['job_title', 'company_name', 'location']))
+      .filter((app) =>
+        matchesFilter(app.status, query.status) &&
+        matchesFilter(app.priority, query.priority) &&
+        matchesFilter(app.work_type, query.work_type) &&
+        matchesFilter(app.source, query.source) &&
+        matchesFilter(app.company, query.company));
+    return paginate(orderBy(applications, query.ordering || '-created_at'), query, '/applications/');
+  }),
+
+  post('/applications/', ({ body, db }) => {
+    validateApplication(db, body);
+    const application = {
+      job_url: '',
+      job_description: '',
+      status: 'wishlist',
+      priority: 'medium',
+      work_type: '',
+      location: '',
+      salary_min: null,
+      salary_max: null,
+      source: 'other',
+      referrer_name: '',
+      cover_letter: '',
+      resume_version: null,
+      applied_date: null,
+      response_date: null,
+      next_action: '',
+      next_action_date: null,
+      ...body,
+      id: nextId(db, 'applications'),
+      created_at: timestamp(),
+      updated_at: timestamp()
+    };
+    db.applications.push(application);
+    return created(serializeApplication(db, application, { detail: true }));
+  }),
+
+  get('/applications/:id/', ({ params, db }) =>
+    serializeApplication(db, findOr404(db.applications, params.id), { detail: true })),
+
+  put('/applications/:id/', updateApplication),
+
+  patch('/applications/:id/', updateApplication),
+
+  del('/applications/:id/', ({ params, db }) => {
+    findOr404(db.applications, params.id);
+    deleteApplications(db, [params.id]);
+    return noContent();
+  }),
+
+  patch('/applications/:id/status/', ({ params, body, db }) => {
+    const application = findOr404(db.applications, params.id);
+    const errors = missingFields(body, ['status']);
+    if (errors) throw badRequest(errors);
+    Object.assign(application, {
+      status: body.status,
+      response_date: body.response_date || application.response_date,
+      updated_at: timestamp()
+    });
+    return serializeApplication(db, application, { detail: true });
+  }),
+
+  // ---- Notes ----
+
+  get('/applications/:id/notes/', ({ params, db }) => {
+    findOr404(db.applications, params.id);
+    return orderBy(db.notes.filter((note) => String(note.application) === String(params.id)), '-created_at');
+  }),
+
+  post('/applications/:id/notes/', ({ params, body, db }) => {
+    findOr404(db.applications, params.id);
+    const errors = missingFields(body, ['content']);
+    if (errors) throw badRequest(errors);
+    const note = {
+      id: nextId(db, 'notes'),
+      application: Number(params.id),
+      content: body.content,
+      note_type: body.note_type || 'general',
+      created_at: timestamp(),
+      updated_at: timestamp()
+    };
+    db.notes.push(note);
+    return created(note);
+  }),
+
+  put('/applications/:id/notes/:noteId/', updateNote),
+
+  patch('/applications/:id/notes/:noteId/', updateNote),
+
+  del('/applications/:id/notes/:noteId/', ({ params, db }) => {
+    const note = findNote(db, params);
+    db.notes = db.notes.filter((entry) => entry !== note);
+    return noContent();
+  }),
+
+  // ---- Attachments ----
+
+  get('/applications/:id/attachments/', ({ params, db }) => {
+    findOr404(db.applications, params.id);
+    return orderBy(db.attachments.filter((attachment) => String(attachment.application) === String(params.id)), '-created_at')
+      .map(serializeAttachment);
+  }),
+
+  post('/applications/:id/attachments/', ({ params, body, db }) => {
+    findOr404(db.applications, params.id);
+    if (!(body.file instanceof Blob)) throw badRequest({ file: ['No file was submitted.'] });
+    const attachment = {
+      id: nextId(db, 'attachments'),
+      application: Number(params.id),
+      label: body.label || body.file.name,
+      category: body.category || 'other',
+      file: body.file,
+      file_name: body.file.name || 'attachment',
+      file_size: body.file.size,
+      content_type: body.file.type,
+      created_at: timestamp()
+    };
+    db.attachments.push(attachment);
+    return created(serializeAttachment(attachment));
+  }),
+
+  patch('/applications/:id/attachments/:attachmentId/', ({ params, body, db }) => {
+    const attachment = findAttachment(db, params);
+    if (body.label !== undefined) attachment.label = body.label;
+    if (body.category !== undefined) attachment.category = body.category;
+    return serializeAttachment(attachment);
+  }),
+
+  del('/applications/:id/attachments/:attachmentId/', ({ params, db }) => {
+    const attachment = findAttachment(db, params);
+    db.attachments = db.attachments.filter((entry) => entry !== attachment);
+    revokeFileUrl(`attachment:${attachment.id}`);
+    return noContent();
+  })
+];
@@ -0,0 +1,373 @@
+/**
+ * Mock Auth Handlers
+ * Registration, login, token refresh, profile, two-factor authentication,
+ * sessions and the security event log.
+ * Tokens are unsigned JWT look-alikes carrying the user id and expiry, which is
+ * all the client reads from them, plus the id of the session they belong to.
+ * A session lasts from sign-in to sign-out across every token rotation.
+ *
+ * @module mocks/handlers/auth
+ */
+
+import {
+  get, post, put, patch, del, noContent, badRequest, missingFields, findOr404, orderBy, paginate, MockHttpError
+} from '../router';
+import { nextId, timestamp } from '../db';
+
+const ACCESS_LIFETIME_MS = 60 * 60 * 1000;
+const REFRESH_LIFETIME_MS = 7 * 24 * 60 * 60 * 1000;
+
+// ============================================
+// TOKENS
+// ============================================
+
+const encode = (value) => btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const decode = (part) => JSON.parse(atob(part.replace(/-/g, '+').replace(/_/g, '/')));
+
+const createToken = (userId, sessionId, type, lifetimeMs) => [
+  encode({ alg: 'none', typ: 'JWT' }),
+  encode({
+    user_id: userId,
+    sid: sessionId,
+    token_type: type,
+    iat: Math.floor(Date.now() / 1000),
+    exp: Math.floor((Date.now() + lifetimeMs) / 1000),
+    jti: crypto.randomUUID()
+  }),
+  'mock'
+].join('.');
+
+const createTokens = (user, sessionId) => ({
+  access: createToken(user.id, sessionId, 'access', ACCESS_LIFETIME_MS),
+  refresh: createToken(user.id, sessionId, 'refresh', REFRESH_LIFETIME_MS)
+});
+
+/**
+ * The user a token belongs to, or null when it is malformed, expired or of the wrong type
+ * @param {Object} db
+ * @param {string} token
+ * @param {string} [type='access']
+ * @returns {Object|null}
+ */
+export const getUserFromToken = (db, token, type = 'access') => {
+  try {
+    const payload = decode(token.split('.')[1]);
+    if (payload.token_type !== type || payload.exp * 1000 < Date.now()) return null;
+    if (db.revokedTokens.includes(payload.jti)) return null;
+    if (db.sessions.find((session) => session.id === payload.sid)?.revoked_at) return null;
+    const user = db.users.find((entry) => entry.id === payload.user_id);
+    // "Log out everywhere" invalidates every token issued before it
+    if (!user || (payload.iat ?? 0) * 1000 < (user.tokens_valid_after ?? 0)) return null;
+    return user;
+  } catch {
+    return null;
+  }
+};
+
+const tokenPayload = (token) => {
+  try {
+    return decode(token.split('.')[1]);
+  } catch {
+    return {};
+  }
+};
+
+const tokenId = (token) => tokenPayload(token).jti ?? null;
+
+// ============================================
+// SESSIONS & SECURITY EVENTS
+// ============================================
+
+/**
+ * Where a request comes from. The mock runs in the browser making the request,
+ * so the user agent is real; the address and location are placeholders.
+ */
+const describeClient = () => {
+  const ua = navigator.userAgent;
+  const browser = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+    .find(([marker]) => ua.includes(marker))?.[1] || 'Unknown browser';
+  const os = [[/iPhone|iPad/, 'iOS'], [/Android/, 'Android'], [/Windows/, 'Windows'], [/Mac OS X/, 'macOS'], [/Linux/, 'Linux']]
+    .find(([pattern]) => pattern.test(ua))?.[1] || 'Unknown OS';
+  const deviceType = /iPad|Tablet/.test(ua) ? 'tablet' : /Mobi|iPhone|Android/.test(ua) ? 'mobile' : 'desktop';
+  return { device_type: deviceType, os, browser, ip_address: '127.0.0.1', location: 'Local network' };
+};
+
+const recordEvent = (db, user, eventType) => {
+  db.securityEvents.push({
+    id: nextId(db, 'securityEvents'),
+    user_id: user.id,
+    event_type: eventType,
+    ...describeClient(),
+    created_at: timestamp()
+  });
+};
+
+/**
+ * Sign in: open a session and issue its first tokens
+ */
+const startSession = (db, user) => {
+  const session = {
+    id: nextId(db, 'sessions'),
+    user_id: user.id,
+    ...describeClient(),
+    created_at: timestamp(),
+    last_active_at: timestamp(),
+    revoked_at: null
+  };
+  db.sessions.push(session);
+  recordEvent(db, user, 'login');
+  return createTokens(user, session.id);
+};
+
+const activeSessions = (db, user) =>
+  db.sessions.filter((session) => session.user_id === user.id && !session.revoked_at);
+
+const publicEvent = (event) => {
+  const { user_id: _userId, ...data } = event;
+  return data;
+};
+
+const publicSession = (session, currentId) => {
+  const { user_id: _userId, revoked_at: _revokedAt, ...data } = session;
+  return { ...data, is_current: session.id === currentId };
+};
+
+const publicUser = (user) => {
+  const { password: _password, tokens_valid_after: _tokensValidAfter, ...data } = user;
+  return data;
+};
+
+// ============================================
+// TWO-FACTOR
+// ============================================
+
+// Any six digits pass as an authenticator code in the mock
+const isTotpCode = (code) => /^\d{6}$/.test(String(code || '').trim());
+
+const createBackupCodes = () => Array.from({ length: 8 }, () => {
+  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const part = () => Array.from({ length: 4 }, () => chars[Math.floor(Math.random() * chars.length)]).join('');
+  return `${part()}-${part()}`;
+});
+
+const QR_PLACEHOLDER = `data:image/svg+xml;base64,${btoa(
+  '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200"><rect width="200" height="200" fill="#f1f5f9"/>' +
+  '<text x="100" y="95" font-family="sans-serif" font-size="13" text-anchor="middle" fill="#334155">Mock QR code</text>' +
+  '<text x="100" y="115" font-family="sans-serif" font-size="11" text-anchor="middle" fill="#64748b">Any 6-digit code works</text></svg>'
+)}`;
+
+/**
+ * Check a TOTP or backup code, consuming backup codes on use
+ * @returns {string|null} The method used, or null when the code is wrong
+ */
+const checkCode = (twoFactor, code) => {
+  if (isTotpCode(code)) return 'totp';
+  const index = twoFactor.backup_codes.indexOf(String(code || '').trim().toUpperCase());
+  if (index === -1) return null;
+  twoFactor.backup_codes.splice(index, 1);
+  return 'backup_code';
+};
+
+const invalidCode = () => badRequest({ error: 'Invalid verification code' });
+
+// ============================================
+// ROUTES
+// ============================================
+
+export default [
+  post('/auth/register/', ({ body, db }) => {
+    const errors = missingFields(body, ['email', 'username', 'password']) || {};
+    if (body.password && body.password !== body.password_confirm) {
+      errors.password_confirm = ["Passwords don't match."];
+    }
+    if (db.users.some((user) => user.email.toLowerCase() === String(body.email).toLowerCase())) {
+      errors.email = ['A user with this email already exists.'];
+    }
+    if (Object.keys(errors).length) throw badRequest(errors);
+
+    const user = {
+      id: nextId(db, 'users'),
+      email: body.email,
+      username: body.username,
+      password: body.password,
+      first_name: body.first_name || '',
+      last_name: body.last_name || '',
+      phone: '',
+      linkedin_url: '',
+      portfolio_url: '',
+      github_url: '',
+      desired_role: '',
+      desired_salary_min: null,
+      desired_salary_max: null,
+      preferred_work_type: 'any',
+      is_email_verified: false,
+      created_at: timestamp(),
+      updated_at: timestamp()
+    };
+    db.users.push(user);
+
+    return {
+      user: publicUser(user),
+      tokens: startSession(db, user),
+      message: 'Registration successful. Please check your email to verify your account.'
+    };
+  }, { isPublic: true }),
+
+  post('/auth/login/', ({ body, db }) => {
+    const user = db.users.find((entry) => entry.email.toLowerCase() === String(body.email || '').toLowerCase());
+    if (!user || user.password !== body.password) {
+      if (user) recordEvent(db, user, 'login_failed');
+      throw new MockHttpError(401, { detail: 'No active account found with the given credentials' });
+    }
+    const tokens = startSession(db, user);
+    return db.twoFactor.enabled ? { ...tokens, requires_2fa: true } : tokens;
+  }, { isPublic: true }),
+
+  post('/auth/token/refresh/', ({ body, db }) => {
+    const user = getUserFromToken(db, body.refresh || '', 'refresh');
+    if (!user) {
+      throw new MockHttpError(401, { detail: 'Token is invalid or expired', code: 'token_not_valid' });
+    }
+    db.revokedTokens.push(tokenId(body.refresh));
+    // Tokens from before sessions were tracked get one now
+    const { sid } = tokenPayload(body.refresh);
+    const session = db.sessions.find((entry) => entry.id === sid);
+    if (!session) return startSession(db, user);
+    session.last_active_at = timestamp();
+    return createTokens(user, session.id);
+  }, { isPublic: true }),
+
+  post('/auth/logout/', ({ body, db, user }) => {
+    if (body.refresh) {
+      db.revokedTokens.push(tokenId(body.refresh));
+      const session = db.sessions.find((entry) => entry.id === tokenPayload(body.refresh).sid);
+      if (session && !session.revoked_at) session.revoked_at = timestamp();
+      recordEvent(db, user, 'logout');
+    }
+    return { message: 'Logout successful.' };
+  }),
+
+  post('/auth/logout-all/', ({ db, user }) => {
+    user.tokens_valid_after = Date.now();
+    activeSessions(db, user).forEach((session) => {
+      session.revoked_at = timestamp();
+    });
+    recordEvent(db, user, 'logout_all');
+    return { message: 'Logged out of all sessions.' };
+  }),
+
+  get('/auth/sessions/', ({ db, user, token }) => {
+    const currentId = tokenPayload(token).sid;
+    return orderBy(activeSessions(db, user), '-last_active_at').map((session) => publicSession(session, currentId));
+  }),
+
+  del('/auth/sessions/:id/', ({ params, db, user, token }) => {
+    const session = findOr404(activeSessions(db, user), params.id);
+    if (session.id === tokenPayload(token).sid) {
+      throw badRequest({ detail: 'Use logout to end the current session.' });
+    }
+    session.revoked_at = timestamp();
+    recordEvent(db, user, 'session_revoked');
+    return noContent();
+  }),
+
+  get('/auth/security-events/', ({ query, db, user }) => {
+    const events = db.securityEvents.filter((event) => event.user_id === user.id);
+    return paginate(orderBy(events, '-created_at').map(publicEvent), query, '/auth/security-events/');
+  }),
+
+  post('/auth/verify-email/', ({ db, user }) => {
+    const target = user || db.users[0];
+    target.is_email_verified = true;
+    return { message: 'Email verified successfully. Welcome!' };
+  }, { isPublic: true }),
+
+  post('/auth/resend-verification/', () => ({
+    message: 'If an account exists with this email, a verification link has been sent.'
+  }), { isPublic: true }),
+
+  post('/auth/password-reset/', () => ({
+    message: 'If an account exists with this email, a password reset link has been sent.'
+  }), { isPublic: true }),
+
+  post('/auth/password-reset/confirm/', ({ body, db }) => {
+    const errors = missingFields(body, ['token', 'new_password']);
+    if (errors) throw badRequest(errors);
+    if (body.new_password_confirm !== undefined && body.new_password !== body.new_password_confirm) {
+      throw badRequest({ new_password_confirm: ["Passwords don't match."] });
+    }
+    recordEvent(db, db.users[0], 'password_reset');
+    return { message: 'Password has been reset successfully. You can now log in with your new password.' };
+  }, { isPublic: true }),
+
+  get('/auth/profile/', ({ user }) => publicUser(user)),
+
+  ...[put, patch].map((method) => method('/auth/profile/', ({ body, user }) => {
+    const { id: _id, email: _email, password: _password, is_email_verified: _verified, ...changes } = body;
+    Object.assign(user, changes, { updated_at: timestamp() });
+    return publicUser(user);
+  })),
+
+  put('/auth/change-password/', ({ body, db, user }) => {
+    if (body.old_password !== user.password) {
+      throw badRequest({ old_password: ['Old password is not correct.'] });
+    }
+    const errors = missingFields(body, ['new_password']);
+    if (errors) throw badRequest(errors);
+    user.password = body.new_password;
+    recordEvent(db, user, 'password_changed');
+    return { message: 'Password updated successfully.' };
+  }),
+
+  get('/2fa/status/', ({ db }) => ({
+    enabled: db.twoFactor.enabled,
+    verified: Boolean(db.twoFactor.verified_at),
+    verified_at: db.twoFactor.verified_at,
+    last_used_at: db.twoFactor.last_used_at,
+    backup_codes_remaining: db.twoFactor.backup_codes.length
+  })),
+
+  post('/2fa/setup/', ({ db, user }) => {
+    const secret = Array.from({ length: 16 }, () => 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'[Math.floor(Math.random() * 32)]).join('');
+    Object.assign(db.twoFactor, { secret, backup_codes: createBackupCodes() });
+    return {
+      secret,
+      qr_code: QR_PLACEHOLDER,
+      backup_codes: db.twoFactor.backup_codes,
+      otpauth_url: `otpauth://totp/syncQ:${encodeURIComponent(user.email)}?secret=${secret}&issuer=syncQ`,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code.'
+    };
+  }),
+
+  post('/2fa/confirm/', ({ body, db, user }) => {
+    if (!db.twoFactor.secret) throw badRequest({ error: '2FA setup has not been started' });
+    if (!isTotpCode(body.code)) throw invalidCode();
+    Object.assign(db.twoFactor, { enabled: true, verified_at: timestamp() });
+    recordEvent(db, user, '2fa_enabled');
+    return { message: '2FA has been enabled for your account.', enabled: true };
+  }),
+
+  post('/2fa/verify/', ({ body, db }) => {
+    const method = checkCode(db.twoFactor, body.code);
+    if (!method) throw invalidCode();
+    db.twoFactor.last_used_at = timestamp();
+    return method === 'backup_code'
+      ? { verified: true, method, warning: 'Backup code used. Consider regenerating your backup codes.' }
+      : { verified: true, method };
+  }),
+
+  post('/2fa/disable/', ({ body, db, user }) => {
+    if (body.password !== user.password) throw badRequest({ error: 'Incorrect password' });
+    if (!checkCode(db.twoFactor, body.code)) throw invalidCode();
+    Object.assign(db.twoFactor, { enabled: false, secret: null, backup_codes: [], verified_at: null });
+    recordEvent(db, user, '2fa_disabled');
+    return { message: '2FA has been disabled for your account.', enabled: false };
+  }),
+
+  post('/2fa/backup-codes/regenerate/', ({ body, db }) => {
+    if (!checkCode(db.twoFactor, body.code)) throw invalidCode();
+    db.twoFactor.backup_codes = createBackupCodes();
+    return { backup_codes: db.twoFactor.backup_codes, message: 'Backup codes regenerated. Save these securely.' };
+  })
+];
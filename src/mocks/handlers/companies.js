@@ -0,0 +1,66 @@
+/**
+ * Mock Company Handlers
+ *
+ * @module mocks/handlers/companies
+ */
+
+import {
+  get, post, put, patch, del, created, noContent, badRequest, missingFields, findOr404,
+  orderBy, matchesSearch, matchesFilter, paginate
+} from '../router';
+import { nextId, timestamp } from '../db';
+import { serializeCompany } from '../serializers';
+import { deleteApplications } from './applications';
+
+const updateCompany = ({ params, body, db }) => {
+  const company = findOr404(db.companies, params.id);
+  const { id: _id, created_at: _created, ...changes } = body;
+  Object.assign(company, changes, { updated_at: timestamp() });
+  return serializeCompany(db, company);
+};
+
+export default [
+  get('/companies/', ({ query, db }) => {
+    const companies = db.companies
+      .filter((company) => matchesSearch(company, query.search, ['name', 'industry', 'location']))
+      .filter((company) => matchesFilter(company.size, query.size) && matchesFilter(company.industry, query.industry))
+      .map((company) => serializeCompany(db, company));
+    return paginate(orderBy(companies, query.ordering || 'name'), query, '/companies/');
+  }),
+
+  post('/companies/', ({ body, db }) => {
+    const errors = missingFields(body, ['name']);
+    if (errors) throw badRequest(errors);
+
+    const company = {
+      website: '',
+      industry: '',
+      location: '',
+      size: '',
+      glassdoor_rating: null,
+      notes: '',
+      ...body,
+      id: nextId(db, 'companies'),
+      created_at: timestamp(),
+      updated_at: timestamp()
+    };
+    db.companies.push(company);
+    return created(serializeCompany(db, company));
+  }),
+
+  get('/companies/:id/', ({ params, db }) => serializeCompany(db, findOr404(db.companies, params.id))),
+
+  put('/companies/:id/', updateCompany),
+
+  patch('/companies/:id/', updateCompany),
+
+  del('/companies/:id/', ({ params, db }) => {
+    const company = findOr404(db.companies, params.id);
+    db.companies = db.companies.filter((entry) => entry !== company);
+    // Applications cascade with their company, as they do on the server
+    deleteApplications(db, db.applications
+      .filter((app) => String(app.company) === String(company.id))
+      .map((app) => app.id));
+    return noContent();
+  })
+];
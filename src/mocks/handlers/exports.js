@@ -0,0 +1,76 @@
+/**
+ * Mock Export Handlers
+ * CSV downloads built from the mock data, and the full report as a ZIP.
+ *
+ * @module mocks/handlers/exports
+ */
+
+import { format } from 'date-fns';
+import { get, MockResponse } from '../router';
+import { toCsv, createZip } from '../files';
+import { serializeApplication, serializeCompany, serializeInterview } from '../serializers';
+
+const APPLICATION_COLUMNS = [
+  'id', 'company_name', 'job_title', 'status', 'priority', 'work_type', 'location', 'salary_min', 'salary_max',
+  'source', 'applied_date', 'response_date', 'next_action', 'next_action_date', 'job_url', 'created_at', 'updated_at'
+];
+
+const COMPANY_COLUMNS = ['id', 'name', 'website', 'industry', 'location', 'size', 'glassdoor_rating', 'application_count', 'created_at'];
+
+const INTERVIEW_COLUMNS = [
+  'id', 'company_name', 'job_title', 'round_number', 'interview_type', 'scheduled_at', 'duration_minutes',
+  'status', 'outcome', 'interviewer_names', 'meeting_link', 'meeting_location'
+];
+
+const applicationsCsv = (db, query = {}) => toCsv(
+  db.applications.map((app) => serializeApplication(db, app)).filter((app) => !query.status || app.status === query.status),
+  APPLICATION_COLUMNS
+);
+
+const companiesCsv = (db) => toCsv(db.companies.map((company) => serializeCompany(db, company)), COMPANY_COLUMNS);
+
+const interviewsCsv = (db, query = {}) => toCsv(
+  db.interviews.map((interview) => serializeInterview(db, interview)).filter((interview) => !query.status || interview.status === query.status),
+  INTERVIEW_COLUMNS
+);
+
+const download = (content, filename, type) => new MockResponse(
+  content instanceof Blob ? content : new Blob([content], { type }),
+  { headers: { 'content-type': type, 'content-disposition': `attachment; filename="${filename}"` } }
+);
+
+const stamp = () => format(new Date(), 'yyyyMMdd');
+
+export default [
+  get('/exports/applications/', ({ query, db }) =>
+    download(applicationsCsv(db, query), `applications_${stamp()}.csv`, 'text/csv')),
+
+  get('/exports/companies/', ({ db }) =>
+    download(companiesCsv(db), `companies_${stamp()}.csv`, 'text/csv')),
+
+  get('/exports/interviews/', ({ query, db }) =>
+    download(interviewsCsv(db, query), `interviews_${stamp()}.csv`, 'text/csv')),
+
+  get('/exports/full-report/', ({ db }) => {
+    const counts = db.applications.reduce((result, app) => ({ ...result, [app.status]: (result[app.status] || 0) + 1 }), {});
+    const summary = [
+      'Job Application Report',
+      `Generated: ${new Date().toISOString()}`,
+      '',
+      `Applications: ${db.applications.length}`,
+      `Companies: ${db.companies.length}`,
+      `Interviews: ${db.interviews.length}`,
+      '',
+      'Applications by status:',
+      ...Object.entries(counts).map(([status, count]) => `  ${status}: ${count}`)
+    ].join('\n');
+
+    const zip = createZip([
+      { name: 'applications.csv', content: applicationsCsv(db) },
+      { name: 'companies.csv', content: companiesCsv(db) },
+      { name: 'interviews.csv', content: interviewsCsv(db) },
+      { name: 'summary.txt', content: summary }
+    ]);
+    return download(zip, `job_tracker_report_${stamp()}.zip`, 'application/zip');
+  })
+];
@@ -0,0 +1,141 @@
+/**
+ * Mock Interview Handlers
+ *
+ * @module mocks/handlers/interviews
+ */
+
+import { addDays, endOfDay, startOfDay } from 'date-fns';
+import {
+  get, post, put, patch, del, created, noContent, badRequest, missingFields, findOr404,
+  orderBy, matchesSearch, matchesFilter, paginate
+} from '../router';
+import { nextId, timestamp } from '../db';
+import { serializeInterview } from '../serializers';
+
+const inRange = (interview, from, to) => {
+  const scheduled = new Date(interview.scheduled_at);
+  return (!from || scheduled >= from) && (!to || scheduled <= to);
+};
+
+const listInterviews = (db, filter) =>
+  orderBy(db.interviews.filter(filter).map((interview) => serializeInterview(db, interview)), 'scheduled_at');
+
+const updateInterview = ({ params, body, db }) => {
+  const interview = findOr404(db.interviews, params.id);
+  const { id: _id, created_at: _created, interviewers: _interviewers, ...changes } = body;
+  Object.assign(interview, changes, { updated_at: timestamp() });
+  return serializeInterview(db, interview);
+};
+
+export default [
+  get('/interviews/', ({ query, db }) => {
+    const from = query.from_date ? startOfDay(new Date(query.from_date)) : null;
+    const to = query.to_date ? endOfDay(new Date(query.to_date)) : null;
+    const interviews = db.interviews
+      .map((interview) => serializeInterview(db, interview))
+      .filter((interview) => matchesSearch(interview, query.search, ['job_title', 'company_name', 'interviewer_names']))
+      .filter((interview) =>
+        matchesFilter(interview.status, query.status) &&
+        matchesFilter(interview.outcome, query.outcome) &&
+        matchesFilter(interview.interview_type, query.interview_type) &&
+        matchesFilter(interview.application, query.application || query.application_id) &&
+        inRange(interview, from, to));
+    return paginate(orderBy(interviews, query.ordering || '-scheduled_at'), query, '/interviews/');
+  }),
+
+  post('/interviews/', ({ body, db }) => {
+    const errors = missingFields(body, ['application', 'scheduled_at']) || {};
+    if (body.application && !db.applications.some((app) => String(app.id) === String(body.application))) {
+      errors.application = [`Invalid pk "${body.application}" - object does not exist.`];
+    }
+    if (Object.keys(errors).length) throw badRequest(errors);
+
+    const previousRounds = db.interviews.filter((interview) => String(interview.application) === String(body.application));
+    const interview = {
+      round_number: previousRounds.length + 1,
+      interview_type: 'other',
+      duration_minutes: 60,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      meeting_link: '',
+      meeting_location: '',
+      interviewer_names: '',
+      interviewer_titles: '',
+      status: 'scheduled',
+      outcome: 'pending',
+      preparation_notes: '',
+      post_interview_notes: '',
+      questions_asked: '',
+      ...body,
+      interviewers: [],
+      id: nextId(db, 'interviews'),
+      created_at: timestamp(),
+      updated_at: timestamp()
+    };
+    db.interviews.push(interview);
+    return created(serializeInterview(db, interview));
+  }),
+
+  get('/interviews/upcoming/', ({ query, db }) => {
+    const now = new Date();
+    const until = addDays(now, Number(query.days) || 7);
+    return listInterviews(db, (interview) => interview.status === 'scheduled' && inRange(interview, now, until));
+  }),
+
+  get('/interviews/today/', ({ db }) => {
+    const now = new Date();
+    return listInterviews(db, (interview) => inRange(interview, startOfDay(now), endOfDay(now)));
+  }),
+
+  get('/interviews/calendar/', ({ query, db }) => {
+    const from = query.start_date ? startOfDay(new Date(query.start_date)) : null;
+    const to = query.end_date ? endOfDay(new Date(query.end_date)) : null;
+    return listInterviews(db, (interview) => inRange(interview, from, to));
+  }),
+
+  get('/interviews/:id/', ({ params, db }) => serializeInterview(db, findOr404(db.interviews, params.id))),
+
+  put('/interviews/:id/', updateInterview),
+
+  patch('/interviews/:id/', updateInterview),
+
+  del('/interviews/:id/', ({ params, db }) => {
+    const interview = findOr404(db.interviews, params.id);
+    db.interviews = db.interviews.filter((entry) => entry !== interview);
+    return noContent();
+  }),
+
+  patch('/interviews/:id/outcome/', ({ params, body, db }) => {
+    const interview = findOr404(db.interviews, params.id);
+    const notes = body.post_interview_notes ?? body.notes;
+    Object.assign(interview, {
+      outcome: body.outcome ?? interview.outcome,
+      status: body.status ?? (body.outcome && body.outcome !== 'pending' ? 'completed' : interview.status),
+      updated_at: timestamp()
+    });
+    if (notes !== undefined) {
+      interview.post_interview_notes = notes;
+      interview.outcome_notes = notes;
+    }
+    return serializeInterview(db, interview);
+  }),
+
+  post('/interviews/:id/interviewers/', ({ params, body, db }) => {
+    const interview = findOr404(db.interviews, params.id);
+    const errors = missingFields(body, ['name']);
+    if (errors) throw badRequest(errors);
+    interview.interviewers = [
+      ...(interview.interviewers || []),
+      { id: nextId(db, 'interviewers'), name: body.name, title: body.title || '', email: body.email || '', linkedin_url: body.linkedin_url || '' }
+    ];
+    interview.updated_at = timestamp();
+    return serializeInterview(db, interview);
+  }),
+
+  del('/interviews/:id/interviewers/:interviewerId/', ({ params, db }) => {
+    const interview = findOr404(db.interviews, params.id);
+    findOr404(interview.interviewers || [], params.interviewerId);
+    interview.interviewers = interview.interviewers.filter((entry) => String(entry.id) !== String(params.interviewerId));
+    interview.updated_at = timestamp();
+    return noContent();
+  })
+];
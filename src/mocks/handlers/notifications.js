@@ -0,0 +1,59 @@
+/**
+ * Mock Notification Handlers
+ * Serves the notification center paths the frontend uses, with the
+ * { notifications, pagination } list shape.
+ *
+ * @module mocks/handlers/notifications
+ */
+
+import { get, put, patch, del, noContent, findOr404, orderBy, matchesFilter } from '../router';
+
+const updatePreferences = ({ body, db }) => {
+  Object.assign(db.notificationPreferences, body);
+  return db.notificationPreferences;
+};
+
+export default [
+  get('/notifications/', ({ query, db }) => {
+    const perPage = Number(query.per_page) || 20;
+    const page = Math.max(Number(query.page) || 1, 1);
+    const unreadOnly = query.unread_only === true || query.unread_only === 'true';
+    const notifications = orderBy(db.notifications, '-created_at')
+      .filter((notification) => !unreadOnly || !notification.is_read)
+      .filter((notification) => matchesFilter(notification.type, query.type));
+
+    return {
+      notifications: notifications.slice((page - 1) * perPage, page * perPage),
+      pagination: {
+        page,
+        per_page: perPage,
+        total: notifications.length,
+        pages: Math.max(Math.ceil(notifications.length / perPage), 1)
+      }
+    };
+  }),
+
+  get('/notifications/preferences/', ({ db }) => db.notificationPreferences),
+
+  put('/notifications/preferences/', updatePreferences),
+
+  patch('/notifications/preferences/', updatePreferences),
+
+  put('/notifications/read-all/', ({ db }) => {
+    const unread = db.notifications.filter((notification) => !notification.is_read);
+    unread.forEach((notification) => { notification.is_read = true; });
+    return { message: 'All notifications marked as read.', count: unread.length };
+  }),
+
+  put('/notifications/:id/read/', ({ params, db }) => {
+    const notification = findOr404(db.notifications, params.id);
+    notification.is_read = true;
+    return notification;
+  }),
+
+  del('/notifications/:id/', ({ params, db }) => {
+    const notification = findOr404(db.notifications, params.id);
+    db.notifications = db.notifications.filter((entry) => entry !== notification);
+    return noContent();
+  })
+];
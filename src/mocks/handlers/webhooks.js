@@ -0,0 +1,150 @@
+/**
+ * Mock Webhook Handlers
+ * Endpoints and their delivery log. Nothing is actually sent: test events and
+ * retries are recorded as successful deliveries.
+ *
+ * @module mocks/handlers/webhooks
+ */
+
+import {
+  get, post, put, patch, del, created, noContent, badRequest, missingFields, findOr404,
+  orderBy, matchesFilter, paginate
+} from '../router';
+import { timestamp } from '../db';
+import { serializeWebhook } from '../serializers';
+
+const EVENTS = [
+  { name: 'application.created', description: 'Application Created' },
+  { name: 'application.updated', description: 'Application Updated' },
+  { name: 'application.deleted', description: 'Application Deleted' },
+  { name: 'application.status_changed', description: 'Application Status Changed' },
+  { name: 'interview.created', description: 'Interview Created' },
+  { name: 'interview.updated', description: 'Interview Updated' },
+  { name: 'interview.completed', description: 'Interview Completed' },
+  { name: 'interview.cancelled', description: 'Interview Cancelled' },
+  { name: 'company.created', description: 'Company Created' }
+];
+
+const createSecret = () => `whsec_${crypto.randomUUID().replace(/-/g, '')}`;
+
+const validateWebhook = (body, { partial = false } = {}) => {
+  const errors = partial ? {} : missingFields(body, ['name', 'url']) || {};
+  if (body.url !== undefined && !/^https?:\/\/\S+$/.test(body.url)) {
+    errors.url = ['Enter a valid URL.'];
+  }
+  if (body.events !== undefined) {
+    const unknown = (body.events || []).filter((event) => !EVENTS.some((entry) => entry.name === event));
+    if (!body.events?.length) errors.events = ['Select at least one event.'];
+    else if (unknown.length) errors.events = [`"${unknown[0]}" is not a valid choice.`];
+  }
+  if (Object.keys(errors).length) throw badRequest(errors);
+};
+
+const updateWebhook = ({ params, body, db }) => {
+  const webhook = findOr404(db.webhooks, params.id);
+  validateWebhook(body, { partial: true });
+  const { id: _id, secret: _secret, created_at: _created, delivery_stats: _stats, ...changes } = body;
+  Object.assign(webhook, changes, { updated_at: timestamp() });
+  return serializeWebhook(db, webhook);
+};
+
+const recordDelivery = (db, webhook, event, data) => {
+  const now = timestamp();
+  const delivery = {
+    id: crypto.randomUUID(),
+    endpoint: webhook.id,
+    endpoint_name: webhook.name,
+    event,
+    payload: { event, timestamp: now, data },
+    status: 'success',
+    attempt_count: 1,
+    max_attempts: 3,
+    response_status_code: 200,
+    error_message: '',
+    created_at: now,
+    delivered_at: now
+  };
+  db.deliveries.push(delivery);
+  webhook.last_success_at = now;
+  return delivery;
+};
+
+export default [
+  get('/webhooks/endpoints/', ({ query, db }) =>
+    paginate(orderBy(db.webhooks, '-created_at').map((webhook) => serializeWebhook(db, webhook)), query, '/webhooks/endpoints/')),
+
+  post('/webhooks/endpoints/', ({ body, db }) => {
+    validateWebhook(body);
+    const webhook = {
+      name: body.name,
+      url: body.url,
+      events: body.events || [],
+      is_active: body.is_active ?? true,
+      id: crypto.randomUUID(),
+      secret: createSecret(),
+      failure_count: 0,
+      last_failure_at: null,
+      last_success_at: null,
+      created_at: timestamp(),
+      updated_at: timestamp()
+    };
+    db.webhooks.push(webhook);
+    return created(serializeWebhook(db, webhook));
+  }),
+
+  get('/webhooks/endpoints/events/', () => ({ events: EVENTS })),
+
+  get('/webhooks/endpoints/:id/', ({ params, db }) => serializeWebhook(db, findOr404(db.webhooks, params.id))),
+
+  put('/webhooks/endpoints/:id/', updateWebhook),
+
+  patch('/webhooks/endpoints/:id/', updateWebhook),
+
+  del('/webhooks/endpoints/:id/', ({ params, db }) => {
+    const webhook = findOr404(db.webhooks, params.id);
+    db.webhooks = db.webhooks.filter((entry) => entry !== webhook);
+    db.deliveries = db.deliveries.filter((delivery) => delivery.endpoint !== webhook.id);
+    return noContent();
+  }),
+
+  post('/webhooks/endpoints/:id/test/', ({ params, body, db }) => {
+    const webhook = findOr404(db.webhooks, params.id);
+    const event = body.event || webhook.events[0] || 'application.created';
+    const delivery = recordDelivery(db, webhook, event, { test: true, message: 'This is a test event from syncQ.' });
+    return { message: 'Test webhook sent', delivery_id: delivery.id, status: delivery.status };
+  }),
+
+  post('/webhooks/endpoints/:id/regenerate_secret/', ({ params, db }) => {
+    const webhook = findOr404(db.webhooks, params.id);
+    webhook.secret = createSecret();
+    webhook.updated_at = timestamp();
+    return { message: 'Secret regenerated successfully', secret: webhook.secret };
+  }),
+
+  get('/webhooks/deliveries/', ({ query, db }) => {
+    const deliveries = db.deliveries.filter((delivery) =>
+      matchesFilter(delivery.endpoint, query.endpoint) &&
+      matchesFilter(delivery.status, query.status) &&
+      matchesFilter(delivery.event, query.event));
+    return paginate(orderBy(deliveries, '-created_at'), query, '/webhooks/deliveries/');
+  }),
+
+  get('/webhooks/deliveries/:id/', ({ params, db }) => findOr404(db.deliveries, params.id)),
+
+  post('/webhooks/deliveries/:id/retry/', ({ params, db }) => {
+    const delivery = findOr404(db.deliveries, params.id);
+    if (delivery.status === 'success') throw badRequest({ error: 'Cannot retry successful delivery' });
+
+    const now = timestamp();
+    Object.assign(delivery, {
+      status: 'success',
+      attempt_count: delivery.attempt_count + 1,
+      response_status_code: 200,
+      error_message: '',
+      delivered_at: now
+    });
+    const webhook = db.webhooks.find((entry) => entry.id === delivery.endpoint);
+    if (webhook) webhook.last_success_at = now;
+    return { message: 'Webhook queued for retry', delivery_id: delivery.id };
+  })
+];
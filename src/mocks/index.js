@@ -0,0 +1,202 @@
+/**
+ * Mock API
+ * An axios adapter that answers API requests in the browser from a local,
+ * IndexedDB-backed database, so the app runs without the Django backend.
+ * Enabled with VITE_MOCK_API=true; see services/api.
+ *
+ * In the console, `mockApi.reset()` restores the demo data (optionally
+ * `mockApi.reset({ seed: 7 })` for a different set), `mockApi.export()`
+ * returns a snapshot and `mockApi.load(snapshot)` restores one.
+ *
+ * @module mocks
+ */
+
+import axios, { AxiosError, CanceledError } from 'axios';
+import { clearQueryCache } from '@/services/queryClient';
+import { loadDb, saveDb, resetDb, exportDb } from './db';
+import { matchRoute, MockResponse, MockHttpError } from './router';
+import authRoutes, { getUserFromToken } from './handlers/auth';
+import companyRoutes from './handlers/companies';
+import applicationRoutes from './handlers/applications';
+import interviewRoutes from './handlers/interviews';
+import analyticsRoutes from './handlers/analytics';
+import aiRoutes from './handlers/ai';
+import webhookRoutes from './handlers/webhooks';
+import exportRoutes from './handlers/exports';
+import notificationRoutes from './handlers/notifications';
+
+const routes = [
+  ...authRoutes,
+  ...companyRoutes,
+  ...applicationRoutes,
+  ...interviewRoutes,
+  ...analyticsRoutes,
+  ...aiRoutes,
+  ...webhookRoutes,
+  ...exportRoutes,
+  ...notificationRoutes
+];
+
+const API_PATH = new URL(import.meta.env.VITE_API_URL || 'http://localhost:8000/api/v1', window.location.origin)
+  .pathname.replace(/\/+$/, '');
+
+// Simulated network latency, so loading states are visible
+const MIN_DELAY_MS = 150;
+const MAX_DELAY_MS = 400;
+
+const STATUS_TEXT = {
+  200: 'OK', 201: 'Created', 202: 'Accepted', 204: 'No Content', 400: 'Bad Request', 401: 'Unauthorized',
+  403: 'Forbidden', 404: 'Not Found', 429: 'Too Many Requests', 500: 'Internal Server Error'
+};
+
+// ============================================
+// REQUEST PARSING
+// ============================================
+
+const parseUrl = (config) => {
+  const url = new URL(axios.getUri(config), window.location.origin);
+  const path = url.pathname.startsWith(API_PATH) ? url.pathname.slice(API_PATH.length) : url.pathname;
+  return { path: path || '/', query: Object.fromEntries(url.searchParams) };
+};
+
+const parseBody = (data) => {
+  if (data instanceof FormData) return Object.fromEntries(data);
+  if (typeof data === 'string') {
+    try {
+      return JSON.parse(data);
+    } catch {
+      return {};
+    }
+  }
+  return data || {};
+};
+
+const getBearerToken = (config) => {
+  const header = config.headers?.get?.('Authorization') ?? config.headers?.Authorization;
+  return typeof header === 'string' && header.startsWith('Bearer ') ? header.slice(7) : null;
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Reject the way the real adapters do when the request's AbortSignal fires
+const throwIfAborted = (config) => {
+  if (config.signal?.aborted) throw new CanceledError(null, config);
+};
+
+/**
+ * Wait out the simulated latency, reporting upload progress along the way for multipart bodies
+ */
+const simulateTransfer = async (config) => {
+  const delay = MIN_DELAY_MS + Math.random() * (MAX_DELAY_MS - MIN_DELAY_MS);
+  if (!(config.data instanceof FormData) || !config.onUploadProgress) {
+    await wait(delay);
+    throwIfAborted(config);
+    return;
+  }
+
+  const total = [...config.data.values()].reduce((size, value) => size + (value instanceof Blob ? value.size : String(value).length), 0);
+  const steps = 5;
+  for (let step = 1; step <= steps; step++) {
+    await wait(delay / steps);
+    throwIfAborted(config);
+    config.onUploadProgress({ loaded: Math.round((total * step) / steps), total, progress: step / steps });
+  }
+};
+
+// ============================================
+// ADAPTER
+// ============================================
+
+const handle = async (config) => {
+  const method = (config.method || 'get').toLowerCase();
+  const { path, query } = parseUrl(config);
+  const match = matchRoute(routes, method, path);
+  if (!match) {
+    console.warn(`Mock API: no handler for ${method.toUpperCase()} ${path}`);
+    throw new MockHttpError(404, { detail: 'Not found.' });
+  }
+
+  const db = await loadDb();
+  const token = getBearerToken(config);
+  const user = token ? getUserFromToken(db, token) : null;
+  if (!user && !match.route.isPublic) {
+    throw new MockHttpError(401, token
+      ? { detail: 'Given token not valid for any token type', code: 'token_not_valid' }
+      : { detail: 'Authentication credentials were not provided.' });
+  }
+
+  const result = await match.route.handler({ params: match.params, query, body: parseBody(config.data), db, user, token, config });
+  if (method !== 'get') await saveDb();
+  return result instanceof MockResponse ? result : new MockResponse(result);
+};
+
+/**
+ * axios adapter serving requests from the mock database
+ * @param {Object} config - axios request config
+ * @returns {Promise<Object>} axios response
+ */
+export default async function mockAdapter(config) {
+  await simulateTransfer(config);
+
+  // Behave like an unreachable server while offline, so offline handling can be tried out
+  if (!navigator.onLine) {
+    throw new AxiosError('Network Error', AxiosError.ERR_NETWORK, config, {});
+  }
+
+  let result;
+  try {
+    result = await handle(config);
+  } catch (error) {
+    if (!(error instanceof MockHttpError)) {
+      console.error('Mock API: handler failed', error);
+    }
+    result = error instanceof MockHttpError
+      ? new MockResponse(error.data, { status: error.status, headers: error.headers })
+      : new MockResponse({ detail: 'Internal server error.' }, { status: 500 });
+  }
+
+  const response = {
+    data: result.data instanceof Blob ? result.data : structuredClone(result.data),
+    status: result.status,
+    statusText: STATUS_TEXT[result.status] || '',
+    headers: { 'content-type': 'application/json', ...result.headers },
+    config,
+    request: {}
+  };
+
+  const validateStatus = config.validateStatus || ((status) => status >= 200 && status < 300);
+  if (!validateStatus(response.status)) {
+    throw new AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status < 500 ? AxiosError.ERR_BAD_REQUEST : AxiosError.ERR_BAD_RESPONSE,
+      config,
+      response.request,
+      response
+    );
+  }
+  return response;
+}
+
+// ============================================
+// CONSOLE HELPERS
+// ============================================
+
+const reload = async () => {
+  await clearQueryCache();
+  window.location.reload();
+};
+
+window.mockApi = {
+  reset: async (options) => {
+    await resetDb(options);
+    await reload();
+  },
+  load: async (data) => {
+    await resetDb({ data });
+    await reload();
+  },
+  export: async () => {
+    await loadDb();
+    return exportDb();
+  }
+};
@@ -0,0 +1,189 @@
+/**
+ * Mock Router
+ * Route table helpers and response utilities shared by the mock API handlers.
+ *
+ * @module mocks/router
+ */
+
+// ============================================
+// RESPONSES
+// ============================================
+
+/**
+ * A response with an explicit status or headers; handlers may also return plain data for a 200
+ */
+export class MockResponse {
+  constructor(data, { status = 200, headers = {} } = {}) {
+    this.data = data;
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Thrown by handlers to answer with an error status, shaped like the Django API's errors
+ */
+export class MockHttpError extends Error {
+  constructor(status, data, { headers = {} } = {}) {
+    super(data?.detail || data?.error || `Request failed with status code ${status}`);
+    this.status = status;
+    this.data = data;
+    this.headers = headers;
+  }
+}
+
+export const created = (data) => new MockResponse(data, { status: 201 });
+
+export const accepted = (data) => new MockResponse(data, { status: 202 });
+
+export const noContent = () => new MockResponse('', { status: 204 });
+
+export const notFound = () => new MockHttpError(404, { detail: 'Not found.' });
+
+export const badRequest = (data) => new MockHttpError(400, data);
+
+/**
+ * Field errors for missing required values, or null when all are present
+ * @param {Object} body
+ * @param {string[]} fields
+ * @returns {Object|null}
+ */
+export const missingFields = (body, fields) => {
+  const errors = {};
+  fields.forEach((field) => {
+    if (body[field] === undefined || body[field] === null || body[field] === '') {
+      errors[field] = ['This field is required.'];
+    }
+  });
+  return Object.keys(errors).length ? errors : null;
+};
+
+/**
+ * @param {Array<Object>} items
+ * @param {number|string} id
+ * @returns {Object} The matching item
+ * @throws {MockHttpError} 404 when missing
+ */
+export const findOr404 = (items, id) => {
+  const item = items.find((entry) => String(entry.id) === String(id));
+  if (!item) throw notFound();
+  return item;
+};
+
+// ============================================
+// LIST HELPERS
+// ============================================
+
+/**
+ * Sort by a DRF-style ordering param, e.g. "-applied_date"
+ * @param {Array<Object>} items
+ * @param {string} [ordering]
+ * @returns {Array<Object>} A sorted copy
+ */
+export const orderBy = (items, ordering) => {
+  if (!ordering) return items;
+  const desc = ordering.startsWith('-');
+  const field = desc ? ordering.slice(1) : ordering;
+  return [...items].sort((a, b) => {
+    const left = a[field] ?? '';
+    const right = b[field] ?? '';
+    const result = typeof left === 'number' && typeof right === 'number'
+      ? left - right
+      : String(left).localeCompare(String(right));
+    return desc ? -result : result;
+  });
+};
+
+/**
+ * Case-insensitive match of `term` against any of the given fields
+ * @param {Object} item
+ * @param {string} [term]
+ * @param {string[]} fields
+ * @returns {boolean}
+ */
+export const matchesSearch = (item, term, fields) => {
+  if (!term) return true;
+  const needle = term.toLowerCase();
+  return fields.some((field) => String(item[field] ?? '').toLowerCase().includes(needle));
+};
+
+/**
+ * Whether a value passes a filter that may list several comma-separated options
+ * @param {*} value
+ * @param {string} [filter]
+ * @returns {boolean}
+ */
+export const matchesFilter = (value, filter) =>
+  !filter || String(filter).split(',').includes(String(value));
+
+/**
+ * DRF page-number pagination
+ * @param {Array<Object>} items
+ * @param {Object} query - Request query params (page, page_size)
+ * @param {string} path - Request path, used for next/previous links
+ * @returns {{count: number, next: string|null, previous: string|null, results: Array<Object>}}
+ */
+export const paginate = (items, query, path) => {
+  const pageSize = Math.max(Number(query.page_size || query.per_page) || 20, 1);
+  const page = Math.max(Number(query.page) || 1, 1);
+  const start = (page - 1) * pageSize;
+  const link = (target) => `${path}?${new URLSearchParams({ ...query, page: String(target) })}`;
+
+  return {
+    count: items.length,
+    next: start + pageSize < items.length ? link(page + 1) : null,
+    previous: page > 1 ? link(page - 1) : null,
+    results: items.slice(start, start + pageSize)
+  };
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * @typedef {Object} MockRoute
+ * @property {string} method
+ * @property {RegExp} pattern
+ * @property {string[]} keys - Names of the path params
+ * @property {function} handler - ({ params, query, body, db, user, config }) => data | MockResponse
+ * @property {boolean} isPublic - Reachable without an access token
+ */
+
+// Paths compare without their trailing slash, as the API is inconsistent about it
+export const normalizePath = (path) => path.replace(/\/+$/, '') || '/';
+
+const createRoute = (method) => (path, handler, { isPublic = false } = {}) => {
+  const keys = [];
+  const source = normalizePath(path).replace(/:(\w+)/g, (_, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  return { method, pattern: new RegExp(`^${source}$`), keys, handler, isPublic };
+};
+
+export const get = createRoute('get');
+export const post = createRoute('post');
+export const put = createRoute('put');
+export const patch = createRoute('patch');
+export const del = createRoute('delete');
+
+/**
+ * Find the route for a request
+ * @param {MockRoute[]} routes
+ * @param {string} method
+ * @param {string} path
+ * @returns {{route: MockRoute, params: Object}|null}
+ */
+export const matchRoute = (routes, method, path) => {
+  const normalized = normalizePath(path);
+  for (const route of routes) {
+    if (route.method !== method) continue;
+    const match = route.pattern.exec(normalized);
+    if (match) {
+      const params = Object.fromEntries(route.keys.map((key, index) => [key, decodeURIComponent(match[index + 1])]));
+      return { route, params };
+    }
+  }
+  return null;
+};
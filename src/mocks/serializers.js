@@ -0,0 +1,86 @@
+/**
+ * Mock Serializers
+ * Turn stored records into the shapes the API returns, adding the computed
+ * fields its serializers provide (counts, names of related records, etc.).
+ *
+ * @module mocks/serializers
+ */
+
+import { differenceInCalendarDays, isToday } from 'date-fns';
+import { getFileUrl, formatSize } from './files';
+
+const ACTIVE_STATUSES = ['applied', 'screening', 'interviewing', 'offer'];
+
+export const isActiveApplication = (application) => ACTIVE_STATUSES.includes(application.status);
+
+export const serializeCompany = (db, company) => ({
+  ...company,
+  application_count: db.applications.filter((app) => String(app.company) === String(company.id)).length
+});
+
+export const serializeApplication = (db, application, { detail = false } = {}) => {
+  const company = db.companies.find((entry) => String(entry.id) === String(application.company));
+  const notes = db.notes.filter((note) => String(note.application) === String(application.id));
+  const data = {
+    ...application,
+    company_name: company?.name || application.company_name || '',
+    days_since_applied: application.applied_date
+      ? differenceInCalendarDays(new Date(), new Date(application.applied_date))
+      : null,
+    has_response: Boolean(application.response_date),
+    notes_count: notes.length,
+    interviews_count: db.interviews.filter((interview) => String(interview.application) === String(application.id)).length
+  };
+
+  if (detail) {
+    data.company_details = company ? serializeCompany(db, company) : null;
+    data.notes = [...notes].sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+  return data;
+};
+
+export const serializeInterview = (db, interview) => {
+  const application = db.applications.find((app) => String(app.id) === String(interview.application));
+  const company = application && db.companies.find((entry) => String(entry.id) === String(application.company));
+  const scheduled = new Date(interview.scheduled_at);
+  return {
+    ...interview,
+    company_name: company?.name || application?.company_name || '',
+    job_title: application?.job_title || '',
+    is_upcoming: interview.status === 'scheduled' && scheduled > new Date(),
+    is_today: isToday(scheduled)
+  };
+};
+
+export const serializeResume = (resume) => {
+  const { file, ...data } = resume;
+  return {
+    ...data,
+    file_url: getFileUrl(`resume:${resume.id}`, file, resume.version_name),
+    file_size_display: formatSize(resume.file_size),
+    cloudinary_public_id: `resumes/mock/${resume.id}`
+  };
+};
+
+export const serializeAttachment = (attachment) => {
+  const { file, ...data } = attachment;
+  return {
+    ...data,
+    file_url: getFileUrl(`attachment:${attachment.id}`, file, attachment.label),
+    file_size_display: formatSize(attachment.file_size)
+  };
+};
+
+export const serializeWebhook = (db, webhook) => {
+  const since = Date.now() - 24 * 60 * 60 * 1000;
+  const recent = db.deliveries.filter((delivery) =>
+    delivery.endpoint === webhook.id && new Date(delivery.created_at).getTime() > since);
+  return {
+    ...webhook,
+    delivery_stats: {
+      total_24h: recent.length,
+      successful_24h: recent.filter((delivery) => delivery.status === 'success').length,
+      failed_24h: recent.filter((delivery) => delivery.status === 'failed').length
+    }
+  };
+};
@@ -3,7 +3,7 @@ import { useQuery } from '@tanstack/react-query'
 import useAuthStore from '@/stores/useAuthStore'
 import { analyticsService } from '@/services/analyticsService'
 import { applicationService } from '@/services/applicationService'
-import { interviewService } from '@/services/interviewService'
+import { interviewService, getInterviewTypeConfig } from '@/services/interviewService'
 import { Link } from 'react-router-dom'
 import {
     Briefcase, Calendar, Trophy, ArrowRight, Clock, Building,
@@ -60,7 +60,7 @@ const Dashboard = () => {
 
     const { data: weeklyData } = useQuery({
         queryKey: ['analytics', 'weekly'],
-        queryFn: () => analyticsService.getWeeklyActivity({ weeks: 8 }),
+        queryFn: ({ signal }) => analyticsService.getWeeklyActivity({ weeks: 8 }, { signal }),
         staleTime: 1000 * 60 * 5
     })
 
@@ -72,19 +72,19 @@ const Dashboard = () => {
 
     const { data: topCompaniesData } = useQuery({
         queryKey: ['analytics', 'top-companies'],
-        queryFn: () => analyticsService.getTopCompanies({ limit: 5 }),
+        queryFn: ({ signal }) => analyticsService.getTopCompanies({ limit: 5 }, { signal }),
         staleTime: 1000 * 60 * 5
     })
 
     // Fetch recent applications & interviews for quick lists
     const { data: appData, isLoading: appsLoading } = useQuery({
         queryKey: ['applications', 'dashboard'],
-        queryFn: () => applicationService.getApplications({ page_size: 5, ordering: '-created_at' }),
+        queryFn: ({ signal }) => applicationService.getApplications({ page_size: 5, ordering: '-created_at' }, { signal }),
     })
 
     const { data: interviewData, isLoading: interviewsLoading } = useQuery({
         queryKey: ['interviews', 'dashboard'],
-        queryFn: () => interviewService.getInterviews({ page_size: 5, ordering: 'scheduled_at' }),
+        queryFn: ({ signal }) => interviewService.getInterviews({ page_size: 5, ordering: 'scheduled_at' }, { signal }),
     })
 
     const applications = appData?.results || []
@@ -489,8 +489,8 @@ const Dashboard = () => {
                                                     {interview.company_name}
                                                 </div>
                                                 <div className="flex flex-wrap items-center gap-3 text-sm text-slate-500 mt-1">
-                                                    <span className="capitalize font-medium">
-                                                        {interview.interview_type.replace('_', ' ')}
+                                                    <span className="font-medium">
+                                                        {getInterviewTypeConfig(interview.interview_type).label}
                                                     </span>
                                                     <span className="text-slate-300">•</span>
                                                     <span className="flex items-center gap-1.5">
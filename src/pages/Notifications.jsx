@@ -197,7 +197,7 @@ export default function Notifications() {
   // Fetch notifications
   const { data, isLoading, isError, refetch } = useQuery({
     queryKey: ['notifications', 'list', queryParams],
-    queryFn: () => getNotifications(queryParams),
+    queryFn: ({ signal }) => getNotifications(queryParams, { signal }),
   });
 
   // Mark as read mutation
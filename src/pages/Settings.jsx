@@ -11,9 +11,13 @@ import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import useAuthStore from '@/stores/useAuthStore';
+import useSessionLockStore from '@/stores/useSessionLockStore';
 import { authService } from '@/services/authService';
+import { LOCK_AFTER_OPTIONS, SIGN_OUT_AFTER_OPTIONS } from '@/services/sessionLock';
 import { getPreferences, updatePreferences, REMINDER_TIMES } from '@/services/notificationService';
+import { PREFERRED_WORK_TYPE } from '@/schemas/domain';
 import { useToast } from '@/hooks/useToast';
+import { useServerErrors } from '@/hooks/useServerErrors';
 import { 
   User, Lock, Mail, Save, Bell, Settings as SettingsIcon, 
   Loader2, Check, Globe, Palette, Clock, Shield
@@ -24,7 +28,11 @@ import Input from '@/components/ui/Input';
 import Button from '@/components/ui/Button';
 import Select from '@/components/ui/Select';
 import Skeleton from '@/components/ui/Skeleton';
+import FormErrorBanner from '@/components/ui/FormErrorBanner';
 import TwoFactorSetup from './settings/TwoFactorSetup';
+import ActiveSessions from './settings/ActiveSessions';
+import SecurityLog from './settings/SecurityLog';
+import { FEATURES } from '@/services/features';
 
 /**
  * Toggle switch component
@@ -79,12 +87,12 @@ const ProfileForm = () => {
     desired_role: z.string().optional(),
     desired_salary_min: z.coerce.number().optional(),
     desired_salary_max: z.coerce.number().optional(),
-    preferred_work_type: z.enum(['remote', 'hybrid', 'onsite', 'any']).default('any'),
+    preferred_work_type: PREFERRED_WORK_TYPE.schema.default('any'),
     portfolio_url: z.string().url().optional().or(z.literal('')),
     linkedin_url: z.string().url().optional().or(z.literal('')),
   });
 
-  const { register, handleSubmit, formState: { errors } } = useForm({
+  const { register, handleSubmit, setError, formState: { errors } } = useForm({
     resolver: zodResolver(schema),
     defaultValues: {
       first_name: user?.first_name || '',
@@ -98,6 +106,10 @@ const ProfileForm = () => {
       linkedin_url: user?.linkedin_url || '',
     }
   });
+  const { formError, handleServerError, clearServerError } = useServerErrors({
+    setError,
+    fields: Object.keys(schema.shape)
+  });
 
   const mutation = useMutation({
     mutationFn: (data) => authService.updateProfile({
@@ -109,11 +121,16 @@ const ProfileForm = () => {
       setUser(updatedUser);
       toast({ title: 'Profile updated successfully', variant: 'success' });
     },
-    onError: () => toast({ title: 'Failed to update profile', variant: 'error' })
+    onError: handleServerError
   });
 
+  const onSubmit = (data) => {
+    clearServerError();
+    mutation.mutate(data);
+  };
+
   return (
-    <form onSubmit={handleSubmit((data) => mutation.mutate(data))} className="space-y-6">
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
       {/* Basic Info */}
       <div>
         <h3 className="text-sm font-semibold text-slate-500 uppercase tracking-wider mb-4">
@@ -157,12 +174,7 @@ const ProfileForm = () => {
             label="Work Preference"
             error={errors.preferred_work_type?.message}
             {...register('preferred_work_type')}
-            options={[
-              { value: 'remote', label: 'Remote' },
-              { value: 'hybrid', label: 'Hybrid' },
-              { value: 'onsite', label: 'On-site' },
-              { value: 'any', label: 'Any' },
-            ]}
+            options={PREFERRED_WORK_TYPE.options}
           />
         </div>
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
@@ -204,6 +216,8 @@ const ProfileForm = () => {
         </div>
       </div>
 
+      <FormErrorBanner error={formError} />
+
       <div className="flex justify-end pt-4">
         <Button type="submit" disabled={mutation.isPending}>
           {mutation.isPending ? (
@@ -228,7 +242,7 @@ const ProfileForm = () => {
  */
 const PasswordForm = () => {
   const { toast } = useToast();
-  const { register, handleSubmit, reset, formState: { errors } } = useForm({
+  const { register, handleSubmit, reset, setError, formState: { errors } } = useForm({
     resolver: zodResolver(z.object({
       old_password: z.string().min(1, 'Current password is required'),
       new_password: z.string().min(8, 'Password must be at least 8 characters'),
@@ -238,6 +252,10 @@ const PasswordForm = () => {
       path: ["confirm_password"],
     }))
   });
+  const { formError, handleServerError, clearServerError } = useServerErrors({
+    setError,
+    fields: ['old_password', 'new_password', 'confirm_password']
+  });
 
   const mutation = useMutation({
     mutationFn: (data) => authService.changePassword({
@@ -248,17 +266,16 @@ const PasswordForm = () => {
       toast({ title: 'Password changed successfully', variant: 'success' });
       reset();
     },
-    onError: (err) => {
-      toast({ 
-        title: 'Failed to change password',
-        description: err.response?.data?.detail || 'Check your current password',
-        variant: 'error' 
-      });
-    }
+    onError: handleServerError
   });
 
+  const onSubmit = (data) => {
+    clearServerError();
+    mutation.mutate(data);
+  };
+
   return (
-    <form onSubmit={handleSubmit((data) => mutation.mutate(data))} className="space-y-4 max-w-md">
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4 max-w-md">
       <Input
         label="Current Password"
         type="password"
@@ -278,6 +295,8 @@ const PasswordForm = () => {
         {...register('confirm_password')}
       />
 
+      <FormErrorBanner error={formError} />
+
       <div className="pt-4">
         <Button type="submit" disabled={mutation.isPending}>
           {mutation.isPending ? (
@@ -295,7 +314,45 @@ const PasswordForm = () => {
 };
 
 /**
- * Security settings section (Password + 2FA)
+ * Idle lock timing, stored on this device
+ */
+const AutomaticLockSettings = () => {
+  const lockAfterMinutes = useSessionLockStore((state) => state.lockAfterMinutes);
+  const signOutAfterMinutes = useSessionLockStore((state) => state.signOutAfterMinutes);
+  const setLockAfterMinutes = useSessionLockStore((state) => state.setLockAfterMinutes);
+  const setSignOutAfterMinutes = useSessionLockStore((state) => state.setSignOutAfterMinutes);
+
+  return (
+    <div className="grid sm:grid-cols-2 gap-4 max-w-xl">
+      <div>
+        <Select
+          label="Lock Screen"
+          value={String(lockAfterMinutes)}
+          onChange={(e) => setLockAfterMinutes(Number(e.target.value))}
+          options={LOCK_AFTER_OPTIONS}
+        />
+        <p className="text-xs text-slate-500 mt-2">
+          Idle time before syncQ asks for your password or a 2FA code
+        </p>
+      </div>
+      <div>
+        <Select
+          label="Sign Out When Locked For"
+          value={String(signOutAfterMinutes)}
+          onChange={(e) => setSignOutAfterMinutes(Number(e.target.value))}
+          options={SIGN_OUT_AFTER_OPTIONS}
+          disabled={!lockAfterMinutes}
+        />
+        <p className="text-xs text-slate-500 mt-2">
+          Unsaved changes are lost once you're signed out
+        </p>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Security settings section (Password + 2FA + automatic lock + sessions + log)
  */
 const SecuritySection = () => {
   return (
@@ -315,6 +372,18 @@ const SecuritySection = () => {
         </h3>
         <TwoFactorSetup />
       </div>
+
+      {/* Automatic Lock Section */}
+      <div className="pt-6 border-t border-slate-200">
+        <h3 className="text-sm font-semibold text-slate-500 uppercase tracking-wider mb-4">
+          Automatic Lock
+        </h3>
+        <AutomaticLockSettings />
+      </div>
+
+      {/* Active Sessions and Security Log Sections (proposed endpoints, see services/features) */}
+      {(FEATURES.sessions || FEATURES.logoutEverywhere) && <ActiveSessions />}
+      {FEATURES.sessions && <SecurityLog />}
     </div>
   );
 };
@@ -447,7 +516,7 @@ const Settings = () => {
 
   const tabs = [
     { id: 'profile', label: 'Profile', icon: User, description: 'Personal information' },
-    { id: 'security', label: 'Security', icon: Shield, description: 'Password & 2FA' },
+    { id: 'security', label: 'Security', icon: Shield, description: 'Password, 2FA & sessions' },
     { id: 'notifications', label: 'Notifications', icon: Bell, description: 'Email & alerts' },
   ];
 
@@ -31,7 +31,7 @@ import {
   rateHistoryItem,
   deleteHistoryItem,
   getFavorites,
-  CONTENT_TYPES
+  getContentTypeConfig
 } from '@/services/aiService';
 
 /**
@@ -40,24 +40,30 @@ import {
 const CONTENT_TYPE_CONFIG = {
   cover_letter: {
     icon: FileText,
-    label: 'Cover Letter',
     color: 'bg-teal-100 text-teal-700 border-teal-200',
     gradient: 'from-teal-500 to-emerald-500'
   },
   job_match: {
     icon: Target,
-    label: 'Job Match',
     color: 'bg-violet-100 text-violet-700 border-violet-200',
     gradient: 'from-violet-500 to-purple-500'
   },
   interview_questions: {
     icon: HelpCircle,
-    label: 'Interview Questions',
     color: 'bg-orange-100 text-orange-700 border-orange-200',
     gradient: 'from-orange-500 to-amber-500'
   }
 };
 
+/**
+ * Styling and label for a history item's content type
+ * Labels come from the shared definitions, so unknown types keep their own name.
+ */
+const getDisplayConfig = (contentType) => {
+  const { value, label } = getContentTypeConfig(contentType);
+  return { ...(CONTENT_TYPE_CONFIG[value] || CONTENT_TYPE_CONFIG.cover_letter), label };
+};
+
 /**
  * Star rating component
  */
@@ -94,7 +100,7 @@ function StarRating({ rating, onRate, size = 16 }) {
  */
 function HistoryCard({ item, onView, onToggleFavorite, onRate, onDelete }) {
   const [copied, setCopied] = useState(false);
-  const config = CONTENT_TYPE_CONFIG[item.content_type] || CONTENT_TYPE_CONFIG.cover_letter;
+  const config = getDisplayConfig(item.content_type);
   const Icon = config.icon;
 
   const handleCopy = async (e) => {
@@ -222,7 +228,7 @@ function DetailModal({ item, isOpen, onClose }) {
 
   if (!item) return null;
 
-  const config = CONTENT_TYPE_CONFIG[item.content_type] || CONTENT_TYPE_CONFIG.cover_letter;
+  const config = getDisplayConfig(item.content_type);
   const Icon = config.icon;
 
   const handleCopy = async () => {
@@ -338,9 +344,9 @@ export default function AIHistory() {
   // Fetch history
   const { data, isLoading, isError, refetch } = useQuery({
     queryKey: ['ai-history', filter, showFavorites],
-    queryFn: () => showFavorites 
-      ? getFavorites() 
-      : getHistory({ content_type: filter !== 'all' ? filter : undefined }),
+    queryFn: ({ signal }) => showFavorites
+      ? getFavorites({ signal })
+      : getHistory({ content_type: filter !== 'all' ? filter : undefined }, { signal }),
     retry: 1
   });
 
@@ -568,7 +574,7 @@ export default function AIHistory() {
         onClose={() => setDeletingItem(null)}
         onConfirm={() => deleteMutation.mutate(deletingItem?.id)}
         title="Delete AI Generation"
-        message={`Are you sure you want to delete this ${CONTENT_TYPE_CONFIG[deletingItem?.content_type]?.label || 'item'}? This action cannot be undone.`}
+        message={`Are you sure you want to delete this ${deletingItem ? getDisplayConfig(deletingItem.content_type).label : 'item'}? This action cannot be undone.`}
         confirmText="Delete"
         confirmVariant="danger"
         isLoading={deleteMutation.isPending}
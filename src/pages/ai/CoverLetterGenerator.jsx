@@ -23,9 +23,12 @@ import Button from '@/components/ui/Button';
 import Input from '@/components/ui/Input';
 import Textarea from '@/components/ui/Textarea';
 import Card from '@/components/ui/Card';
+import FormErrorBanner from '@/components/ui/FormErrorBanner';
 import Select from '@/components/ui/Select';
 import Skeleton from '@/components/ui/Skeleton';
 import { useToast } from '@/hooks/useToast';
+import { useServerErrors } from '@/hooks/useServerErrors';
+import AIBudgetIndicator from '@/components/domain/AIBudgetIndicator';
 import {
   generateCoverLetter,
   COVER_LETTER_TONES,
@@ -171,7 +174,7 @@ export default function CoverLetterGenerator() {
   // Fetch applications for dropdown
   const { data: applicationsData } = useQuery({
     queryKey: ['applications', { limit: 100 }],
-    queryFn: () => applicationService.getApplications({ page_size: 100 }),
+    queryFn: ({ signal }) => applicationService.getApplications({ page_size: 100 }, { signal }),
     staleTime: 60000
   });
 
@@ -183,6 +186,7 @@ export default function CoverLetterGenerator() {
     handleSubmit,
     watch,
     setValue,
+    setError,
     formState: { errors }
   } = useForm({
     resolver: zodResolver(coverLetterSchema),
@@ -196,6 +200,11 @@ export default function CoverLetterGenerator() {
     }
   });
 
+  const { formError, handleServerError, clearServerError } = useServerErrors({
+    setError,
+    fields: Object.keys(coverLetterSchema.shape)
+  });
+
   // eslint-disable-next-line react-hooks/incompatible-library
   const selectedTone = watch('tone');
   const selectedApplicationId = watch('application_id');
@@ -227,13 +236,7 @@ export default function CoverLetterGenerator() {
       });
       queryClient.invalidateQueries({ queryKey: ['ai-history'] });
     },
-    onError: (error) => {
-      toast({
-        title: 'Generation failed',
-        description: error.response?.data?.error || 'Please try again',
-        variant: 'error'
-      });
-    }
+    onError: handleServerError
   });
 
   // Favorite toggle mutation
@@ -249,6 +252,7 @@ export default function CoverLetterGenerator() {
   });
 
   const onSubmit = (data) => {
+    clearServerError();
     // Clean up empty optional fields
     const payload = {
       ...data,
@@ -281,13 +285,16 @@ export default function CoverLetterGenerator() {
             </p>
           </div>
         </div>
-        <Button
-          variant="outline"
-          onClick={() => navigate('/ai/history')}
-        >
-          <History size={16} />
-          View History
-        </Button>
+        <div className="flex items-center gap-3">
+          <AIBudgetIndicator className="hidden sm:inline-flex" />
+          <Button
+            variant="outline"
+            onClick={() => navigate('/ai/history')}
+          >
+            <History size={16} />
+            View History
+          </Button>
+        </div>
       </div>
 
       <div className="grid lg:grid-cols-2 gap-6">
@@ -380,6 +387,8 @@ export default function CoverLetterGenerator() {
               onChange={(tone) => setValue('tone', tone)}
             />
 
+            <FormErrorBanner error={formError} />
+
             {/* Submit Button */}
             <Button
               type="submit"
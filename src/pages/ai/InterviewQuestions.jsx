@@ -23,8 +23,11 @@ import Button from '@/components/ui/Button';
 import Input from '@/components/ui/Input';
 import Textarea from '@/components/ui/Textarea';
 import Card from '@/components/ui/Card';
+import FormErrorBanner from '@/components/ui/FormErrorBanner';
 import Select from '@/components/ui/Select';
 import { useToast } from '@/hooks/useToast';
+import { useServerErrors } from '@/hooks/useServerErrors';
+import AIBudgetIndicator from '@/components/domain/AIBudgetIndicator';
 import {
   generateInterviewQuestions,
   toggleFavorite
@@ -443,7 +446,7 @@ export default function InterviewQuestions() {
   // Fetch applications for dropdown
   const { data: applicationsData } = useQuery({
     queryKey: ['applications', { limit: 100 }],
-    queryFn: () => applicationService.getApplications({ page_size: 100 }),
+    queryFn: ({ signal }) => applicationService.getApplications({ page_size: 100 }, { signal }),
     staleTime: 60000
   });
 
@@ -455,6 +458,7 @@ export default function InterviewQuestions() {
     handleSubmit,
     watch,
     setValue,
+    setError,
     formState: { errors }
   } = useForm({
     resolver: zodResolver(questionsSchema),
@@ -467,6 +471,11 @@ export default function InterviewQuestions() {
     }
   });
 
+  const { formError, handleServerError, clearServerError } = useServerErrors({
+    setError,
+    fields: Object.keys(questionsSchema.shape)
+  });
+
   // eslint-disable-next-line react-hooks/incompatible-library
   const selectedApplicationId = watch('application_id');
   const questionCount = watch('question_count');
@@ -498,13 +507,7 @@ export default function InterviewQuestions() {
       });
       queryClient.invalidateQueries({ queryKey: ['ai-history'] });
     },
-    onError: (error) => {
-      toast({
-        title: 'Generation failed',
-        description: error.response?.data?.error || 'Please try again',
-        variant: 'error'
-      });
-    }
+    onError: handleServerError
   });
 
   // Favorite toggle mutation
@@ -520,6 +523,7 @@ export default function InterviewQuestions() {
   });
 
   const onSubmit = (data) => {
+    clearServerError();
     const payload = {
       ...data,
       application_id: data.application_id || undefined
@@ -550,13 +554,16 @@ export default function InterviewQuestions() {
             </p>
           </div>
         </div>
-        <Button
-          variant="outline"
-          onClick={() => navigate('/ai/history')}
-        >
-          <History size={16} />
-          View History
-        </Button>
+        <div className="flex items-center gap-3">
+          <AIBudgetIndicator className="hidden sm:inline-flex" />
+          <Button
+            variant="outline"
+            onClick={() => navigate('/ai/history')}
+          >
+            <History size={16} />
+            View History
+          </Button>
+        </div>
       </div>
 
       <div className="grid lg:grid-cols-5 gap-6">
@@ -642,6 +649,8 @@ export default function InterviewQuestions() {
               </div>
             </div>
 
+            <FormErrorBanner error={formError} />
+
             {/* Submit Button */}
             <Button
               type="submit"
@@ -22,9 +22,12 @@ import { cn } from '@/utils/cn';
 import Button from '@/components/ui/Button';
 import Textarea from '@/components/ui/Textarea';
 import Card from '@/components/ui/Card';
+import FormErrorBanner from '@/components/ui/FormErrorBanner';
 import Select from '@/components/ui/Select';
 import Badge from '@/components/ui/Badge';
 import { useToast } from '@/hooks/useToast';
+import { useServerErrors } from '@/hooks/useServerErrors';
+import AIBudgetIndicator from '@/components/domain/AIBudgetIndicator';
 import {
   analyzeJobMatch,
   toggleFavorite
@@ -305,7 +308,7 @@ export default function JobMatchAnalyzer() {
   // Fetch applications for dropdown
   const { data: applicationsData } = useQuery({
     queryKey: ['applications', { limit: 100 }],
-    queryFn: () => applicationService.getApplications({ page_size: 100 }),
+    queryFn: ({ signal }) => applicationService.getApplications({ page_size: 100 }, { signal }),
     staleTime: 60000
   });
 
@@ -317,6 +320,7 @@ export default function JobMatchAnalyzer() {
     handleSubmit,
     watch,
     setValue,
+    setError,
     formState: { errors }
   } = useForm({
     resolver: zodResolver(jobMatchSchema),
@@ -327,6 +331,11 @@ export default function JobMatchAnalyzer() {
     }
   });
 
+  const { formError, handleServerError, clearServerError } = useServerErrors({
+    setError,
+    fields: Object.keys(jobMatchSchema.shape)
+  });
+
   // eslint-disable-next-line react-hooks/incompatible-library
   const selectedApplicationId = watch('application_id');
 
@@ -361,14 +370,7 @@ export default function JobMatchAnalyzer() {
       });
       queryClient.invalidateQueries({ queryKey: ['ai-history'] });
     },
-    onError: (error) => {
-      console.error('Job Match API Error:', error.response?.data || error);
-      toast({
-        title: 'Analysis failed',
-        description: error.response?.data?.error || 'Please try again',
-        variant: 'error'
-      });
-    }
+    onError: handleServerError
   });
 
   // Favorite toggle mutation
@@ -384,6 +386,7 @@ export default function JobMatchAnalyzer() {
   });
 
   const onSubmit = (data) => {
+    clearServerError();
     const payload = {
       ...data,
       application_id: data.application_id || undefined
@@ -414,13 +417,16 @@ export default function JobMatchAnalyzer() {
             </p>
           </div>
         </div>
-        <Button
-          variant="outline"
-          onClick={() => navigate('/ai/history')}
-        >
-          <History size={16} />
-          View History
-        </Button>
+        <div className="flex items-center gap-3">
+          <AIBudgetIndicator className="hidden sm:inline-flex" />
+          <Button
+            variant="outline"
+            onClick={() => navigate('/ai/history')}
+          >
+            <History size={16} />
+            View History
+          </Button>
+        </div>
       </div>
 
       {/* Main Content */}
@@ -474,6 +480,8 @@ export default function JobMatchAnalyzer() {
               />
             </div>
 
+            <FormErrorBanner error={formError} />
+
             {/* Submit Button */}
             <Button
               type="submit"
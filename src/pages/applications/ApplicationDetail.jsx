@@ -1,11 +1,12 @@
 import React, { useState } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { applicationService } from '@/services/applicationService';
 import { interviewService } from '@/services/interviewService';
+import { getResumes } from '@/services/resumeService';
 import {
     ArrowLeft, Building, MapPin, Calendar, DollarSign,
-    ExternalLink, Edit2, Trash2, Clock, CheckCircle, XCircle, Plus
+    ExternalLink, Edit2, Trash2, Clock, CheckCircle, XCircle, Plus, Scale, FileText
 } from 'lucide-react';
 import { format } from 'date-fns';
 import Button from '@/components/ui/Button';
@@ -18,6 +19,11 @@ import ApplicationForm from './ApplicationForm';
 import InterviewCard from '@/components/domain/InterviewCard';
 import InterviewForm from '@/components/domain/InterviewForm';
 import NotesTimeline from '@/components/domain/NotesTimeline';
+import ContactLinks from '@/components/domain/ContactLinks';
+import AttachmentsPanel from '@/components/domain/AttachmentsPanel';
+import { FEATURES } from '@/services/features';
+import { OFFER_STATUSES } from '@/utils/offerComparison';
+import StatusTimeline from '@/components/domain/StatusTimeline';
 import { useToast } from '@/hooks/useToast';
 
 const ApplicationDetail = () => {
@@ -37,18 +43,25 @@ const ApplicationDetail = () => {
     // Fetch Application Data
     const { data: application, isLoading, isError } = useQuery({
         queryKey: ['application', id],
-        queryFn: () => applicationService.getApplication(id),
+        queryFn: ({ signal }) => applicationService.getApplication(id, { signal }),
     });
 
     // Fetch Linked Interviews
     const { data: interviewsData } = useQuery({
         queryKey: ['interviews', 'app', id],
-        queryFn: () => interviewService.getInterviews({ application: id }),
+        queryFn: ({ signal }) => interviewService.getInterviews({ application: id }, { signal }),
         enabled: !!id
     });
 
     const interviews = interviewsData?.results || [];
 
+    // Resume versions, to name the one sent with this application
+    const { data: resumesData } = useQuery({
+        queryKey: ['resumes'],
+        queryFn: ({ signal }) => getResumes({ signal }),
+        staleTime: 5 * 60 * 1000,
+    });
+
     // Delete Mutation
     const deleteMutation = useMutation({
         mutationFn: () => applicationService.deleteApplication(id),
@@ -75,9 +88,11 @@ const ApplicationDetail = () => {
 
     const {
         company_name, job_title, status, location, applied_date,
-        salary_min, salary_max, work_type, job_url, job_description, notes
+        salary_min, salary_max, work_type, job_url, job_description, notes, resume_version
     } = application;
 
+    const resume = resumesData?.results?.find((r) => r.id === resume_version);
+
     // Helper for salary formatting
     const formatSalary = (min, max) => {
         if (!min && !max) return 'Not specified';
@@ -94,6 +109,15 @@ const ApplicationDetail = () => {
                 </Button>
 
                 <div className="flex gap-3">
+                    {OFFER_STATUSES.includes(status) && (
+                        <Button
+                            variant="secondary"
+                            onClick={() => navigate(`/applications/offers?highlight=${application.id}`)}
+                            startIcon={<Scale size={16} />}
+                        >
+                            Compare Offers
+                        </Button>
+                    )}
                     <Button variant="secondary" onClick={() => setIsEditOpen(true)} startIcon={<Edit2 size={16} />}>
                         Edit
                     </Button>
@@ -136,6 +160,13 @@ const ApplicationDetail = () => {
                                 label="Job Link"
                                 value={job_url ? <a href={job_url} target="_blank" rel="noreferrer" className="text-teal-brand-600 hover:underline truncate block max-w-[200px]">View Posting</a> : 'N/A'}
                             />
+                            <InfoItem
+                                icon={FileText}
+                                label="Resume Sent"
+                                value={resume
+                                    ? <Link to="/resumes" className="text-teal-brand-600 hover:underline truncate block max-w-[200px]">{resume.version_name}</Link>
+                                    : resume_version ? 'Deleted version' : 'Not recorded'}
+                            />
                         </div>
                     </Card>
 
@@ -147,6 +178,8 @@ const ApplicationDetail = () => {
                         </div>
                     </Card>
 
+                    {FEATURES.attachments && <AttachmentsPanel applicationId={id} />}
+
                     {/* Notes Section - Uses NotesTimeline Component */}
                     <NotesTimeline 
                         applicationId={id} 
@@ -188,6 +221,15 @@ const ApplicationDetail = () => {
                         )}
                     </Card>
 
+                    <ContactLinks
+                        type="application"
+                        targetId={application.id}
+                        label={`${job_title} at ${company_name}`}
+                        companyDefaults={{ company: application.company, company_name }}
+                    />
+
+                    <StatusTimeline application={application} />
+
                     <Card className="p-6">
                         <h3 className="text-lg font-bold text-slate-900 mb-4">Next Steps</h3>
                         <div className="space-y-4">
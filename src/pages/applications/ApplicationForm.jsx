@@ -1,123 +1,216 @@
-import React from 'react'
-import { useForm } from 'react-hook-form'
+import React, { useState } from 'react'
+import { useForm, useWatch } from 'react-hook-form'
 import { zodResolver } from '@hookform/resolvers/zod'
 import { z } from 'zod'
-import { useMutation, useQueryClient } from '@tanstack/react-query'
-import { applicationService } from '@/services/applicationService'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import {
+    applicationService, STATUS_OPTIONS, PRIORITY_OPTIONS, WORK_TYPE_OPTIONS
+} from '@/services/applicationService'
+import { getTags, getApplicationTagIds, setApplicationTags } from '@/services/tagService'
+import { getResumes } from '@/services/resumeService'
 import Button from '@/components/ui/Button'
 import Input from '@/components/ui/Input'
 import Select from '@/components/ui/Select'
 import Textarea from '@/components/ui/Textarea'
-
-const statusOptions = [
-    { value: 'wishlist', label: 'Wishlist' },
-    { value: 'applied', label: 'Applied' },
-    { value: 'screening', label: 'Screening' },
-    { value: 'interviewing', label: 'Interviewing' },
-    { value: 'offer', label: 'Offer' },
-    { value: 'accepted', label: 'Accepted' },
-    { value: 'rejected', label: 'Rejected' },
-    { value: 'withdrawn', label: 'Withdrawn' },
-    { value: 'ghosted', label: 'Ghosted' },
-];
-
-const priorityOptions = [
-    { value: 'low', label: 'Low Priority' },
-    { value: 'medium', label: 'Medium Priority' },
-    { value: 'high', label: 'High Priority' },
-];
-
-const workTypeOptions = [
-    { value: 'remote', label: 'Remote' },
-    { value: 'hybrid', label: 'Hybrid' },
-    { value: 'onsite', label: 'On-site' },
-];
+import TagSelector from '@/components/ui/TagSelector'
+import FormErrorBanner from '@/components/ui/FormErrorBanner'
+import JobPostingImport from '@/components/domain/JobPostingImport'
+import CompanyCombobox from '@/components/domain/CompanyCombobox'
+import DuplicateWarning from '@/components/domain/DuplicateWarning'
+import { findDuplicates, mergeApplicationFields } from '@/utils/duplicateDetection'
+import { useServerErrors } from '@/hooks/useServerErrors'
+import { APPLICATION_STATUS, PRIORITY, WORK_TYPE } from '@/schemas/domain'
 
 const schema = z.object({
+    company: z.number().nullable().optional(),
     company_name: z.string().min(1, 'Company Name is required'),
     job_title: z.string().min(1, 'Job Title is required'),
-    status: z.string().min(1, 'Status is required'),
-    priority: z.enum(['low', 'medium', 'high']).default('medium'),
-    work_type: z.enum(['remote', 'hybrid', 'onsite']).default('hybrid'),
+    status: z.enum(APPLICATION_STATUS.values, 'Status is required'),
+    priority: PRIORITY.schema.default('medium'),
+    work_type: WORK_TYPE.schema.default('hybrid'),
     location: z.string().optional(),
     job_url: z.string().url().optional().or(z.literal('')),
     salary_min: z.coerce.number().optional(),
     salary_max: z.coerce.number().optional(),
+    resume_version: z.number().nullable().optional(),
     job_description: z.string().optional(),
+}).refine((data) => !!data.company, {
+    message: 'Select a company from the list or create it',
+    path: ['company_name'],
+})
+
+// Clean up empty strings for optional numbers
+const toPayload = (data) => ({
+    ...data,
+    salary_min: data.salary_min || null,
+    salary_max: data.salary_max || null,
 })
 
 const ApplicationForm = ({ onSuccess, initialData }) => {
     const queryClient = useQueryClient()
     const isEditMode = !!initialData
+    const [duplicates, setDuplicates] = useState(null)
+    const [pendingData, setPendingData] = useState(null)
+    const [isChecking, setIsChecking] = useState(false)
+    // null until the user edits tags, so an untouched form never rewrites them
+    const [editedTags, setEditedTags] = useState(null)
+
+    const { data: tagsData } = useQuery({
+        queryKey: ['tags'],
+        queryFn: () => getTags(),
+        staleTime: 60 * 1000,
+    })
+    const tags = editedTags ?? (isEditMode
+        ? (tagsData?.tags || []).filter((tag) => tag.application_ids.includes(String(initialData.id)))
+        : [])
 
-    // Fallback company name if company object is passed (for edit mode)
-    // The API returns company details, or we might just have the name
     const defaultValues = initialData ? {
         ...initialData,
-        // Ensure company is a string name for editing, backend usually handles name -> ID logic or we might need to adjust
-        // For MVP, if we edit, we just keep the name as is or pass ID hidden?
-        // Let's assume for update we don't change company easily or just pass name again 
         company_name: initialData.company_name || '',
         salary_min: initialData.salary_min || '',
         salary_max: initialData.salary_max || '',
     } : {
+        company: null,
+        company_name: '',
         status: 'applied',
         priority: 'medium',
         work_type: 'hybrid'
     }
 
-    const { register, handleSubmit, formState: { errors } } = useForm({
+    const { register, handleSubmit, setValue, setError, control, formState: { errors } } = useForm({
         resolver: zodResolver(schema),
         defaultValues
     })
+    const { formError, handleServerError, clearServerError } = useServerErrors({
+        setError,
+        fields: Object.keys(schema.shape),
+        // The company link is edited through the company name combobox
+        fieldMap: { company: 'company_name' },
+    })
+    const [companyName, companyId, resumeVersion] = useWatch({ control, name: ['company_name', 'company', 'resume_version'] })
 
-    const mutation = useMutation({
-        mutationFn: async (data) => {
-            // Clean up empty strings for optional numbers
-            const payload = {
-                ...data,
-                salary_min: data.salary_min || null,
-                salary_max: data.salary_max || null,
-            }
+    const { data: resumesData } = useQuery({
+        queryKey: ['resumes'],
+        queryFn: ({ signal }) => getResumes({ signal }),
+        staleTime: 5 * 60 * 1000,
+    })
+    const resumes = resumesData?.results || []
+    // New applications go out with the default resume unless another is picked
+    const defaultResumeId = resumes.find((resume) => resume.is_default)?.id ?? null
+    const selectedResumeId = resumeVersion === undefined && !isEditMode ? defaultResumeId : resumeVersion
 
-            if (isEditMode) {
-                return applicationService.updateApplication(initialData.id, payload)
+    // Typing unlinks the company until one is picked or created
+    const setCompanyText = (text) => {
+        setValue('company_name', text, { shouldDirty: true })
+        setValue('company', null, { shouldDirty: true })
+    }
+
+    const selectCompany = (company) => {
+        setValue('company', company.id, { shouldDirty: true })
+        setValue('company_name', company.name, { shouldDirty: true, shouldValidate: true })
+    }
+
+    // Prefill from a pasted posting; the user reviews the values before saving
+    const handleImport = (fields) => {
+        Object.entries(fields).forEach(([key, value]) => {
+            if (key === 'company_name') {
+                setCompanyText(value)
             } else {
-                // Creates company if needed then application
-                // Backend expects `company` ID. 
-                // We'll create the company first or find it by name. 
-                // For MVP simplicity, we'll create a company every time or reuse if name matches?
-                // Ideally backend handles "get or create" by name.
-                // I'll stick to the previous pattern: Create company first.
-
-                // Note: Real world app would have a company select with async search
-                const companyRes = await applicationService.createCompany({ name: data.company_name })
-                return applicationService.createApplication({
-                    ...payload,
-                    company: companyRes.id
-                })
+                setValue(key, value, { shouldDirty: true, shouldValidate: true })
             }
+        })
+    }
+
+    const mutation = useMutation({
+        mutationFn: async (data) => {
+            const application = isEditMode
+                ? await applicationService.updateApplication(initialData.id, toPayload(data))
+                : await applicationService.createApplication(toPayload(data))
+            if (editedTags) await setApplicationTags(application.id ?? initialData.id, editedTags.map((tag) => tag.id))
+            return application
         },
         onSuccess: () => {
             queryClient.invalidateQueries(['applications'])
+            queryClient.invalidateQueries({ queryKey: ['tags'] })
             if (isEditMode) queryClient.invalidateQueries(['application', initialData.id])
             onSuccess?.()
+        },
+        onError: (error) => {
+            // A rejected "create anyway" goes back to the form so the field errors are visible
+            setDuplicates(null)
+            handleServerError(error)
         }
     })
 
-    const onSubmit = (data) => {
+    const mergeMutation = useMutation({
+        mutationFn: async (application) => {
+            const existing = await applicationService.getApplication(application.id)
+            const patch = mergeApplicationFields(existing, toPayload(pendingData))
+            if (editedTags) {
+                const tagIds = new Set([...getApplicationTagIds(application.id), ...editedTags.map((tag) => tag.id)])
+                await setApplicationTags(application.id, [...tagIds])
+            }
+            return Object.keys(patch).length > 0
+                ? applicationService.updateApplication(application.id, patch)
+                : existing
+        },
+        onSuccess: (result, application) => {
+            queryClient.invalidateQueries({ queryKey: ['applications'] })
+            queryClient.invalidateQueries({ queryKey: ['application', String(application.id)] })
+            queryClient.invalidateQueries({ queryKey: ['tags'] })
+            onSuccess?.(result, { merged: true })
+        },
+        onError: handleServerError
+    })
+
+    const onSubmit = async (formData) => {
+        clearServerError()
+        const data = selectedResumeId === undefined ? formData : { ...formData, resume_version: selectedResumeId }
+        if (isEditMode) {
+            mutation.mutate(data)
+            return
+        }
+
+        // Offline there is nothing fresh to compare against; the create is queued as-is
+        if (!navigator.onLine) {
+            mutation.mutate(data)
+            return
+        }
+
+        // Check for likely duplicates before creating; a failed lookup shouldn't block saving
+        setIsChecking(true)
+        try {
+            const existing = await queryClient.fetchQuery({
+                queryKey: ['applications', 'all'],
+                queryFn: ({ signal }) => applicationService.getAllApplications({}, { signal }),
+                staleTime: 60 * 1000,
+            })
+            const matches = findDuplicates(data, existing)
+            if (matches.length > 0) {
+                setPendingData(data)
+                setDuplicates(matches)
+                return
+            }
+        } catch {
+            // Fall through and create the application
+        } finally {
+            setIsChecking(false)
+        }
         mutation.mutate(data)
     }
 
     return (
         <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            {!isEditMode && <JobPostingImport onImport={handleImport} />}
+
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                <Input
-                    label="Company Name"
-                    placeholder="Google, Amazon..."
+                <CompanyCombobox
+                    label="Company"
+                    name={companyName}
+                    companyId={companyId}
+                    onTextChange={setCompanyText}
+                    onSelect={selectCompany}
                     error={errors.company_name}
-                    {...register('company_name')}
-                    disabled={isEditMode} // Disable company edit for now to simplify
                 />
                 <Input
                     label="Job Title"
@@ -130,19 +223,19 @@ const ApplicationForm = ({ onSuccess, initialData }) => {
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                 <Select
                     label="Status"
-                    options={statusOptions}
+                    options={STATUS_OPTIONS}
                     error={errors.status}
                     {...register('status')}
                 />
                 <Select
                     label="Priority"
-                    options={priorityOptions}
+                    options={PRIORITY_OPTIONS}
                     error={errors.priority}
                     {...register('priority')}
                 />
                 <Select
                     label="Work Type"
-                    options={workTypeOptions}
+                    options={WORK_TYPE_OPTIONS}
                     error={errors.work_type}
                     {...register('work_type')}
                 />
@@ -180,23 +273,60 @@ const ApplicationForm = ({ onSuccess, initialData }) => {
                 />
             </div>
 
+            <Select
+                label="Resume Sent"
+                error={errors.resume_version}
+                value={selectedResumeId ? String(selectedResumeId) : 'none'}
+                onChange={(e) => setValue(
+                    'resume_version',
+                    e.target.value === 'none' ? null : Number(e.target.value),
+                    { shouldDirty: true }
+                )}
+                options={[
+                    { value: 'none', label: resumes.length ? 'No resume' : 'No resumes uploaded' },
+                    ...resumes.map((resume) => ({
+                        value: String(resume.id),
+                        label: resume.is_default ? `${resume.version_name} (default)` : resume.version_name
+                    }))
+                ]}
+            />
+
+            <div className="space-y-2">
+                <label className="text-sm font-bold text-slate-700 ml-1">Tags</label>
+                <TagSelector value={tags} onChange={setEditedTags} placeholder="Add tags..." />
+            </div>
+
             <Textarea
                 label="Job Description / Notes"
                 placeholder="Paste the JD or quick notes..."
+                error={errors.job_description}
                 {...register('job_description')}
                 rows={4}
             />
 
-            <div className="flex justify-end pt-4 gap-3">
-                {onSuccess && (
-                    <Button type="button" variant="ghost" onClick={onSuccess}>
-                        Cancel
+            <FormErrorBanner error={formError} />
+
+            {duplicates ? (
+                <DuplicateWarning
+                    matches={duplicates}
+                    onMerge={(application) => mergeMutation.mutate(application)}
+                    onCreateAnyway={() => mutation.mutate(pendingData)}
+                    onBack={() => setDuplicates(null)}
+                    mergingId={mergeMutation.isPending ? mergeMutation.variables?.id : null}
+                    isCreating={mutation.isPending}
+                />
+            ) : (
+                <div className="flex justify-end pt-4 gap-3">
+                    {onSuccess && (
+                        <Button type="button" variant="ghost" onClick={onSuccess}>
+                            Cancel
+                        </Button>
+                    )}
+                    <Button type="submit" isLoading={mutation.isPending || isChecking}>
+                        {isEditMode ? 'Update Application' : 'Save Application'}
                     </Button>
-                )}
-                <Button type="submit" isLoading={mutation.isPending}>
-                    {isEditMode ? 'Update Application' : 'Save Application'}
-                </Button>
-            </div>
+                </div>
+            )}
         </form>
     )
 }
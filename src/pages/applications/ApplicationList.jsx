@@ -1,40 +1,214 @@
 
 import React, { useState } from 'react'
-import { useQuery } from '@tanstack/react-query'
-import { applicationService } from '@/services/applicationService'
-import { useNavigate } from 'react-router-dom'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { applicationService, STATUS_OPTIONS } from '@/services/applicationService'
+import { exportAndDownloadSelectedApplications } from '@/services/exportService'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
 import ApplicationCard from '@/components/domain/ApplicationCard'
+import ApplicationBoard from '@/components/domain/ApplicationBoard'
+import ApplicationTable from '@/components/domain/ApplicationTable'
+import BulkActionBar from '@/components/domain/BulkActionBar'
+import ApplicationFilterBuilder from '@/components/domain/ApplicationFilterBuilder'
+import SavedViewsMenu from '@/components/domain/SavedViewsMenu'
+import DuplicateFinder from '@/components/domain/DuplicateFinder'
 import Button from '@/components/ui/Button'
 import Input from '@/components/ui/Input'
 import Select from '@/components/ui/Select'
-import { Plus, Search, Filter } from 'lucide-react'
+import { Plus, Search, Filter, LayoutGrid, Columns3, Table2, X, ChevronLeft, ChevronRight, Copy, Hourglass } from 'lucide-react'
 import Modal from '@/components/ui/Modal'
 import EmptyState from '@/components/ui/EmptyState'
+import ConfirmDialog from '@/components/ui/ConfirmDialog'
 import ApplicationForm from './ApplicationForm'
 import { useToast } from '@/hooks/useToast'
+import { useDebouncedValue } from '@/hooks/useDebouncedValue'
 import Skeleton from '@/components/ui/Skeleton'
+import { cn } from '@/utils/cn'
+import useSavedViewsStore from '@/stores/useSavedViewsStore'
+import useStalenessStore from '@/stores/useStalenessStore'
+import { isStale } from '@/utils/staleness'
+import {
+    parseFilters, filtersToQueryString, toApiParams, hasClientFilters, matchesClientFilters, describeFilter
+} from '@/utils/applicationFilters'
+
+const viewOptions = [
+    { value: 'grid', label: 'Grid', icon: LayoutGrid },
+    { value: 'board', label: 'Board', icon: Columns3 },
+    { value: 'table', label: 'Table', icon: Table2 },
+]
+
+// Default API page size, used for the "showing x–y" range in grid view
+const PAGE_SIZE = 20
 
 const ApplicationList = () => {
     const navigate = useNavigate()
-    const { success } = useToast()
+    const queryClient = useQueryClient()
+    const { success, error: showError } = useToast()
     const [isAddOpen, setIsAddOpen] = useState(false)
-    const [search, setSearch] = useState('')
-    const [statusFilter, setStatusFilter] = useState('')
+    const [isDuplicatesOpen, setIsDuplicatesOpen] = useState(false)
+    const stalenessRule = useStalenessStore((state) => state.rule)
+    const [view, setView] = useState('grid') // grid | board | table
+    const [page, setPage] = useState(1)
+    const [isFilterPanelOpen, setIsFilterPanelOpen] = useState(false)
+    const [isSaveViewOpen, setIsSaveViewOpen] = useState(false)
+    const [viewName, setViewName] = useState('')
+    const [pinView, setPinView] = useState(true)
+    const saveView = useSavedViewsStore((state) => state.saveView)
+
+    // Filters live in the query string so any view can be bookmarked or shared
+    const [searchParams, setSearchParams] = useSearchParams()
+    const filters = parseFilters(searchParams)
+    const currentQuery = filtersToQueryString(filters)
+    const search = filters.search || ''
+    const hasFilters = Object.keys(filters).length > 0
+    const advancedFilterCount = Object.keys(filters).filter((key) => key !== 'search').length
+
+    // Selection state, keyed by id so it survives across pages
+    const [selected, setSelected] = useState({})
+    const [lastSelectedIndex, setLastSelectedIndex] = useState(null)
+    const [isSelectingAll, setIsSelectingAll] = useState(false)
+    const [isBulkDeleteOpen, setIsBulkDeleteOpen] = useState(false)
+    const [batchFailures, setBatchFailures] = useState(null)
+    // Reported by the table, which loads its own pages
+    const [tableCount, setTableCount] = useState(0)
+
+    // The board shows every status as a column, so it ignores the status filter
+    const isBoard = view === 'board'
+    const isTable = view === 'table'
+    // The URL and chips follow every keystroke; queries wait until typing pauses
+    const debouncedSearch = useDebouncedValue(search)
+    const queryFilters = { ...filters, search: debouncedSearch || undefined }
+    const activeFilters = isBoard ? { ...queryFilters, status: undefined } : queryFilters
+    // Only the grid pages through results; the table loads pages itself as it scrolls
+    const activePage = view === 'grid' ? page : 1
+    const apiParams = { ...toApiParams(activeFilters), page: activePage > 1 ? activePage : undefined }
+    const needsClientFiltering = hasClientFilters(activeFilters)
+    // The board's columns, counts and drop targets need every match, not just the first page
+    const needsFullList = isBoard || needsClientFiltering
+    const queryKey = ['applications', activeFilters, isBoard ? 'board' : activePage]
 
-    // Fetch call with params
+    // Filters the API can't evaluate require the full list, filtered locally.
+    // The table runs its own paged query, so this one only serves the grid and board.
     const { data, isLoading, error } = useQuery({
-        queryKey: ['applications', search, statusFilter],
-        queryFn: () => applicationService.getApplications({
-            search: search || undefined,
-            status: statusFilter || undefined
-        }),
+        queryKey,
+        queryFn: async ({ signal }) => {
+            if (!needsFullList) return applicationService.getApplications(apiParams, { signal })
+            const all = await applicationService.getAllApplications(apiParams, { signal })
+            const results = needsClientFiltering ? all.filter((app) => matchesClientFilters(app, activeFilters)) : all
+            return { count: results.length, next: null, previous: null, results }
+        },
+        enabled: !isTable,
     })
 
     const applications = data?.results || []
+    const selectedApplications = Object.values(selected)
+    const selectedCount = selectedApplications.length
+    const matchingCount = isTable ? tableCount : data?.count || applications.length
+
+    const clearSelection = () => {
+        setSelected({})
+        setLastSelectedIndex(null)
+    }
+
+    const updateFilters = (next) => {
+        setSearchParams(filtersToQueryString(next), { replace: true })
+        setPage(1)
+        clearSelection()
+    }
+
+    const removeFilter = (key) => updateFilters({ ...filters, [key]: '' })
+
+    const handleSaveView = (e) => {
+        e.preventDefault()
+        if (!viewName.trim()) return
+        saveView(viewName.trim(), currentQuery, pinView)
+        success(`Saved view "${viewName.trim()}"`)
+        setIsSaveViewOpen(false)
+        setViewName('')
+    }
+
+    // Shift-click selects or deselects the whole range since the last click
+    const toggleSelect = (app, index, event, rows = applications) => {
+        const shouldSelect = !selected[app.id]
+        const range = event.shiftKey && lastSelectedIndex !== null
+            ? rows.slice(Math.min(lastSelectedIndex, index), Math.max(lastSelectedIndex, index) + 1)
+            : [app]
+
+        setSelected((prev) => {
+            const next = { ...prev }
+            range.forEach((item) => {
+                if (shouldSelect) next[item.id] = item
+                else delete next[item.id]
+            })
+            return next
+        })
+        setLastSelectedIndex(index)
+    }
+
+    const selectAllMatching = async () => {
+        if (!isTable && !data?.next && !data?.previous) {
+            setSelected(Object.fromEntries(applications.map((app) => [app.id, app])))
+            return
+        }
+
+        setIsSelectingAll(true)
+        try {
+            const all = await applicationService.getAllApplications(toApiParams(activeFilters))
+            const matching = all.filter((app) => matchesClientFilters(app, activeFilters))
+            setSelected(Object.fromEntries(matching.map((app) => [app.id, app])))
+        } catch {
+            showError('Failed to load all matching applications')
+        } finally {
+            setIsSelectingAll(false)
+        }
+    }
 
-    const handleSuccess = () => {
+    const batchMutation = useMutation({
+        mutationFn: ({ request, items }) => request(items.map((app) => app.id)),
+        onSuccess: ({ succeeded, failed }, { verb, items }) => {
+            if (succeeded.length > 0) {
+                success(`${verb} ${succeeded.length} application${succeeded.length === 1 ? '' : 's'}`)
+            }
+
+            // Failed items stay selected so the action can be retried
+            const byId = Object.fromEntries(items.map((app) => [app.id, app]))
+            setSelected(Object.fromEntries(failed.map(({ id }) => [id, byId[id]])))
+            if (failed.length > 0) {
+                setBatchFailures(failed.map((failure) => ({ ...failure, application: byId[failure.id] })))
+            }
+
+            setIsBulkDeleteOpen(false)
+            queryClient.invalidateQueries({ queryKey: ['applications'] })
+        },
+        onError: () => {
+            showError('Batch action failed. Please try again.')
+        }
+    })
+
+    const runBatch = (verb, request) => {
+        batchMutation.mutate({ verb, request, items: selectedApplications })
+    }
+
+    const handleExportSelected = async () => {
+        try {
+            await exportAndDownloadSelectedApplications(selectedApplications)
+            success(`Exported ${selectedCount} application${selectedCount === 1 ? '' : 's'}`)
+        } catch {
+            showError('Export failed')
+        }
+    }
+
+    // Shares the full list cache with the sidebar task badge
+    const { data: allApplications = [] } = useQuery({
+        queryKey: ['applications', 'all'],
+        queryFn: ({ signal }) => applicationService.getAllApplications({}, { signal }),
+        staleTime: 60 * 1000,
+        enabled: stalenessRule.enabled,
+    })
+    const staleCount = allApplications.filter((application) => isStale(application, stalenessRule)).length
+
+    const handleSuccess = (_, options) => {
         setIsAddOpen(false)
-        success('Application added successfully!')
+        success(options?.merged ? 'Merged into the existing application' : 'Application added successfully!')
     }
 
     return (
@@ -45,46 +219,160 @@ const ApplicationList = () => {
                     <h1 className="text-3xl font-bold text-slate-900">Applications</h1>
                     <p className="text-slate-600 font-medium mt-1">Manage and track your job search journey</p>
                 </div>
-                <Button
-                    onClick={() => setIsAddOpen(true)}
-                    startIcon={<Plus size={18} />}
-                    className="shadow-glow-indigo"
-                >
-                    Add Application
-                </Button>
+                <div className="flex items-center gap-3">
+                    <Button
+                        variant="secondary"
+                        onClick={() => setIsDuplicatesOpen(true)}
+                        startIcon={<Copy size={16} />}
+                    >
+                        Find Duplicates
+                    </Button>
+                    <Button
+                        onClick={() => setIsAddOpen(true)}
+                        startIcon={<Plus size={18} />}
+                        className="shadow-glow-indigo"
+                    >
+                        Add Application
+                    </Button>
+                </div>
             </div>
 
+            {staleCount > 0 && (
+                <Link
+                    to="/applications/review"
+                    className="flex items-center gap-2 mb-4 px-4 py-3 rounded-xl border border-amber-200 bg-amber-50 text-sm text-amber-800 hover:bg-amber-100 transition-colors"
+                >
+                    <Hourglass size={16} />
+                    <span className="flex-1">
+                        <span className="font-semibold">{staleCount} application{staleCount === 1 ? '' : 's'}</span>
+                        {' '}{staleCount === 1 ? "hasn't" : "haven't"} had a response in {stalenessRule.days}+ days
+                    </span>
+                    <span className="font-semibold">Review</span>
+                </Link>
+            )}
+
             {/* Filters */}
-            <div className="flex flex-col md:flex-row gap-4 mb-6 bg-white p-4 rounded-xl border border-slate-200 shadow-sm">
+            <div className="flex flex-col md:flex-row gap-4 mb-4 bg-white p-4 rounded-xl border border-slate-200 shadow-sm">
                 <div className="flex-1">
                     <Input
                         placeholder="Search by company or title..."
                         leftIcon={<Search size={16} />}
                         value={search}
-                        onChange={(e) => setSearch(e.target.value)}
+                        onChange={(e) => updateFilters({ ...filters, search: e.target.value })}
                         className="bg-white border-slate-200 focus:border-teal-brand-500"
                     />
                 </div>
-                <div className="w-full md:w-48">
-                    <Select
-                        placeholder="Filter Status"
-                        value={statusFilter}
-                        onChange={(e) => setStatusFilter(e.target.value)}
-                        options={[
-                            { value: '', label: 'All Statuses' },
-                            { value: 'wishlist', label: 'Wishlist' },
-                            { value: 'applied', label: 'Applied' },
-                            { value: 'interviewing', label: 'Interviewing' },
-                            { value: 'offer', label: 'Offer' },
-                            { value: 'rejected', label: 'Rejected' },
-                        ]}
-                        className="bg-white border-slate-200 focus:border-teal-brand-500"
-                    />
+                {!isBoard && (
+                    <div className="w-full md:w-48">
+                        <Select
+                            placeholder="Filter Status"
+                            value={filters.status || ''}
+                            onChange={(e) => updateFilters({ ...filters, status: e.target.value })}
+                            options={[{ value: '', label: 'All Statuses' }, ...STATUS_OPTIONS]}
+                            className="bg-white border-slate-200 focus:border-teal-brand-500"
+                        />
+                    </div>
+                )}
+                <button
+                    onClick={() => setIsFilterPanelOpen(!isFilterPanelOpen)}
+                    className={cn(
+                        "flex items-center gap-2 px-4 py-2.5 rounded-lg border text-sm font-medium transition-colors whitespace-nowrap",
+                        isFilterPanelOpen || advancedFilterCount > 0
+                            ? "border-teal-brand-300 bg-teal-brand-50 text-teal-brand-700"
+                            : "border-slate-200 bg-white text-slate-600 hover:bg-slate-50"
+                    )}
+                >
+                    <Filter size={16} />
+                    Filters
+                    {advancedFilterCount > 0 && (
+                        <span className="px-1.5 py-0.5 text-[10px] font-bold rounded-full bg-teal-brand-600 text-white">
+                            {advancedFilterCount}
+                        </span>
+                    )}
+                </button>
+                <SavedViewsMenu
+                    currentQuery={currentQuery}
+                    onApply={(query) => {
+                        setSearchParams(query, { replace: true })
+                        setPage(1)
+                        clearSelection()
+                    }}
+                    onSaveCurrent={() => setIsSaveViewOpen(true)}
+                />
+                <div className="flex items-center gap-1 p-1 rounded-lg bg-slate-100 self-start md:self-center">
+                    {viewOptions.map((option) => {
+                        const Icon = option.icon
+                        return (
+                            <button
+                                key={option.value}
+                                onClick={() => {
+                                    setView(option.value)
+                                    clearSelection()
+                                }}
+                                className={cn(
+                                    "flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm font-medium transition-colors",
+                                    view === option.value ? "bg-white text-slate-900 shadow-sm" : "text-slate-500 hover:text-slate-700"
+                                )}
+                            >
+                                <Icon size={16} />
+                                {option.label}
+                            </button>
+                        )
+                    })}
                 </div>
             </div>
 
+            {isFilterPanelOpen && (
+                <ApplicationFilterBuilder
+                    filters={filters}
+                    onChange={updateFilters}
+                    onClear={() => updateFilters({})}
+                    hiddenKeys={isBoard ? ['status'] : []}
+                />
+            )}
+
+            {/* Active Filter Chips */}
+            {hasFilters && (
+                <div className="flex flex-wrap items-center gap-2 mb-6">
+                    {Object.entries(filters).map(([key, value]) => (
+                        <span
+                            key={key}
+                            className={cn(
+                                "inline-flex items-center gap-1 pl-3 pr-1.5 py-1 rounded-full text-xs font-medium border",
+                                isBoard && key === 'status'
+                                    ? "bg-slate-50 text-slate-400 border-slate-200 line-through"
+                                    : "bg-teal-brand-50 text-teal-brand-700 border-teal-brand-200"
+                            )}
+                        >
+                            {describeFilter(key, value)}
+                            <button
+                                onClick={() => removeFilter(key)}
+                                className="p-0.5 rounded-full hover:bg-black/10 transition-colors"
+                                aria-label={`Remove ${key} filter`}
+                            >
+                                <X size={12} />
+                            </button>
+                        </span>
+                    ))}
+                    <button
+                        onClick={() => updateFilters({})}
+                        className="text-xs font-medium text-slate-500 hover:text-slate-900 transition-colors"
+                    >
+                        Clear all
+                    </button>
+                </div>
+            )}
+
             {/* Grid Content */}
-            {isLoading ? (
+            {isTable ? (
+                <ApplicationTable
+                    filters={activeFilters}
+                    selected={selected}
+                    onToggleSelect={toggleSelect}
+                    onOpen={(app) => navigate(`/applications/${app.id}`)}
+                    onCountChange={setTableCount}
+                />
+            ) : isLoading ? (
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
                     {[1, 2, 3, 4, 5, 6].map((n) => (
                         <div key={n} className="h-48 bg-slate-800/50 rounded-xl animate-pulse" />
@@ -95,25 +383,156 @@ const ApplicationList = () => {
                     <h3 className="font-bold mb-2">Error loading applications</h3>
                     <p>Please check your connection and try again.</p>
                 </div>
+            ) : isBoard ? (
+                <ApplicationBoard
+                    applications={applications}
+                    queryKey={queryKey}
+                    onCardClick={(app) => navigate(`/applications/${app.id}`)}
+                />
             ) : applications.length === 0 ? (
                 <EmptyState
-                    title={search || statusFilter ? "No matches found" : "No applications yet"}
-                    description={search || statusFilter ? "Try adjusting your filters" : "Start tracking your job search by adding your first application."}
-                    actionLabel={!search && !statusFilter && "Add Application"}
-                    onAction={!search && !statusFilter ? () => setIsAddOpen(true) : undefined}
+                    title={hasFilters ? "No matches found" : "No applications yet"}
+                    description={hasFilters ? "Try adjusting your filters" : "Start tracking your job search by adding your first application."}
+                    actionLabel={!hasFilters && "Add Application"}
+                    onAction={!hasFilters ? () => setIsAddOpen(true) : undefined}
                 />
             ) : (
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                    {applications.map((app) => (
+                    {applications.map((app, index) => (
                         <ApplicationCard
                             key={app.id}
                             application={app}
-                            onClick={() => navigate(`/applications/${app.id}`)}
+                            isSelected={!!selected[app.id]}
+                            onToggleSelect={(e) => toggleSelect(app, index, e)}
+                            onClick={(e) => selectedCount > 0
+                                ? toggleSelect(app, index, e)
+                                : navigate(`/applications/${app.id}`)}
                         />
                     ))}
                 </div>
             )}
 
+            {view === 'grid' && (data?.next || data?.previous) && (
+                <div className="flex items-center justify-between mt-8">
+                    <p className="text-sm text-slate-500">
+                        Showing {(activePage - 1) * PAGE_SIZE + 1}–{(activePage - 1) * PAGE_SIZE + applications.length} of {data.count}
+                    </p>
+                    <div className="flex gap-2">
+                        <Button
+                            variant="secondary"
+                            size="sm"
+                            disabled={!data.previous}
+                            onClick={() => setPage(activePage - 1)}
+                            startIcon={<ChevronLeft size={14} />}
+                        >
+                            Previous
+                        </Button>
+                        <Button
+                            variant="secondary"
+                            size="sm"
+                            disabled={!data.next}
+                            onClick={() => setPage(activePage + 1)}
+                            endIcon={<ChevronRight size={14} />}
+                        >
+                            Next
+                        </Button>
+                    </div>
+                </div>
+            )}
+
+            {!isBoard && (
+                <BulkActionBar
+                    selectedCount={selectedCount}
+                    matchingCount={matchingCount}
+                    isBusy={batchMutation.isPending}
+                    isSelectingAll={isSelectingAll}
+                    onSelectAllMatching={selectAllMatching}
+                    onStatusChange={(status) => runBatch('Updated', (ids) => applicationService.bulkUpdateStatus(ids, status))}
+                    onPriorityChange={(priority) => runBatch('Updated', (ids) => applicationService.bulkUpdate(ids, { priority }))}
+                    onExport={handleExportSelected}
+                    onDelete={() => setIsBulkDeleteOpen(true)}
+                    onClear={clearSelection}
+                />
+            )}
+
+            <ConfirmDialog
+                isOpen={isBulkDeleteOpen}
+                onClose={() => setIsBulkDeleteOpen(false)}
+                onConfirm={() => runBatch('Deleted', applicationService.bulkDelete)}
+                isLoading={batchMutation.isPending}
+                title="Delete Applications"
+                description={`Are you sure you want to delete ${selectedCount} application${selectedCount === 1 ? '' : 's'}? This action cannot be undone.`}
+                confirmLabel="Delete Applications"
+                isDestructive={true}
+            />
+
+            <Modal
+                isOpen={!!batchFailures}
+                onClose={() => setBatchFailures(null)}
+                title="Some items could not be processed"
+                className="max-w-lg"
+            >
+                <div className="space-y-4">
+                    <p className="text-sm text-slate-600">
+                        These applications were left unchanged and are still selected so you can retry.
+                    </p>
+                    <ul className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+                        {batchFailures?.map(({ id, message, application }) => (
+                            <li key={id} className="px-4 py-3">
+                                <p className="text-sm font-semibold text-slate-900">
+                                    {application ? `${application.job_title} at ${application.company_name}` : `Application #${id}`}
+                                </p>
+                                <p className="text-xs text-rose-600 mt-0.5">{message}</p>
+                            </li>
+                        ))}
+                    </ul>
+                    <div className="flex justify-end">
+                        <Button variant="secondary" onClick={() => setBatchFailures(null)}>Close</Button>
+                    </div>
+                </div>
+            </Modal>
+
+            <Modal
+                isOpen={isSaveViewOpen}
+                onClose={() => setIsSaveViewOpen(false)}
+                title="Save View"
+                className="max-w-md"
+            >
+                <form onSubmit={handleSaveView} className="space-y-4">
+                    <Input
+                        label="View Name"
+                        placeholder="Remote roles, no response yet"
+                        value={viewName}
+                        onChange={(e) => setViewName(e.target.value)}
+                        autoFocus
+                    />
+                    <div className="flex flex-wrap gap-2">
+                        {Object.entries(filters).map(([key, value]) => (
+                            <span key={key} className="px-2.5 py-1 rounded-full text-xs font-medium bg-slate-100 text-slate-600">
+                                {describeFilter(key, value)}
+                            </span>
+                        ))}
+                    </div>
+                    <label className="flex items-center gap-2 text-sm text-slate-700">
+                        <input
+                            type="checkbox"
+                            checked={pinView}
+                            onChange={(e) => setPinView(e.target.checked)}
+                            className="rounded border-slate-300"
+                        />
+                        Pin to sidebar
+                    </label>
+                    <div className="flex justify-end gap-3 pt-2">
+                        <Button type="button" variant="ghost" onClick={() => setIsSaveViewOpen(false)}>
+                            Cancel
+                        </Button>
+                        <Button type="submit" disabled={!viewName.trim()}>
+                            Save View
+                        </Button>
+                    </div>
+                </form>
+            </Modal>
+
             <Modal
                 isOpen={isAddOpen}
                 onClose={() => setIsAddOpen(false)}
@@ -121,6 +540,14 @@ const ApplicationList = () => {
             >
                 <ApplicationForm onSuccess={handleSuccess} />
             </Modal>
+
+            <Modal
+                isOpen={isDuplicatesOpen}
+                onClose={() => setIsDuplicatesOpen(false)}
+                title="Find Duplicates"
+            >
+                <DuplicateFinder />
+            </Modal>
         </div>
     )
 }
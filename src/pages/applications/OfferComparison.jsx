@@ -0,0 +1,305 @@
+import React, { useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { useQuery } from '@tanstack/react-query'
+import { ArrowLeft, Scale, Star, Plus, X, RotateCcw, Building, Trophy } from 'lucide-react'
+import { applicationService } from '@/services/applicationService'
+import useOfferStore from '@/stores/useOfferStore'
+import {
+    OFFER_STATUSES, OFFER_FIELDS, MAX_RATING,
+    getOfferDetails, computeCompensation, scoreOffer, formatCurrency
+} from '@/utils/offerComparison'
+import Card from '@/components/ui/Card'
+import EmptyState from '@/components/ui/EmptyState'
+import Skeleton from '@/components/ui/Skeleton'
+import { cn } from '@/utils/cn'
+
+const UNIT_SUFFIX = { percent: '%', years: 'yrs', months: 'mo', days: 'days' }
+
+const bestIndex = (values) => {
+    const max = Math.max(...values.filter((value) => value != null))
+    return values.length > 1 && max > 0 ? values.indexOf(max) : -1
+}
+
+const RatingInput = ({ value = 0, onChange, label }) => (
+    <div className="flex items-center gap-0.5" role="radiogroup" aria-label={label}>
+        {Array.from({ length: MAX_RATING }, (_, index) => index + 1).map((rating) => (
+            <button
+                key={rating}
+                type="button"
+                role="radio"
+                aria-checked={value === rating}
+                aria-label={`${rating} of ${MAX_RATING}`}
+                // Clicking the current rating clears it
+                onClick={() => onChange(value === rating ? null : rating)}
+                className="p-0.5 text-slate-300 hover:text-amber-400 transition-colors"
+            >
+                <Star size={16} className={cn(rating <= value && "fill-amber-400 text-amber-400")} />
+            </button>
+        ))}
+    </div>
+)
+
+const OfferComparison = () => {
+    const [searchParams] = useSearchParams()
+    const highlightId = searchParams.get('highlight')
+    const {
+        offers, ratings, criteria, setOfferField, setRating,
+        addCriterion, updateCriterion, removeCriterion, resetCriteria
+    } = useOfferStore()
+    const [newCriterion, setNewCriterion] = useState('')
+
+    const { data: applications = [], isLoading } = useQuery({
+        queryKey: ['applications', 'all'],
+        queryFn: ({ signal }) => applicationService.getAllApplications({}, { signal }),
+        staleTime: 60 * 1000,
+    })
+
+    const offerApplications = applications.filter((application) => OFFER_STATUSES.includes(application.status))
+    const columns = offerApplications.map((application) => {
+        const details = getOfferDetails(application, offers[application.id])
+        return {
+            application,
+            details,
+            compensation: computeCompensation(details),
+            score: scoreOffer(ratings[application.id], criteria),
+        }
+    })
+
+    const bestFirstYear = bestIndex(columns.map((column) => column.compensation.firstYear))
+    const bestFourYear = bestIndex(columns.map((column) => column.compensation.fourYear))
+    const bestScore = bestIndex(columns.map((column) => column.score))
+
+    const handleFieldChange = (applicationId, key, value) => {
+        setOfferField(applicationId, key, value === '' ? null : Math.max(0, Number(value)))
+    }
+
+    const handleAddCriterion = (e) => {
+        e.preventDefault()
+        if (!newCriterion.trim()) return
+        addCriterion(newCriterion.trim())
+        setNewCriterion('')
+    }
+
+    const cellClass = "px-4 py-3 border-b border-slate-100 align-middle"
+    const labelClass = cn(cellClass, "sticky left-0 bg-white text-sm font-medium text-slate-700 w-56 min-w-[14rem]")
+    const sectionClass = "px-4 pt-6 pb-2 text-xs font-bold uppercase tracking-wider text-slate-400"
+
+    return (
+        <div className="container py-8 animate-fade-in">
+            <Link
+                to="/applications"
+                className="inline-flex items-center gap-2 text-sm font-medium text-slate-500 hover:text-slate-900 mb-4"
+            >
+                <ArrowLeft size={16} /> Applications
+            </Link>
+            <div className="mb-6">
+                <h1 className="text-3xl font-bold text-slate-900">Compare Offers</h1>
+                <p className="text-slate-600 font-medium mt-1">
+                    Line up compensation side by side and score what matters to you
+                </p>
+            </div>
+
+            {isLoading ? (
+                <Skeleton className="h-96 w-full rounded-xl" />
+            ) : columns.length === 0 ? (
+                <EmptyState
+                    icon={Scale}
+                    title="No offers yet"
+                    description="Applications move here once their status is Offer or Accepted."
+                />
+            ) : (
+                <Card className="p-0 overflow-x-auto">
+                    <table className="w-full text-left border-collapse">
+                        <thead>
+                            <tr>
+                                <th className={cn(labelClass, "text-xs uppercase tracking-wider text-slate-400")}>Offer</th>
+                                {columns.map(({ application }) => (
+                                    <th
+                                        key={application.id}
+                                        className={cn(
+                                            cellClass,
+                                            "min-w-[12rem] font-normal",
+                                            String(application.id) === highlightId && "bg-teal-brand-50"
+                                        )}
+                                    >
+                                        <Link
+                                            to={`/applications/${application.id}`}
+                                            className="block font-semibold text-slate-900 hover:text-teal-brand-600 truncate"
+                                        >
+                                            {application.job_title}
+                                        </Link>
+                                        <span className="flex items-center gap-1 text-sm text-slate-500">
+                                            <Building size={13} className="shrink-0" />
+                                            <span className="truncate">{application.company_name}</span>
+                                        </span>
+                                        {application.status === 'accepted' && (
+                                            <span className="inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-medium bg-emerald-50 text-emerald-700">
+                                                Accepted
+                                            </span>
+                                        )}
+                                    </th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <tr><td colSpan={columns.length + 1} className={sectionClass}>Compensation</td></tr>
+                            {OFFER_FIELDS.map((field) => (
+                                <tr key={field.key}>
+                                    <td className={labelClass}>
+                                        {field.label}
+                                        {field.hint && <span className="block text-xs font-normal text-slate-400">{field.hint}</span>}
+                                    </td>
+                                    {columns.map(({ application, details }) => (
+                                        <td key={application.id} className={cellClass}>
+                                            <div className="flex items-center gap-2">
+                                                {field.unit === 'currency' && <span className="text-sm text-slate-400">$</span>}
+                                                <input
+                                                    type="number"
+                                                    min={0}
+                                                    step={field.unit === 'currency' ? 1000 : 1}
+                                                    value={details[field.key] ?? ''}
+                                                    onChange={(e) => handleFieldChange(application.id, field.key, e.target.value)}
+                                                    className="input py-1.5 px-2 min-w-0"
+                                                    aria-label={`${field.label} for ${application.company_name}`}
+                                                />
+                                                {UNIT_SUFFIX[field.unit] && (
+                                                    <span className="text-sm text-slate-400">{UNIT_SUFFIX[field.unit]}</span>
+                                                )}
+                                            </div>
+                                            {field.key === 'base_salary' && (application.salary_min || application.salary_max) && (
+                                                <span className="block mt-1 text-xs text-slate-400">
+                                                    Posted: {[application.salary_min, application.salary_max].filter(Boolean).map(formatCurrency).join(' – ')}
+                                                </span>
+                                            )}
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+
+                            <tr><td colSpan={columns.length + 1} className={sectionClass}>Total compensation</td></tr>
+                            {[
+                                { label: 'First year', key: 'firstYear', best: bestFirstYear },
+                                { label: 'Four years', key: 'fourYear', best: bestFourYear },
+                            ].map((row) => (
+                                <tr key={row.key}>
+                                    <td className={labelClass}>{row.label}</td>
+                                    {columns.map(({ application, compensation }, index) => (
+                                        <td
+                                            key={application.id}
+                                            className={cn(
+                                                cellClass,
+                                                "font-bold text-slate-900",
+                                                index === row.best && "text-emerald-600"
+                                            )}
+                                        >
+                                            <span className="flex items-center gap-1.5">
+                                                {formatCurrency(compensation[row.key])}
+                                                {index === row.best && <Trophy size={14} />}
+                                            </span>
+                                            {row.key === 'fourYear' && (
+                                                <span className="block text-xs font-normal text-slate-400">
+                                                    {compensation.yearly.map((value) => formatCurrency(value)).join(' · ')}
+                                                </span>
+                                            )}
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+
+                            <tr>
+                                <td colSpan={columns.length + 1} className={sectionClass}>
+                                    <span className="flex items-center justify-between">
+                                        Scoring
+                                        <button
+                                            type="button"
+                                            onClick={resetCriteria}
+                                            className="flex items-center gap-1 normal-case tracking-normal font-medium text-slate-500 hover:text-slate-900"
+                                        >
+                                            <RotateCcw size={12} /> Reset criteria
+                                        </button>
+                                    </span>
+                                </td>
+                            </tr>
+                            {criteria.map((criterion) => (
+                                <tr key={criterion.id}>
+                                    <td className={labelClass}>
+                                        <div className="flex items-center justify-between gap-2">
+                                            <span className="truncate">{criterion.label}</span>
+                                            <button
+                                                type="button"
+                                                onClick={() => removeCriterion(criterion.id)}
+                                                className="p-1 rounded text-slate-300 hover:text-rose-500"
+                                                aria-label={`Remove ${criterion.label}`}
+                                            >
+                                                <X size={12} />
+                                            </button>
+                                        </div>
+                                        <label className="flex items-center gap-2 mt-1 text-xs font-normal text-slate-500">
+                                            Weight
+                                            <input
+                                                type="range"
+                                                min={0}
+                                                max={5}
+                                                value={criterion.weight}
+                                                onChange={(e) => updateCriterion(criterion.id, { weight: Number(e.target.value) })}
+                                                className="flex-1 accent-teal-brand-600"
+                                            />
+                                            <span className="w-3 text-right">{criterion.weight}</span>
+                                        </label>
+                                    </td>
+                                    {columns.map(({ application }) => (
+                                        <td key={application.id} className={cellClass}>
+                                            <RatingInput
+                                                value={ratings[application.id]?.[criterion.id]}
+                                                onChange={(rating) => setRating(application.id, criterion.id, rating)}
+                                                label={`${criterion.label} for ${application.company_name}`}
+                                            />
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                            <tr>
+                                <td className={labelClass}>
+                                    <form onSubmit={handleAddCriterion} className="flex items-center gap-1">
+                                        <input
+                                            type="text"
+                                            value={newCriterion}
+                                            onChange={(e) => setNewCriterion(e.target.value)}
+                                            placeholder="Add criterion"
+                                            className="input py-1 px-2 text-sm min-w-0"
+                                        />
+                                        <button
+                                            type="submit"
+                                            className="p-1.5 rounded text-slate-400 hover:text-teal-brand-600"
+                                            aria-label="Add criterion"
+                                        >
+                                            <Plus size={16} />
+                                        </button>
+                                    </form>
+                                </td>
+                                <td colSpan={columns.length} className={cellClass} />
+                            </tr>
+                            <tr>
+                                <td className={cn(labelClass, "font-bold text-slate-900")}>Weighted score</td>
+                                {columns.map(({ application, score }, index) => (
+                                    <td
+                                        key={application.id}
+                                        className={cn(
+                                            cellClass,
+                                            "text-lg font-bold text-slate-900",
+                                            index === bestScore && "text-emerald-600"
+                                        )}
+                                    >
+                                        {score == null ? <span className="text-sm font-normal text-slate-400">Not rated</span> : `${score} / 100`}
+                                    </td>
+                                ))}
+                            </tr>
+                        </tbody>
+                    </table>
+                </Card>
+            )}
+        </div>
+    )
+}
+
+export default OfferComparison
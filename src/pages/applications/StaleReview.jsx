@@ -0,0 +1,217 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { ArrowLeft, Ghost, CalendarPlus, Hourglass, RotateCcw, Building } from 'lucide-react'
+import { applicationService, STATUS_OPTIONS } from '@/services/applicationService'
+import useStalenessStore from '@/stores/useStalenessStore'
+import { isStale, getDaysSinceApplied, STALE_STATUS_OPTIONS } from '@/utils/staleness'
+import { dueDateFromToday } from '@/utils/tasks'
+import Button from '@/components/ui/Button'
+import Card from '@/components/ui/Card'
+import EmptyState from '@/components/ui/EmptyState'
+import ConfirmDialog from '@/components/ui/ConfirmDialog'
+import Skeleton from '@/components/ui/Skeleton'
+import { useToast } from '@/hooks/useToast'
+import { cn } from '@/utils/cn'
+
+const FOLLOW_UP_ACTION = 'Follow up on application'
+
+const StaleReview = () => {
+    const queryClient = useQueryClient()
+    const { success, error: showError, warning } = useToast()
+    const { rule, setRule, resetRule } = useStalenessStore()
+    const [isGhostAllOpen, setIsGhostAllOpen] = useState(false)
+
+    const { data: applications = [], isLoading } = useQuery({
+        queryKey: ['applications', 'all'],
+        queryFn: ({ signal }) => applicationService.getAllApplications({}, { signal }),
+        staleTime: 60 * 1000,
+    })
+
+    const staleApplications = applications
+        .filter((application) => isStale(application, rule))
+        .sort((a, b) => (getDaysSinceApplied(b) ?? 0) - (getDaysSinceApplied(a) ?? 0))
+
+    const onSettled = () => queryClient.invalidateQueries({ queryKey: ['applications'] })
+
+    const ghostMutation = useMutation({
+        mutationFn: (application) => applicationService.updateStatus(application.id, 'ghosted'),
+        onSuccess: (_, application) => success(`${application.job_title} marked as ghosted`),
+        onError: () => showError('Failed to update status'),
+        onSettled
+    })
+
+    const followUpMutation = useMutation({
+        mutationFn: (application) => applicationService.updateApplication(application.id, {
+            next_action: application.next_action || FOLLOW_UP_ACTION,
+            next_action_date: dueDateFromToday(0),
+        }),
+        onSuccess: () => success('Follow-up added to today\'s tasks'),
+        onError: () => showError('Failed to schedule follow-up'),
+        onSettled
+    })
+
+    const ghostAllMutation = useMutation({
+        mutationFn: () => applicationService.bulkUpdateStatus(staleApplications.map((application) => application.id), 'ghosted'),
+        onSuccess: ({ succeeded, failed }) => {
+            if (succeeded.length) success(`Marked ${succeeded.length} application${succeeded.length === 1 ? '' : 's'} as ghosted`)
+            if (failed.length) warning(`${failed.length} application${failed.length === 1 ? '' : 's'} could not be updated`)
+            setIsGhostAllOpen(false)
+        },
+        onSettled
+    })
+
+    const toggleStatus = (status) => {
+        const statuses = rule.statuses.includes(status)
+            ? rule.statuses.filter((value) => value !== status)
+            : [...rule.statuses, status]
+        setRule({ statuses })
+    }
+
+    const isBusy = (mutation, application) => mutation.isPending && mutation.variables?.id === application.id
+
+    return (
+        <div className="container py-8 animate-fade-in max-w-4xl mx-auto">
+            <Link
+                to="/applications"
+                className="inline-flex items-center gap-2 text-sm font-medium text-slate-500 hover:text-slate-900 mb-4"
+            >
+                <ArrowLeft size={16} /> Applications
+            </Link>
+            <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6 gap-4">
+                <div>
+                    <h1 className="text-3xl font-bold text-slate-900">Review Stale Applications</h1>
+                    <p className="text-slate-600 font-medium mt-1">
+                        Close out applications that never got a response so your funnel stays honest
+                    </p>
+                </div>
+                {staleApplications.length > 1 && (
+                    <Button variant="secondary" startIcon={<Ghost size={16} />} onClick={() => setIsGhostAllOpen(true)}>
+                        Ghost All ({staleApplications.length})
+                    </Button>
+                )}
+            </div>
+
+            {/* Rule */}
+            <Card className="p-4 mb-6">
+                <div className="flex flex-wrap items-center gap-x-4 gap-y-3 text-sm text-slate-700">
+                    <label className="flex items-center gap-2 font-medium">
+                        <input
+                            type="checkbox"
+                            checked={rule.enabled}
+                            onChange={(e) => setRule({ enabled: e.target.checked })}
+                            className="accent-teal-brand-600"
+                        />
+                        Flag applications with no response after
+                    </label>
+                    <input
+                        type="number"
+                        min={1}
+                        value={rule.days}
+                        onChange={(e) => setRule({ days: Math.max(1, Number(e.target.value) || 1) })}
+                        disabled={!rule.enabled}
+                        className="input w-20 py-1.5 px-2"
+                        aria-label="Days without response"
+                    />
+                    <span>days while</span>
+                    <div className="flex flex-wrap gap-1.5">
+                        {STALE_STATUS_OPTIONS.map((option) => (
+                            <button
+                                key={option.value}
+                                type="button"
+                                disabled={!rule.enabled}
+                                onClick={() => toggleStatus(option.value)}
+                                className={cn(
+                                    "px-2.5 py-1 rounded-full text-xs font-medium border transition-colors disabled:opacity-50",
+                                    rule.statuses.includes(option.value)
+                                        ? "bg-teal-brand-50 border-teal-brand-300 text-teal-brand-700"
+                                        : "bg-white border-slate-200 text-slate-500 hover:bg-slate-50"
+                                )}
+                            >
+                                {option.label}
+                            </button>
+                        ))}
+                    </div>
+                    <button
+                        type="button"
+                        onClick={resetRule}
+                        className="ml-auto flex items-center gap-1 text-xs font-medium text-slate-500 hover:text-slate-900"
+                    >
+                        <RotateCcw size={12} /> Reset
+                    </button>
+                </div>
+            </Card>
+
+            {isLoading ? (
+                <div className="space-y-3">
+                    {[...Array(4)].map((_, i) => <Skeleton key={i} className="h-16 w-full rounded-xl" />)}
+                </div>
+            ) : staleApplications.length === 0 ? (
+                <EmptyState
+                    icon={Hourglass}
+                    title="Nothing to review"
+                    description={rule.enabled
+                        ? 'Every application has either had a response or has a follow-up scheduled.'
+                        : 'Stale detection is turned off.'}
+                />
+            ) : (
+                <div className="space-y-2">
+                    {staleApplications.map((application) => (
+                        <Card key={application.id} className="p-4 flex flex-col sm:flex-row sm:items-center gap-3">
+                            <div className="flex-1 min-w-0">
+                                <Link
+                                    to={`/applications/${application.id}`}
+                                    className="font-semibold text-slate-900 hover:text-teal-brand-600 truncate block"
+                                >
+                                    {application.job_title}
+                                </Link>
+                                <p className="flex items-center gap-1.5 text-sm text-slate-500">
+                                    <Building size={13} className="shrink-0" />
+                                    {application.company_name}
+                                    <span className="text-slate-300">·</span>
+                                    {STATUS_OPTIONS.find((option) => option.value === application.status)?.label}
+                                    <span className="text-slate-300">·</span>
+                                    <span className="text-amber-600 font-medium">
+                                        {getDaysSinceApplied(application)} days, no response
+                                    </span>
+                                </p>
+                            </div>
+                            <div className="flex items-center gap-2 shrink-0">
+                                <Button
+                                    size="sm"
+                                    variant="secondary"
+                                    startIcon={<CalendarPlus size={14} />}
+                                    isLoading={isBusy(followUpMutation, application)}
+                                    onClick={() => followUpMutation.mutate(application)}
+                                >
+                                    Schedule Follow-up
+                                </Button>
+                                <Button
+                                    size="sm"
+                                    variant="ghost"
+                                    startIcon={<Ghost size={14} />}
+                                    isLoading={isBusy(ghostMutation, application)}
+                                    onClick={() => ghostMutation.mutate(application)}
+                                >
+                                    Mark Ghosted
+                                </Button>
+                            </div>
+                        </Card>
+                    ))}
+                </div>
+            )}
+
+            <ConfirmDialog
+                isOpen={isGhostAllOpen}
+                onClose={() => setIsGhostAllOpen(false)}
+                onConfirm={() => ghostAllMutation.mutate()}
+                isLoading={ghostAllMutation.isPending}
+                title="Mark All as Ghosted"
+                description={`Mark ${staleApplications.length} stale applications as ghosted? You can still move them back from the board later.`}
+                confirmLabel="Mark Ghosted"
+            />
+        </div>
+    )
+}
+
+export default StaleReview
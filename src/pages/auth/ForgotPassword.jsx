@@ -13,6 +13,7 @@ import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
 import { useMutation } from '@tanstack/react-query';
 import { authService } from '@/services/authService';
+import { useServerErrors } from '@/hooks/useServerErrors';
 import { 
   Mail, ArrowLeft, Send, CheckCircle2
 } from 'lucide-react';
@@ -20,6 +21,7 @@ import {
 import Button from '@/components/ui/Button';
 import Input from '@/components/ui/Input';
 import Card from '@/components/ui/Card';
+import FormErrorBanner from '@/components/ui/FormErrorBanner';
 
 // Validation schema
 const schema = z.object({
@@ -32,9 +34,13 @@ const schema = z.object({
 const ForgotPassword = () => {
   const [submitted, setSubmitted] = useState(false);
 
-  const { register, handleSubmit, formState: { errors }, watch } = useForm({
+  const { register, handleSubmit, setError, formState: { errors }, watch } = useForm({
     resolver: zodResolver(schema)
   });
+  const { formError, handleServerError, clearServerError } = useServerErrors({
+    setError,
+    fields: Object.keys(schema.shape)
+  });
 
   // eslint-disable-next-line react-hooks/incompatible-library
   const email = watch('email');
@@ -44,10 +50,12 @@ const ForgotPassword = () => {
     mutationFn: (email) => authService.requestPasswordReset(email),
     onSuccess: () => {
       setSubmitted(true);
-    }
+    },
+    onError: handleServerError
   });
 
   const onSubmit = (data) => {
+    clearServerError();
     mutation.mutate(data.email);
   };
 
@@ -89,14 +97,7 @@ const ForgotPassword = () => {
                   disabled={mutation.isPending}
                 />
 
-                {mutation.isError && (
-                  <div className="p-4 rounded-lg bg-rose-50 border border-rose-200">
-                    <p className="text-sm text-rose-600">
-                      {mutation.error?.response?.data?.error || 
-                       'Failed to send reset email. Please try again.'}
-                    </p>
-                  </div>
-                )}
+                <FormErrorBanner error={formError} />
 
                 <Button 
                   type="submit" 
@@ -4,11 +4,17 @@ import { zodResolver } from '@hookform/resolvers/zod'
 import { z } from 'zod'
 import { Link, useNavigate, useLocation } from 'react-router-dom'
 import { authService } from '@/services/authService'
+import { getApiError } from '@/services/apiErrors'
+import { useServerErrors } from '@/hooks/useServerErrors'
 import useAuthStore from '@/stores/useAuthStore'
 import Button from '@/components/ui/Button'
 import Input from '@/components/ui/Input'
 import Card from '@/components/ui/Card'
-import { CheckCircle2, Shield } from 'lucide-react'
+import FormErrorBanner from '@/components/ui/FormErrorBanner'
+import { DEMO_EMAIL, DEMO_PASSWORD } from '@/mocks/fixtures'
+import { CheckCircle2, Shield, FlaskConical } from 'lucide-react'
+
+const IS_MOCK_API = import.meta.env.VITE_MOCK_API === 'true'
 
 // Validation Schema
 const schema = z.object({
@@ -16,10 +22,21 @@ const schema = z.object({
     password: z.string().min(6, 'Password must be at least 6 characters'),
 })
 
+// Where to go after signing in: ?next= from an expired session, or the page
+// ProtectedRoute bounced us from. Only same-origin paths are accepted.
+const getReturnTo = (location) => {
+    const next = new URLSearchParams(location.search).get('next')
+    const from = location.state?.from
+    const target = next || (from ? `${from.pathname}${from.search || ''}${from.hash || ''}` : null)
+    return target && target.startsWith('/') && !target.startsWith('//') ? target : '/dashboard'
+}
+
 const Login = () => {
     const navigate = useNavigate()
     const location = useLocation()
+    const returnTo = getReturnTo(location)
     const setTokens = useAuthStore((state) => state.setTokens)
+    const isAuthenticated = useAuthStore((state) => state.isAuthenticated)
     const [isLoading, setIsLoading] = useState(false)
     const [serverError, setServerError] = useState('')
     const [successMessage, setSuccessMessage] = useState('')
@@ -39,17 +56,28 @@ const Login = () => {
         }
     }, [location])
 
+    // Leave once signed in, whether here or in another tab
+    useEffect(() => {
+        if (isAuthenticated) navigate(returnTo, { replace: true })
+    }, [isAuthenticated, navigate, returnTo])
+
     const {
         register,
         handleSubmit,
+        setError,
         formState: { errors },
     } = useForm({
         resolver: zodResolver(schema),
+        defaultValues: IS_MOCK_API ? { email: DEMO_EMAIL, password: DEMO_PASSWORD } : undefined,
+    })
+    const { formError, handleServerError, clearServerError } = useServerErrors({
+        setError,
+        fields: Object.keys(schema.shape),
     })
 
     const onSubmit = async (data) => {
         setIsLoading(true)
-        setServerError('')
+        clearServerError()
         try {
             const response = await authService.login(data.email, data.password)
             console.log('Login response:', response)
@@ -64,12 +92,9 @@ const Login = () => {
             
             // Normal login without 2FA
             setTokens(response.access, response.refresh)
-            navigate('/dashboard')
         } catch (error) {
             console.error(error)
-            setServerError(
-                error.response?.data?.detail || 'Invalid credentials. Please try again.'
-            )
+            handleServerError(error)
         } finally {
             setIsLoading(false)
         }
@@ -89,13 +114,10 @@ const Login = () => {
             // After successful 2FA verification, use the tokens
             if (tempTokens) {
                 setTokens(tempTokens.access, tempTokens.refresh)
-                navigate('/dashboard')
             }
         } catch (error) {
             console.error('2FA verification error:', error)
-            setServerError(
-                error.response?.data?.error || 'Invalid code. Please try again.'
-            )
+            setServerError(getApiError(error).message)
         } finally {
             setIs2FALoading(false)
         }
@@ -128,12 +150,18 @@ const Login = () => {
                                 </div>
                             )}
 
-                            {serverError && (
-                                <div className="p-3 rounded-md bg-rose-50 text-rose-600 text-sm border border-rose-200">
-                                    {serverError}
+                            {IS_MOCK_API && (
+                                <div className="p-4 rounded-lg bg-sky-50 text-sky-800 text-sm border border-sky-200 flex items-start gap-3">
+                                    <FlaskConical size={20} className="shrink-0 mt-0.5" />
+                                    <p>
+                                        Demo mode: data is stored in this browser. Sign in with{' '}
+                                        <span className="font-medium">{DEMO_EMAIL}</span> / <span className="font-medium">{DEMO_PASSWORD}</span>.
+                                    </p>
                                 </div>
                             )}
 
+                            <FormErrorBanner error={formError} />
+
                             <form onSubmit={handleSubmit(onSubmit)} className="space-y-5">
                                 <Input
                                     label="Email"
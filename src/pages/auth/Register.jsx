@@ -7,6 +7,8 @@ import { authService } from '@/services/authService'
 import Button from '@/components/ui/Button'
 import Input from '@/components/ui/Input'
 import Card from '@/components/ui/Card'
+import FormErrorBanner from '@/components/ui/FormErrorBanner'
+import { useServerErrors } from '@/hooks/useServerErrors'
 import { Mail, CheckCircle2, RefreshCw, ArrowRight } from 'lucide-react'
 import { useMutation } from '@tanstack/react-query'
 
@@ -26,28 +28,33 @@ const schema = z.object({
 const Register = () => {
     const [registeredEmail, setRegisteredEmail] = useState(null)
     const [isLoading, setIsLoading] = useState(false)
-    const [serverError, setServerError] = useState('')
     const [showVerificationNotice, setShowVerificationNotice] = useState(false)
 
     const {
         register,
         handleSubmit,
+        setError,
         formState: { errors },
     } = useForm({
         resolver: zodResolver(schema),
     })
+    const { formError, handleServerError, clearServerError } = useServerErrors({
+        setError,
+        fields: Object.keys(schema.shape),
+        fieldMap: { password_confirm: 'confirmPassword' },
+    })
 
     // Resend verification mutation
     const resendMutation = useMutation({
         mutationFn: (email) => authService.resendVerification(email),
         onSuccess: () => {
-            setServerError('')
+            clearServerError()
         }
     })
 
     const onSubmit = async (data) => {
         setIsLoading(true)
-        setServerError('')
+        clearServerError()
         try {
             const response = await authService.register({
                 username: data.username,
@@ -63,13 +70,7 @@ const Register = () => {
         } catch (error) {
             console.error('Registration Error:', error)
             console.error('Error Response:', error.response)
-            // Django DRF errors are usually object of arrays { email: ['error'], ... }
-            if (error.response?.data) {
-                const firstError = Object.values(error.response.data)[0]
-                setServerError(Array.isArray(firstError) ? firstError[0] : 'Registration failed.')
-            } else {
-                setServerError('Something went wrong. Please try again.')
-            }
+            handleServerError(error)
         } finally {
             setIsLoading(false)
         }
@@ -98,11 +99,7 @@ const Register = () => {
                                 <p className="mt-2 text-sm text-slate-500">Start managing your applications intelligently</p>
                             </div>
 
-                            {serverError && (
-                                <div className="p-3 rounded-md bg-rose-50 text-rose-600 text-sm border border-rose-200">
-                                    {serverError}
-                                </div>
-                            )}
+                            <FormErrorBanner error={formError} />
 
                             <form onSubmit={handleSubmit(onSubmit)} className="space-y-5">
                                 <Input
@@ -20,6 +20,8 @@ import { cn } from '@/utils/cn';
 import Button from '@/components/ui/Button';
 import Input from '@/components/ui/Input';
 import Card from '@/components/ui/Card';
+import FormErrorBanner from '@/components/ui/FormErrorBanner';
+import { useServerErrors } from '@/hooks/useServerErrors';
 
 // Password validation schema
 const schema = z.object({
@@ -48,10 +50,16 @@ const ResetPassword = () => {
 
   const token = searchParams.get('token');
 
-  const { register, handleSubmit, formState: { errors }, watch } = useForm({
+  const { register, handleSubmit, setError, formState: { errors }, watch } = useForm({
     resolver: zodResolver(schema)
   });
 
+  // Problems with the token itself have no field, so they end up in the banner
+  const { formError, handleServerError, clearServerError } = useServerErrors({
+    setError,
+    fields: Object.keys(schema.shape)
+  });
+
   // eslint-disable-next-line react-hooks/incompatible-library
   const password = watch('new_password');
 
@@ -89,10 +97,12 @@ const ResetPassword = () => {
           state: { message: 'Password reset successful! Please log in with your new password.' } 
         });
       }, 3000);
-    }
+    },
+    onError: handleServerError
   });
 
   const onSubmit = (data) => {
+    clearServerError();
     mutation.mutate(data);
   };
 
@@ -264,14 +274,7 @@ const ResetPassword = () => {
                   </ul>
                 </div>
 
-                {mutation.isError && (
-                  <div className="p-4 rounded-lg bg-rose-50 border border-rose-200">
-                    <p className="text-sm text-rose-600">
-                      {mutation.error?.response?.data?.error || 
-                       'Failed to reset password. The link may be expired.'}
-                    </p>
-                  </div>
-                )}
+                <FormErrorBanner error={formError} />
 
                 <Button 
                   type="submit" 
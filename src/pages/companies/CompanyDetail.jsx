@@ -3,6 +3,7 @@ import { useParams, useNavigate, Link } from 'react-router-dom'
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
 import { companyService, COMPANY_SIZES } from '@/services/companyService'
 import { applicationService } from '@/services/applicationService'
+import { contactService, CONTACT_ROLES } from '@/services/contactService'
 import {
     ArrowLeft, Building2, Globe, MapPin, Users, Star, Edit2, Trash2,
     Briefcase, Calendar, ExternalLink, FileText, Plus
@@ -31,18 +32,27 @@ const CompanyDetail = () => {
     // Fetch Company
     const { data: company, isLoading, isError } = useQuery({
         queryKey: ['company', id],
-        queryFn: () => companyService.getCompany(id)
+        queryFn: ({ signal }) => companyService.getCompany(id, { signal })
     })
 
     // Fetch Applications for this company
     const { data: applicationsData } = useQuery({
         queryKey: ['applications', 'company', id],
-        queryFn: () => applicationService.getApplications({ company: id }),
+        queryFn: ({ signal }) => applicationService.getApplications({ company: id }, { signal }),
         enabled: !!id
     })
 
     const applications = applicationsData?.results || []
 
+    // Contacts at this company
+    const { data: contactsData } = useQuery({
+        queryKey: ['contacts', { company: id }],
+        queryFn: () => contactService.getContacts({ company: id }),
+        enabled: !!id
+    })
+
+    const contacts = contactsData?.results || []
+
     // Delete mutation
     const deleteMutation = useMutation({
         mutationFn: () => companyService.deleteCompany(id),
@@ -241,6 +251,27 @@ const CompanyDetail = () => {
                             )}
                         </Card>
 
+                        {/* Contacts */}
+                        {contacts.length > 0 && (
+                            <Card className="p-6">
+                                <h3 className="text-lg font-bold text-slate-900 mb-4">People</h3>
+                                <div className="space-y-2">
+                                    {contacts.map(contact => (
+                                        <Link
+                                            key={contact.id}
+                                            to={`/contacts/${contact.id}`}
+                                            className="block p-3 rounded-lg bg-slate-50 hover:bg-teal-brand-50 border border-transparent hover:border-teal-brand-200 transition-colors"
+                                        >
+                                            <div className="font-medium text-slate-900 text-sm truncate">{contact.name}</div>
+                                            <div className="text-xs text-slate-500 truncate">
+                                                {contact.title || CONTACT_ROLES.find(r => r.value === contact.role)?.label}
+                                            </div>
+                                        </Link>
+                                    ))}
+                                </div>
+                            </Card>
+                        )}
+
                         {/* Quick Stats */}
                         <Card className="p-6">
                             <h3 className="text-lg font-bold text-slate-900 mb-4">Quick Stats</h3>
@@ -4,10 +4,13 @@ import { zodResolver } from '@hookform/resolvers/zod'
 import { z } from 'zod'
 import { useMutation, useQueryClient } from '@tanstack/react-query'
 import { companyService, COMPANY_SIZES, INDUSTRIES } from '@/services/companyService'
+import { COMPANY_SIZE } from '@/schemas/domain'
 import Input from '@/components/ui/Input'
 import Select from '@/components/ui/Select'
 import Textarea from '@/components/ui/Textarea'
 import Button from '@/components/ui/Button'
+import FormErrorBanner from '@/components/ui/FormErrorBanner'
+import { useServerErrors } from '@/hooks/useServerErrors'
 import { Building2, Globe, MapPin, Users, Star, FileText, Save, Loader2, AlertCircle } from 'lucide-react'
 
 // Validation Schema - Company name is required
@@ -21,7 +24,7 @@ const companySchema = z.object({
         .optional(),
     industry: z.string().max(100).optional(),
     location: z.string().max(200).optional(),
-    size: z.string().optional(),
+    size: COMPANY_SIZE.schema.or(z.literal('')).optional(),
     glassdoor_rating: z.coerce.number()
         .min(0, 'Rating must be between 0 and 5')
         .max(5, 'Rating must be between 0 and 5')
@@ -38,6 +41,7 @@ const CompanyForm = ({ initialData = null, onSuccess }) => {
     const {
         register,
         handleSubmit,
+        setError,
         formState: { errors, isSubmitting }
     } = useForm({
         resolver: zodResolver(companySchema),
@@ -51,6 +55,10 @@ const CompanyForm = ({ initialData = null, onSuccess }) => {
             notes: initialData?.notes || ''
         }
     })
+    const { formError, handleServerError, clearServerError } = useServerErrors({
+        setError,
+        fields: Object.keys(companySchema.shape)
+    })
 
     // Create/Update mutation
     const mutation = useMutation({
@@ -78,10 +86,12 @@ const CompanyForm = ({ initialData = null, onSuccess }) => {
                 queryClient.invalidateQueries({ queryKey: ['company', initialData.id] })
             }
             if (onSuccess) onSuccess()
-        }
+        },
+        onError: handleServerError
     })
 
     const onSubmit = (data) => {
+        clearServerError()
         mutation.mutate(data)
     }
 
@@ -181,33 +191,7 @@ const CompanyForm = ({ initialData = null, onSuccess }) => {
             )}
 
             {/* API Error Message */}
-            {mutation.isError && (
-                <div className="p-3 rounded-lg bg-rose-50 border border-rose-200 text-rose-600 text-sm">
-                    <div className="flex items-center gap-2 font-medium mb-1">
-                        <AlertCircle size={16} />
-                        Failed to save company
-                    </div>
-                    <p>
-                        {(() => {
-                            const errorData = mutation.error?.response?.data;
-                            if (typeof errorData === 'string') return errorData;
-                            if (errorData?.error) return errorData.error;
-                            if (errorData?.detail) return errorData.detail;
-                            if (errorData?.name?.[0]) return `Name: ${errorData.name[0]}`;
-                            if (errorData?.website?.[0]) return `Website: ${errorData.website[0]}`;
-                            // Check for any field errors
-                            if (typeof errorData === 'object' && errorData !== null) {
-                                const fieldErrors = Object.entries(errorData)
-                                    .filter(([, v]) => Array.isArray(v) || typeof v === 'string')
-                                    .map(([k, v]) => `${k}: ${Array.isArray(v) ? v[0] : v}`)
-                                    .join(', ');
-                                if (fieldErrors) return fieldErrors;
-                            }
-                            return 'Please check your input and try again.';
-                        })()}
-                    </p>
-                </div>
-            )}
+            <FormErrorBanner error={formError} />
 
             {/* Actions */}
             <div className="flex justify-end gap-3 pt-4 border-t border-slate-100">
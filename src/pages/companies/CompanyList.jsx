@@ -1,5 +1,5 @@
 import React, { useState } from 'react'
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query'
 import { Link, useNavigate } from 'react-router-dom'
 import { companyService, COMPANY_SIZES } from '@/services/companyService'
 import {
@@ -17,6 +17,7 @@ import ConfirmDialog from '@/components/ui/ConfirmDialog'
 import EmptyState from '@/components/ui/EmptyState'
 import CompanyForm from './CompanyForm'
 import { useToast } from '@/hooks/useToast'
+import { useDebouncedValue } from '@/hooks/useDebouncedValue'
 import { cn } from '@/utils/cn'
 
 const CompanyList = () => {
@@ -32,15 +33,18 @@ const CompanyList = () => {
     const [editingCompany, setEditingCompany] = useState(null)
     const [deletingCompany, setDeletingCompany] = useState(null)
 
+    // Search once typing pauses; the previous results stay up meanwhile
+    const search = useDebouncedValue(searchQuery.trim())
+
     // Fetch companies with filters
     const { data, isLoading } = useQuery({
-        queryKey: ['companies', { search: searchQuery, size: sizeFilter, ordering: sortBy }],
-        queryFn: () => companyService.getCompanies({
-            search: searchQuery || undefined,
+        queryKey: ['companies', { search, size: sizeFilter, ordering: sortBy }],
+        queryFn: ({ signal }) => companyService.getCompanies({
+            search: search || undefined,
             size: sizeFilter || undefined,
             ordering: sortBy
-        }),
-        keepPreviousData: true
+        }, { signal }),
+        placeholderData: keepPreviousData
     })
 
     // Delete mutation
@@ -0,0 +1,390 @@
+import React, { useState } from 'react'
+import { useParams, useNavigate, Link } from 'react-router-dom'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import {
+    contactService, CONTACT_ROLES, LINK_ROLES, INTERACTION_TYPES
+} from '@/services/contactService'
+import {
+    ArrowLeft, Building2, Mail, Phone, Linkedin, Edit2, Trash2, FileText,
+    Briefcase, Calendar, Link2, X, MessageSquare, PhoneCall, Users, Send
+} from 'lucide-react'
+import { format, parseISO } from 'date-fns'
+import Card from '@/components/ui/Card'
+import Button from '@/components/ui/Button'
+import Skeleton from '@/components/ui/Skeleton'
+import Modal from '@/components/ui/Modal'
+import ConfirmDialog from '@/components/ui/ConfirmDialog'
+import ContactForm from './ContactForm'
+import { useToast } from '@/hooks/useToast'
+import { cn } from '@/utils/cn'
+
+const interactionIcons = {
+    email: Mail,
+    call: PhoneCall,
+    meeting: Users,
+    linkedin: Linkedin,
+    other: MessageSquare,
+}
+
+const today = () => format(new Date(), 'yyyy-MM-dd')
+
+const ContactDetail = () => {
+    const { id } = useParams()
+    const navigate = useNavigate()
+    const queryClient = useQueryClient()
+    const { success, error: showError } = useToast()
+
+    const [isEditOpen, setIsEditOpen] = useState(false)
+    const [isDeleteOpen, setIsDeleteOpen] = useState(false)
+    const [interaction, setInteraction] = useState({ type: 'email', date: today(), summary: '' })
+
+    const { data: contact, isLoading, isError } = useQuery({
+        queryKey: ['contact', id],
+        queryFn: () => contactService.getContact(id)
+    })
+
+    const onChanged = () => {
+        queryClient.invalidateQueries({ queryKey: ['contact', id] })
+        queryClient.invalidateQueries({ queryKey: ['contacts'] })
+    }
+
+    const deleteMutation = useMutation({
+        mutationFn: () => contactService.deleteContact(id),
+        onSuccess: () => {
+            success('Contact deleted successfully')
+            queryClient.invalidateQueries({ queryKey: ['contacts'] })
+            navigate('/contacts')
+        },
+        onError: () => showError('Failed to delete contact')
+    })
+
+    const addInteractionMutation = useMutation({
+        mutationFn: (data) => contactService.addInteraction(id, data),
+        onSuccess: () => {
+            onChanged()
+            setInteraction({ type: interaction.type, date: today(), summary: '' })
+        },
+        onError: (err) => showError(err.message || 'Failed to log interaction')
+    })
+
+    const deleteInteractionMutation = useMutation({
+        mutationFn: (interactionId) => contactService.deleteInteraction(interactionId),
+        onSuccess: onChanged
+    })
+
+    const unlinkMutation = useMutation({
+        mutationFn: (linkId) => contactService.unlinkContact(linkId),
+        onSuccess: onChanged
+    })
+
+    if (isLoading) return <ContactDetailSkeleton />
+
+    if (isError || !contact) {
+        return (
+            <div className="container py-20 text-center">
+                <h2 className="text-xl font-bold text-rose-500 mb-4">Contact not found</h2>
+                <Button variant="ghost" onClick={() => navigate('/contacts')}>
+                    <ArrowLeft size={16} className="mr-2" /> Back to Contacts
+                </Button>
+            </div>
+        )
+    }
+
+    const roleLabel = CONTACT_ROLES.find((role) => role.value === contact.role)?.label
+    const linkRoleLabel = (link) => LINK_ROLES[link.type]?.find((role) => role.value === link.role)?.label || link.role
+
+    // Logged interactions plus the moments the contact was linked to a record
+    const history = [
+        ...contact.interactions.map((entry) => ({ ...entry, kind: 'interaction' })),
+        ...contact.links.map((link) => ({
+            id: `link-${link.id}`,
+            kind: 'link',
+            date: link.created_at,
+            summary: `Linked as ${linkRoleLabel(link)} on ${link.label || link.type}`,
+        })),
+    ].sort((a, b) => new Date(b.date) - new Date(a.date))
+
+    const handleLogInteraction = (e) => {
+        e.preventDefault()
+        if (!interaction.summary.trim()) return
+        addInteractionMutation.mutate(interaction)
+    }
+
+    return (
+        <div className="min-h-screen bg-slate-50/50">
+            <div className="container py-8 max-w-5xl mx-auto animate-fade-in">
+                {/* Header */}
+                <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 mb-8">
+                    <Button
+                        variant="ghost"
+                        onClick={() => navigate('/contacts')}
+                        className="pl-0 hover:bg-transparent"
+                    >
+                        <ArrowLeft size={18} className="mr-2" /> Back to Contacts
+                    </Button>
+
+                    <div className="flex gap-3">
+                        <Button
+                            variant="secondary"
+                            onClick={() => setIsEditOpen(true)}
+                            startIcon={<Edit2 size={16} />}
+                        >
+                            Edit
+                        </Button>
+                        <Button
+                            variant="danger"
+                            onClick={() => setIsDeleteOpen(true)}
+                            startIcon={<Trash2 size={16} />}
+                            className="bg-rose-500/10 text-rose-500 hover:bg-rose-500/20 border border-rose-500/20"
+                        >
+                            Delete
+                        </Button>
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                    {/* Main Info */}
+                    <div className="lg:col-span-2 space-y-6">
+                        <Card className="p-8">
+                            <h1 className="text-3xl font-bold text-slate-900 mb-1">{contact.name}</h1>
+                            <p className="text-lg text-slate-500 mb-6">
+                                {[contact.title, roleLabel].filter(Boolean).join(' · ')}
+                            </p>
+
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                                <DetailItem
+                                    icon={Building2}
+                                    label="Company"
+                                    value={contact.company
+                                        ? <Link to={`/companies/${contact.company}`} className="text-teal-brand-600 hover:underline">{contact.company_name}</Link>
+                                        : contact.company_name || 'Not specified'}
+                                />
+                                <DetailItem
+                                    icon={Mail}
+                                    label="Email"
+                                    value={contact.email
+                                        ? <a href={`mailto:${contact.email}`} className="text-teal-brand-600 hover:underline">{contact.email}</a>
+                                        : 'Not specified'}
+                                />
+                                <DetailItem
+                                    icon={Phone}
+                                    label="Phone"
+                                    value={contact.phone
+                                        ? <a href={`tel:${contact.phone}`} className="text-teal-brand-600 hover:underline">{contact.phone}</a>
+                                        : 'Not specified'}
+                                />
+                                <DetailItem
+                                    icon={Linkedin}
+                                    label="LinkedIn"
+                                    value={contact.linkedin_url
+                                        ? <a href={contact.linkedin_url} target="_blank" rel="noreferrer" className="text-teal-brand-600 hover:underline">View Profile</a>
+                                        : 'Not specified'}
+                                />
+                            </div>
+                        </Card>
+
+                        {contact.notes && (
+                            <Card className="p-6">
+                                <h3 className="text-lg font-bold text-slate-900 mb-4 flex items-center gap-2">
+                                    <FileText size={18} className="text-slate-400" />
+                                    Notes
+                                </h3>
+                                <div className="prose prose-slate prose-sm max-w-none text-slate-600 whitespace-pre-wrap">
+                                    {contact.notes}
+                                </div>
+                            </Card>
+                        )}
+
+                        {/* Interaction History */}
+                        <Card className="p-6">
+                            <h3 className="text-lg font-bold text-slate-900 mb-4">Interaction History</h3>
+
+                            <form onSubmit={handleLogInteraction} className="flex flex-col md:flex-row gap-2 mb-6">
+                                <select
+                                    value={interaction.type}
+                                    onChange={(e) => setInteraction({ ...interaction, type: e.target.value })}
+                                    className="input py-2 px-3 md:w-40"
+                                    aria-label="Interaction type"
+                                >
+                                    {INTERACTION_TYPES.map((type) => <option key={type.value} value={type.value}>{type.label}</option>)}
+                                </select>
+                                <input
+                                    type="date"
+                                    value={interaction.date}
+                                    onChange={(e) => setInteraction({ ...interaction, date: e.target.value })}
+                                    className="input py-2 px-3 md:w-40"
+                                    aria-label="Date"
+                                />
+                                <input
+                                    type="text"
+                                    value={interaction.summary}
+                                    onChange={(e) => setInteraction({ ...interaction, summary: e.target.value })}
+                                    placeholder="What happened?"
+                                    className="input py-2 px-3 flex-1"
+                                    aria-label="Summary"
+                                />
+                                <Button
+                                    type="submit"
+                                    startIcon={<Send size={14} />}
+                                    isLoading={addInteractionMutation.isPending}
+                                    disabled={!interaction.summary.trim()}
+                                >
+                                    Log
+                                </Button>
+                            </form>
+
+                            {history.length > 0 ? (
+                                <ol className="relative border-l border-slate-200 ml-2 space-y-5">
+                                    {history.map((entry) => {
+                                        const Icon = entry.kind === 'link' ? Link2 : interactionIcons[entry.type] || MessageSquare
+                                        return (
+                                            <li key={entry.id} className="group ml-6">
+                                                <span className={cn(
+                                                    "absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full ring-4 ring-white",
+                                                    entry.kind === 'link' ? "bg-slate-100 text-slate-400" : "bg-teal-brand-50 text-teal-brand-600"
+                                                )}>
+                                                    <Icon size={12} />
+                                                </span>
+                                                <div className="flex items-start justify-between gap-2">
+                                                    <div>
+                                                        <p className={cn("text-sm", entry.kind === 'link' ? "text-slate-500" : "text-slate-900")}>
+                                                            {entry.summary}
+                                                        </p>
+                                                        <p className="text-xs text-slate-400 mt-0.5">
+                                                            {entry.kind === 'interaction' && `${INTERACTION_TYPES.find((type) => type.value === entry.type)?.label} · `}
+                                                            {format(parseISO(entry.date), 'MMM d, yyyy')}
+                                                        </p>
+                                                    </div>
+                                                    {entry.kind === 'interaction' && (
+                                                        <button
+                                                            type="button"
+                                                            onClick={() => deleteInteractionMutation.mutate(entry.id)}
+                                                            className="p-1 text-slate-300 hover:text-rose-500 opacity-0 group-hover:opacity-100 transition-opacity"
+                                                            aria-label="Delete interaction"
+                                                        >
+                                                            <X size={14} />
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            </li>
+                                        )
+                                    })}
+                                </ol>
+                            ) : (
+                                <p className="text-sm text-slate-400 italic">No interactions logged yet</p>
+                            )}
+                        </Card>
+                    </div>
+
+                    {/* Sidebar - Linked records */}
+                    <div className="space-y-6">
+                        <Card className="p-6">
+                            <div className="flex items-center justify-between mb-4">
+                                <h3 className="text-lg font-bold text-slate-900">Linked To</h3>
+                                <span className="text-2xl font-bold text-teal-brand-600">{contact.links.length}</span>
+                            </div>
+
+                            {contact.links.length > 0 ? (
+                                <div className="space-y-3">
+                                    {contact.links.map((link) => {
+                                        const Icon = link.type === 'interview' ? Calendar : Briefcase
+                                        return (
+                                            <div
+                                                key={link.id}
+                                                className="group flex items-start gap-3 p-3 rounded-lg bg-slate-50 border border-transparent hover:border-teal-brand-200 transition-colors"
+                                            >
+                                                <Icon size={16} className="mt-0.5 text-slate-400 shrink-0" />
+                                                <Link
+                                                    to={`/${link.type === 'interview' ? 'interviews' : 'applications'}/${link.target_id}`}
+                                                    className="flex-1 min-w-0"
+                                                >
+                                                    <span className="block font-medium text-slate-900 text-sm truncate hover:text-teal-brand-600">
+                                                        {link.label || `${link.type === 'interview' ? 'Interview' : 'Application'} #${link.target_id}`}
+                                                    </span>
+                                                    <span className="text-xs text-slate-500">{linkRoleLabel(link)}</span>
+                                                </Link>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => unlinkMutation.mutate(link.id)}
+                                                    className="p-1 text-slate-300 hover:text-rose-500 opacity-0 group-hover:opacity-100 transition-opacity"
+                                                    aria-label="Unlink"
+                                                >
+                                                    <X size={14} />
+                                                </button>
+                                            </div>
+                                        )
+                                    })}
+                                </div>
+                            ) : (
+                                <p className="text-sm text-slate-500 text-center py-6">
+                                    Link this contact from an application or interview page.
+                                </p>
+                            )}
+                        </Card>
+                    </div>
+                </div>
+
+                {/* Edit Modal */}
+                <Modal isOpen={isEditOpen} onClose={() => setIsEditOpen(false)} title="Edit Contact">
+                    <ContactForm
+                        initialData={contact}
+                        onSuccess={() => {
+                            setIsEditOpen(false)
+                            success('Contact updated successfully')
+                        }}
+                    />
+                </Modal>
+
+                {/* Delete Confirmation */}
+                <ConfirmDialog
+                    isOpen={isDeleteOpen}
+                    onClose={() => setIsDeleteOpen(false)}
+                    onConfirm={() => deleteMutation.mutate()}
+                    isLoading={deleteMutation.isPending}
+                    title="Delete Contact"
+                    description={`Are you sure you want to delete "${contact.name}"? Their links and interaction history will be removed.`}
+                    confirmLabel="Delete Contact"
+                    isDestructive={true}
+                />
+            </div>
+        </div>
+    )
+}
+
+// Detail Item Component
+// eslint-disable-next-line no-unused-vars
+const DetailItem = ({ icon: Icon, label, value }) => (
+    <div className="flex items-start gap-3">
+        <div className="p-2 rounded-lg bg-slate-100 text-slate-500">
+            <Icon size={18} />
+        </div>
+        <div className="min-w-0">
+            <p className="text-xs text-slate-500 font-medium uppercase tracking-wider">{label}</p>
+            <div className="font-medium mt-0.5 text-slate-900 truncate">{value}</div>
+        </div>
+    </div>
+)
+
+// Loading Skeleton
+const ContactDetailSkeleton = () => (
+    <div className="min-h-screen bg-slate-50/50">
+        <div className="container py-8 max-w-5xl mx-auto">
+            <div className="flex justify-between items-center mb-8">
+                <Skeleton className="w-40 h-10" />
+                <div className="flex gap-3">
+                    <Skeleton className="w-24 h-10 rounded-lg" />
+                    <Skeleton className="w-24 h-10 rounded-lg" />
+                </div>
+            </div>
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div className="lg:col-span-2 space-y-6">
+                    <Skeleton className="h-48 w-full rounded-xl" />
+                    <Skeleton className="h-64 w-full rounded-xl" />
+                </div>
+                <Skeleton className="h-64 w-full rounded-xl" />
+            </div>
+        </div>
+    </div>
+)
+
+export default ContactDetail
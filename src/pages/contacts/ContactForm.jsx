@@ -0,0 +1,188 @@
+import React from 'react'
+import { useForm, useWatch } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { z } from 'zod'
+import { useMutation, useQueryClient } from '@tanstack/react-query'
+import { Mail, Phone, Linkedin, Briefcase, Save, Loader2 } from 'lucide-react'
+import { contactService, CONTACT_ROLES } from '@/services/contactService'
+import Input from '@/components/ui/Input'
+import Select from '@/components/ui/Select'
+import Textarea from '@/components/ui/Textarea'
+import Button from '@/components/ui/Button'
+import FormErrorBanner from '@/components/ui/FormErrorBanner'
+import CompanyCombobox from '@/components/domain/CompanyCombobox'
+import { useServerErrors } from '@/hooks/useServerErrors'
+
+const contactSchema = z.object({
+    name: z.string()
+        .min(1, 'Please fill in the contact name')
+        .max(200, 'Name is too long (max 200 characters)'),
+    role: z.string().min(1, 'Role is required'),
+    title: z.string().max(200).optional(),
+    company: z.number().nullable().optional(),
+    company_name: z.string().optional(),
+    email: z.string().email('Please enter a valid email').or(z.literal('')).optional(),
+    phone: z.string().max(50).optional(),
+    linkedin_url: z.string()
+        .url('Please enter a valid URL (e.g., https://linkedin.com/in/name)')
+        .or(z.literal(''))
+        .optional(),
+    notes: z.string().max(2000, 'Notes are too long (max 2000 characters)').optional()
+})
+
+/**
+ * ContactForm - Create or edit a contact
+ *
+ * @param {Object} [initialData] - Contact being edited
+ * @param {Object} [defaults] - Prefilled values for a new contact (e.g. company)
+ * @param {Function} [onSuccess] - Called with the saved contact
+ */
+const ContactForm = ({ initialData = null, defaults = {}, onSuccess }) => {
+    const queryClient = useQueryClient()
+    const isEditing = !!initialData
+
+    const {
+        register,
+        handleSubmit,
+        setValue,
+        setError,
+        control,
+        formState: { errors }
+    } = useForm({
+        resolver: zodResolver(contactSchema),
+        defaultValues: {
+            name: initialData?.name || '',
+            role: initialData?.role || defaults.role || 'recruiter',
+            title: initialData?.title || '',
+            company: initialData?.company ?? defaults.company ?? null,
+            company_name: initialData?.company_name || defaults.company_name || '',
+            email: initialData?.email || '',
+            phone: initialData?.phone || '',
+            linkedin_url: initialData?.linkedin_url || '',
+            notes: initialData?.notes || ''
+        }
+    })
+    const { formError, handleServerError, clearServerError } = useServerErrors({
+        setError,
+        fields: Object.keys(contactSchema.shape),
+        fieldMap: { company: 'company_name' }
+    })
+    const [companyName, companyId] = useWatch({ control, name: ['company_name', 'company'] })
+
+    const mutation = useMutation({
+        mutationFn: (data) => isEditing
+            ? contactService.updateContact(initialData.id, data)
+            : contactService.createContact(data),
+        onSuccess: (contact) => {
+            queryClient.invalidateQueries({ queryKey: ['contacts'] })
+            if (isEditing) queryClient.invalidateQueries({ queryKey: ['contact', String(initialData.id)] })
+            onSuccess?.(contact)
+        },
+        onError: handleServerError
+    })
+
+    const onSubmit = (data) => {
+        clearServerError()
+        mutation.mutate(data)
+    }
+
+    return (
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <Input
+                    label="Name"
+                    placeholder="e.g., Jane Smith"
+                    error={errors.name?.message}
+                    required
+                    {...register('name')}
+                />
+                <Select
+                    label="Role"
+                    options={CONTACT_ROLES}
+                    error={errors.role?.message}
+                    {...register('role')}
+                />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <CompanyCombobox
+                    label="Company"
+                    name={companyName}
+                    companyId={companyId}
+                    onTextChange={(text) => {
+                        setValue('company_name', text, { shouldDirty: true })
+                        setValue('company', null, { shouldDirty: true })
+                    }}
+                    onSelect={(company) => {
+                        setValue('company', company.id, { shouldDirty: true })
+                        setValue('company_name', company.name, { shouldDirty: true })
+                    }}
+                />
+                <Input
+                    label="Job Title"
+                    placeholder="e.g., Senior Technical Recruiter"
+                    leftIcon={<Briefcase size={18} />}
+                    error={errors.title?.message}
+                    {...register('title')}
+                />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <Input
+                    label="Email"
+                    type="email"
+                    placeholder="jane@company.com"
+                    leftIcon={<Mail size={18} />}
+                    error={errors.email?.message}
+                    {...register('email')}
+                />
+                <Input
+                    label="Phone"
+                    type="tel"
+                    placeholder="+1 555 0100"
+                    leftIcon={<Phone size={18} />}
+                    error={errors.phone?.message}
+                    {...register('phone')}
+                />
+            </div>
+
+            <Input
+                label="LinkedIn"
+                type="url"
+                placeholder="https://linkedin.com/in/..."
+                leftIcon={<Linkedin size={18} />}
+                error={errors.linkedin_url?.message}
+                {...register('linkedin_url')}
+            />
+
+            <Textarea
+                label="Notes"
+                placeholder="How you met, what they care about, anything worth remembering"
+                rows={3}
+                error={errors.notes?.message}
+                {...register('notes')}
+            />
+
+            <FormErrorBanner error={formError} />
+
+            <div className="flex justify-end gap-3 pt-4 border-t border-slate-100">
+                <Button
+                    type="submit"
+                    disabled={mutation.isPending}
+                    startIcon={
+                        mutation.isPending
+                            ? <Loader2 size={18} className="animate-spin" />
+                            : <Save size={18} />
+                    }
+                >
+                    {mutation.isPending
+                        ? 'Saving...'
+                        : isEditing ? 'Update Contact' : 'Add Contact'
+                    }
+                </Button>
+            </div>
+        </form>
+    )
+}
+
+export default ContactForm
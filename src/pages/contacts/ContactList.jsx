@@ -0,0 +1,188 @@
+import React, { useState } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import { useNavigate } from 'react-router-dom'
+import { formatDistanceToNow } from 'date-fns'
+import { contactService, CONTACT_ROLES } from '@/services/contactService'
+import { Contact, Plus, Search, Building2, Mail, Phone, Linkedin, Link2, MessageSquare } from 'lucide-react'
+import Card from '@/components/ui/Card'
+import Button from '@/components/ui/Button'
+import Input from '@/components/ui/Input'
+import Select from '@/components/ui/Select'
+import Skeleton from '@/components/ui/Skeleton'
+import Modal from '@/components/ui/Modal'
+import EmptyState from '@/components/ui/EmptyState'
+import ContactForm from './ContactForm'
+import { useToast } from '@/hooks/useToast'
+import { useDebouncedValue } from '@/hooks/useDebouncedValue'
+
+const ContactList = () => {
+    const navigate = useNavigate()
+    const { success } = useToast()
+
+    const [searchQuery, setSearchQuery] = useState('')
+    const [roleFilter, setRoleFilter] = useState('')
+    const [isAddOpen, setIsAddOpen] = useState(false)
+    const search = useDebouncedValue(searchQuery)
+
+    const { data, isLoading } = useQuery({
+        queryKey: ['contacts', { search, role: roleFilter }],
+        queryFn: () => contactService.getContacts({ search, role: roleFilter || undefined }),
+    })
+
+    const contacts = data?.results || []
+    const totalCount = data?.count || 0
+
+    return (
+        <div className="min-h-screen bg-slate-50/50">
+            <div className="container py-8 animate-fade-in">
+                {/* Header */}
+                <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-8">
+                    <div>
+                        <h1 className="text-3xl font-bold text-slate-900">Contacts</h1>
+                        <p className="text-slate-500 mt-1">
+                            Recruiters, referrers and interviewers you&apos;ve worked with
+                        </p>
+                    </div>
+                    <Button onClick={() => setIsAddOpen(true)} startIcon={<Plus size={18} />}>
+                        Add Contact
+                    </Button>
+                </div>
+
+                {/* Filters Bar */}
+                <Card className="p-4 mb-6">
+                    <div className="flex flex-col md:flex-row gap-4">
+                        <div className="flex-1">
+                            <Input
+                                type="text"
+                                placeholder="Search by name, email or company..."
+                                value={searchQuery}
+                                onChange={(e) => setSearchQuery(e.target.value)}
+                                leftIcon={<Search size={18} />}
+                            />
+                        </div>
+                        <div className="w-full md:w-48">
+                            <Select
+                                value={roleFilter}
+                                onChange={(e) => setRoleFilter(e.target.value)}
+                                options={[{ value: '', label: 'All Roles' }, ...CONTACT_ROLES]}
+                            />
+                        </div>
+                    </div>
+                </Card>
+
+                {isLoading ? (
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-5">
+                        {[...Array(6)].map((_, i) => <Skeleton key={i} className="h-48 w-full rounded-xl" />)}
+                    </div>
+                ) : contacts.length > 0 ? (
+                    <>
+                        <p className="text-sm text-slate-500 mb-3">
+                            {totalCount} {totalCount === 1 ? 'contact' : 'contacts'}
+                        </p>
+                        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-5">
+                            {contacts.map(contact => (
+                                <ContactCard
+                                    key={contact.id}
+                                    contact={contact}
+                                    onClick={() => navigate(`/contacts/${contact.id}`)}
+                                />
+                            ))}
+                        </div>
+                    </>
+                ) : (
+                    <EmptyState
+                        icon={Contact}
+                        title="No contacts found"
+                        description={searchQuery || roleFilter
+                            ? "Try adjusting your filters or search query."
+                            : "Keep track of the people behind your applications."
+                        }
+                        actionLabel={!searchQuery && !roleFilter ? 'Add Your First Contact' : undefined}
+                        onAction={() => setIsAddOpen(true)}
+                    />
+                )}
+
+                <Modal isOpen={isAddOpen} onClose={() => setIsAddOpen(false)} title="Add Contact">
+                    <ContactForm
+                        onSuccess={() => {
+                            setIsAddOpen(false)
+                            success('Contact added successfully')
+                        }}
+                    />
+                </Modal>
+            </div>
+        </div>
+    )
+}
+
+// Contact Card Component
+const ContactCard = ({ contact, onClick }) => {
+    const roleLabel = CONTACT_ROLES.find((role) => role.value === contact.role)?.label
+
+    return (
+        <Card hover className="group cursor-pointer" onClick={onClick}>
+            <div className="flex items-start gap-4">
+                <div className="w-12 h-12 rounded-full bg-teal-brand-50 border border-teal-brand-100 flex items-center justify-center text-teal-brand-700 font-bold shrink-0">
+                    {contact.name.split(' ').map((part) => part[0]).slice(0, 2).join('').toUpperCase()}
+                </div>
+                <div className="flex-1 min-w-0">
+                    <h3 className="font-bold text-slate-900 truncate group-hover:text-teal-brand-700 transition-colors">
+                        {contact.name}
+                    </h3>
+                    <p className="text-sm text-slate-500 truncate">
+                        {[contact.title, roleLabel].filter(Boolean).join(' · ')}
+                    </p>
+                </div>
+            </div>
+
+            <div className="mt-4 space-y-2 text-sm text-slate-500">
+                {contact.company_name && (
+                    <div className="flex items-center gap-2">
+                        <Building2 size={14} className="text-slate-400" />
+                        <span className="truncate">{contact.company_name}</span>
+                    </div>
+                )}
+                {contact.email && (
+                    <div className="flex items-center gap-2">
+                        <Mail size={14} className="text-slate-400" />
+                        <span className="truncate">{contact.email}</span>
+                    </div>
+                )}
+                {contact.phone && (
+                    <div className="flex items-center gap-2">
+                        <Phone size={14} className="text-slate-400" />
+                        <span className="truncate">{contact.phone}</span>
+                    </div>
+                )}
+            </div>
+
+            <div className="mt-4 pt-4 border-t border-slate-100 flex items-center justify-between text-sm">
+                <div className="flex items-center gap-4 text-slate-600">
+                    <span className="flex items-center gap-1.5" title="Linked applications and interviews">
+                        <Link2 size={14} className="text-slate-400" /> {contact.link_count}
+                    </span>
+                    <span className="flex items-center gap-1.5" title="Interactions">
+                        <MessageSquare size={14} className="text-slate-400" />
+                        {contact.last_interaction_at
+                            ? formatDistanceToNow(new Date(contact.last_interaction_at), { addSuffix: true })
+                            : 'No interactions'}
+                    </span>
+                </div>
+                {contact.linkedin_url && (
+                    <a
+                        href={contact.linkedin_url}
+                        target="_blank"
+                        rel="noreferrer"
+                        onClick={(e) => e.stopPropagation()}
+                        className="p-2 rounded-lg hover:bg-slate-100 text-slate-400 hover:text-blue-600 transition-colors"
+                        title="View LinkedIn"
+                    >
+                        <Linkedin size={16} />
+                    </a>
+                )}
+            </div>
+        </Card>
+    )
+}
+
+export default ContactList
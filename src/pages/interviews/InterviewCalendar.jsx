@@ -9,7 +9,7 @@ import React, { useState, useMemo } from 'react';
 import { useQuery } from '@tanstack/react-query';
 import {
   ChevronLeft, ChevronRight, Calendar as CalendarIcon, Plus,
-  Clock, MapPin, Video, Phone, Building2, Code, Users, Users2, Award,
+  Clock, MapPin, Video, Phone, Building2, Code, Users, Terminal, Network, UserCheck,
   Loader2, List, Grid3X3
 } from 'lucide-react';
 import {
@@ -28,12 +28,12 @@ import InterviewForm from './InterviewForm';
 // Icon mapping
 const TYPE_ICONS = {
   Phone,
-  Video,
-  Building2,
   Code,
   Users,
-  Users2,
-  Award,
+  Terminal,
+  Network,
+  Building2,
+  UserCheck,
   Calendar: CalendarIcon
 };
 
@@ -254,9 +254,10 @@ export default function InterviewCalendar() {
   // Fetch interviews for the visible range
   const { data, isLoading } = useQuery({
     queryKey: ['interviews', 'calendar', format(calendarStart, 'yyyy-MM-dd'), format(calendarEnd, 'yyyy-MM-dd')],
-    queryFn: () => interviewService.getCalendarEvents(
+    queryFn: ({ signal }) => interviewService.getCalendarEvents(
       format(calendarStart, 'yyyy-MM-dd'),
-      format(calendarEnd, 'yyyy-MM-dd')
+      format(calendarEnd, 'yyyy-MM-dd'),
+      { signal }
     )
   });
 
@@ -341,7 +342,7 @@ export default function InterviewCalendar() {
 
         {/* Legend */}
         <div className="flex flex-wrap gap-3 mb-4 pb-4 border-b border-slate-100">
-          {Object.entries(INTERVIEW_TYPES).slice(0, 6).map(([key, config]) => {
+          {Object.entries(INTERVIEW_TYPES).map(([key, config]) => {
             const Icon = TYPE_ICONS[config.icon] || CalendarIcon;
             return (
               <div key={key} className="flex items-center gap-1.5 text-xs">
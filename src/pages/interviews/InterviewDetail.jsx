@@ -10,7 +10,7 @@ import React, { useState } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import {
-  Calendar, Clock, MapPin, Video, Phone, Building2, Code, Users, Users2, Award,
+  Calendar, Clock, MapPin, Video, Phone, Building2, Code, Users, Terminal, Network, UserCheck,
   ArrowLeft, ExternalLink, Edit2, Trash2, CheckCircle, XCircle, AlertCircle,
   Loader2, Copy, Check, User, Mail, Linkedin, FileText, MessageSquare
 } from 'lucide-react';
@@ -23,9 +23,11 @@ import Modal from '@/components/ui/Modal';
 import Skeleton from '@/components/ui/Skeleton';
 import ConfirmDialog from '@/components/ui/ConfirmDialog';
 import { useToast } from '@/hooks/useToast';
+import ContactLinks from '@/components/domain/ContactLinks';
 import {
   interviewService,
   getInterviewTypeConfig,
+  getInterviewStatusConfig,
   getInterviewOutcomeConfig,
   INTERVIEW_TYPES,
   INTERVIEW_OUTCOMES,
@@ -36,12 +38,12 @@ import InterviewForm from './InterviewForm';
 // Icon mapping
 const TYPE_ICONS = {
   Phone,
-  Video,
-  Building2,
   Code,
   Users,
-  Users2,
-  Award,
+  Terminal,
+  Network,
+  Building2,
+  UserCheck,
   Calendar
 };
 
@@ -162,7 +164,7 @@ export default function InterviewDetail() {
   // Fetch interview details
   const { data: interview, isLoading, isError } = useQuery({
     queryKey: ['interview', id],
-    queryFn: () => interviewService.getInterview(id)
+    queryFn: ({ signal }) => interviewService.getInterview(id, { signal })
   });
 
   // Delete mutation
@@ -222,6 +224,7 @@ export default function InterviewDetail() {
   }
 
   const typeConfig = getInterviewTypeConfig(interview.interview_type);
+  const statusConfig = getInterviewStatusConfig(interview.status);
   const outcomeConfig = getInterviewOutcomeConfig(interview.outcome);
   const TypeIcon = TYPE_ICONS[typeConfig.icon] || Calendar;
   const interviewDate = new Date(interview.scheduled_at);
@@ -456,6 +459,14 @@ export default function InterviewDetail() {
               </div>
             </div>
 
+            {/* Interview Status */}
+            <div className="mb-4">
+              <p className="text-xs text-slate-500 mb-2">Interview Status</p>
+              <Badge variant={statusConfig.bgColor} className={cn(statusConfig.color, "text-sm")}>
+                {statusConfig.label}
+              </Badge>
+            </div>
+
             {/* Outcome */}
             <div className="mb-4">
               <p className="text-xs text-slate-500 mb-2">Outcome</p>
@@ -465,7 +476,7 @@ export default function InterviewDetail() {
             </div>
 
             {/* Update Outcome Button */}
-            {(isPastInterview || interview.outcome === 'scheduled') && (
+            {(isPastInterview || interview.outcome === 'pending') && (
               <Button 
                 variant="outline" 
                 className="w-full"
@@ -492,6 +503,13 @@ export default function InterviewDetail() {
               </Link>
             </Card>
           )}
+
+          <ContactLinks
+            type="interview"
+            targetId={interview.id}
+            label={[typeConfig.label, interview.application?.company_name].filter(Boolean).join(' · ')}
+            companyDefaults={{ company_name: interview.application?.company_name }}
+          />
         </div>
       </div>
 
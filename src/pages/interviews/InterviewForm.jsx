@@ -17,16 +17,19 @@ import Button from '@/components/ui/Button';
 import Input from '@/components/ui/Input';
 import Select from '@/components/ui/Select';
 import Textarea from '@/components/ui/Textarea';
+import FormErrorBanner from '@/components/ui/FormErrorBanner';
 import { useToast } from '@/hooks/useToast';
-import { interviewService, INTERVIEW_TYPES } from '@/services/interviewService';
+import { useServerErrors } from '@/hooks/useServerErrors';
+import { interviewService } from '@/services/interviewService';
 import { applicationService } from '@/services/applicationService';
+import { INTERVIEW_TYPE } from '@/schemas/domain';
 
 /**
  * Interview form validation schema
  */
 const interviewSchema = z.object({
   application_id: z.string().min(1, 'Please select an application'),
-  interview_type: z.string().min(1, 'Please select interview type'),
+  interview_type: z.enum(INTERVIEW_TYPE.values, 'Please select interview type'),
   scheduled_date: z.string().min(1, 'Please select a date'),
   scheduled_time: z.string().min(1, 'Please select a time'),
   duration_minutes: z.string().optional(),
@@ -55,7 +58,7 @@ export default function InterviewForm({ interview, applicationId, onSuccess, onC
   // Fetch applications for dropdown
   const { data: applicationsData } = useQuery({
     queryKey: ['applications', 'all'],
-    queryFn: () => applicationService.getApplications({ per_page: 100 }),
+    queryFn: ({ signal }) => applicationService.getApplications({ per_page: 100 }, { signal }),
     staleTime: 60000
   });
 
@@ -91,12 +94,21 @@ export default function InterviewForm({ interview, applicationId, onSuccess, onC
     handleSubmit,
     control,
     watch,
+    setError,
     formState: { errors, isSubmitting }
   } = useForm({
     resolver: zodResolver(interviewSchema),
     defaultValues: getDefaultValues()
   });
 
+  // The payload combines or renames a few form fields. A preset application has no
+  // select, so errors about it go to the banner instead.
+  const { formError, handleServerError, clearServerError } = useServerErrors({
+    setError,
+    fields: Object.keys(interviewSchema.shape).filter((name) => !(applicationId && name === 'application_id')),
+    fieldMap: { application: 'application_id', scheduled_at: 'scheduled_date' }
+  });
+
   // eslint-disable-next-line react-hooks/incompatible-library
   const interviewType = watch('interview_type');
 
@@ -108,13 +120,7 @@ export default function InterviewForm({ interview, applicationId, onSuccess, onC
       toast({ title: 'Interview scheduled successfully', variant: 'success' });
       onSuccess?.();
     },
-    onError: (error) => {
-      toast({
-        title: 'Failed to schedule interview',
-        description: error.response?.data?.message || 'Please try again',
-        variant: 'error'
-      });
-    }
+    onError: handleServerError
   });
 
   // Update mutation
@@ -126,16 +132,12 @@ export default function InterviewForm({ interview, applicationId, onSuccess, onC
       toast({ title: 'Interview updated successfully', variant: 'success' });
       onSuccess?.();
     },
-    onError: (error) => {
-      toast({
-        title: 'Failed to update interview',
-        description: error.response?.data?.message || 'Please try again',
-        variant: 'error'
-      });
-    }
+    onError: handleServerError
   });
 
   const onSubmit = (data) => {
+    clearServerError();
+
     // Combine date and time
     const scheduled_at = new Date(`${data.scheduled_date}T${data.scheduled_time}`).toISOString();
     
@@ -162,11 +164,6 @@ export default function InterviewForm({ interview, applicationId, onSuccess, onC
     label: `${app.company_name} - ${app.job_title}`
   }));
 
-  const typeOptions = Object.entries(INTERVIEW_TYPES).map(([key, config]) => ({
-    value: key,
-    label: config.label
-  }));
-
   const durationOptions = [
     { value: '15', label: '15 minutes' },
     { value: '30', label: '30 minutes' },
@@ -217,20 +214,14 @@ export default function InterviewForm({ interview, applicationId, onSuccess, onC
           render={({ field }) => (
             <Select
               {...field}
-              options={[{ value: '', label: 'Select type...' }, ...typeOptions]}
+              options={[{ value: '', label: 'Select type...' }, ...INTERVIEW_TYPE.options]}
               error={errors.interview_type?.message}
             />
           )}
         />
-        {interviewType && INTERVIEW_TYPES[interviewType] && (
-          <p className={cn("text-xs mt-1", INTERVIEW_TYPES[interviewType].color)}>
-            {interviewType === 'phone_screen' && 'Initial screening call with recruiter'}
-            {interviewType === 'video' && 'Video call interview via Zoom, Teams, etc.'}
-            {interviewType === 'onsite' && 'In-person interview at company office'}
-            {interviewType === 'technical' && 'Coding challenge or technical assessment'}
-            {interviewType === 'behavioral' && 'Questions about past experiences and soft skills'}
-            {interviewType === 'panel' && 'Interview with multiple interviewers'}
-            {interviewType === 'final' && 'Final round with senior leadership'}
+        {INTERVIEW_TYPE.byValue[interviewType] && (
+          <p className={cn("text-xs mt-1", INTERVIEW_TYPE.byValue[interviewType].color)}>
+            {INTERVIEW_TYPE.byValue[interviewType].description}
           </p>
         )}
         {errors.interview_type && (
@@ -276,6 +267,7 @@ export default function InterviewForm({ interview, applicationId, onSuccess, onC
             <Select
               {...field}
               options={[{ value: '', label: 'Not specified' }, ...durationOptions]}
+              error={errors.duration_minutes?.message}
             />
           )}
         />
@@ -289,6 +281,7 @@ export default function InterviewForm({ interview, applicationId, onSuccess, onC
         </label>
         <Input
           {...register('location')}
+          error={errors.location?.message}
           placeholder="e.g., 123 Main St, New York, NY or Building A, Room 301"
         />
         <p className="text-xs text-slate-500 mt-1">
@@ -321,10 +314,13 @@ export default function InterviewForm({ interview, applicationId, onSuccess, onC
         <Textarea
           {...register('notes')}
           rows={4}
+          error={errors.notes?.message}
           placeholder="Add notes about what to prepare, questions to ask, things to remember..."
         />
       </div>
 
+      <FormErrorBanner error={formError} />
+
       {/* Actions */}
       <div className="flex justify-end gap-3 pt-4 border-t border-slate-100">
         <Button type="button" variant="outline" onClick={onCancel}>
@@ -23,7 +23,7 @@ const InterviewList = () => {
 
     const { data, isLoading } = useQuery({
         queryKey: ['interviews'],
-        queryFn: () => interviewService.getInterviews({ page_size: 100 }), // Fetch all for clientside sort for MVP
+        queryFn: ({ signal }) => interviewService.getInterviews({ page_size: 100 }, { signal }), // Fetch all for clientside sort for MVP
     });
 
     const deleteMutation = useMutation({
@@ -12,7 +12,7 @@ import { format } from 'date-fns';
 import {
   FileText, Upload, Download, Trash2, Star, Eye, MoreVertical,
   Check, X, Loader2, File, AlertCircle, Plus, Search,
-  FileType, Calendar, HardDrive, Edit2, CheckCircle2
+  FileType, Calendar, HardDrive, Edit2, CheckCircle2, Send, Trophy
 } from 'lucide-react';
 import { cn } from '@/utils/cn';
 import Card from '@/components/ui/Card';
@@ -29,6 +29,9 @@ import resumeService, {
   formatFileSize,
   MAX_FILE_SIZE_DISPLAY
 } from '@/services/resumeService';
+import { applicationService } from '@/services/applicationService';
+import { isCancelledRequest } from '@/services/apiErrors';
+import { getResumeUsage, getTopResumeId } from '@/utils/resumeUsage';
 
 // ============================================
 // HELPER FUNCTIONS
@@ -44,8 +47,8 @@ const openFileInNewTab = (url) => {
     return;
   }
   
-  // If it's already a full URL (starts with http:// or https://), use it directly
-  if (url.startsWith('http://') || url.startsWith('https://')) {
+  // If it's already a full URL (http(s), or a blob/data URL from the mock API), use it directly
+  if (/^(https?:|blob:|data:)/.test(url)) {
     window.open(url, '_blank', 'noopener,noreferrer');
   } else {
     // If it's a relative path, it might be a backend download endpoint
@@ -114,7 +117,7 @@ function UploadProgress({ progress, filename }) {
 /**
  * Resume card component
  */
-function ResumeCard({ resume, onSetDefault, onDelete, onPreview, onRename }) {
+function ResumeCard({ resume, usage, isTop, onSetDefault, onDelete, onPreview, onRename }) {
   const [menuOpen, setMenuOpen] = useState(false);
   const menuRef = useRef(null);
 
@@ -148,6 +151,12 @@ function ResumeCard({ resume, onSetDefault, onDelete, onPreview, onRename }) {
                 Default
               </Badge>
             )}
+            {isTop && (
+              <Badge variant="info" size="sm">
+                <Trophy size={10} className="mr-1" />
+                Best response rate
+              </Badge>
+            )}
           </div>
           
           <p className="text-sm text-slate-500 truncate mb-3">
@@ -164,6 +173,24 @@ function ResumeCard({ resume, onSetDefault, onDelete, onPreview, onRename }) {
               {format(new Date(resume.created_at), 'MMM d, yyyy')}
             </span>
           </div>
+
+          {/* Usage */}
+          <div className="flex items-center gap-3 mt-2 text-xs text-slate-500">
+            <span className="flex items-center gap-1">
+              <Send size={12} />
+              {usage ? `Used ${usage.used}×` : 'Not used yet'}
+            </span>
+            {usage && (
+              <>
+                <span title={`${usage.responses} of ${usage.used} got a response`}>
+                  {usage.responseRate}% response
+                </span>
+                <span title={`${usage.interviews} of ${usage.used} reached an interview`}>
+                  {usage.interviewRate}% interview
+                </span>
+              </>
+            )}
+          </div>
         </div>
 
         {/* Actions Menu */}
@@ -332,7 +359,7 @@ function UploadDropZone({ onFileSelect, isUploading }) {
 /**
  * Upload modal with version name input
  */
-function UploadModal({ isOpen, onClose, file, onUpload, isUploading, progress }) {
+function UploadModal({ isOpen, onClose, file, onUpload, onCancelUpload, isUploading, progress }) {
   const [versionName, setVersionName] = useState('');
   const [isDefault, setIsDefault] = useState(false);
   const [error, setError] = useState('');
@@ -405,8 +432,8 @@ function UploadModal({ isOpen, onClose, file, onUpload, isUploading, progress })
 
         {/* Actions */}
         <div className="flex justify-end gap-3 pt-4 border-t border-slate-100">
-          <Button variant="ghost" onClick={onClose} disabled={isUploading}>
-            Cancel
+          <Button type="button" variant="ghost" onClick={isUploading ? onCancelUpload : onClose}>
+            {isUploading ? 'Cancel Upload' : 'Cancel'}
           </Button>
           <Button type="submit" disabled={isUploading}>
             {isUploading ? (
@@ -512,14 +539,28 @@ export default function ResumeList() {
   const [renamingResume, setRenamingResume] = useState(null);
   const [previewResume, setPreviewResume] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
+  const uploadControllerRef = useRef(null);
+
+  // Don't keep uploading after the page is left
+  React.useEffect(() => () => uploadControllerRef.current?.abort(), []);
 
   // Fetch resumes
   const { data, isLoading, isError, error } = useQuery({
     queryKey: ['resumes'],
-    queryFn: () => resumeService.getResumes()
+    queryFn: ({ signal }) => resumeService.getResumes({ signal })
   });
 
   const resumes = React.useMemo(() => data?.results || [], [data]);
+
+  // Applications, to count how often each resume was sent and how it performed
+  const { data: applications } = useQuery({
+    queryKey: ['applications', 'all'],
+    queryFn: ({ signal }) => applicationService.getAllApplications({}, { signal }),
+    staleTime: 60 * 1000
+  });
+
+  const usage = React.useMemo(() => getResumeUsage(applications || []), [applications]);
+  const topResumeId = getTopResumeId(usage);
   
   // Debug: Log resume data to help diagnose URL issues
   React.useEffect(() => {
@@ -537,8 +578,12 @@ export default function ResumeList() {
 
   // Upload mutation
   const uploadMutation = useMutation({
-    mutationFn: ({ file, versionName, isDefault }) => 
-      resumeService.uploadResume(file, versionName, isDefault, setUploadProgress),
+    mutationFn: ({ file, versionName, isDefault }) => {
+      uploadControllerRef.current = new AbortController();
+      return resumeService.uploadResume(file, versionName, isDefault, setUploadProgress, {
+        signal: uploadControllerRef.current.signal
+      });
+    },
     onSuccess: () => {
       toast.success('Resume uploaded successfully!');
       queryClient.invalidateQueries({ queryKey: ['resumes'] });
@@ -547,11 +592,20 @@ export default function ResumeList() {
       setUploadProgress(0);
     },
     onError: (error) => {
-      toast.error(error.response?.data?.error || error.message || 'Upload failed. Please try again.');
+      if (isCancelledRequest(error)) {
+        toast.info('Upload cancelled');
+      } else {
+        toast.error(error.response?.data?.error || error.message || 'Upload failed. Please try again.');
+      }
       setUploadProgress(0);
+    },
+    onSettled: () => {
+      uploadControllerRef.current = null;
     }
   });
 
+  const cancelUpload = () => uploadControllerRef.current?.abort();
+
   // Set default mutation
   const setDefaultMutation = useMutation({
     mutationFn: (id) => resumeService.setDefaultResume(id),
@@ -712,6 +766,8 @@ export default function ResumeList() {
               <ResumeCard
                 key={resume.id}
                 resume={resume}
+                usage={usage[resume.id]}
+                isTop={String(resume.id) === topResumeId}
                 onSetDefault={(id) => setDefaultMutation.mutate(id)}
                 onDelete={(resume) => setDeletingResume(resume)}
                 onPreview={(resume) => setPreviewResume(resume)}
@@ -724,9 +780,10 @@ export default function ResumeList() {
         {/* Upload Modal */}
         <UploadModal
           isOpen={isUploadModalOpen}
-          onClose={() => { setIsUploadModalOpen(false); setSelectedFile(null); }}
+          onClose={() => { cancelUpload(); setIsUploadModalOpen(false); setSelectedFile(null); }}
           file={selectedFile}
           onUpload={handleUpload}
+          onCancelUpload={cancelUpload}
           isUploading={uploadMutation.isPending}
           progress={uploadProgress}
         />
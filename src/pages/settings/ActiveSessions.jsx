@@ -0,0 +1,182 @@
+/**
+ * Active Sessions
+ * Devices and browsers signed in to this account, with a way to end any of
+ * them or all at once.
+ *
+ * @module pages/settings/ActiveSessions
+ */
+
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { formatDistanceToNow } from 'date-fns';
+import { Monitor, Smartphone, Tablet, MapPin, LogOut, RefreshCw } from 'lucide-react';
+import Button from '@/components/ui/Button';
+import Badge from '@/components/ui/Badge';
+import Skeleton from '@/components/ui/Skeleton';
+import ConfirmDialog from '@/components/ui/ConfirmDialog';
+import FormErrorBanner from '@/components/ui/FormErrorBanner';
+import { authService } from '@/services/authService';
+import { getApiError, isMissingEndpoint } from '@/services/apiErrors';
+import { DEVICE_TYPE } from '@/schemas/domain';
+import { FEATURES } from '@/services/features';
+
+// Icon mapping for device types
+const ICON_MAP = {
+  Monitor,
+  Smartphone,
+  Tablet
+};
+
+/**
+ * "Chrome on macOS", falling back to whatever is known
+ */
+const describeDevice = ({ browser, os }) =>
+  [browser, os].filter(Boolean).join(' on ') || 'Unknown device';
+
+/**
+ * One session row
+ */
+function SessionRow({ session, onRevoke }) {
+  const Icon = ICON_MAP[DEVICE_TYPE.get(session.device_type)?.icon] || Monitor;
+
+  return (
+    <li className="flex items-start gap-4 py-4">
+      <div className="flex h-10 w-10 shrink-0 items-center justify-center rounded-lg bg-slate-100 text-slate-500">
+        <Icon size={20} />
+      </div>
+      <div className="min-w-0 flex-1">
+        <div className="flex flex-wrap items-center gap-2">
+          <p className="font-medium text-slate-900">{describeDevice(session)}</p>
+          {session.is_current && <Badge variant="success">This device</Badge>}
+        </div>
+        <p className="mt-0.5 flex flex-wrap items-center gap-x-3 gap-y-0.5 text-sm text-slate-500">
+          {session.ip_address && <span>{session.ip_address}</span>}
+          {session.location && (
+            <span className="flex items-center gap-1">
+              <MapPin size={12} />
+              {session.location}
+            </span>
+          )}
+        </p>
+        <p className="mt-0.5 text-xs text-slate-400">
+          {session.is_current
+            ? `Signed in ${formatDistanceToNow(new Date(session.created_at), { addSuffix: true })}`
+            : `Last active ${formatDistanceToNow(new Date(session.last_active_at), { addSuffix: true })}`}
+        </p>
+      </div>
+      {!session.is_current && (
+        <Button variant="ghost" size="sm" onClick={() => onRevoke(session)}>
+          Revoke
+        </Button>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Sessions list plus "sign out everywhere"
+ */
+export default function ActiveSessions() {
+  const queryClient = useQueryClient();
+  const [revoking, setRevoking] = useState(null);
+  const [isSignOutAllOpen, setIsSignOutAllOpen] = useState(false);
+
+  const { data: sessions, isLoading, isError, error: loadError, refetch } = useQuery({
+    queryKey: ['sessions'],
+    queryFn: ({ signal }) => authService.getSessions({ signal }),
+    enabled: FEATURES.sessions,
+    retry: (failureCount, err) => !isMissingEndpoint(err) && failureCount < 3
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: (session) => authService.revokeSession(session.id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sessions'] });
+      queryClient.invalidateQueries({ queryKey: ['security-events'] });
+    },
+    onSettled: () => setRevoking(null)
+  });
+
+  // On success this tab signs out too, and the login redirect takes over
+  const signOutAllMutation = useMutation({
+    mutationFn: authService.logoutEverywhere,
+    onError: () => setIsSignOutAllOpen(false)
+  });
+
+  const error = revokeMutation.error || signOutAllMutation.error;
+  // Without the sessions endpoint only "sign out everywhere" is left to show, if it's enabled
+  const showList = FEATURES.sessions && !isMissingEndpoint(loadError);
+
+  if (!showList && !FEATURES.logoutEverywhere) return null;
+
+  return (
+    <div className="pt-6 border-t border-slate-200">
+      <h3 className="text-sm font-semibold text-slate-500 uppercase tracking-wider mb-4">
+        Active Sessions
+      </h3>
+      <div className="space-y-4">
+        {showList && (isLoading ? (
+          <div className="space-y-3">
+            {[1, 2].map((i) => <Skeleton key={i} className="h-16 w-full" />)}
+          </div>
+        ) : isError ? (
+          <div className="flex items-center justify-between rounded-lg border border-slate-200 p-4 text-sm text-slate-600">
+            Couldn&apos;t load your sessions.
+            <Button variant="ghost" size="sm" onClick={() => refetch()} startIcon={<RefreshCw size={14} />}>
+              Retry
+            </Button>
+          </div>
+        ) : (
+          <ul className="divide-y divide-slate-100">
+            {sessions.map((session) => (
+              <SessionRow key={session.id} session={session} onRevoke={setRevoking} />
+            ))}
+          </ul>
+        ))}
+
+        {error && <FormErrorBanner error={{ message: getApiError(error).message, details: [] }} />}
+
+        {FEATURES.logoutEverywhere && (
+          <div className="pt-2">
+            <Button
+              variant="danger"
+              onClick={() => setIsSignOutAllOpen(true)}
+              disabled={signOutAllMutation.isPending}
+              startIcon={<LogOut size={16} />}
+            >
+              Sign Out Everywhere
+            </Button>
+            <p className="text-xs text-slate-500 mt-2">
+              Ends every session, including this one. Use it if you signed in on a shared computer or
+              think someone else has access to your account.
+            </p>
+          </div>
+        )}
+
+        <ConfirmDialog
+          isOpen={revoking !== null}
+          onClose={() => setRevoking(null)}
+          onConfirm={() => revokeMutation.mutate(revoking)}
+          title="Revoke session?"
+          description={revoking
+            ? `${describeDevice(revoking)} will be signed out and need to sign in again.`
+            : ''}
+          confirmLabel="Revoke"
+          isDestructive
+          isLoading={revokeMutation.isPending}
+        />
+
+        <ConfirmDialog
+          isOpen={isSignOutAllOpen}
+          onClose={() => setIsSignOutAllOpen(false)}
+          onConfirm={() => signOutAllMutation.mutate()}
+          title="Sign out everywhere?"
+          description="All of your sessions will end, and you'll need to sign in again on each device."
+          confirmLabel="Sign Out Everywhere"
+          isDestructive
+          isLoading={signOutAllMutation.isPending}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,124 @@
+/**
+ * Security Log
+ * Recent sign-ins, failed attempts, 2FA and password changes on this account.
+ *
+ * @module pages/settings/SecurityLog
+ */
+
+import React from 'react';
+import { useInfiniteQuery } from '@tanstack/react-query';
+import { format } from 'date-fns';
+import {
+  LogIn, LogOut, ShieldAlert, ShieldCheck, ShieldOff, MonitorX, KeyRound, Info, RefreshCw
+} from 'lucide-react';
+import { cn } from '@/utils/cn';
+import Button from '@/components/ui/Button';
+import Skeleton from '@/components/ui/Skeleton';
+import { authService } from '@/services/authService';
+import { isMissingEndpoint } from '@/services/apiErrors';
+import { SECURITY_EVENT_TYPE } from '@/schemas/domain';
+
+const PAGE_SIZE = 10;
+
+// Icon mapping for security event types
+const ICON_MAP = {
+  LogIn,
+  LogOut,
+  ShieldAlert,
+  ShieldCheck,
+  ShieldOff,
+  MonitorX,
+  KeyRound
+};
+
+/**
+ * One log entry
+ */
+function EventRow({ event }) {
+  const config = SECURITY_EVENT_TYPE.get(event.event_type);
+  const Icon = ICON_MAP[config?.icon] || Info;
+  const source = [
+    [event.browser, event.os].filter(Boolean).join(' on '),
+    event.ip_address,
+    event.location
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <li className="flex items-start gap-3 py-3">
+      <div className={cn('flex h-8 w-8 shrink-0 items-center justify-center rounded-full', config?.bgColor, config?.color)}>
+        <Icon size={16} />
+      </div>
+      <div className="min-w-0 flex-1">
+        <p className="text-sm font-medium text-slate-900">{config?.label}</p>
+        {source && <p className="text-xs text-slate-500 truncate">{source}</p>}
+      </div>
+      <time dateTime={event.created_at} className="shrink-0 text-xs text-slate-400">
+        {format(new Date(event.created_at), 'MMM d, yyyy · p')}
+      </time>
+    </li>
+  );
+}
+
+export default function SecurityLog() {
+  const { data, isLoading, isError, error, refetch, hasNextPage, fetchNextPage, isFetchingNextPage } = useInfiniteQuery({
+    queryKey: ['security-events'],
+    queryFn: ({ pageParam, signal }) =>
+      authService.getSecurityEvents({ page: pageParam, page_size: PAGE_SIZE }, { signal }),
+    initialPageParam: 1,
+    getNextPageParam: (lastPage, pages) => (lastPage.next ? pages.length + 1 : undefined),
+    retry: (failureCount, err) => !isMissingEndpoint(err) && failureCount < 3
+  });
+
+  const events = data?.pages.flatMap((page) => page.results) || [];
+
+  // A backend without the endpoint gets no section at all
+  if (isMissingEndpoint(error)) return null;
+
+  let content;
+  if (isLoading) {
+    content = (
+      <div className="space-y-3">
+        {[1, 2, 3].map((i) => <Skeleton key={i} className="h-10 w-full" />)}
+      </div>
+    );
+  } else if (isError) {
+    content = (
+      <div className="flex items-center justify-between rounded-lg border border-slate-200 p-4 text-sm text-slate-600">
+        Couldn&apos;t load the security log.
+        <Button variant="ghost" size="sm" onClick={() => refetch()} startIcon={<RefreshCw size={14} />}>
+          Retry
+        </Button>
+      </div>
+    );
+  } else if (events.length === 0) {
+    content = <p className="text-sm text-slate-500">No security events yet.</p>;
+  } else {
+    content = (
+      <div>
+        <ul className="divide-y divide-slate-100">
+          {events.map((event) => <EventRow key={event.id} event={event} />)}
+        </ul>
+        {hasNextPage && (
+          <Button
+            variant="ghost"
+            size="sm"
+            className="mt-2"
+            onClick={() => fetchNextPage()}
+            isLoading={isFetchingNextPage}
+          >
+            Show older events
+          </Button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="pt-6 border-t border-slate-200">
+      <h3 className="text-sm font-semibold text-slate-500 uppercase tracking-wider mb-4">
+        Security Log
+      </h3>
+      {content}
+    </div>
+  );
+}
@@ -0,0 +1,306 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { Tag as TagIcon, Plus, Edit2, Trash2, Check, X, Merge } from 'lucide-react'
+import {
+    getTags, createTag, updateTag, deleteTag, mergeTags, TAG_COLORS
+} from '@/services/tagService'
+import { TagBadge } from '@/components/ui/TagSelector'
+import Button from '@/components/ui/Button'
+import Card from '@/components/ui/Card'
+import Select from '@/components/ui/Select'
+import EmptyState from '@/components/ui/EmptyState'
+import ConfirmDialog from '@/components/ui/ConfirmDialog'
+import Skeleton from '@/components/ui/Skeleton'
+import { useToast } from '@/hooks/useToast'
+import { cn } from '@/utils/cn'
+
+const ColorSwatches = ({ value, onChange }) => (
+    <div className="flex flex-wrap gap-1.5">
+        {Object.entries(TAG_COLORS).map(([key, config]) => (
+            <button
+                key={key}
+                type="button"
+                onClick={() => onChange(key)}
+                title={key.charAt(0).toUpperCase() + key.slice(1)}
+                aria-label={`Color ${key}`}
+                aria-pressed={value === key}
+                className={cn(
+                    "w-5 h-5 rounded-full border-2 transition-all",
+                    config.bg,
+                    config.border,
+                    value === key ? "ring-2 ring-offset-1 ring-slate-400 scale-110" : "hover:scale-110"
+                )}
+            />
+        ))}
+    </div>
+)
+
+const TagRow = ({ tag, isSelected, onToggleSelect, onDelete }) => {
+    const queryClient = useQueryClient()
+    const { success, error: showError } = useToast()
+    const [draft, setDraft] = useState(null)
+
+    const updateMutation = useMutation({
+        mutationFn: (changes) => updateTag(tag.id, changes),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['tags'] })
+            success('Tag updated')
+            setDraft(null)
+        },
+        onError: (err) => showError(err.message || 'Failed to update tag')
+    })
+
+    const save = () => {
+        if (!draft.name.trim()) return
+        updateMutation.mutate(draft)
+    }
+
+    return (
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3 px-4 py-3">
+            <input
+                type="checkbox"
+                checked={isSelected}
+                onChange={onToggleSelect}
+                aria-label={`Select ${tag.name}`}
+                className="accent-teal-brand-600"
+            />
+
+            {draft ? (
+                <div className="flex-1 flex flex-col md:flex-row md:items-center gap-3">
+                    <input
+                        type="text"
+                        value={draft.name}
+                        autoFocus
+                        onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') save()
+                            if (e.key === 'Escape') setDraft(null)
+                        }}
+                        className="input py-1.5 px-3 md:w-56"
+                        aria-label="Tag name"
+                    />
+                    <ColorSwatches value={draft.color} onChange={(color) => setDraft({ ...draft, color })} />
+                </div>
+            ) : (
+                <div className="flex-1 flex items-center gap-3 min-w-0">
+                    <TagBadge tag={tag} />
+                    <Link
+                        to={`/applications?tags=${tag.id}`}
+                        className="text-sm text-slate-500 hover:text-teal-brand-600"
+                    >
+                        {tag.application_count} application{tag.application_count === 1 ? '' : 's'}
+                    </Link>
+                </div>
+            )}
+
+            <div className="flex items-center gap-1 shrink-0">
+                {draft ? (
+                    <>
+                        <Button size="sm" variant="ghost" startIcon={<X size={14} />} onClick={() => setDraft(null)}>
+                            Cancel
+                        </Button>
+                        <Button
+                            size="sm"
+                            startIcon={<Check size={14} />}
+                            isLoading={updateMutation.isPending}
+                            onClick={save}
+                        >
+                            Save
+                        </Button>
+                    </>
+                ) : (
+                    <>
+                        <button
+                            type="button"
+                            onClick={() => setDraft({ name: tag.name, color: tag.color })}
+                            className="p-2 rounded-lg text-slate-400 hover:text-slate-700 hover:bg-slate-100"
+                            aria-label={`Edit ${tag.name}`}
+                        >
+                            <Edit2 size={16} />
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => onDelete(tag)}
+                            className="p-2 rounded-lg text-slate-400 hover:text-rose-600 hover:bg-rose-50"
+                            aria-label={`Delete ${tag.name}`}
+                        >
+                            <Trash2 size={16} />
+                        </button>
+                    </>
+                )}
+            </div>
+        </div>
+    )
+}
+
+const TagManager = () => {
+    const queryClient = useQueryClient()
+    const { success, error: showError } = useToast()
+    const [newName, setNewName] = useState('')
+    const [newColor, setNewColor] = useState('blue')
+    const [selectedIds, setSelectedIds] = useState([])
+    const [mergeTargetId, setMergeTargetId] = useState('')
+    const [isMergeOpen, setIsMergeOpen] = useState(false)
+    const [deletingTag, setDeletingTag] = useState(null)
+
+    const { data, isLoading } = useQuery({
+        queryKey: ['tags'],
+        queryFn: () => getTags(),
+        staleTime: 60 * 1000,
+    })
+    const tags = data?.tags || []
+    const selectedTags = tags.filter((tag) => selectedIds.includes(tag.id))
+    const mergeTarget = selectedTags.find((tag) => String(tag.id) === mergeTargetId) || selectedTags[0]
+
+    const onTagsChanged = () => {
+        queryClient.invalidateQueries({ queryKey: ['tags'] })
+        queryClient.invalidateQueries({ queryKey: ['applications'] })
+    }
+
+    const createMutation = useMutation({
+        mutationFn: createTag,
+        onSuccess: (tag) => {
+            queryClient.invalidateQueries({ queryKey: ['tags'] })
+            success(`Tag "${tag.name}" created`)
+            setNewName('')
+        },
+        onError: (err) => showError(err.message || 'Failed to create tag')
+    })
+
+    const deleteMutation = useMutation({
+        mutationFn: (tag) => deleteTag(tag.id),
+        onSuccess: (_, tag) => {
+            onTagsChanged()
+            success(`Tag "${tag.name}" deleted`)
+            setSelectedIds((ids) => ids.filter((id) => id !== tag.id))
+            setDeletingTag(null)
+        },
+        onError: () => showError('Failed to delete tag')
+    })
+
+    const mergeMutation = useMutation({
+        mutationFn: () => mergeTags(selectedIds, mergeTarget.id),
+        onSuccess: (tag) => {
+            onTagsChanged()
+            success(`Merged ${selectedIds.length} tags into "${tag.name}"`)
+            setSelectedIds([])
+            setMergeTargetId('')
+            setIsMergeOpen(false)
+        },
+        onError: (err) => showError(err.message || 'Failed to merge tags')
+    })
+
+    const handleCreate = (e) => {
+        e.preventDefault()
+        if (!newName.trim()) return
+        createMutation.mutate({ name: newName, color: newColor })
+    }
+
+    const toggleSelect = (tagId) => setSelectedIds((ids) => (
+        ids.includes(tagId) ? ids.filter((id) => id !== tagId) : [...ids, tagId]
+    ))
+
+    return (
+        <div className="container py-8 animate-fade-in max-w-4xl mx-auto">
+            <div className="mb-6">
+                <h1 className="text-3xl font-bold text-slate-900">Tags</h1>
+                <p className="text-slate-600 font-medium mt-1">
+                    Organize applications with your own labels
+                </p>
+            </div>
+
+            {/* Create */}
+            <Card className="p-4 mb-6">
+                <form onSubmit={handleCreate} className="flex flex-col md:flex-row md:items-center gap-3">
+                    <input
+                        type="text"
+                        value={newName}
+                        onChange={(e) => setNewName(e.target.value)}
+                        placeholder="New tag name"
+                        className="input py-2 px-3 md:w-64"
+                        aria-label="New tag name"
+                    />
+                    <ColorSwatches value={newColor} onChange={setNewColor} />
+                    <Button
+                        type="submit"
+                        className="md:ml-auto"
+                        startIcon={<Plus size={16} />}
+                        isLoading={createMutation.isPending}
+                        disabled={!newName.trim()}
+                    >
+                        Add Tag
+                    </Button>
+                </form>
+            </Card>
+
+            {/* Merge bar */}
+            {selectedTags.length > 1 && (
+                <Card className="p-4 mb-4 flex flex-col md:flex-row md:items-end gap-3 animate-fade-in">
+                    <div className="flex-1">
+                        <Select
+                            label={`Merge ${selectedTags.length} tags into`}
+                            value={String(mergeTarget.id)}
+                            onChange={(e) => setMergeTargetId(e.target.value)}
+                            options={selectedTags.map((tag) => ({ value: String(tag.id), label: tag.name }))}
+                        />
+                    </div>
+                    <Button variant="secondary" startIcon={<Merge size={16} />} onClick={() => setIsMergeOpen(true)}>
+                        Merge
+                    </Button>
+                </Card>
+            )}
+
+            {isLoading ? (
+                <div className="space-y-3">
+                    {[...Array(4)].map((_, i) => <Skeleton key={i} className="h-12 w-full rounded-xl" />)}
+                </div>
+            ) : tags.length === 0 ? (
+                <EmptyState
+                    icon={TagIcon}
+                    title="No tags yet"
+                    description="Create a tag above or add one while editing an application."
+                />
+            ) : (
+                <Card className="divide-y divide-slate-100 p-0">
+                    {tags.map((tag) => (
+                        <TagRow
+                            key={tag.id}
+                            tag={tag}
+                            isSelected={selectedIds.includes(tag.id)}
+                            onToggleSelect={() => toggleSelect(tag.id)}
+                            onDelete={setDeletingTag}
+                        />
+                    ))}
+                </Card>
+            )}
+
+            <ConfirmDialog
+                isOpen={!!deletingTag}
+                onClose={() => setDeletingTag(null)}
+                onConfirm={() => deleteMutation.mutate(deletingTag)}
+                isLoading={deleteMutation.isPending}
+                title="Delete Tag"
+                description={deletingTag
+                    ? `Delete "${deletingTag.name}"? It will be removed from ${deletingTag.application_count} application${deletingTag.application_count === 1 ? '' : 's'}.`
+                    : ''}
+                confirmLabel="Delete"
+                isDestructive
+            />
+
+            <ConfirmDialog
+                isOpen={isMergeOpen}
+                onClose={() => setIsMergeOpen(false)}
+                onConfirm={() => mergeMutation.mutate()}
+                isLoading={mergeMutation.isPending}
+                title="Merge Tags"
+                description={mergeTarget
+                    ? `Applications tagged ${selectedTags.filter((tag) => tag.id !== mergeTarget.id).map((tag) => `"${tag.name}"`).join(', ')} will be tagged "${mergeTarget.name}" instead, and those tags will be deleted.`
+                    : ''}
+                confirmLabel="Merge"
+            />
+        </div>
+    )
+}
+
+export default TagManager
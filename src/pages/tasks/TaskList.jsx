@@ -0,0 +1,256 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useMutation, useQueryClient } from '@tanstack/react-query'
+import { format, parseISO } from 'date-fns'
+import { Check, Clock, CalendarClock, ListTodo, Building, ChevronDown } from 'lucide-react'
+import { applicationService } from '@/services/applicationService'
+import { noteService } from '@/services/noteService'
+import { useTasks } from '@/hooks/useTasks'
+import { TASK_GROUPS, SNOOZE_OPTIONS, dueDateFromToday } from '@/utils/tasks'
+import Button from '@/components/ui/Button'
+import Card from '@/components/ui/Card'
+import Modal from '@/components/ui/Modal'
+import Textarea from '@/components/ui/Textarea'
+import EmptyState from '@/components/ui/EmptyState'
+import Skeleton from '@/components/ui/Skeleton'
+import { useToast } from '@/hooks/useToast'
+import { cn } from '@/utils/cn'
+
+const groupStyles = {
+    overdue: 'text-rose-600',
+    today: 'text-amber-600',
+    this_week: 'text-teal-brand-700',
+    later: 'text-slate-600',
+    unscheduled: 'text-slate-400',
+}
+
+const dueLabel = (task) => {
+    if (task.daysUntil === null) return 'No due date'
+    if (task.daysUntil < 0) return `${-task.daysUntil} day${task.daysUntil === -1 ? '' : 's'} overdue`
+    if (task.daysUntil === 0) return 'Due today'
+    if (task.daysUntil === 1) return 'Due tomorrow'
+    return `Due ${format(parseISO(task.dueDate), 'EEE, MMM d')}`
+}
+
+const TaskList = () => {
+    const queryClient = useQueryClient()
+    const { success, error: showError } = useToast()
+    const { tasks, isLoading, isError } = useTasks()
+    const [completing, setCompleting] = useState(null)
+    const [logNote, setLogNote] = useState(true)
+    const [noteContent, setNoteContent] = useState('')
+
+    const invalidate = (id) => {
+        queryClient.invalidateQueries({ queryKey: ['applications'] })
+        queryClient.invalidateQueries({ queryKey: ['application', String(id)] })
+    }
+
+    const rescheduleMutation = useMutation({
+        mutationFn: ({ id, date }) => applicationService.updateApplication(id, { next_action_date: date }),
+        onSuccess: (_, { id, date }) => {
+            success(`Moved to ${format(parseISO(date), 'MMM d')}`)
+            invalidate(id)
+        },
+        onError: () => showError('Failed to reschedule task')
+    })
+
+    const completeMutation = useMutation({
+        mutationFn: async ({ task, note }) => {
+            const { id } = task.application
+            await applicationService.updateApplication(id, { next_action: '', next_action_date: null })
+            if (note) await noteService.createNote(id, { content: note, note_type: 'follow_up' })
+        },
+        onSuccess: (_, { task, note }) => {
+            success(note ? 'Task completed and note logged' : 'Task completed')
+            invalidate(task.application.id)
+            if (note) queryClient.invalidateQueries({ queryKey: ['notes', String(task.application.id)] })
+            setCompleting(null)
+        },
+        onError: (err) => showError(err.response?.data?.error || 'Failed to complete task')
+    })
+
+    const startComplete = (task) => {
+        setCompleting(task)
+        setLogNote(true)
+        setNoteContent(`Done: ${task.action}`)
+    }
+
+    const grouped = TASK_GROUPS
+        .map((group) => ({ ...group, tasks: tasks.filter((task) => task.group === group.value) }))
+        .filter((group) => group.tasks.length > 0)
+
+    return (
+        <div className="container py-8 animate-fade-in max-w-4xl mx-auto">
+            <div className="mb-8">
+                <h1 className="text-3xl font-bold text-slate-900">Tasks</h1>
+                <p className="text-slate-600 font-medium mt-1">Next actions and follow-ups across your applications</p>
+            </div>
+
+            {isLoading ? (
+                <div className="space-y-3">
+                    {[...Array(4)].map((_, i) => <Skeleton key={i} className="h-16 w-full rounded-xl" />)}
+                </div>
+            ) : isError ? (
+                <div className="text-center py-12 text-rose-500">Failed to load tasks</div>
+            ) : grouped.length === 0 ? (
+                <EmptyState
+                    icon={ListTodo}
+                    title="You're all caught up"
+                    description="Set a next action on an application and it will show up here."
+                />
+            ) : (
+                <div className="space-y-8">
+                    {grouped.map((group) => (
+                        <section key={group.value}>
+                            <h2 className={cn("text-sm font-bold uppercase tracking-wider mb-3", groupStyles[group.value])}>
+                                {group.label}
+                                <span className="ml-2 text-slate-400 font-medium">{group.tasks.length}</span>
+                            </h2>
+                            <div className="space-y-2">
+                                {group.tasks.map((task) => (
+                                    <TaskRow
+                                        key={task.application.id}
+                                        task={task}
+                                        onComplete={() => startComplete(task)}
+                                        onReschedule={(date) => rescheduleMutation.mutate({ id: task.application.id, date })}
+                                        isBusy={rescheduleMutation.isPending && rescheduleMutation.variables?.id === task.application.id}
+                                    />
+                                ))}
+                            </div>
+                        </section>
+                    ))}
+                </div>
+            )}
+
+            <Modal
+                isOpen={!!completing}
+                onClose={() => setCompleting(null)}
+                title="Complete Task"
+                className="max-w-md"
+            >
+                {completing && (
+                    <form
+                        className="space-y-4"
+                        onSubmit={(e) => {
+                            e.preventDefault()
+                            completeMutation.mutate({ task: completing, note: logNote ? noteContent.trim() : null })
+                        }}
+                    >
+                        <p className="text-sm text-slate-600">
+                            <span className="font-semibold text-slate-900">{completing.action}</span>
+                            {' for '}{completing.application.job_title} at {completing.application.company_name}
+                        </p>
+                        <label className="flex items-center gap-2 text-sm font-medium text-slate-700">
+                            <input
+                                type="checkbox"
+                                checked={logNote}
+                                onChange={(e) => setLogNote(e.target.checked)}
+                                className="accent-teal-brand-600"
+                            />
+                            Log a follow-up note
+                        </label>
+                        {logNote && (
+                            <Textarea
+                                value={noteContent}
+                                onChange={(e) => setNoteContent(e.target.value)}
+                                rows={3}
+                            />
+                        )}
+                        <div className="flex justify-end gap-3">
+                            <Button type="button" variant="ghost" onClick={() => setCompleting(null)}>Cancel</Button>
+                            <Button
+                                type="submit"
+                                isLoading={completeMutation.isPending}
+                                disabled={logNote && !noteContent.trim()}
+                            >
+                                Mark Done
+                            </Button>
+                        </div>
+                    </form>
+                )}
+            </Modal>
+        </div>
+    )
+}
+
+const TaskRow = ({ task, onComplete, onReschedule, isBusy }) => {
+    const [isSnoozeOpen, setIsSnoozeOpen] = useState(false)
+    const { application } = task
+
+    return (
+        <Card className={cn("p-4 flex items-center gap-4", isBusy && "opacity-60")}>
+            <button
+                type="button"
+                onClick={onComplete}
+                className="w-6 h-6 shrink-0 rounded-full border-2 border-slate-300 text-transparent hover:border-teal-brand-500 hover:text-teal-brand-500 flex items-center justify-center transition-colors"
+                title="Mark done"
+                aria-label={`Complete ${task.action}`}
+            >
+                <Check size={14} strokeWidth={3} />
+            </button>
+
+            <div className="flex-1 min-w-0">
+                <p className="font-semibold text-slate-900 truncate">{task.action}</p>
+                <Link
+                    to={`/applications/${application.id}`}
+                    className="flex items-center gap-1.5 text-sm text-slate-500 hover:text-teal-brand-600 truncate"
+                >
+                    <Building size={13} className="shrink-0" />
+                    {application.job_title} · {application.company_name}
+                </Link>
+            </div>
+
+            <span className={cn("text-xs font-semibold whitespace-nowrap", groupStyles[task.group])}>
+                {dueLabel(task)}
+            </span>
+
+            <div className="relative flex items-center gap-1">
+                <button
+                    type="button"
+                    onClick={() => setIsSnoozeOpen(!isSnoozeOpen)}
+                    className="flex items-center gap-1 px-2 py-1.5 rounded-lg text-xs font-medium text-slate-500 hover:bg-slate-100 hover:text-slate-800"
+                    title="Snooze"
+                >
+                    <Clock size={14} /> Snooze <ChevronDown size={12} />
+                </button>
+                {isSnoozeOpen && (
+                    <>
+                        <div className="fixed inset-0 z-40" onClick={() => setIsSnoozeOpen(false)} />
+                        <div className="absolute right-0 top-full mt-1 w-36 bg-white rounded-lg shadow-lg border border-slate-200 py-1 z-50">
+                            {SNOOZE_OPTIONS.map((option) => (
+                                <button
+                                    key={option.days}
+                                    type="button"
+                                    onClick={() => {
+                                        setIsSnoozeOpen(false)
+                                        onReschedule(dueDateFromToday(option.days))
+                                    }}
+                                    className="w-full px-3 py-1.5 text-left text-sm text-slate-700 hover:bg-slate-50"
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+                    </>
+                )}
+
+                <label
+                    className="relative p-1.5 rounded-lg text-slate-500 hover:bg-slate-100 hover:text-slate-800 cursor-pointer"
+                    title="Reschedule"
+                >
+                    <CalendarClock size={16} />
+                    <input
+                        type="date"
+                        value={task.dueDate || ''}
+                        onChange={(e) => e.target.value && onReschedule(e.target.value)}
+                        onClick={(e) => e.currentTarget.showPicker?.()}
+                        className="absolute inset-0 opacity-0 cursor-pointer"
+                        aria-label="Reschedule"
+                    />
+                </label>
+            </div>
+        </Card>
+    )
+}
+
+export default TaskList
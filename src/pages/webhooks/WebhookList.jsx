@@ -316,7 +316,7 @@ function WebhookFormModal({ isOpen, onClose, eventTypes, eventsError }) {
 function DeliveryLogsModal({ isOpen, onClose, webhook, onRetry }) {
   const { data, isLoading } = useQuery({
     queryKey: ['webhook-deliveries', webhook?.id],
-    queryFn: () => webhookService.getDeliveries({ endpoint: webhook.id }),
+    queryFn: ({ signal }) => webhookService.getDeliveries({ endpoint: webhook.id }, { signal }),
     enabled: isOpen && !!webhook
   });
 
@@ -351,7 +351,7 @@ function DeliveryLogsModal({ isOpen, onClose, webhook, onRetry }) {
                       {statusInfo.label}
                     </Badge>
                     <span className="text-sm font-medium text-slate-700">
-                      {delivery.event_type}
+                      {delivery.event}
                     </span>
                   </div>
                   <span className="text-xs text-slate-500">
@@ -360,10 +360,10 @@ function DeliveryLogsModal({ isOpen, onClose, webhook, onRetry }) {
                 </div>
                 
                 <div className="text-sm text-slate-600 mb-2">
-                  <span className="font-medium">Status Code:</span> {delivery.response_status || 'N/A'}
+                  <span className="font-medium">Status Code:</span> {delivery.response_status_code || 'N/A'}
                 </div>
                 
-                {delivery.status === 'failure' && (
+                {delivery.status === 'failed' && (
                   <div className="flex items-center gap-2 mt-3">
                     <Button
                       variant="ghost"
@@ -401,13 +401,13 @@ export default function WebhookList() {
   // Fetch webhooks
   const { data, isLoading, isError, error } = useQuery({
     queryKey: ['webhooks'],
-    queryFn: () => webhookService.getWebhooks()
+    queryFn: ({ signal }) => webhookService.getWebhooks({}, { signal })
   });
 
   // Fetch event types
   const { data: eventTypesData, isError: eventsError, error: eventsErrorObj } = useQuery({
     queryKey: ['webhook-events'],
-    queryFn: () => webhookService.getEventTypes()
+    queryFn: ({ signal }) => webhookService.getEventTypes({ signal })
   });
 
   const webhooks = data?.results || [];
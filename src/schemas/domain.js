@@ -0,0 +1,726 @@
+/**
+ * Domain Schemas
+ * The API's data model in one place: every enum the backend sends, with the
+ * labels and colors the UI shows for it, and zod schemas for the responses.
+ *
+ * Services run responses through `validateResponse`, forms build their zod
+ * enums and select options from the enum definitions, and badges, icons and
+ * filters read the same entries. In development, a response that doesn't match
+ * (a missing field, an enum value the frontend doesn't know) logs a console
+ * warning naming the endpoint and field; the data is always passed through
+ * unchanged, so a drifting backend never blocks rendering.
+ *
+ * @module schemas/domain
+ * @see FRONTEND_API_DOCUMENTATION.md Section 13: Data Models & Types
+ */
+
+import { z } from 'zod';
+
+const IS_DEV = import.meta.env.DEV;
+
+// ============================================
+// WARNINGS
+// ============================================
+
+const warned = new Set();
+
+/**
+ * Log a development warning, once per distinct message
+ * @param {string} message - Warning text, also used to deduplicate
+ * @param {...*} details - Extra values logged alongside
+ */
+export const warnOnce = (message, ...details) => {
+  if (!IS_DEV || warned.has(message)) return;
+  warned.add(message);
+  console.warn(`[schema] ${message}`, ...details);
+};
+
+// ============================================
+// ENUMS
+// ============================================
+
+const humanize = (value) => String(value)
+  .split(/[_\s-]+/)
+  .filter(Boolean)
+  .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+/**
+ * @typedef {Object} DomainEnum
+ * @property {string} name - Human name used in warnings
+ * @property {string[]} values - Allowed values, in display order
+ * @property {z.ZodEnum} schema - zod enum of the values, for forms and responses
+ * @property {Array<Object>} entries - Full entries with their display fields
+ * @property {Array<{value: string, label: string}>} options - Select options
+ * @property {Object.<string, Object>} byValue - Entries keyed by value
+ * @property {function(string): Object|undefined} get - Entry for a value
+ * @property {function(string): string} label - Display label for a value
+ */
+
+/**
+ * Define an API enum together with its display fields
+ *
+ * `get` never hides an unknown value behind another entry's label: it warns
+ * in development and returns the fallback's styling with the value itself
+ * as the label.
+ *
+ * @param {string} name - Human name, e.g. "interview type"
+ * @param {Array<{value: string, label: string}>} entries - One per API value, plus any display fields
+ * @param {Object} [options]
+ * @param {string} [options.fallback] - Value whose styling is used for unknown or empty values
+ * @returns {DomainEnum}
+ */
+export const defineEnum = (name, entries, { fallback } = {}) => {
+  const values = entries.map((entry) => entry.value);
+  const byValue = Object.fromEntries(entries.map((entry) => [entry.value, entry]));
+  const fallbackEntry = fallback ? byValue[fallback] : undefined;
+
+  const get = (value) => {
+    if (Object.hasOwn(byValue, value)) return byValue[value];
+    if (value == null || value === '') return fallbackEntry;
+    warnOnce(`Unknown ${name} "${value}". Expected one of: ${values.join(', ')}`);
+    return { ...fallbackEntry, value, label: humanize(value) };
+  };
+
+  return {
+    name,
+    values,
+    schema: z.enum(values),
+    entries,
+    options: entries.map(({ value, label }) => ({ value, label })),
+    byValue,
+    get,
+    label: (value) => get(value)?.label ?? ''
+  };
+};
+
+export const APPLICATION_STATUS = defineEnum('application status', [
+  { value: 'wishlist', label: 'Wishlist', accent: 'bg-slate-400' },
+  { value: 'applied', label: 'Applied', accent: 'bg-blue-500' },
+  { value: 'screening', label: 'Screening', accent: 'bg-indigo-500' },
+  { value: 'interviewing', label: 'Interviewing', accent: 'bg-purple-500' },
+  { value: 'offer', label: 'Offer', accent: 'bg-green-500' },
+  { value: 'accepted', label: 'Accepted', accent: 'bg-emerald-500' },
+  { value: 'rejected', label: 'Rejected', accent: 'bg-red-500', terminal: true },
+  { value: 'withdrawn', label: 'Withdrawn', accent: 'bg-orange-500', terminal: true },
+  { value: 'ghosted', label: 'Ghosted', accent: 'bg-slate-600', terminal: true }
+]);
+
+export const PRIORITY = defineEnum('priority', [
+  { value: 'low', label: 'Low Priority' },
+  { value: 'medium', label: 'Medium Priority' },
+  { value: 'high', label: 'High Priority' }
+]);
+
+export const WORK_TYPE = defineEnum('work type', [
+  { value: 'remote', label: 'Remote' },
+  { value: 'hybrid', label: 'Hybrid' },
+  { value: 'onsite', label: 'On-site' }
+]);
+
+/** A user's preferred work type also allows "any" */
+export const PREFERRED_WORK_TYPE = defineEnum('preferred work type', [
+  ...WORK_TYPE.entries,
+  { value: 'any', label: 'Any' }
+]);
+
+export const APPLICATION_SOURCE = defineEnum('application source', [
+  { value: 'linkedin', label: 'LinkedIn' },
+  { value: 'indeed', label: 'Indeed' },
+  { value: 'glassdoor', label: 'Glassdoor' },
+  { value: 'company_site', label: 'Company Website' },
+  { value: 'referral', label: 'Referral' },
+  { value: 'recruiter', label: 'Recruiter' },
+  { value: 'job_fair', label: 'Job Fair' },
+  { value: 'other', label: 'Other' }
+]);
+
+export const COMPANY_SIZE = defineEnum('company size', [
+  { value: 'startup', label: 'Startup (1-50)' },
+  { value: 'small', label: 'Small (51-200)' },
+  { value: 'medium', label: 'Medium (201-1000)' },
+  { value: 'large', label: 'Large (1001-5000)' },
+  { value: 'enterprise', label: 'Enterprise (5000+)' }
+]);
+
+export const INTERVIEW_TYPE = defineEnum('interview type', [
+  {
+    value: 'phone',
+    label: 'Phone Screen',
+    description: 'Initial call with a recruiter or hiring manager',
+    icon: 'Phone',
+    color: 'text-blue-600',
+    bgColor: 'bg-blue-50',
+    borderColor: 'border-blue-200'
+  },
+  {
+    value: 'technical',
+    label: 'Technical',
+    description: 'Technical deep-dive on skills and experience',
+    icon: 'Code',
+    color: 'text-orange-600',
+    bgColor: 'bg-orange-50',
+    borderColor: 'border-orange-200'
+  },
+  {
+    value: 'behavioral',
+    label: 'Behavioral',
+    description: 'Questions about past experience and soft skills',
+    icon: 'Users',
+    color: 'text-pink-600',
+    bgColor: 'bg-pink-50',
+    borderColor: 'border-pink-200'
+  },
+  {
+    value: 'coding',
+    label: 'Coding Challenge',
+    description: 'Live coding or algorithm exercise',
+    icon: 'Terminal',
+    color: 'text-purple-600',
+    bgColor: 'bg-purple-50',
+    borderColor: 'border-purple-200'
+  },
+  {
+    value: 'system_design',
+    label: 'System Design',
+    description: 'Architecture and design discussion',
+    icon: 'Network',
+    color: 'text-indigo-600',
+    bgColor: 'bg-indigo-50',
+    borderColor: 'border-indigo-200'
+  },
+  {
+    value: 'onsite',
+    label: 'On-site',
+    description: 'In-person visit, often several rounds',
+    icon: 'Building2',
+    color: 'text-teal-600',
+    bgColor: 'bg-teal-50',
+    borderColor: 'border-teal-200'
+  },
+  {
+    value: 'hr',
+    label: 'HR/Final',
+    description: 'Culture fit, compensation and logistics',
+    icon: 'UserCheck',
+    color: 'text-green-600',
+    bgColor: 'bg-green-50',
+    borderColor: 'border-green-200'
+  },
+  {
+    value: 'other',
+    label: 'Other',
+    description: 'Any other interview format',
+    icon: 'Calendar',
+    color: 'text-slate-600',
+    bgColor: 'bg-slate-50',
+    borderColor: 'border-slate-200'
+  }
+], { fallback: 'other' });
+
+export const INTERVIEW_STATUS = defineEnum('interview status', [
+  { value: 'scheduled', label: 'Scheduled', color: 'text-blue-600', bgColor: 'bg-blue-50' },
+  { value: 'completed', label: 'Completed', color: 'text-slate-600', bgColor: 'bg-slate-50' },
+  { value: 'cancelled', label: 'Cancelled', color: 'text-slate-500', bgColor: 'bg-slate-100' },
+  { value: 'rescheduled', label: 'Rescheduled', color: 'text-amber-600', bgColor: 'bg-amber-50' },
+  { value: 'no_show', label: 'No Show', color: 'text-red-500', bgColor: 'bg-red-50' }
+], { fallback: 'scheduled' });
+
+export const INTERVIEW_OUTCOME = defineEnum('interview outcome', [
+  { value: 'pending', label: 'Pending', color: 'text-amber-600', bgColor: 'bg-amber-50' },
+  { value: 'passed', label: 'Passed', color: 'text-green-600', bgColor: 'bg-green-50' },
+  { value: 'failed', label: 'Not Selected', color: 'text-red-600', bgColor: 'bg-red-50' }
+], { fallback: 'pending' });
+
+export const NOTE_TYPE = defineEnum('note type', [
+  { value: 'general', label: 'General', color: 'slate', icon: 'FileText' },
+  { value: 'follow_up', label: 'Follow Up', color: 'blue', icon: 'RefreshCw' },
+  { value: 'feedback', label: 'Feedback', color: 'purple', icon: 'MessageSquare' },
+  { value: 'research', label: 'Company Research', color: 'amber', icon: 'Search' },
+  { value: 'preparation', label: 'Interview Prep', color: 'emerald', icon: 'CheckSquare' }
+], { fallback: 'general' });
+
+export const ATTACHMENT_CATEGORY = defineEnum('attachment category', [
+  { value: 'offer_letter', label: 'Offer Letter' },
+  { value: 'take_home', label: 'Take-home Assignment' },
+  { value: 'portfolio', label: 'Portfolio' },
+  { value: 'nda', label: 'NDA' },
+  { value: 'cover_letter', label: 'Cover Letter' },
+  { value: 'other', label: 'Other' }
+], { fallback: 'other' });
+
+export const AI_TASK_STATUS = defineEnum('AI task status', [
+  { value: 'pending', label: 'Pending', color: 'bg-amber-100 text-amber-700 border-amber-200' },
+  { value: 'processing', label: 'Processing', color: 'bg-blue-100 text-blue-700 border-blue-200' },
+  { value: 'completed', label: 'Completed', color: 'bg-green-100 text-green-700 border-green-200' },
+  { value: 'failed', label: 'Failed', color: 'bg-red-100 text-red-700 border-red-200' },
+  { value: 'cancelled', label: 'Cancelled', color: 'bg-slate-100 text-slate-600 border-slate-200' }
+], { fallback: 'pending' });
+
+export const AI_CONTENT_TYPE = defineEnum('AI content type', [
+  { value: 'cover_letter', label: 'Cover Letter', icon: 'FileText' },
+  { value: 'job_match', label: 'Job Match', icon: 'Target' },
+  { value: 'interview_questions', label: 'Interview Questions', icon: 'HelpCircle' }
+], { fallback: 'cover_letter' });
+
+export const NOTIFICATION_TYPE = defineEnum('notification type', [
+  {
+    value: 'application_update',
+    label: 'Application Update',
+    icon: 'Briefcase',
+    color: 'text-blue-600',
+    bgColor: 'bg-blue-50',
+    borderColor: 'border-blue-200'
+  },
+  {
+    value: 'interview_scheduled',
+    label: 'Interview Scheduled',
+    icon: 'Calendar',
+    color: 'text-purple-600',
+    bgColor: 'bg-purple-50',
+    borderColor: 'border-purple-200'
+  },
+  {
+    value: 'interview_reminder',
+    label: 'Interview Reminder',
+    icon: 'Bell',
+    color: 'text-orange-600',
+    bgColor: 'bg-orange-50',
+    borderColor: 'border-orange-200'
+  },
+  {
+    value: 'status_change',
+    label: 'Status Change',
+    icon: 'RefreshCw',
+    color: 'text-teal-600',
+    bgColor: 'bg-teal-50',
+    borderColor: 'border-teal-200'
+  },
+  {
+    value: 'follow_up',
+    label: 'Follow Up',
+    icon: 'Clock',
+    color: 'text-amber-600',
+    bgColor: 'bg-amber-50',
+    borderColor: 'border-amber-200'
+  },
+  {
+    value: 'offer_received',
+    label: 'Offer Received',
+    icon: 'Gift',
+    color: 'text-green-600',
+    bgColor: 'bg-green-50',
+    borderColor: 'border-green-200'
+  },
+  {
+    value: 'rejection',
+    label: 'Application Update',
+    icon: 'XCircle',
+    color: 'text-red-600',
+    bgColor: 'bg-red-50',
+    borderColor: 'border-red-200'
+  },
+  {
+    value: 'system',
+    label: 'System',
+    icon: 'Info',
+    color: 'text-slate-600',
+    bgColor: 'bg-slate-50',
+    borderColor: 'border-slate-200'
+  }
+], { fallback: 'system' });
+
+export const DELIVERY_STATUS = defineEnum('webhook delivery status', [
+  { value: 'success', label: 'Success', color: 'text-emerald-600', bg: 'bg-emerald-100', icon: '✓' },
+  { value: 'failed', label: 'Failed', color: 'text-rose-600', bg: 'bg-rose-100', icon: '✗' },
+  { value: 'retrying', label: 'Retrying', color: 'text-amber-600', bg: 'bg-amber-100', icon: '↻' },
+  { value: 'pending', label: 'Pending', color: 'text-amber-600', bg: 'bg-amber-100', icon: '⋯' }
+], { fallback: 'pending' });
+
+export const DEVICE_TYPE = defineEnum('device type', [
+  { value: 'desktop', label: 'Desktop', icon: 'Monitor' },
+  { value: 'mobile', label: 'Mobile', icon: 'Smartphone' },
+  { value: 'tablet', label: 'Tablet', icon: 'Tablet' }
+], { fallback: 'desktop' });
+
+export const SECURITY_EVENT_TYPE = defineEnum('security event type', [
+  { value: 'login', label: 'Signed in', icon: 'LogIn', color: 'text-emerald-600', bgColor: 'bg-emerald-50' },
+  { value: 'login_failed', label: 'Failed sign-in attempt', icon: 'ShieldAlert', color: 'text-rose-600', bgColor: 'bg-rose-50' },
+  { value: 'logout', label: 'Signed out', icon: 'LogOut', color: 'text-slate-600', bgColor: 'bg-slate-100' },
+  { value: 'logout_all', label: 'Signed out everywhere', icon: 'LogOut', color: 'text-amber-600', bgColor: 'bg-amber-50' },
+  { value: 'session_revoked', label: 'Session revoked', icon: 'MonitorX', color: 'text-amber-600', bgColor: 'bg-amber-50' },
+  { value: '2fa_enabled', label: 'Two-factor authentication enabled', icon: 'ShieldCheck', color: 'text-teal-600', bgColor: 'bg-teal-50' },
+  { value: '2fa_disabled', label: 'Two-factor authentication disabled', icon: 'ShieldOff', color: 'text-amber-600', bgColor: 'bg-amber-50' },
+  { value: 'password_changed', label: 'Password changed', icon: 'KeyRound', color: 'text-blue-600', bgColor: 'bg-blue-50' },
+  { value: 'password_reset', label: 'Password reset', icon: 'KeyRound', color: 'text-blue-600', bgColor: 'bg-blue-50' }
+], { fallback: 'logout' });
+
+// ============================================
+// RESPONSE SCHEMAS
+// ============================================
+// Objects are loose: fields the frontend doesn't read yet are allowed through,
+// and only the fields it relies on are described.
+
+const id = z.union([z.number(), z.string()]);
+
+// DRF serializes DecimalFields as strings
+const decimal = z.union([z.number(), z.string()]);
+
+// Optional choice fields come back as '' when unset
+const blankable = (domainEnum) => z.enum([...domainEnum.values, '']);
+
+const timestamp = z.string();
+
+/**
+ * A DRF page of results
+ * @param {z.ZodType} item - Schema of one result
+ * @returns {z.ZodObject}
+ */
+export const paginated = (item) => z.looseObject({
+  count: z.number(),
+  next: z.string().nullish(),
+  previous: z.string().nullish(),
+  results: z.array(item)
+});
+
+/** Responses that only carry a confirmation message */
+export const messageSchema = z.looseObject({
+  message: z.string().optional()
+});
+
+export const userSchema = z.looseObject({
+  id,
+  email: z.string(),
+  first_name: z.string().optional(),
+  last_name: z.string().optional(),
+  desired_salary_min: decimal.nullish(),
+  desired_salary_max: decimal.nullish(),
+  preferred_work_type: PREFERRED_WORK_TYPE.schema.optional(),
+  is_email_verified: z.boolean().optional()
+});
+
+export const tokenPairSchema = z.looseObject({
+  access: z.string(),
+  refresh: z.string()
+});
+
+/** Login returns a token pair, or asks for a 2FA code first */
+export const loginSchema = z.union([
+  tokenPairSchema,
+  z.looseObject({ requires_2fa: z.literal(true) })
+]);
+
+export const registerSchema = z.looseObject({
+  user: userSchema,
+  tokens: tokenPairSchema.optional()
+});
+
+export const companySchema = z.looseObject({
+  id,
+  name: z.string(),
+  website: z.string().nullish(),
+  industry: z.string().nullish(),
+  location: z.string().nullish(),
+  size: blankable(COMPANY_SIZE).nullish(),
+  glassdoor_rating: decimal.nullish(),
+  application_count: z.number().optional()
+});
+
+export const noteSchema = z.looseObject({
+  id,
+  content: z.string(),
+  note_type: NOTE_TYPE.schema,
+  created_at: timestamp
+});
+
+export const applicationSchema = z.looseObject({
+  id,
+  company: id.nullish(),
+  company_name: z.string().optional(),
+  job_title: z.string(),
+  status: APPLICATION_STATUS.schema,
+  priority: PRIORITY.schema.optional(),
+  work_type: blankable(WORK_TYPE).nullish(),
+  source: blankable(APPLICATION_SOURCE).nullish(),
+  salary_min: decimal.nullish(),
+  salary_max: decimal.nullish(),
+  resume_version: id.nullish(),
+  applied_date: z.string().nullish(),
+  response_date: z.string().nullish(),
+  next_action_date: z.string().nullish(),
+  notes: z.array(noteSchema).optional()
+});
+
+export const interviewSchema = z.looseObject({
+  id,
+  // A bare id from the API; some views expand it into the application itself
+  application: z.union([id, z.looseObject({ id })]).optional(),
+  interview_type: INTERVIEW_TYPE.schema,
+  scheduled_at: timestamp,
+  duration_minutes: z.number().nullish(),
+  status: INTERVIEW_STATUS.schema.optional(),
+  outcome: INTERVIEW_OUTCOME.schema.optional(),
+  interviewers: z.array(z.looseObject({ id })).optional()
+});
+
+export const resumeSchema = z.looseObject({
+  id,
+  version_name: z.string(),
+  file_url: z.string().nullish(),
+  file_name: z.string().nullish(),
+  file_size: z.number().nullish(),
+  is_default: z.boolean()
+});
+
+export const attachmentSchema = z.looseObject({
+  id,
+  label: z.string(),
+  category: ATTACHMENT_CATEGORY.schema,
+  file_url: z.string().nullish(),
+  file_name: z.string().nullish(),
+  file_size: z.number().nullish()
+});
+
+// ============================================
+// ANALYTICS
+// ============================================
+
+export const dashboardStatsSchema = z.looseObject({
+  total_applications: z.number(),
+  active_applications: z.number(),
+  offers_received: z.number(),
+  interviews_scheduled: z.number(),
+  response_rate: z.number(),
+  avg_response_days: z.number().nullish(),
+  status_breakdown: z.record(z.string(), z.number())
+});
+
+export const responseRateSchema = z.looseObject({
+  by_source: z.array(z.looseObject({
+    source: blankable(APPLICATION_SOURCE).nullable(),
+    total: z.number(),
+    with_response: z.number(),
+    response_rate: z.number()
+  }))
+});
+
+export const funnelSchema = z.looseObject({
+  funnel: z.array(z.looseObject({
+    stage: APPLICATION_STATUS.schema,
+    count: z.number(),
+    percentage: z.number()
+  })),
+  total_applications: z.number()
+});
+
+export const weeklyActivitySchema = z.looseObject({
+  weekly_applications: z.array(z.looseObject({ week: z.string(), count: z.number() }))
+});
+
+export const topCompaniesSchema = z.looseObject({
+  top_companies: z.array(z.looseObject({
+    company__id: id,
+    company__name: z.string(),
+    application_count: z.number()
+  }))
+});
+
+export const healthSchema = z.looseObject({
+  status: z.string()
+});
+
+// ============================================
+// AI
+// ============================================
+
+/** Generation endpoints answer with the result, or with a task to poll in async mode */
+const aiGeneration = (result) => z.union([
+  z.looseObject({ ...result, saved_id: id.nullish() }),
+  z.looseObject({ task_id: id, status: AI_TASK_STATUS.schema })
+]);
+
+export const coverLetterResultSchema = aiGeneration({ cover_letter: z.string() });
+
+export const jobMatchResultSchema = aiGeneration({
+  analysis: z.looseObject({
+    match_score: z.number(),
+    matching_skills: z.array(z.string()),
+    missing_skills: z.array(z.string()),
+    recommendations: z.array(z.string()),
+    summary: z.string()
+  })
+});
+
+export const interviewQuestionsResultSchema = aiGeneration({ questions: z.string() });
+
+export const aiTaskSchema = z.looseObject({
+  id,
+  task_type: AI_CONTENT_TYPE.schema,
+  status: AI_TASK_STATUS.schema,
+  created_at: timestamp
+});
+
+export const aiHistoryItemSchema = z.looseObject({
+  id,
+  content_type: AI_CONTENT_TYPE.schema,
+  is_favorite: z.boolean(),
+  rating: z.number().nullish(),
+  created_at: timestamp
+});
+
+// ============================================
+// NOTIFICATIONS
+// ============================================
+
+export const notificationSchema = z.looseObject({
+  id,
+  type: NOTIFICATION_TYPE.schema,
+  title: z.string(),
+  is_read: z.boolean(),
+  created_at: timestamp
+});
+
+export const notificationListSchema = z.looseObject({
+  notifications: z.array(notificationSchema),
+  pagination: z.looseObject({
+    page: z.number(),
+    per_page: z.number(),
+    total: z.number(),
+    pages: z.number()
+  })
+});
+
+export const notificationPreferencesSchema = z.record(z.string(), z.unknown());
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================
+
+export const twoFactorStatusSchema = z.looseObject({
+  enabled: z.boolean(),
+  backup_codes_remaining: z.number().optional()
+});
+
+export const twoFactorSetupSchema = z.looseObject({
+  secret: z.string(),
+  qr_code: z.string(),
+  backup_codes: z.array(z.string()).optional()
+});
+
+export const twoFactorVerifySchema = z.looseObject({
+  verified: z.boolean()
+});
+
+export const backupCodesSchema = z.looseObject({
+  backup_codes: z.array(z.string())
+});
+
+// ============================================
+// SESSIONS & SECURITY EVENTS
+// ============================================
+
+export const sessionSchema = z.looseObject({
+  id,
+  device_type: DEVICE_TYPE.schema.optional(),
+  os: z.string().nullish(),
+  browser: z.string().nullish(),
+  ip_address: z.string().nullish(),
+  location: z.string().nullish(),
+  created_at: timestamp,
+  last_active_at: timestamp,
+  is_current: z.boolean()
+});
+
+export const securityEventSchema = z.looseObject({
+  id,
+  event_type: SECURITY_EVENT_TYPE.schema,
+  os: z.string().nullish(),
+  browser: z.string().nullish(),
+  ip_address: z.string().nullish(),
+  location: z.string().nullish(),
+  created_at: timestamp
+});
+
+// ============================================
+// WEBHOOKS
+// ============================================
+
+export const webhookSchema = z.looseObject({
+  id,
+  name: z.string(),
+  url: z.string(),
+  events: z.array(z.string()),
+  is_active: z.boolean(),
+  delivery_stats: z.looseObject({
+    total_24h: z.number(),
+    successful_24h: z.number(),
+    failed_24h: z.number()
+  }).optional()
+});
+
+export const webhookDeliverySchema = z.looseObject({
+  id,
+  endpoint: id,
+  event: z.string(),
+  status: DELIVERY_STATUS.schema,
+  attempt_count: z.number(),
+  created_at: timestamp
+});
+
+export const webhookEventsSchema = z.looseObject({
+  events: z.array(z.looseObject({ name: z.string(), description: z.string() }))
+});
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export const fileSchema = z.instanceof(Blob);
+
+// ============================================
+// VALIDATION
+// ============================================
+
+// "GET /applications/12/notes/" -> "GET /applications/:id/notes/", so warnings group per endpoint
+const describeRequest = (config = {}) => {
+  const path = (config.url || '')
+    .split('?')[0]
+    .replace(/\/(\d+|[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12})(?=\/|$)/gi, '/:id');
+  return `${(config.method || 'get').toUpperCase()} ${path}`;
+};
+
+// "results.3.interview_type" -> "results[].interview_type"
+const describePath = (path) => path
+  .map((key) => (typeof key === 'number' ? '[]' : `.${String(key)}`))
+  .join('')
+  .replace(/^\./, '') || '(response)';
+
+const valueAt = (data, path) => path.reduce((value, key) => value?.[key], data);
+
+/**
+ * Check an API response against its schema and return its data
+ *
+ * Only runs in development. Each mismatch is logged once per endpoint and
+ * field; the data is returned as received either way.
+ *
+ * @param {z.ZodType} schema - Expected shape of `response.data`
+ * @param {import('axios').AxiosResponse} response - Response from the api client
+ * @returns {*} `response.data`, unchanged
+ */
+export const validateResponse = (schema, response) => {
+  const { data, config } = response;
+  if (!IS_DEV) return data;
+
+  const result = schema.safeParse(data);
+  if (!result.success) {
+    const request = describeRequest(config);
+    result.error.issues.forEach((issue) => {
+      const received = valueAt(data, issue.path);
+      warnOnce(
+        `${request} → ${describePath(issue.path)}: ${issue.message}`,
+        ...(received === undefined ? [] : ['Received:', received])
+      );
+    });
+  }
+  return data;
+};
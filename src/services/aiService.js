@@ -7,7 +7,19 @@
  * @see FRONTEND_API_DOCUMENTATION.md Section 7: AI Features
  */
 
+import { z } from 'zod';
 import api from './api';
+import {
+  AI_TASK_STATUS,
+  AI_CONTENT_TYPE,
+  coverLetterResultSchema,
+  jobMatchResultSchema,
+  interviewQuestionsResultSchema,
+  aiTaskSchema,
+  aiHistoryItemSchema,
+  paginated,
+  validateResponse
+} from '@/schemas/domain';
 
 // ============================================
 // CONSTANTS & TYPES
@@ -44,50 +56,13 @@ export const COVER_LETTER_TONES = {
  * AI task status options
  * @type {Object.<string, {value: string, label: string, color: string}>}
  */
-export const TASK_STATUS = {
-  pending: {
-    value: 'pending',
-    label: 'Pending',
-    color: 'bg-amber-100 text-amber-700 border-amber-200'
-  },
-  processing: {
-    value: 'processing',
-    label: 'Processing',
-    color: 'bg-blue-100 text-blue-700 border-blue-200'
-  },
-  completed: {
-    value: 'completed',
-    label: 'Completed',
-    color: 'bg-green-100 text-green-700 border-green-200'
-  },
-  failed: {
-    value: 'failed',
-    label: 'Failed',
-    color: 'bg-red-100 text-red-700 border-red-200'
-  }
-};
+export const TASK_STATUS = AI_TASK_STATUS.byValue;
 
 /**
  * Content type options for AI history
  * @type {Object.<string, {value: string, label: string, icon: string}>}
  */
-export const CONTENT_TYPES = {
-  cover_letter: {
-    value: 'cover_letter',
-    label: 'Cover Letter',
-    icon: 'FileText'
-  },
-  job_match: {
-    value: 'job_match',
-    label: 'Job Match',
-    icon: 'Target'
-  },
-  interview_questions: {
-    value: 'interview_questions',
-    label: 'Interview Questions',
-    icon: 'HelpCircle'
-  }
-};
+export const CONTENT_TYPES = AI_CONTENT_TYPE.byValue;
 
 // ============================================
 // COVER LETTER GENERATION
@@ -114,7 +89,7 @@ export const generateCoverLetter = async (data) => {
     async_mode: false,
     ...data
   });
-  return response.data;
+  return validateResponse(coverLetterResultSchema, response);
 };
 
 // ============================================
@@ -138,7 +113,7 @@ export const analyzeJobMatch = async (data) => {
     async_mode: false,
     ...data
   });
-  return response.data;
+  return validateResponse(jobMatchResultSchema, response);
 };
 
 // ============================================
@@ -164,7 +139,7 @@ export const generateInterviewQuestions = async (data) => {
     async_mode: false,
     ...data
   });
-  return response.data;
+  return validateResponse(interviewQuestionsResultSchema, response);
 };
 
 // ============================================
@@ -175,30 +150,36 @@ export const generateInterviewQuestions = async (data) => {
  * Get all AI tasks
  * @param {Object} [params] - Query parameters
  * @param {number} [params.page] - Page number
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Object>} Paginated task list
  */
-export const getTasks = async (params = {}) => {
-  const response = await api.get('/ai/tasks/', { params });
-  return response.data;
+export const getTasks = async (params = {}, { signal } = {}) => {
+  const response = await api.get('/ai/tasks/', { params, signal });
+  return validateResponse(paginated(aiTaskSchema), response);
 };
 
 /**
  * Get a specific AI task by ID
  * @param {number} taskId - Task ID
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Object>} Task details with result
  */
-export const getTask = async (taskId) => {
-  const response = await api.get(`/ai/tasks/${taskId}/`);
-  return response.data;
+export const getTask = async (taskId, { signal } = {}) => {
+  const response = await api.get(`/ai/tasks/${taskId}/`, { signal });
+  return validateResponse(aiTaskSchema, response);
 };
 
 /**
  * Get pending/processing AI tasks
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Array>} List of pending tasks
  */
-export const getPendingTasks = async () => {
-  const response = await api.get('/ai/tasks/pending/');
-  return response.data;
+export const getPendingTasks = async ({ signal } = {}) => {
+  const response = await api.get('/ai/tasks/pending/', { signal });
+  return validateResponse(z.array(aiTaskSchema), response);
 };
 
 /**
@@ -208,7 +189,7 @@ export const getPendingTasks = async () => {
  */
 export const cancelTask = async (taskId) => {
   const response = await api.post(`/ai/tasks/${taskId}/cancel/`);
-  return response.data;
+  return validateResponse(z.looseObject({ status: AI_TASK_STATUS.schema }), response);
 };
 
 // ============================================
@@ -220,21 +201,25 @@ export const cancelTask = async (taskId) => {
  * @param {Object} [params] - Query parameters
  * @param {number} [params.page] - Page number
  * @param {string} [params.content_type] - Filter by content type
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Object>} Paginated history list
  */
-export const getHistory = async (params = {}) => {
-  const response = await api.get('/ai/history/', { params });
-  return response.data;
+export const getHistory = async (params = {}, { signal } = {}) => {
+  const response = await api.get('/ai/history/', { params, signal });
+  return validateResponse(paginated(aiHistoryItemSchema), response);
 };
 
 /**
  * Get a specific history item
  * @param {number} historyId - History item ID
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Object>} History item details
  */
-export const getHistoryItem = async (historyId) => {
-  const response = await api.get(`/ai/history/${historyId}/`);
-  return response.data;
+export const getHistoryItem = async (historyId, { signal } = {}) => {
+  const response = await api.get(`/ai/history/${historyId}/`, { signal });
+  return validateResponse(aiHistoryItemSchema, response);
 };
 
 /**
@@ -247,7 +232,7 @@ export const getHistoryItem = async (historyId) => {
  */
 export const updateHistoryItem = async (historyId, data) => {
   const response = await api.patch(`/ai/history/${historyId}/`, data);
-  return response.data;
+  return validateResponse(aiHistoryItemSchema, response);
 };
 
 /**
@@ -257,7 +242,7 @@ export const updateHistoryItem = async (historyId, data) => {
  */
 export const toggleFavorite = async (historyId) => {
   const response = await api.post(`/ai/history/${historyId}/toggle_favorite/`);
-  return response.data;
+  return validateResponse(aiHistoryItemSchema.pick({ is_favorite: true }), response);
 };
 
 /**
@@ -268,16 +253,18 @@ export const toggleFavorite = async (historyId) => {
  */
 export const rateHistoryItem = async (historyId, rating) => {
   const response = await api.post(`/ai/history/${historyId}/rate/`, { rating });
-  return response.data;
+  return validateResponse(aiHistoryItemSchema.pick({ rating: true }), response);
 };
 
 /**
  * Get favorite AI history items
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Array>} List of favorite items
  */
-export const getFavorites = async () => {
-  const response = await api.get('/ai/history/favorites/');
-  return response.data;
+export const getFavorites = async ({ signal } = {}) => {
+  const response = await api.get('/ai/history/favorites/', { signal });
+  return validateResponse(z.array(aiHistoryItemSchema), response);
 };
 
 /**
@@ -298,18 +285,14 @@ export const deleteHistoryItem = async (historyId) => {
  * @param {string} status - Status value
  * @returns {Object} Status configuration
  */
-export const getTaskStatusConfig = (status) => {
-  return TASK_STATUS[status] || TASK_STATUS.pending;
-};
+export const getTaskStatusConfig = (status) => AI_TASK_STATUS.get(status);
 
 /**
  * Get content type configuration
  * @param {string} contentType - Content type value
  * @returns {Object} Content type configuration
  */
-export const getContentTypeConfig = (contentType) => {
-  return CONTENT_TYPES[contentType] || CONTENT_TYPES.cover_letter;
-};
+export const getContentTypeConfig = (contentType) => AI_CONTENT_TYPE.get(contentType);
 
 /**
  * Get tone configuration
@@ -1,4 +1,8 @@
 import api from './api'
+import {
+    dashboardStatsSchema, responseRateSchema, funnelSchema, weeklyActivitySchema, topCompaniesSchema,
+    healthSchema, validateResponse
+} from '@/schemas/domain'
 
 /**
  * Analytics Service
@@ -11,33 +15,39 @@ export const analyticsService = {
      * Get main dashboard overview statistics
      * Includes: total applications, active apps, offers, interviews, response rate
      * 
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
      * @returns {Promise<DashboardStats>}
      */
-    getDashboard: async () => {
-        const response = await api.get('/analytics/dashboard/')
-        return response.data
+    getDashboard: async ({ signal } = {}) => {
+        const response = await api.get('/analytics/dashboard/', { signal })
+        return validateResponse(dashboardStatsSchema, response)
     },
 
     /**
      * Get response rate breakdown by application source
      * Useful for determining which job sources are most effective
      * 
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
      * @returns {Promise<ResponseRateData>}
      */
-    getResponseRate: async () => {
-        const response = await api.get('/analytics/response-rate/')
-        return response.data
+    getResponseRate: async ({ signal } = {}) => {
+        const response = await api.get('/analytics/response-rate/', { signal })
+        return validateResponse(responseRateSchema, response)
     },
 
     /**
      * Get application funnel data
      * Shows progression: applied -> screening -> interviewing -> offer -> accepted
      * 
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
      * @returns {Promise<FunnelData>}
      */
-    getFunnel: async () => {
-        const response = await api.get('/analytics/funnel/')
-        return response.data
+    getFunnel: async ({ signal } = {}) => {
+        const response = await api.get('/analytics/funnel/', { signal })
+        return validateResponse(funnelSchema, response)
     },
 
     /**
@@ -45,11 +55,13 @@ export const analyticsService = {
      * 
      * @param {Object} params
      * @param {number} [params.weeks=12] - Number of weeks to include
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
      * @returns {Promise<WeeklyData>}
      */
-    getWeeklyActivity: async (params = { weeks: 12 }) => {
-        const response = await api.get('/analytics/weekly/', { params })
-        return response.data
+    getWeeklyActivity: async (params = { weeks: 12 }, { signal } = {}) => {
+        const response = await api.get('/analytics/weekly/', { params, signal })
+        return validateResponse(weeklyActivitySchema, response)
     },
 
     /**
@@ -57,21 +69,25 @@ export const analyticsService = {
      * 
      * @param {Object} params
      * @param {number} [params.limit=10] - Number of companies to return
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
      * @returns {Promise<TopCompaniesData>}
      */
-    getTopCompanies: async (params = { limit: 10 }) => {
-        const response = await api.get('/analytics/top-companies/', { params })
-        return response.data
+    getTopCompanies: async (params = { limit: 10 }, { signal } = {}) => {
+        const response = await api.get('/analytics/top-companies/', { params, signal })
+        return validateResponse(topCompaniesSchema, response)
     },
 
     /**
      * Health check endpoint - no auth required
      * 
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
      * @returns {Promise<HealthStatus>}
      */
-    healthCheck: async () => {
-        const response = await api.get('/analytics/health/')
-        return response.data
+    healthCheck: async ({ signal } = {}) => {
+        const response = await api.get('/analytics/health/', { signal })
+        return validateResponse(healthSchema, response)
     }
 }
 
@@ -1,8 +1,29 @@
 import axios from 'axios'
 import useAuthStore from '@/stores/useAuthStore'
+import useRateLimitStore from '@/stores/useRateLimitStore'
+import { normalizeApiError } from './apiErrors'
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000/api/v1'
 
+// Refresh this long before the access token expires
+const REFRESH_LEEWAY_MS = 60 * 1000
+// Tabs share tokens (see services/authSync), so each waits a random part of the
+// leeway; the first to refresh hands the new tokens to the rest
+const REFRESH_JITTER_MS = 30 * 1000
+
+// Requests to these never trigger a refresh
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/token/refresh']
+
+// AI generation endpoints share their own, much smaller hourly budget
+const AI_GENERATION_PATTERN = /\/ai\/(cover-letter|job-match|interview-questions)\//
+
+// Only requests that are safe to repeat are retried on 429/503
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete']
+const MAX_RETRIES = 3
+const BASE_RETRY_DELAY_MS = 1000
+// Waits longer than this surface as an error instead of a silent retry
+const MAX_RETRY_DELAY_MS = 30 * 1000
+
 const api = axios.create({
     baseURL: API_URL,
     headers: {
@@ -10,10 +31,111 @@ const api = axios.create({
     },
 })
 
-// Request interceptor: Add token
+// In mock mode every request, including the bare-axios token refresh, is answered
+// in the browser. Loaded lazily so the mock stays out of the normal bundle.
+if (import.meta.env.VITE_MOCK_API === 'true') {
+    const mockAdapter = (config) => import('@/mocks').then(({ default: adapter }) => adapter(config))
+    api.defaults.adapter = mockAdapter
+    axios.defaults.adapter = mockAdapter
+}
+
+// Expiry of a JWT in ms, or null if it can't be read
+const getTokenExpiry = (token) => {
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')
+        const { exp } = JSON.parse(atob(payload))
+        return typeof exp === 'number' ? exp * 1000 : null
+    } catch {
+        return null
+    }
+}
+
+const isExpiringSoon = (token) => {
+    const expiry = getTokenExpiry(token)
+    return expiry !== null && expiry - Date.now() < REFRESH_LEEWAY_MS
+}
+
+const isAuthEndpoint = (url = '') => AUTH_ENDPOINTS.some((endpoint) => url.includes(endpoint))
+
+// Single-flight refresh: every caller waits on the same request
+let refreshPromise = null
+
+const requestRefresh = async () => {
+    const { refreshToken, setTokens } = useAuthStore.getState()
+    if (!refreshToken) throw new Error('No refresh token')
+
+    let response
+    try {
+        response = await axios.post(`${API_URL}/auth/token/refresh/`, {
+            refresh: refreshToken
+        })
+    } catch (error) {
+        // Another tab rotated the token while this request was in flight
+        const current = useAuthStore.getState()
+        if (current.accessToken && current.refreshToken !== refreshToken) return current.accessToken
+        throw error
+    }
+
+    // The refresh token rotates when the backend returns a new one
+    const { access, refresh } = response.data
+    setTokens(access, refresh || refreshToken)
+    return access
+}
+
+let isRedirecting = false
+
+// Clear the session and send the user to login, remembering where they were
+const handleRefreshFailure = () => {
+    useAuthStore.getState().logout()
+    if (isRedirecting || window.location.pathname === '/login') return
+    isRedirecting = true
+    const returnTo = window.location.pathname + window.location.search + window.location.hash
+    window.location.replace(`/login?next=${encodeURIComponent(returnTo)}`)
+}
+
+export const refreshAccessToken = () => {
+    if (!refreshPromise) {
+        refreshPromise = requestRefresh()
+            .catch((error) => {
+                // Being offline doesn't end the session; only a rejected refresh does
+                const isNetworkError = error.isAxiosError && !error.response
+                if (!isNetworkError) handleRefreshFailure()
+                throw error
+            })
+            .finally(() => {
+                refreshPromise = null
+            })
+    }
+    return refreshPromise
+}
+
+// Proactive refresh: schedule one shortly before the current token expires
+let refreshTimer = null
+
+const scheduleRefresh = (token) => {
+    clearTimeout(refreshTimer)
+    refreshTimer = null
+    const expiry = token && getTokenExpiry(token)
+    if (!expiry) return
+    const delay = Math.max(expiry - Date.now() - REFRESH_LEEWAY_MS, 0) + Math.random() * REFRESH_JITTER_MS
+    refreshTimer = setTimeout(() => {
+        refreshAccessToken().catch(() => {})
+    }, delay)
+}
+
+scheduleRefresh(useAuthStore.getState().accessToken)
+useAuthStore.subscribe((state, prevState) => {
+    if (state.accessToken !== prevState.accessToken) scheduleRefresh(state.accessToken)
+})
+
+// Request interceptor: Add token, refreshing first if it is about to expire
 api.interceptors.request.use(
-    (config) => {
-        const token = useAuthStore.getState().accessToken
+    async (config) => {
+        let token = useAuthStore.getState().accessToken
+        if (token && !isAuthEndpoint(config.url) && (refreshPromise || isExpiringSoon(token))) {
+            // On failure the session is already cleared and login is loading
+            token = await refreshAccessToken()
+        }
         if (token) {
             config.headers.Authorization = `Bearer ${token}`
         }
@@ -22,35 +144,93 @@ api.interceptors.request.use(
     (error) => Promise.reject(error)
 )
 
+const getRateLimitBucket = (url = '') => AI_GENERATION_PATTERN.test(url) ? 'ai' : 'general'
+
+// Retry-After is either delay-seconds or an HTTP date; DRF also puts the wait in `detail`
+const getRetryAfterMs = (response) => {
+    const header = response.headers?.['retry-after']
+    if (header) {
+        const seconds = Number(header)
+        if (!Number.isNaN(seconds)) return seconds * 1000
+        const date = Date.parse(header)
+        if (!Number.isNaN(date)) return Math.max(date - Date.now(), 0)
+    }
+    const match = /available in (\d+) seconds?/.exec(response.data?.detail || '')
+    return match ? Number(match[1]) * 1000 : null
+}
+
+const recordRateLimit = (response) => {
+    const { headers = {}, config = {}, status } = response
+    const bucket = getRateLimitBucket(config.url)
+    const info = {}
+    if (headers['x-ratelimit-limit'] != null) info.limit = Number(headers['x-ratelimit-limit'])
+    if (headers['x-ratelimit-remaining'] != null) info.remaining = Number(headers['x-ratelimit-remaining'])
+    if (headers['x-ratelimit-reset'] != null) info.reset = Number(headers['x-ratelimit-reset']) * 1000
+
+    if (status === 429) {
+        info.remaining = 0
+        const retryAfter = getRetryAfterMs(response)
+        if (info.reset == null && retryAfter != null) info.reset = Date.now() + retryAfter
+    }
+
+    if (Object.keys(info).length > 0) {
+        useRateLimitStore.getState().recordLimit(bucket, info)
+    }
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Response interceptor: Track rate limits, back off and retry on 429/503
+api.interceptors.response.use(
+    (response) => {
+        recordRateLimit(response)
+        return response
+    },
+    async (error) => {
+        const { response, config } = error
+        if (!response || !config) return Promise.reject(error)
+
+        recordRateLimit(response)
+        if (![429, 503].includes(response.status)) return Promise.reject(error)
+
+        const retryAfter = getRetryAfterMs(response)
+        error.retryAfter = retryAfter
+
+        const attempt = config._rateLimitRetries || 0
+        const isIdempotent = IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase())
+        const delay = retryAfter ?? BASE_RETRY_DELAY_MS * 2 ** attempt + Math.random() * BASE_RETRY_DELAY_MS
+
+        if (!isIdempotent || attempt >= MAX_RETRIES || delay > MAX_RETRY_DELAY_MS) {
+            return Promise.reject(error)
+        }
+
+        config._rateLimitRetries = attempt + 1
+        await wait(delay)
+        return api(config)
+    }
+)
+
 // Response interceptor: Handle 401 & Refresh
 api.interceptors.response.use(
     (response) => response,
     async (error) => {
         const originalRequest = error.config
 
-        // If 401 and not already retrying (and not a login req)
-        if (error.response?.status === 401 && !originalRequest._retry && !originalRequest.url.includes('/auth/login')) {
+        // If 401 and not already retrying (and not a login or refresh req)
+        if (error.response?.status === 401 && originalRequest && !originalRequest._retry && !isAuthEndpoint(originalRequest.url)) {
             originalRequest._retry = true
 
             try {
-                const refreshToken = useAuthStore.getState().refreshToken
-                if (!refreshToken) throw new Error('No refresh token')
+                // Another request may have refreshed while this one was in flight
+                const currentToken = useAuthStore.getState().accessToken
+                const sentToken = originalRequest.headers?.Authorization?.replace('Bearer ', '')
+                const access = currentToken && currentToken !== sentToken
+                    ? currentToken
+                    : await refreshAccessToken()
 
-                const response = await axios.post(`${API_URL}/auth/token/refresh/`, {
-                    refresh: refreshToken
-                })
-
-                const { access } = response.data
-                useAuthStore.getState().setTokens(access, refreshToken) // Keep same refresh or update if provided? Docs say access & refresh returned.
-
-                api.defaults.headers.common['Authorization'] = `Bearer ${access}`
                 originalRequest.headers['Authorization'] = `Bearer ${access}`
-
                 return api(originalRequest)
             } catch (refreshError) {
-                // Logout if refresh fails
-                useAuthStore.getState().logout()
-                // Assuming router handles redirect based on auth state
                 return Promise.reject(refreshError)
             }
         }
@@ -58,4 +238,14 @@ api.interceptors.response.use(
     }
 )
 
+// Response interceptor: Attach field and non-field messages for forms and banners
+// (see services/apiErrors and hooks/useServerErrors)
+api.interceptors.response.use(
+    (response) => response,
+    (error) => {
+        if (error && typeof error === 'object') error.apiError = normalizeApiError(error)
+        return Promise.reject(error)
+    }
+)
+
 export default api
@@ -0,0 +1,136 @@
+// DRF reports problems in a few shapes:
+//   { field: ['msg'], nested: { field: ['msg'] }, items: [{}, { field: ['msg'] }] }
+//   { non_field_errors: ['msg'] }
+//   { error: 'msg' } / { detail: 'msg' }
+// normalizeApiError flattens all of them into one predictable object.
+
+const NON_FIELD_KEYS = ['non_field_errors', '__all__']
+const MESSAGE_KEYS = ['error', 'detail', 'message']
+
+const GENERIC_MESSAGE = 'Something went wrong. Please try again.'
+
+const STATUS_MESSAGES = {
+    401: 'Your session has expired. Please sign in again.',
+    403: "You don't have permission to do that.",
+    404: 'That item no longer exists.',
+    413: 'The upload is too large.',
+    429: 'Too many requests. Please wait a moment and try again.',
+}
+
+const fallbackMessage = (error) => {
+    // Errors raised in the app itself already carry a readable message
+    if (!error?.isAxiosError) return error?.message || GENERIC_MESSAGE
+    if (isCancelledRequest(error)) return 'The request was cancelled.'
+    if (!error.response) {
+        return "Can't reach the server. Check your connection and try again."
+    }
+    const { status } = error.response
+    if (STATUS_MESSAGES[status]) return STATUS_MESSAGES[status]
+    if (status >= 500) return 'The server ran into a problem. Please try again later.'
+    return GENERIC_MESSAGE
+}
+
+// Walks nested serializer errors, keying messages by dotted path (e.g. "interviewers.0.name")
+const collectFieldErrors = (value, path, fieldErrors) => {
+    if (value == null) return
+    if (typeof value !== 'object') {
+        fieldErrors[path] = [...(fieldErrors[path] || []), String(value)]
+        return
+    }
+    if (Array.isArray(value)) {
+        if (value.every((item) => typeof item !== 'object' || item === null)) {
+            value.filter((item) => item != null).forEach((item) => collectFieldErrors(item, path, fieldErrors))
+        } else {
+            value.forEach((item, index) => collectFieldErrors(item, `${path}.${index}`, fieldErrors))
+        }
+        return
+    }
+    Object.entries(value).forEach(([key, nested]) => {
+        collectFieldErrors(nested, NON_FIELD_KEYS.includes(key) ? path : `${path}.${key}`, fieldErrors)
+    })
+}
+
+const toMessages = (value) => (Array.isArray(value) ? value : [value])
+    .filter((item) => item != null && typeof item !== 'object')
+    .map(String)
+
+/**
+ * @typedef {Object} ApiError
+ * @property {?number} status - HTTP status, or null when no response arrived
+ * @property {Object.<string, string[]>} fieldErrors - Messages keyed by field path
+ * @property {string[]} nonFieldErrors - Messages that don't belong to a single field
+ * @property {string} message - One line suitable for a banner or toast
+ */
+
+/**
+ * Convert a failed request (or any thrown error) into field and non-field messages
+ *
+ * @param {Error} error
+ * @returns {ApiError}
+ */
+export const normalizeApiError = (error) => {
+    const data = error?.response?.data
+    const fieldErrors = {}
+    const nonFieldErrors = []
+
+    if (Array.isArray(data)) {
+        nonFieldErrors.push(...toMessages(data))
+    } else if (data && typeof data === 'object' && !(data instanceof Blob)) {
+        Object.entries(data).forEach(([key, value]) => {
+            if (NON_FIELD_KEYS.includes(key) || MESSAGE_KEYS.includes(key)) {
+                nonFieldErrors.push(...toMessages(value))
+            } else {
+                collectFieldErrors(value, key, fieldErrors)
+            }
+        })
+    }
+
+    const hasFieldErrors = Object.keys(fieldErrors).length > 0
+    const message = nonFieldErrors[0]
+        || (hasFieldErrors ? 'Please correct the highlighted fields.' : fallbackMessage(error))
+
+    return {
+        status: error?.response?.status ?? null,
+        fieldErrors,
+        nonFieldErrors,
+        message,
+    }
+}
+
+/**
+ * Whether the request was aborted on purpose (AbortSignal, superseded query)
+ * rather than failing
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isCancelledRequest = (error) => error?.code === 'ERR_CANCELED' || error?.name === 'CanceledError'
+
+/**
+ * Whether a request failed because the endpoint doesn't exist on this server,
+ * e.g. a proposed one the backend hasn't shipped (see services/features)
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isMissingEndpoint = (error) => error?.response?.status === 404
+
+/**
+ * Normalized form of an error, reusing the copy api.js attached when there is one
+ *
+ * @param {Error} error
+ * @returns {ApiError}
+ */
+export const getApiError = (error) => error?.apiError ?? normalizeApiError(error)
+
+/**
+ * Turn a field path such as "job_url" or "interviewers.0.name" into a readable label
+ *
+ * @param {string} path
+ * @returns {string}
+ */
+export const humanizeField = (path) => {
+    const label = path.split('.').filter((part) => !/^\d+$/.test(part)).pop() || path
+    const words = label.replace(/_/g, ' ').trim()
+    return words.charAt(0).toUpperCase() + words.slice(1)
+}
@@ -1,37 +1,205 @@
 import api from './api'
+import { noteService } from './noteService'
+import { interviewService } from './interviewService'
+import { mergeApplicationFields } from '@/utils/duplicateDetection'
+import useStatusHistoryStore, { initialTransitions } from '@/stores/useStatusHistoryStore'
+import { getApplicationTagIds, setApplicationTags, clearApplicationTags } from './tagService'
+import { contactService } from './contactService'
+import { withOfflineQueue } from './offlineQueue'
+import {
+    APPLICATION_STATUS, PRIORITY, WORK_TYPE, APPLICATION_SOURCE,
+    applicationSchema, companySchema, paginated, validateResponse
+} from '@/schemas/domain'
+
+// Runs one request per id without aborting on the first failure,
+// so batch actions can report exactly which items went wrong
+const settleEach = async (ids, request) => {
+    const results = await Promise.allSettled(ids.map((id) => request(id)))
+    return results.reduce((summary, result, index) => {
+        if (result.status === 'fulfilled') {
+            summary.succeeded.push(ids[index])
+        } else {
+            const data = result.reason?.response?.data
+            summary.failed.push({
+                id: ids[index],
+                message: data?.error || data?.detail || result.reason?.message || 'Request failed'
+            })
+        }
+        return summary
+    }, { succeeded: [], failed: [] })
+}
+
+// The API keeps no status history, so transitions are recorded locally.
+// Before the first tracked change, the history is seeded from the server's current state
+// so the timeline knows which stage the application is leaving.
+const seedStatusHistory = async (id) => {
+    const store = useStatusHistoryStore.getState()
+    if (store.hasHistory(String(id))) return
+    try {
+        const current = await applicationService.getApplication(id)
+        store.seedHistory(String(id), initialTransitions(current))
+    } catch {
+        // Seeding is best effort and must not block the update itself
+    }
+}
+
+const recordStatus = (id, status) => {
+    useStatusHistoryStore.getState().recordTransition(String(id), status)
+}
 
 export const applicationService = {
-    getApplications: async (params) => {
-        const response = await api.get('/applications/', { params })
-        return response.data
+    getApplications: async (params, { signal } = {}) => {
+        const response = await api.get('/applications/', { params, signal })
+        return validateResponse(paginated(applicationSchema), response)
     },
 
-    getApplication: async (id) => {
-        const response = await api.get(`/applications/${id}/`)
-        return response.data
+    // Follows pagination until every application matching the filters is loaded.
+    // Aborting the signal cancels the page in flight and stops the walk.
+    getAllApplications: async (params = {}, { signal } = {}) => {
+        const applications = []
+        let page = 1
+        let hasNext = true
+        while (hasNext) {
+            const response = await api.get('/applications/', { params: { ...params, page }, signal })
+            const data = validateResponse(paginated(applicationSchema), response)
+            applications.push(...data.results)
+            hasNext = !!data.next
+            page++
+        }
+        return applications
     },
 
-    createApplication: async (data) => {
-        const response = await api.post('/applications/', data)
-        return response.data
+    getApplication: async (id, { signal } = {}) => {
+        const response = await api.get(`/applications/${id}/`, { signal })
+        return validateResponse(applicationSchema, response)
     },
 
-    updateApplication: async (id, data) => {
+    // Writes are queued while offline; see services/offlineQueue
+    createApplication: withOfflineQueue('applications.create', async (data) => {
+        const response = await api.post('/applications/', data)
+        const created = validateResponse(applicationSchema, response)
+        useStatusHistoryStore.getState().seedHistory(String(created.id), initialTransitions(created))
+        return created
+    }, {
+        entity: 'application',
+        kind: 'create',
+        getData: (data) => data,
+        // Tags and contact links made offline were keyed by the temporary id
+        onSynced: async (tempId, created) => {
+            const tagIds = getApplicationTagIds(tempId)
+            if (tagIds.length) await setApplicationTags(created.id, tagIds)
+            await clearApplicationTags(tempId)
+            await contactService.moveLinks('application', tempId, created.id)
+        },
+    }),
+
+    updateApplication: withOfflineQueue('applications.update', async (id, data) => {
+        if (data.status) await seedStatusHistory(id)
         const response = await api.patch(`/applications/${id}/`, data)
-        return response.data
-    },
+        const updated = validateResponse(applicationSchema, response)
+        if (data.status) recordStatus(id, updated.status ?? data.status)
+        return updated
+    }, {
+        entity: 'application',
+        kind: 'update',
+        getTargetId: (id) => id,
+        getData: (id, data) => data,
+        fetchCurrent: (id) => applicationService.getApplication(id),
+    }),
 
     deleteApplication: async (id) => {
         await api.delete(`/applications/${id}/`)
+        useStatusHistoryStore.getState().clearHistory(String(id))
+        await clearApplicationTags(id)
+        await contactService.removeLinksTo('application', id)
     },
 
-    updateStatus: async (id, status, responseDate) => {
+    updateStatus: withOfflineQueue('applications.updateStatus', async (id, status, responseDate) => {
+        await seedStatusHistory(id)
         const response = await api.patch(`/applications/${id}/status/`, { status, response_date: responseDate })
-        return response.data
-    },
+        // The quick update isn't documented to return the whole application
+        const updated = validateResponse(applicationSchema.partial(), response)
+        recordStatus(id, updated?.status ?? status)
+        return updated
+    }, {
+        entity: 'application',
+        kind: 'update',
+        getTargetId: (id) => id,
+        getData: (id, status, responseDate) => responseDate ? { status, response_date: responseDate } : { status },
+        fetchCurrent: (id) => applicationService.getApplication(id),
+    }),
 
     createCompany: async (data) => {
         const response = await api.post('/companies/', data)
-        return response.data
+        return validateResponse(companySchema, response)
+    },
+
+    // Batch operations resolve to { succeeded: ids, failed: [{ id, message }] }
+    bulkUpdateStatus: (ids, status) => settleEach(ids, (id) => applicationService.updateStatus(id, status)),
+
+    bulkUpdate: (ids, data) => settleEach(ids, (id) => applicationService.updateApplication(id, data)),
+
+    bulkDelete: (ids) => settleEach(ids, (id) => applicationService.deleteApplication(id)),
+
+    // Folds duplicates into the kept application: empty fields are filled in,
+    // notes are copied and interviews re-pointed before the duplicate is deleted
+    mergeApplications: async (primaryId, duplicateIds) => {
+        const primary = await applicationService.getApplication(primaryId)
+
+        for (const duplicateId of duplicateIds) {
+            const duplicate = await applicationService.getApplication(duplicateId)
+            const patch = mergeApplicationFields(primary, duplicate)
+            if (Object.keys(patch).length > 0) {
+                Object.assign(primary, await applicationService.updateApplication(primaryId, patch))
+            }
+
+            const notes = duplicate.notes ?? await noteService.getNotes(duplicateId)
+            for (const note of notes.results ?? notes) {
+                await noteService.createNote(primaryId, { content: note.content, note_type: note.note_type })
+            }
+
+            const interviews = await interviewService.getInterviews({ application: duplicateId })
+            for (const interview of interviews.results ?? interviews.interviews ?? []) {
+                await interviewService.updateInterview(interview.id, { application: primaryId })
+            }
+
+            const tagIds = new Set([...getApplicationTagIds(primaryId), ...getApplicationTagIds(duplicateId)])
+            await setApplicationTags(primaryId, [...tagIds])
+            await contactService.moveLinks('application', duplicateId, primaryId)
+
+            await applicationService.deleteApplication(duplicateId)
+        }
+
+        return primary
     }
 }
+
+/**
+ * Application status options, in pipeline order
+ */
+export const STATUS_OPTIONS = APPLICATION_STATUS.options
+
+/**
+ * Accent color per status, used for board columns and timeline markers
+ */
+export const STATUS_ACCENTS = Object.fromEntries(APPLICATION_STATUS.entries.map(({ value, accent }) => [value, accent]))
+
+/**
+ * Statuses that end the pipeline for an application
+ */
+export const TERMINAL_STATUSES = APPLICATION_STATUS.entries.filter((entry) => entry.terminal).map((entry) => entry.value)
+
+/**
+ * Priority options
+ */
+export const PRIORITY_OPTIONS = PRIORITY.options
+
+/**
+ * Work type options
+ */
+export const WORK_TYPE_OPTIONS = WORK_TYPE.options
+
+/**
+ * Application source options
+ */
+export const SOURCE_OPTIONS = APPLICATION_SOURCE.options
@@ -0,0 +1,172 @@
+/**
+ * Attachment Service
+ * Per-application documents such as offer letters, take-home assignments,
+ * portfolios and NDAs. Upload, progress and validation follow resumes.
+ *
+ * @module services/attachmentService
+ * @see PROPOSED_API.md: Application Attachments (not on the backend yet; see services/features)
+ * @see services/resumeService
+ */
+
+import { z } from 'zod';
+import api from './api';
+import { validateFile, uploadWithProgress, formatFileSize } from './resumeService';
+import { ATTACHMENT_CATEGORY, attachmentSchema, paginated, validateResponse } from '@/schemas/domain';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * Allowed file types for attachments
+ */
+export const ATTACHMENT_FILE_TYPES = {
+  'application/pdf': { extension: '.pdf', label: 'PDF' },
+  'application/msword': { extension: '.doc', label: 'Word Document' },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    extension: '.docx',
+    label: 'Word Document'
+  },
+  'application/vnd.ms-excel': { extension: '.xls', label: 'Spreadsheet' },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+    extension: '.xlsx',
+    label: 'Spreadsheet'
+  },
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': {
+    extension: '.pptx',
+    label: 'Presentation'
+  },
+  'text/plain': { extension: '.txt', label: 'Text' },
+  'text/markdown': { extension: '.md', label: 'Markdown' },
+  'application/zip': { extension: '.zip', label: 'ZIP Archive' },
+  'image/png': { extension: '.png', label: 'Image' },
+  'image/jpeg': { extension: '.jpg', label: 'Image' },
+  'image/gif': { extension: '.gif', label: 'Image' },
+  'image/webp': { extension: '.webp', label: 'Image' }
+};
+
+/**
+ * Value for the file input's accept attribute
+ */
+export const ATTACHMENT_ACCEPT = [
+  ...Object.keys(ATTACHMENT_FILE_TYPES),
+  ...Object.values(ATTACHMENT_FILE_TYPES).map((type) => type.extension)
+].join(',');
+
+/**
+ * Maximum attachment size in bytes (10MB)
+ */
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Human-readable max attachment size
+ */
+export const MAX_ATTACHMENT_SIZE_DISPLAY = '10 MB';
+
+/**
+ * Attachment categories
+ * @type {Array<{value: string, label: string}>}
+ */
+export const ATTACHMENT_CATEGORIES = ATTACHMENT_CATEGORY.options;
+
+// ============================================
+// ATTACHMENT CRUD OPERATIONS
+// ============================================
+
+/**
+ * List attachments for an application
+ * @param {number|string} applicationId - Application ID
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Array<Object>>} Attachments, newest first
+ */
+export const getAttachments = async (applicationId, { signal } = {}) => {
+  const response = await api.get(`/applications/${applicationId}/attachments/`, { signal });
+  const data = validateResponse(z.union([z.array(attachmentSchema), paginated(attachmentSchema)]), response);
+  return data.results ?? data;
+};
+
+/**
+ * Upload an attachment
+ * @param {number|string} applicationId - Application ID
+ * @param {File} file - File to upload
+ * @param {Object} meta
+ * @param {string} meta.label - Display label for the file
+ * @param {string} [meta.category='other'] - One of ATTACHMENT_CATEGORIES
+ * @param {function} [onProgress] - Upload progress callback (0-100)
+ * @returns {Promise<Object>} Uploaded attachment
+ */
+export const uploadAttachment = async (applicationId, file, { label, category = 'other' }, onProgress) => {
+  const validation = validateAttachmentFile(file);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('label', label || file.name);
+  formData.append('category', category);
+
+  return uploadWithProgress(`/applications/${applicationId}/attachments/`, formData, { onProgress, schema: attachmentSchema });
+};
+
+/**
+ * Rename or recategorize an attachment
+ * @param {number|string} applicationId - Application ID
+ * @param {number} id - Attachment ID
+ * @param {Object} data - Update data
+ * @param {string} [data.label] - New label
+ * @param {string} [data.category] - New category
+ * @returns {Promise<Object>} Updated attachment
+ */
+export const updateAttachment = async (applicationId, id, data) => {
+  const response = await api.patch(`/applications/${applicationId}/attachments/${id}/`, data);
+  return validateResponse(attachmentSchema, response);
+};
+
+/**
+ * Delete an attachment
+ * @param {number|string} applicationId - Application ID
+ * @param {number} id - Attachment ID
+ * @returns {Promise<void>}
+ */
+export const deleteAttachment = async (applicationId, id) => {
+  await api.delete(`/applications/${applicationId}/attachments/${id}/`);
+};
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Validate a file for attachment upload
+ * @param {File} file - File to validate
+ * @returns {{ valid: boolean, error?: string }} Validation result
+ */
+export const validateAttachmentFile = (file) => validateFile(file, {
+  allowedTypes: ATTACHMENT_FILE_TYPES,
+  maxSize: MAX_ATTACHMENT_SIZE,
+  maxSizeDisplay: MAX_ATTACHMENT_SIZE_DISPLAY,
+  typeError: 'Unsupported file type. Upload a PDF, Office document, image, text file or ZIP.'
+});
+
+/**
+ * How an attachment can be previewed in the browser
+ * @param {Object} attachment - Attachment with content_type or file_name
+ * @returns {'pdf'|'image'|null}
+ */
+export const getPreviewType = (attachment) => {
+  const type = attachment.content_type || '';
+  const name = (attachment.file_name || '').toLowerCase();
+  if (type === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+  if (type.startsWith('image/') || /\.(png|jpe?g|gif|webp)$/.test(name)) return 'image';
+  return null;
+};
+
+/**
+ * Size label, preferring the server's formatted value
+ * @param {Object} attachment
+ * @returns {string}
+ */
+export const getAttachmentSize = (attachment) =>
+  attachment.file_size_display || formatFileSize(attachment.file_size || 0);
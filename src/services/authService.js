@@ -1,44 +1,129 @@
 import api from './api'
+import useAuthStore from '@/stores/useAuthStore'
+import { z } from 'zod'
+import {
+    userSchema, loginSchema, registerSchema, messageSchema, twoFactorVerifySchema, twoFactorSetupSchema,
+    sessionSchema, securityEventSchema, paginated, validateResponse
+} from '@/schemas/domain'
 
 export const authService = {
     login: async (email, password) => {
         const response = await api.post('/auth/login/', { email, password })
-        return response.data
+        return validateResponse(loginSchema, response)
     },
 
     register: async (userData) => {
         const response = await api.post('/auth/register/', userData)
-        return response.data
+        return validateResponse(registerSchema, response)
     },
 
-    getProfile: async () => {
-        const response = await api.get('/auth/profile/')
-        return response.data
+    /**
+     * Sign out: blacklist the refresh token, then clear the session in every open tab.
+     * Signing out still happens locally when the request fails, e.g. while offline.
+     * @returns {Promise<void>}
+     */
+    logout: async () => {
+        const { refreshToken, logout } = useAuthStore.getState()
+        try {
+            if (refreshToken) await api.post('/auth/logout/', { refresh: refreshToken })
+        } catch {
+            // The token still expires on its own
+        } finally {
+            logout()
+        }
+    },
+
+    /**
+     * Revoke every session of this account on all devices, then sign out here.
+     * Unlike logout, a failed request leaves the session in place so it can be retried.
+     * @returns {Promise<void>}
+     */
+    logoutEverywhere: async () => {
+        await api.post('/auth/logout-all/')
+        useAuthStore.getState().logout()
+    },
+
+    /**
+     * Check the signed-in user's password without starting another session, e.g. to
+     * unlock the idle lock screen. The refresh token the check issues is blacklisted straight away.
+     * @param {string} password
+     * @returns {Promise<void>} Rejects with a 401 when the password is wrong
+     */
+    confirmPassword: async (password) => {
+        let { user } = useAuthStore.getState()
+        if (!user) {
+            user = await authService.getProfile()
+            useAuthStore.getState().setUser(user)
+        }
+        const response = await api.post('/auth/login/', { email: user.email, password })
+        const { refresh } = validateResponse(loginSchema, response)
+        if (refresh) api.post('/auth/logout/', { refresh }).catch(() => {})
+    },
+
+    // ============================================
+    // SESSIONS & SECURITY LOG
+    // ============================================
+
+    /**
+     * Signed-in sessions of this account, one per device and browser
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<Array>} Sessions, most recently active first; `is_current` marks this one
+     */
+    getSessions: async ({ signal } = {}) => {
+        const response = await api.get('/auth/sessions/', { signal })
+        return validateResponse(z.array(sessionSchema), response)
+    },
+
+    /**
+     * End another session; its tokens stop working straight away
+     * @param {number|string} id - Session ID
+     * @returns {Promise<void>}
+     */
+    revokeSession: async (id) => {
+        await api.delete(`/auth/sessions/${id}/`)
+    },
+
+    /**
+     * Sign-ins, failed attempts, 2FA and password changes on this account
+     * @param {Object} [params] - Query parameters (page, page_size)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<Object>} Paginated events, newest first
+     */
+    getSecurityEvents: async (params = {}, { signal } = {}) => {
+        const response = await api.get('/auth/security-events/', { params, signal })
+        return validateResponse(paginated(securityEventSchema), response)
+    },
+
+    getProfile: async ({ signal } = {}) => {
+        const response = await api.get('/auth/profile/', { signal })
+        return validateResponse(userSchema, response)
     },
 
     verify2FA: async (code) => {
         const response = await api.post('/2fa/verify/', { code })
-        return response.data
+        return validateResponse(twoFactorVerifySchema, response)
     },
 
     setup2FA: async () => {
         const response = await api.post('/2fa/setup/')
-        return response.data
+        return validateResponse(twoFactorSetupSchema, response)
     },
 
     confirm2FA: async (code) => {
         const response = await api.post('/2fa/confirm/', { code })
-        return response.data
+        return validateResponse(messageSchema, response)
     },
 
     updateProfile: async (data) => {
         const response = await api.patch('/auth/profile/', data)
-        return response.data
+        return validateResponse(userSchema, response)
     },
 
     changePassword: async (data) => {
         const response = await api.put('/auth/change-password/', data)
-        return response.data
+        return validateResponse(messageSchema, response)
     },
 
     // ============================================
@@ -52,7 +137,7 @@ export const authService = {
      */
     verifyEmail: async (token) => {
         const response = await api.post('/auth/verify-email/', { token })
-        return response.data
+        return validateResponse(messageSchema, response)
     },
 
     /**
@@ -62,7 +147,7 @@ export const authService = {
      */
     resendVerification: async (email) => {
         const response = await api.post('/auth/resend-verification/', { email })
-        return response.data
+        return validateResponse(messageSchema, response)
     },
 
     // ============================================
@@ -76,7 +161,7 @@ export const authService = {
      */
     requestPasswordReset: async (email) => {
         const response = await api.post('/auth/password-reset/', { email })
-        return response.data
+        return validateResponse(messageSchema, response)
     },
 
     /**
@@ -92,7 +177,7 @@ export const authService = {
             new_password: newPassword,
             new_password_confirm: newPasswordConfirm
         })
-        return response.data
+        return validateResponse(messageSchema, response)
     }
 }
 
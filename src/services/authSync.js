@@ -0,0 +1,89 @@
+/**
+ * Auth Sync
+ * Keeps the session consistent across open tabs. Sign-ins, sign-outs,
+ * token rotations and profile changes in one tab are broadcast over a
+ * BroadcastChannel and applied to the auth store in the others, so a tab
+ * never keeps using a refresh token that has been rotated or blacklisted.
+ * Route guards then redirect as usual once the store changes.
+ *
+ * @module services/authSync
+ */
+
+import useAuthStore from '@/stores/useAuthStore';
+
+const CHANNEL_NAME = 'syncq-auth';
+
+/**
+ * Describe a store change as a message for the other tabs
+ * @returns {Object|null} null when nothing they care about changed
+ */
+const toMessage = (state, prevState) => {
+  if (!prevState.isAuthenticated && state.isAuthenticated) {
+    const { accessToken, refreshToken, user } = state;
+    return { type: 'login', accessToken, refreshToken, user };
+  }
+  if (prevState.isAuthenticated && !state.isAuthenticated) {
+    return { type: 'logout' };
+  }
+  if (!state.isAuthenticated) return null;
+  if (state.accessToken !== prevState.accessToken || state.refreshToken !== prevState.refreshToken) {
+    return { type: 'tokens', accessToken: state.accessToken, refreshToken: state.refreshToken };
+  }
+  if (state.user !== prevState.user) {
+    return { type: 'user', user: state.user };
+  }
+  return null;
+};
+
+const applyMessage = (message) => {
+  const store = useAuthStore.getState();
+  switch (message.type) {
+    case 'login':
+      store.setTokens(message.accessToken, message.refreshToken);
+      if (message.user) store.setUser(message.user);
+      break;
+    case 'tokens':
+      if (store.isAuthenticated) store.setTokens(message.accessToken, message.refreshToken);
+      break;
+    case 'user':
+      if (store.isAuthenticated) store.setUser(message.user);
+      break;
+    case 'logout':
+      if (store.isAuthenticated) store.logout();
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Start broadcasting auth changes to, and applying them from, other tabs
+ * @returns {function} Stop syncing
+ */
+export const startAuthSync = () => {
+  if (typeof BroadcastChannel === 'undefined') return () => {};
+
+  const channel = new BroadcastChannel(CHANNEL_NAME);
+  // Changes applied from another tab aren't sent back out
+  let isApplyingRemote = false;
+
+  channel.onmessage = ({ data }) => {
+    isApplyingRemote = true;
+    try {
+      applyMessage(data);
+    } finally {
+      isApplyingRemote = false;
+    }
+  };
+
+  const unsubscribe = useAuthStore.subscribe((state, prevState) => {
+    if (isApplyingRemote) return;
+    const message = toMessage(state, prevState);
+    if (message) channel.postMessage(message);
+  });
+
+  return () => {
+    unsubscribe();
+    channel.close();
+  };
+};
@@ -1,4 +1,5 @@
 import api from './api'
+import { COMPANY_SIZE, companySchema, paginated, validateResponse } from '@/schemas/domain'
 
 /**
  * Company Service
@@ -16,22 +17,26 @@ export const companyService = {
      * @param {string} [params.industry] - Filter by industry
      * @param {string} [params.ordering] - Order by: name, created_at, glassdoor_rating
      * @param {number} [params.page] - Page number for pagination
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
      * @returns {Promise<PaginatedCompanies>}
      */
-    getCompanies: async (params = {}) => {
-        const response = await api.get('/companies/', { params })
-        return response.data
+    getCompanies: async (params = {}, { signal } = {}) => {
+        const response = await api.get('/companies/', { params, signal })
+        return validateResponse(paginated(companySchema), response)
     },
 
     /**
      * Get single company details
      * 
      * @param {number|string} id - Company ID
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
      * @returns {Promise<Company>}
      */
-    getCompany: async (id) => {
-        const response = await api.get(`/companies/${id}/`)
-        return response.data
+    getCompany: async (id, { signal } = {}) => {
+        const response = await api.get(`/companies/${id}/`, { signal })
+        return validateResponse(companySchema, response)
     },
 
     /**
@@ -42,7 +47,7 @@ export const companyService = {
      */
     createCompany: async (data) => {
         const response = await api.post('/companies/', data)
-        return response.data
+        return validateResponse(companySchema, response)
     },
 
     /**
@@ -54,7 +59,7 @@ export const companyService = {
      */
     updateCompany: async (id, data) => {
         const response = await api.patch(`/companies/${id}/`, data)
-        return response.data
+        return validateResponse(companySchema, response)
     },
 
     /**
@@ -72,14 +77,17 @@ export const companyService = {
      * Useful for dropdowns and quick search
      * 
      * @param {string} query - Search query
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
      * @returns {Promise<Array<CompanyListItem>>}
      */
-    searchCompanies: async (query) => {
+    searchCompanies: async (query, { signal } = {}) => {
         if (!query || query.length < 2) return []
-        const response = await api.get('/companies/', { 
-            params: { search: query, page_size: 10 } 
+        const response = await api.get('/companies/', {
+            params: { search: query, page_size: 10 },
+            signal
         })
-        return response.data.results || []
+        return validateResponse(paginated(companySchema), response).results || []
     }
 }
 
@@ -88,11 +96,7 @@ export const companyService = {
  */
 export const COMPANY_SIZES = [
     { value: '', label: 'Select size...' },
-    { value: 'startup', label: 'Startup (1-50)' },
-    { value: 'small', label: 'Small (51-200)' },
-    { value: 'medium', label: 'Medium (201-1000)' },
-    { value: 'large', label: 'Large (1001-5000)' },
-    { value: 'enterprise', label: 'Enterprise (5000+)' }
+    ...COMPANY_SIZE.options
 ]
 
 /**
@@ -0,0 +1,338 @@
+import useContactStore from '@/stores/useContactStore'
+
+/**
+ * Contact Service
+ * CRUD for contacts (recruiters, referrers, hiring managers, interviewers),
+ * their links to applications and interviews, and the interaction log.
+ * The API has no contacts endpoints yet (proposed in docs/PROPOSED_API.md);
+ * data is kept in the contact store behind the same async interface as the
+ * other services.
+ *
+ * @module contactService
+ */
+
+const newId = () => Date.now() + Math.floor(Math.random() * 1000)
+
+const findContact = (id) => {
+    const contact = useContactStore.getState().contacts.find((c) => String(c.id) === String(id))
+    if (!contact) throw new Error('Contact not found')
+    return contact
+}
+
+const byNewest = (a, b) => new Date(b.date || b.created_at) - new Date(a.date || a.created_at)
+
+// Shared by list and detail so both show the same counts
+const withActivity = (contact) => {
+    const { links, interactions } = useContactStore.getState()
+    const contactInteractions = interactions.filter((interaction) => interaction.contact_id === contact.id)
+    return {
+        ...contact,
+        link_count: links.filter((link) => link.contact_id === contact.id).length,
+        interaction_count: contactInteractions.length,
+        last_interaction_at: contactInteractions.sort(byNewest)[0]?.date || null,
+    }
+}
+
+const cleanInput = (data) => ({
+    name: data.name?.trim(),
+    role: data.role || 'other',
+    title: data.title || '',
+    company: data.company ?? null,
+    company_name: data.company_name || '',
+    email: data.email || '',
+    phone: data.phone || '',
+    linkedin_url: data.linkedin_url || '',
+    notes: data.notes || '',
+})
+
+export const contactService = {
+    /**
+     * List contacts, newest first
+     *
+     * @param {Object} params - Query parameters
+     * @param {string} [params.search] - Search by name, email, title or company
+     * @param {string} [params.role] - Filter by contact role
+     * @param {number|string} [params.company] - Filter by company ID
+     * @returns {Promise<{count: number, results: Array<Contact>}>}
+     */
+    getContacts: async (params = {}) => {
+        const search = params.search?.trim().toLowerCase()
+        const results = useContactStore.getState().contacts
+            .filter((contact) => !params.role || contact.role === params.role)
+            .filter((contact) => !params.company || String(contact.company) === String(params.company))
+            .filter((contact) => !search || [contact.name, contact.email, contact.title, contact.company_name]
+                .some((value) => value?.toLowerCase().includes(search)))
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+            .map(withActivity)
+        return { count: results.length, results }
+    },
+
+    /**
+     * Get a contact with its links and interactions
+     *
+     * @param {number|string} id - Contact ID
+     * @returns {Promise<ContactDetail>}
+     */
+    getContact: async (id) => {
+        const contact = findContact(id)
+        const { links, interactions } = useContactStore.getState()
+        return {
+            ...withActivity(contact),
+            links: links.filter((link) => link.contact_id === contact.id).sort(byNewest),
+            interactions: interactions.filter((interaction) => interaction.contact_id === contact.id).sort(byNewest),
+        }
+    },
+
+    /**
+     * Create a contact
+     *
+     * @param {ContactInput} data
+     * @returns {Promise<Contact>}
+     */
+    createContact: async (data) => {
+        const input = cleanInput(data)
+        if (!input.name) throw new Error('Name is required')
+
+        const now = new Date().toISOString()
+        const contact = { ...input, id: newId(), created_at: now, updated_at: now }
+        useContactStore.getState().addContact(contact)
+        return withActivity(contact)
+    },
+
+    /**
+     * Update a contact
+     *
+     * @param {number|string} id - Contact ID
+     * @param {Partial<ContactInput>} data
+     * @returns {Promise<Contact>}
+     */
+    updateContact: async (id, data) => {
+        const contact = findContact(id)
+        const input = cleanInput({ ...contact, ...data })
+        if (!input.name) throw new Error('Name is required')
+
+        useContactStore.getState().updateContact(contact.id, { ...input, updated_at: new Date().toISOString() })
+        return withActivity(findContact(id))
+    },
+
+    /**
+     * Delete a contact with its links and interaction history
+     *
+     * @param {number|string} id - Contact ID
+     * @returns {Promise<void>}
+     */
+    deleteContact: async (id) => {
+        useContactStore.getState().removeContact(findContact(id).id)
+    },
+
+    /**
+     * Contacts linked to an application or interview
+     *
+     * @param {'application'|'interview'} type
+     * @param {number|string} targetId
+     * @returns {Promise<Array<ContactLink & {contact: Contact}>>}
+     */
+    getLinkedContacts: async (type, targetId) => {
+        const { links, contacts } = useContactStore.getState()
+        return links
+            .filter((link) => link.type === type && link.target_id === String(targetId))
+            .map((link) => ({ ...link, contact: contacts.find((contact) => contact.id === link.contact_id) }))
+            .filter((link) => link.contact)
+    },
+
+    /**
+     * Link a contact to an application or interview
+     *
+     * @param {number|string} contactId
+     * @param {Object} data
+     * @param {'application'|'interview'} data.type
+     * @param {number|string} data.target_id
+     * @param {string} data.role - One of LINK_ROLES[type]
+     * @param {string} [data.label] - Display name of the linked record
+     * @returns {Promise<ContactLink>}
+     */
+    linkContact: async (contactId, { type, target_id, role, label = '' }) => {
+        const contact = findContact(contactId)
+        const { links, addLink } = useContactStore.getState()
+        const exists = links.some((link) => link.contact_id === contact.id && link.type === type &&
+            link.target_id === String(target_id) && link.role === role)
+        if (exists) throw new Error(`${contact.name} is already linked in that role`)
+
+        const link = {
+            id: newId(),
+            contact_id: contact.id,
+            type,
+            target_id: String(target_id),
+            role,
+            label,
+            created_at: new Date().toISOString(),
+        }
+        addLink(link)
+        return link
+    },
+
+    /**
+     * Remove a single link
+     *
+     * @param {number} linkId
+     * @returns {Promise<void>}
+     */
+    unlinkContact: async (linkId) => {
+        useContactStore.getState().removeLinks((link) => link.id === linkId)
+    },
+
+    /**
+     * Drop every link to a deleted application or interview
+     *
+     * @param {'application'|'interview'} type
+     * @param {number|string} targetId
+     * @returns {Promise<void>}
+     */
+    removeLinksTo: async (type, targetId) => {
+        useContactStore.getState().removeLinks((link) => link.type === type && link.target_id === String(targetId))
+    },
+
+    /**
+     * Move links from one record to another, e.g. when merging duplicates
+     *
+     * @param {'application'|'interview'} type
+     * @param {number|string} fromId
+     * @param {number|string} toId
+     * @returns {Promise<void>}
+     */
+    moveLinks: async (type, fromId, toId) => {
+        useContactStore.getState().updateLinks(
+            (link) => link.type === type && link.target_id === String(fromId),
+            { target_id: String(toId) }
+        )
+    },
+
+    /**
+     * Log an interaction with a contact
+     *
+     * @param {number|string} contactId
+     * @param {{type: string, date: string, summary: string}} data
+     * @returns {Promise<Interaction>}
+     */
+    addInteraction: async (contactId, data) => {
+        const contact = findContact(contactId)
+        if (!data.summary?.trim()) throw new Error('Summary is required')
+
+        const interaction = {
+            id: newId(),
+            contact_id: contact.id,
+            type: data.type || 'other',
+            date: data.date || new Date().toISOString().slice(0, 10),
+            summary: data.summary.trim(),
+            created_at: new Date().toISOString(),
+        }
+        useContactStore.getState().addInteraction(interaction)
+        return interaction
+    },
+
+    /**
+     * Delete a logged interaction
+     *
+     * @param {number} interactionId
+     * @returns {Promise<void>}
+     */
+    deleteInteraction: async (interactionId) => {
+        useContactStore.getState().removeInteraction(interactionId)
+    },
+}
+
+/**
+ * Contact role options
+ */
+export const CONTACT_ROLES = [
+    { value: 'recruiter', label: 'Recruiter' },
+    { value: 'hiring_manager', label: 'Hiring Manager' },
+    { value: 'referrer', label: 'Referrer' },
+    { value: 'interviewer', label: 'Interviewer' },
+    { value: 'employee', label: 'Employee' },
+    { value: 'other', label: 'Other' },
+]
+
+/**
+ * Roles a contact can play on a linked record
+ */
+export const LINK_ROLES = {
+    application: [
+        { value: 'referrer', label: 'Referrer' },
+        { value: 'recruiter', label: 'Recruiter' },
+        { value: 'hiring_manager', label: 'Hiring Manager' },
+    ],
+    interview: [
+        { value: 'interviewer', label: 'Interviewer' },
+        { value: 'recruiter', label: 'Recruiter' },
+        { value: 'hiring_manager', label: 'Hiring Manager' },
+    ],
+}
+
+/**
+ * Interaction type options
+ */
+export const INTERACTION_TYPES = [
+    { value: 'email', label: 'Email' },
+    { value: 'call', label: 'Call' },
+    { value: 'meeting', label: 'Meeting' },
+    { value: 'linkedin', label: 'LinkedIn Message' },
+    { value: 'other', label: 'Other' },
+]
+
+/**
+ * @typedef {Object} Contact
+ * @property {number} id
+ * @property {string} name
+ * @property {string} role - One of CONTACT_ROLES
+ * @property {string} title - Job title
+ * @property {number|null} company
+ * @property {string} company_name
+ * @property {string} email
+ * @property {string} phone
+ * @property {string} linkedin_url
+ * @property {string} notes
+ * @property {number} link_count
+ * @property {number} interaction_count
+ * @property {string|null} last_interaction_at
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @typedef {Contact & {links: Array<ContactLink>, interactions: Array<Interaction>}} ContactDetail
+ */
+
+/**
+ * @typedef {Object} ContactInput
+ * @property {string} name
+ * @property {string} [role]
+ * @property {string} [title]
+ * @property {number|null} [company]
+ * @property {string} [company_name]
+ * @property {string} [email]
+ * @property {string} [phone]
+ * @property {string} [linkedin_url]
+ * @property {string} [notes]
+ */
+
+/**
+ * @typedef {Object} ContactLink
+ * @property {number} id
+ * @property {number} contact_id
+ * @property {'application'|'interview'} type
+ * @property {string} target_id
+ * @property {string} role - One of LINK_ROLES[type]
+ * @property {string} label
+ * @property {string} created_at
+ */
+
+/**
+ * @typedef {Object} Interaction
+ * @property {number} id
+ * @property {number} contact_id
+ * @property {string} type - One of INTERACTION_TYPES
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} summary
+ * @property {string} created_at
+ */
@@ -7,6 +7,7 @@
  */
 
 import api from './api';
+import { fileSchema, validateResponse } from '@/schemas/domain';
 
 // ============================================
 // EXPORT OPERATIONS
@@ -23,7 +24,7 @@ export const exportApplications = async (params = {}) => {
     params,
     responseType: 'blob' // Important for file downloads
   });
-  return response.data;
+  return validateResponse(fileSchema, response);
 };
 
 /**
@@ -34,7 +35,7 @@ export const exportCompanies = async () => {
   const response = await api.get('/exports/companies/', {
     responseType: 'blob'
   });
-  return response.data;
+  return validateResponse(fileSchema, response);
 };
 
 /**
@@ -48,7 +49,7 @@ export const exportInterviews = async (params = {}) => {
     params,
     responseType: 'blob'
   });
-  return response.data;
+  return validateResponse(fileSchema, response);
 };
 
 /**
@@ -59,7 +60,7 @@ export const exportFullReport = async () => {
   const response = await api.get('/exports/full-report/', {
     responseType: 'blob'
   });
-  return response.data;
+  return validateResponse(fileSchema, response);
 };
 
 // ============================================
@@ -142,6 +143,45 @@ export const exportAndDownloadFullReport = async () => {
   downloadBlob(blob, filename);
 };
 
+/**
+ * Columns included when exporting a hand-picked set of applications
+ */
+const SELECTED_APPLICATION_COLUMNS = [
+  'id', 'company_name', 'job_title', 'status', 'priority', 'work_type', 'location',
+  'salary_min', 'salary_max', 'source', 'applied_date', 'job_url'
+];
+
+/**
+ * Build a CSV document from already-loaded applications
+ * @param {Object[]} applications - Applications to serialize
+ * @returns {string} CSV text with a header row
+ */
+export const applicationsToCsv = (applications) => {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Spreadsheets run text starting with these as a formula; a leading quote keeps it literal
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = applications.map((app) =>
+    SELECTED_APPLICATION_COLUMNS.map((column) => escape(app[column])).join(',')
+  );
+  return [SELECTED_APPLICATION_COLUMNS.join(','), ...rows].join('\n');
+};
+
+/**
+ * Export and download a selection of applications
+ * The export endpoint only filters by status, so the CSV is built client-side.
+ * @param {Object[]} applications - Selected applications
+ * @returns {Promise<void>}
+ */
+export const exportAndDownloadSelectedApplications = async (applications) => {
+  const blob = new Blob([applicationsToCsv(applications)], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, generateFilename('applications_selected'));
+};
+
 // ============================================
 // EXPORT PRESETS
 // ============================================
@@ -227,6 +267,8 @@ export default {
   exportAndDownloadCompanies,
   exportAndDownloadInterviews,
   exportAndDownloadFullReport,
+  applicationsToCsv,
+  exportAndDownloadSelectedApplications,
   EXPORT_PRESETS,
   getExportTypes
 };
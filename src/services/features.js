@@ -0,0 +1,24 @@
+/**
+ * Feature Flags
+ * Features built against endpoints the backend hasn't shipped yet; their
+ * contracts are in docs/PROPOSED_API.md. Each one stays off against the real
+ * API until its VITE_ENABLE_* variable is set to "true". The mock API
+ * implements them, so mock mode turns them on unless a variable says otherwise.
+ *
+ * @module services/features
+ */
+
+const IS_MOCK_API = import.meta.env.VITE_MOCK_API === 'true';
+
+const isEnabled = (value) => (value === undefined ? IS_MOCK_API : value === 'true');
+
+export const FEATURES = {
+  // Per-application documents: /applications/{id}/attachments/
+  attachments: isEnabled(import.meta.env.VITE_ENABLE_ATTACHMENTS),
+  // "Sign Out Everywhere": /auth/logout-all/
+  logoutEverywhere: isEnabled(import.meta.env.VITE_ENABLE_LOGOUT_ALL),
+  // Session list and security log: /auth/sessions/, /auth/security-events/
+  sessions: isEnabled(import.meta.env.VITE_ENABLE_SESSIONS)
+};
+
+export default FEATURES;
@@ -6,129 +6,58 @@
  * @module services/interviewService
  */
 
+import { z } from 'zod';
 import api from './api';
+import { contactService } from './contactService';
+import { withOfflineQueue } from './offlineQueue';
+import {
+  INTERVIEW_TYPE,
+  INTERVIEW_STATUS,
+  INTERVIEW_OUTCOME,
+  interviewSchema,
+  paginated,
+  validateResponse
+} from '@/schemas/domain';
 
 /**
- * Interview type definitions with icons and colors
- * @type {Object.<string, {label: string, icon: string, color: string, bgColor: string}>}
+ * Interview type definitions with icons and colors, keyed by API value
+ * @type {Object.<string, {label: string, description: string, icon: string, color: string, bgColor: string, borderColor: string}>}
  */
-export const INTERVIEW_TYPES = {
-  phone_screen: {
-    label: 'Phone Screen',
-    icon: 'Phone',
-    color: 'text-blue-600',
-    bgColor: 'bg-blue-50',
-    borderColor: 'border-blue-200'
-  },
-  video: {
-    label: 'Video Call',
-    icon: 'Video',
-    color: 'text-purple-600',
-    bgColor: 'bg-purple-50',
-    borderColor: 'border-purple-200'
-  },
-  onsite: {
-    label: 'On-site',
-    icon: 'Building2',
-    color: 'text-teal-600',
-    bgColor: 'bg-teal-50',
-    borderColor: 'border-teal-200'
-  },
-  technical: {
-    label: 'Technical',
-    icon: 'Code',
-    color: 'text-orange-600',
-    bgColor: 'bg-orange-50',
-    borderColor: 'border-orange-200'
-  },
-  behavioral: {
-    label: 'Behavioral',
-    icon: 'Users',
-    color: 'text-pink-600',
-    bgColor: 'bg-pink-50',
-    borderColor: 'border-pink-200'
-  },
-  panel: {
-    label: 'Panel Interview',
-    icon: 'Users2',
-    color: 'text-indigo-600',
-    bgColor: 'bg-indigo-50',
-    borderColor: 'border-indigo-200'
-  },
-  final: {
-    label: 'Final Round',
-    icon: 'Award',
-    color: 'text-green-600',
-    bgColor: 'bg-green-50',
-    borderColor: 'border-green-200'
-  },
-  other: {
-    label: 'Other',
-    icon: 'Calendar',
-    color: 'text-slate-600',
-    bgColor: 'bg-slate-50',
-    borderColor: 'border-slate-200'
-  }
-};
+export const INTERVIEW_TYPES = INTERVIEW_TYPE.byValue;
 
 /**
- * Interview outcome/status options
+ * Interview status options (scheduled, completed, cancelled, ...)
+ * @type {Object.<string, {label: string, color: string, bgColor: string}>}
  */
-export const INTERVIEW_OUTCOMES = {
-  scheduled: {
-    label: 'Scheduled',
-    color: 'text-blue-600',
-    bgColor: 'bg-blue-50'
-  },
-  completed: {
-    label: 'Completed',
-    color: 'text-slate-600',
-    bgColor: 'bg-slate-50'
-  },
-  passed: {
-    label: 'Passed',
-    color: 'text-green-600',
-    bgColor: 'bg-green-50'
-  },
-  failed: {
-    label: 'Not Selected',
-    color: 'text-red-600',
-    bgColor: 'bg-red-50'
-  },
-  cancelled: {
-    label: 'Cancelled',
-    color: 'text-slate-500',
-    bgColor: 'bg-slate-100'
-  },
-  rescheduled: {
-    label: 'Rescheduled',
-    color: 'text-amber-600',
-    bgColor: 'bg-amber-50'
-  },
-  no_show: {
-    label: 'No Show',
-    color: 'text-red-500',
-    bgColor: 'bg-red-50'
-  }
-};
+export const INTERVIEW_STATUSES = INTERVIEW_STATUS.byValue;
+
+/**
+ * Interview outcome options (pending, passed, failed)
+ * @type {Object.<string, {label: string, color: string, bgColor: string}>}
+ */
+export const INTERVIEW_OUTCOMES = INTERVIEW_OUTCOME.byValue;
 
 /**
  * Get interview type configuration
+ * Unknown types are shown under their own name and reported in development.
  * @param {string} type - Interview type key
  * @returns {Object} Type configuration with label, icon, colors
  */
-export const getInterviewTypeConfig = (type) => {
-  return INTERVIEW_TYPES[type] || INTERVIEW_TYPES.other;
-};
+export const getInterviewTypeConfig = (type) => INTERVIEW_TYPE.get(type);
+
+/**
+ * Get interview status configuration
+ * @param {string} status - Status key
+ * @returns {Object} Status configuration with label and colors
+ */
+export const getInterviewStatusConfig = (status) => INTERVIEW_STATUS.get(status);
 
 /**
  * Get interview outcome configuration
  * @param {string} outcome - Outcome key
  * @returns {Object} Outcome configuration with label and colors
  */
-export const getInterviewOutcomeConfig = (outcome) => {
-  return INTERVIEW_OUTCOMES[outcome] || INTERVIEW_OUTCOMES.scheduled;
-};
+export const getInterviewOutcomeConfig = (outcome) => INTERVIEW_OUTCOME.get(outcome);
 
 /**
  * @typedef {Object} Interview
@@ -165,66 +94,86 @@ export const interviewService = {
    * @param {number} [params.application_id] - Filter by application
    * @param {string} [params.from_date] - Start date filter
    * @param {string} [params.to_date] - End date filter
-   * @returns {Promise<{interviews: Interview[], pagination: Object}>}
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<{count: number, next: ?string, previous: ?string, results: Interview[]}>}
    */
-  getInterviews: async (params) => {
-    const response = await api.get('/interviews/', { params });
-    return response.data;
+  getInterviews: async (params, { signal } = {}) => {
+    const response = await api.get('/interviews/', { params, signal });
+    return validateResponse(paginated(interviewSchema), response);
   },
 
   /**
    * Get upcoming interviews
    * @param {number} [days=7] - Number of days to look ahead
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
    * @returns {Promise<Interview[]>}
    */
-  getUpcoming: async (days = 7) => {
-    const response = await api.get('/interviews/upcoming', { params: { days } });
-    return response.data;
+  getUpcoming: async (days = 7, { signal } = {}) => {
+    const response = await api.get('/interviews/upcoming', { params: { days }, signal });
+    return validateResponse(z.array(interviewSchema), response);
   },
 
   /**
    * Get calendar events for a date range
    * @param {string} startDate - Start date (ISO format)
    * @param {string} endDate - End date (ISO format)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
    * @returns {Promise<CalendarEvent[]>}
    */
-  getCalendarEvents: async (startDate, endDate) => {
+  getCalendarEvents: async (startDate, endDate, { signal } = {}) => {
     const response = await api.get('/interviews/calendar', {
-      params: { start_date: startDate, end_date: endDate }
+      params: { start_date: startDate, end_date: endDate },
+      signal
     });
-    return response.data;
+    return validateResponse(z.array(interviewSchema), response);
   },
 
   /**
    * Create new interview
    * @param {Object} data - Interview data
-   * @returns {Promise<Interview>}
+   * @returns {Promise<Interview>} The created interview, or an optimistic copy queued while offline
    */
-  createInterview: async (data) => {
+  createInterview: withOfflineQueue('interviews.create', async (data) => {
     const response = await api.post('/interviews/', data);
-    return response.data;
-  },
+    return validateResponse(interviewSchema, response);
+  }, {
+    entity: 'interview',
+    kind: 'create',
+    getData: (data) => data,
+    onSynced: (tempId, created) => contactService.moveLinks('interview', tempId, created.id)
+  }),
 
   /**
    * Get interview details
    * @param {number} id - Interview ID
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
    * @returns {Promise<Interview>}
    */
-  getInterview: async (id) => {
-    const response = await api.get(`/interviews/${id}/`);
-    return response.data;
+  getInterview: async (id, { signal } = {}) => {
+    const response = await api.get(`/interviews/${id}/`, { signal });
+    return validateResponse(interviewSchema, response);
   },
 
   /**
    * Update interview
    * @param {number} id - Interview ID
    * @param {Object} data - Updated data
-   * @returns {Promise<Interview>}
+   * @returns {Promise<Interview>} The updated interview, or an optimistic copy queued while offline
    */
-  updateInterview: async (id, data) => {
+  updateInterview: withOfflineQueue('interviews.update', async (id, data) => {
     const response = await api.patch(`/interviews/${id}/`, data);
-    return response.data;
-  },
+    return validateResponse(interviewSchema, response);
+  }, {
+    entity: 'interview',
+    kind: 'update',
+    getTargetId: (id) => id,
+    getData: (id, data) => data,
+    fetchCurrent: (id) => interviewService.getInterview(id)
+  }),
 
   /**
    * Delete interview
@@ -233,6 +182,7 @@ export const interviewService = {
    */
   deleteInterview: async (id) => {
     await api.delete(`/interviews/${id}/`);
+    await contactService.removeLinksTo('interview', id);
   },
 
   /**
@@ -242,10 +192,16 @@ export const interviewService = {
    * @param {string} [notes] - Outcome notes
    * @returns {Promise<Interview>}
    */
-  updateOutcome: async (id, outcome, notes) => {
+  updateOutcome: withOfflineQueue('interviews.updateOutcome', async (id, outcome, notes) => {
     const response = await api.patch(`/interviews/${id}/outcome/`, { outcome, notes });
-    return response.data;
-  },
+    return validateResponse(interviewSchema, response);
+  }, {
+    entity: 'interview',
+    kind: 'update',
+    getTargetId: (id) => id,
+    getData: (id, outcome) => ({ outcome }),
+    fetchCurrent: (id) => interviewService.getInterview(id)
+  }),
 
   /**
    * Add interviewer to interview
@@ -255,7 +211,7 @@ export const interviewService = {
    */
   addInterviewer: async (interviewId, interviewer) => {
     const response = await api.post(`/interviews/${interviewId}/interviewers`, interviewer);
-    return response.data;
+    return validateResponse(interviewSchema, response);
   },
 
   /**
@@ -1,4 +1,12 @@
+import { z } from 'zod'
 import api from './api'
+import { withOfflineQueue } from './offlineQueue'
+import { NOTE_TYPE, noteSchema, paginated, validateResponse } from '@/schemas/domain'
+
+const findNote = async (applicationId, noteId) => {
+    const notes = await noteService.getNotes(applicationId)
+    return (notes.results ?? notes).find((note) => String(note.id) === String(noteId))
+}
 
 /**
  * Note Service
@@ -11,11 +19,13 @@ export const noteService = {
      * Get all notes for a specific application
      * 
      * @param {number|string} applicationId - Application ID
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
      * @returns {Promise<Array<Note>>}
      */
-    getNotes: async (applicationId) => {
-        const response = await api.get(`/applications/${applicationId}/notes/`)
-        return response.data
+    getNotes: async (applicationId, { signal } = {}) => {
+        const response = await api.get(`/applications/${applicationId}/notes/`, { signal })
+        return validateResponse(z.union([z.array(noteSchema), paginated(noteSchema)]), response)
     },
 
     /**
@@ -23,12 +33,17 @@ export const noteService = {
      * 
      * @param {number|string} applicationId - Application ID
      * @param {NoteInput} data - Note data
-     * @returns {Promise<Note>}
+     * @returns {Promise<Note>} The created note, or an optimistic copy queued while offline
      */
-    createNote: async (applicationId, data) => {
+    createNote: withOfflineQueue('notes.create', async (applicationId, data) => {
         const response = await api.post(`/applications/${applicationId}/notes/`, data)
-        return response.data
-    },
+        return validateResponse(noteSchema, response)
+    }, {
+        entity: 'note',
+        kind: 'create',
+        getParentId: (applicationId) => applicationId,
+        getData: (applicationId, data) => ({ ...data, application: applicationId }),
+    }),
 
     /**
      * Update an existing note
@@ -36,12 +51,19 @@ export const noteService = {
      * @param {number|string} applicationId - Application ID
      * @param {number|string} noteId - Note ID
      * @param {Partial<NoteInput>} data - Updated note data
-     * @returns {Promise<Note>}
+     * @returns {Promise<Note>} The updated note, or an optimistic copy queued while offline
      */
-    updateNote: async (applicationId, noteId, data) => {
+    updateNote: withOfflineQueue('notes.update', async (applicationId, noteId, data) => {
         const response = await api.patch(`/applications/${applicationId}/notes/${noteId}/`, data)
-        return response.data
-    },
+        return validateResponse(noteSchema, response)
+    }, {
+        entity: 'note',
+        kind: 'update',
+        getParentId: (applicationId) => applicationId,
+        getTargetId: (applicationId, noteId) => noteId,
+        getData: (applicationId, noteId, data) => data,
+        fetchCurrent: findNote,
+    }),
 
     /**
      * Delete a note
@@ -58,13 +80,7 @@ export const noteService = {
 /**
  * Note type options with labels and colors
  */
-export const NOTE_TYPES = [
-    { value: 'general', label: 'General', color: 'slate', icon: 'FileText' },
-    { value: 'follow_up', label: 'Follow Up', color: 'blue', icon: 'RefreshCw' },
-    { value: 'feedback', label: 'Feedback', color: 'purple', icon: 'MessageSquare' },
-    { value: 'research', label: 'Company Research', color: 'amber', icon: 'Search' },
-    { value: 'preparation', label: 'Interview Prep', color: 'emerald', icon: 'CheckSquare' }
-]
+export const NOTE_TYPES = NOTE_TYPE.entries
 
 /**
  * Get note type configuration by value
@@ -72,9 +88,7 @@ export const NOTE_TYPES = [
  * @param {string} type - Note type value
  * @returns {Object} Note type config
  */
-export const getNoteTypeConfig = (type) => {
-    return NOTE_TYPES.find(t => t.value === type) || NOTE_TYPES[0]
-}
+export const getNoteTypeConfig = (type) => NOTE_TYPE.get(type)
 
 /**
  * @typedef {Object} Note
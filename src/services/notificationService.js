@@ -7,78 +7,27 @@
  */
 
 import api from './api';
+import {
+  NOTIFICATION_TYPE,
+  notificationSchema,
+  notificationListSchema,
+  notificationPreferencesSchema,
+  messageSchema,
+  validateResponse
+} from '@/schemas/domain';
 
 /**
  * Notification type definitions with icons and colors
  * @type {Object.<string, {label: string, icon: string, color: string, bgColor: string}>}
  */
-export const NOTIFICATION_TYPES = {
-  application_update: {
-    label: 'Application Update',
-    icon: 'Briefcase',
-    color: 'text-blue-600',
-    bgColor: 'bg-blue-50',
-    borderColor: 'border-blue-200'
-  },
-  interview_scheduled: {
-    label: 'Interview Scheduled',
-    icon: 'Calendar',
-    color: 'text-purple-600',
-    bgColor: 'bg-purple-50',
-    borderColor: 'border-purple-200'
-  },
-  interview_reminder: {
-    label: 'Interview Reminder',
-    icon: 'Bell',
-    color: 'text-orange-600',
-    bgColor: 'bg-orange-50',
-    borderColor: 'border-orange-200'
-  },
-  status_change: {
-    label: 'Status Change',
-    icon: 'RefreshCw',
-    color: 'text-teal-600',
-    bgColor: 'bg-teal-50',
-    borderColor: 'border-teal-200'
-  },
-  follow_up: {
-    label: 'Follow Up',
-    icon: 'Clock',
-    color: 'text-amber-600',
-    bgColor: 'bg-amber-50',
-    borderColor: 'border-amber-200'
-  },
-  offer_received: {
-    label: 'Offer Received',
-    icon: 'Gift',
-    color: 'text-green-600',
-    bgColor: 'bg-green-50',
-    borderColor: 'border-green-200'
-  },
-  rejection: {
-    label: 'Application Update',
-    icon: 'XCircle',
-    color: 'text-red-600',
-    bgColor: 'bg-red-50',
-    borderColor: 'border-red-200'
-  },
-  system: {
-    label: 'System',
-    icon: 'Info',
-    color: 'text-slate-600',
-    bgColor: 'bg-slate-50',
-    borderColor: 'border-slate-200'
-  }
-};
+export const NOTIFICATION_TYPES = NOTIFICATION_TYPE.byValue;
 
 /**
  * Get notification type configuration
  * @param {string} type - Notification type key
  * @returns {Object} Type configuration with label, icon, colors
  */
-export const getNotificationTypeConfig = (type) => {
-  return NOTIFICATION_TYPES[type] || NOTIFICATION_TYPES.system;
-};
+export const getNotificationTypeConfig = (type) => NOTIFICATION_TYPE.get(type);
 
 /**
  * @typedef {Object} Notification
@@ -119,11 +68,13 @@ export const getNotificationTypeConfig = (type) => {
  * @param {number} [params.per_page=20] - Items per page
  * @param {boolean} [params.unread_only] - Filter unread only
  * @param {string} [params.type] - Filter by notification type
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<NotificationsResponse>}
  */
-export const getNotifications = async (params = {}) => {
-  const response = await api.get('/notifications', { params });
-  return response.data;
+export const getNotifications = async (params = {}, { signal } = {}) => {
+  const response = await api.get('/notifications', { params, signal });
+  return validateResponse(notificationListSchema, response);
 };
 
 /**
@@ -145,7 +96,7 @@ export const getUnreadCount = async () => {
  */
 export const markAsRead = async (notificationId) => {
   const response = await api.put(`/notifications/${notificationId}/read`);
-  return response.data;
+  return validateResponse(notificationSchema, response);
 };
 
 /**
@@ -154,7 +105,7 @@ export const markAsRead = async (notificationId) => {
  */
 export const markAllAsRead = async () => {
   const response = await api.put('/notifications/read-all');
-  return response.data;
+  return validateResponse(messageSchema, response);
 };
 
 /**
@@ -168,11 +119,13 @@ export const deleteNotification = async (notificationId) => {
 
 /**
  * Get notification preferences
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<NotificationPreferences>}
  */
-export const getPreferences = async () => {
-  const response = await api.get('/notifications/preferences');
-  return response.data;
+export const getPreferences = async ({ signal } = {}) => {
+  const response = await api.get('/notifications/preferences', { signal });
+  return validateResponse(notificationPreferencesSchema, response);
 };
 
 /**
@@ -182,7 +135,7 @@ export const getPreferences = async () => {
  */
 export const updatePreferences = async (preferences) => {
   const response = await api.put('/notifications/preferences', preferences);
-  return response.data;
+  return validateResponse(notificationPreferencesSchema, response);
 };
 
 /**
@@ -0,0 +1,325 @@
+/**
+ * Offline Queue
+ * Lets service writes succeed without a connection. The request is queued,
+ * an optimistic result is written to the query cache, and the queue is
+ * replayed in order once the network is back. Updates are checked against
+ * the record's `updated_at` first so offline edits never silently overwrite
+ * newer changes made elsewhere.
+ *
+ * @module services/offlineQueue
+ */
+
+import { queryClient, clearQueryCache } from './queryClient';
+import useOfflineQueueStore from '@/stores/useOfflineQueueStore';
+import useAuthStore from '@/stores/useAuthStore';
+
+// Retry interval for when the browser thinks it is online but the API is unreachable
+const REPLAY_INTERVAL_MS = 30 * 1000;
+
+const TEMP_ID_PREFIX = 'offline-';
+
+/**
+ * Where each entity lives in the query cache
+ */
+const ENTITIES = {
+  application: {
+    detailKey: (id) => ['application', String(id)],
+    lists: () => ({ queryKey: ['applications'] })
+  },
+  interview: {
+    detailKey: (id) => ['interview', String(id)],
+    // Calendar events have their own shape and are refetched after sync
+    lists: () => ({ queryKey: ['interviews'], predicate: (query) => query.queryKey[1] !== 'calendar' })
+  },
+  note: {
+    detailKey: null,
+    lists: (parentId) => ({ queryKey: ['notes', String(parentId)] })
+  }
+};
+
+// Online implementations by queue key, registered by withOfflineQueue
+const handlers = {};
+
+const createId = (prefix) => `${prefix}${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Whether an id belongs to a record created offline and not yet synced
+ * @param {*} id
+ * @returns {boolean}
+ */
+export const isTempId = (id) => typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
+
+/**
+ * Whether a request failed because the server could not be reached
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) =>
+  !!error?.isAxiosError && !error.response && error.code !== 'ERR_CANCELED';
+
+// ============================================
+// QUERY CACHE HELPERS
+// ============================================
+
+// Collections come back as plain arrays or wrapped in a paginated object
+const COLLECTION_KEYS = ['results', 'interviews', 'notes'];
+
+const mapItems = (data, fn) => {
+  if (Array.isArray(data)) return fn(data);
+  const key = COLLECTION_KEYS.find((name) => Array.isArray(data?.[name]));
+  return key ? { ...data, [key]: fn(data[key]) } : data;
+};
+
+const isRecord = (data, id) => data && !Array.isArray(data) && sameId(data.id, id);
+
+const cacheFilters = (entity, id, parentId) => {
+  const config = ENTITIES[entity];
+  return [config.detailKey && { queryKey: config.detailKey(id) }, config.lists(parentId)].filter(Boolean);
+};
+
+const findCached = (entity, id, parentId) => {
+  for (const filters of cacheFilters(entity, id, parentId)) {
+    for (const [, data] of queryClient.getQueriesData(filters)) {
+      if (isRecord(data, id)) return data;
+      let found = null;
+      mapItems(data, (items) => {
+        found = items.find((item) => sameId(item?.id, id)) || null;
+        return items;
+      });
+      if (found) return found;
+    }
+  }
+  return null;
+};
+
+const patchCached = (entity, id, parentId, changes) => {
+  cacheFilters(entity, id, parentId).forEach((filters) => {
+    queryClient.setQueriesData(filters, (data) => {
+      if (!data) return data;
+      if (isRecord(data, id)) return { ...data, ...changes };
+      return mapItems(data, (items) => items.map((item) => sameId(item?.id, id) ? { ...item, ...changes } : item));
+    });
+  });
+};
+
+const addCached = (entity, record, parentId) => {
+  const config = ENTITIES[entity];
+  if (config.detailKey) queryClient.setQueryData(config.detailKey(record.id), record);
+  queryClient.setQueriesData(config.lists(parentId), (data) => data && mapItems(data, (items) => [record, ...items]));
+};
+
+// ============================================
+// QUEUEING
+// ============================================
+
+const enqueue = (key, args, options) => {
+  const { entity, kind } = options;
+  const parentId = options.getParentId?.(...args) ?? null;
+  const data = options.getData(...args);
+  const now = new Date().toISOString();
+
+  if (kind === 'create') {
+    const record = { ...data, id: createId(TEMP_ID_PREFIX), created_at: now, updated_at: now };
+    useOfflineQueueStore.getState().enqueue({
+      id: createId('op-'), key, args, entity, kind, targetId: record.id, parentId,
+      baseUpdatedAt: null, status: 'pending', error: null, createdAt: now
+    });
+    addCached(entity, record, parentId);
+    return record;
+  }
+
+  const targetId = options.getTargetId(...args);
+  const cached = findCached(entity, targetId, parentId);
+  useOfflineQueueStore.getState().enqueue({
+    id: createId('op-'), key, args, entity, kind, targetId, parentId,
+    baseUpdatedAt: isTempId(targetId) ? null : cached?.updated_at ?? null,
+    status: 'pending', error: null, createdAt: now
+  });
+  patchCached(entity, targetId, parentId, data);
+  return { ...cached, ...data, id: targetId };
+};
+
+/**
+ * Wrap a service write so it is queued instead of failing while offline
+ * @param {string} key - Unique, stable name used to find the request again on replay
+ * @param {function} request - The online implementation
+ * @param {Object} options
+ * @param {'application'|'note'|'interview'} options.entity
+ * @param {'create'|'update'} options.kind
+ * @param {function} options.getData - Fields being written, from the request's arguments
+ * @param {function} [options.getTargetId] - Record id, for updates
+ * @param {function} [options.getParentId] - Owning record id, for nested resources
+ * @param {function} [options.fetchCurrent] - Loads the server's copy for conflict checks
+ * @param {function} [options.onSynced] - Called with (tempId, created) after an offline create syncs
+ * @returns {function} The wrapped request
+ */
+export const withOfflineQueue = (key, request, options) => {
+  handlers[key] = { request, options };
+
+  return async (...args) => {
+    // Anything written while older changes are pending has to wait its turn
+    const hasPending = useOfflineQueueStore.getState().queue.some((entry) => entry.status === 'pending');
+
+    if (navigator.onLine && !hasPending) {
+      try {
+        return await request(...args);
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+      }
+    }
+
+    const result = enqueue(key, args, options);
+    if (navigator.onLine) replayQueue();
+    return result;
+  };
+};
+
+// ============================================
+// REPLAY
+// ============================================
+
+const errorMessage = (error) => {
+  const data = error.response?.data;
+  return data?.error || data?.detail || error.message || 'Sync failed';
+};
+
+const replayEntry = async (entry) => {
+  const store = useOfflineQueueStore.getState();
+  const handler = handlers[entry.key];
+
+  if (!handler) {
+    store.updateEntry(entry.id, { status: 'failed', error: 'This change can no longer be synced' });
+    return 'failed';
+  }
+  // A temporary id left in the request means the record it belongs to never synced
+  if (JSON.stringify(entry.args).includes(`"${TEMP_ID_PREFIX}`)) {
+    store.updateEntry(entry.id, { status: 'failed', error: 'Waiting on an earlier change that could not be synced' });
+    return 'failed';
+  }
+
+  try {
+    if (entry.baseUpdatedAt && handler.options.fetchCurrent) {
+      const current = await handler.options.fetchCurrent(...entry.args);
+      if (current?.updated_at && current.updated_at !== entry.baseUpdatedAt) {
+        store.updateEntry(entry.id, {
+          status: 'conflict',
+          serverUpdatedAt: current.updated_at,
+          error: 'Changed elsewhere since you edited it offline'
+        });
+        return 'conflict';
+      }
+    }
+
+    const result = await handler.request(...entry.args);
+    store.removeEntry(entry.id);
+
+    if (entry.kind === 'create' && result?.id != null) {
+      store.replaceTempId(entry.targetId, result.id);
+      await handler.options.onSynced?.(entry.targetId, result);
+    } else {
+      // Later edits to the same record were based on the version just replaced
+      store.updateEntries(
+        (other) => other.entity === entry.entity && sameId(other.targetId, entry.targetId) &&
+          other.baseUpdatedAt === entry.baseUpdatedAt,
+        { baseUpdatedAt: result?.updated_at ?? null }
+      );
+    }
+    return 'synced';
+  } catch (error) {
+    if (isNetworkError(error)) return 'offline';
+    store.updateEntry(entry.id, { status: 'failed', error: errorMessage(error) });
+    return 'failed';
+  }
+};
+
+const runReplay = async () => {
+  const getStore = useOfflineQueueStore.getState;
+  if (!navigator.onLine || !useAuthStore.getState().isAuthenticated) return;
+  if (!getStore().queue.some((entry) => entry.status === 'pending')) return;
+
+  getStore().setSyncing(true);
+  let synced = 0;
+  try {
+    for (;;) {
+      const entry = getStore().queue.find((item) => item.status === 'pending');
+      if (!entry) break;
+      const outcome = await replayEntry(entry);
+      if (outcome === 'offline') break;
+      if (outcome === 'synced') synced += 1;
+    }
+  } finally {
+    getStore().setSyncing(false);
+    // Swap optimistic data for the server's copies
+    if (synced > 0) queryClient.invalidateQueries();
+  }
+};
+
+let replayPromise = null;
+
+/**
+ * Send pending changes in the order they were made; one replay runs at a time
+ * @returns {Promise<void>}
+ */
+export const replayQueue = () => {
+  if (!replayPromise) {
+    replayPromise = runReplay().finally(() => {
+      replayPromise = null;
+    });
+  }
+  return replayPromise;
+};
+
+/**
+ * Settle a change that conflicted or failed to sync
+ * @param {string} entryId
+ * @param {'overwrite'|'discard'} resolution - Overwrite the server's copy, or drop the local change
+ * @returns {Promise<void>}
+ */
+export const resolveQueuedChange = async (entryId, resolution) => {
+  const store = useOfflineQueueStore.getState();
+  const entry = store.queue.find((item) => item.id === entryId);
+  if (!entry) return;
+
+  if (resolution === 'overwrite') {
+    store.updateEntry(entryId, { status: 'pending', baseUpdatedAt: null, error: null });
+    return replayQueue();
+  }
+
+  store.removeEntry(entryId);
+  // Changes made to a discarded offline record can't be synced either
+  if (entry.kind === 'create') {
+    const tempId = JSON.stringify(entry.targetId);
+    useOfflineQueueStore.getState().queue
+      .filter((other) => JSON.stringify(other.args).includes(tempId))
+      .forEach((other) => useOfflineQueueStore.getState().removeEntry(other.id));
+  }
+  // Roll the optimistic data back
+  await queryClient.invalidateQueries();
+};
+
+/**
+ * Start replaying on reconnect and clear offline data on logout
+ * @returns {function} Stop syncing
+ */
+export const startOfflineSync = () => {
+  window.addEventListener('online', replayQueue);
+  const interval = setInterval(replayQueue, REPLAY_INTERVAL_MS);
+
+  // Cached data and unsynced changes belong to the signed-in user only
+  const unsubscribe = useAuthStore.subscribe((state, prevState) => {
+    if (prevState.isAuthenticated && !state.isAuthenticated) {
+      useOfflineQueueStore.getState().clearQueue();
+      clearQueryCache();
+    }
+  });
+
+  replayQueue();
+
+  return () => {
+    window.removeEventListener('online', replayQueue);
+    clearInterval(interval);
+    unsubscribe();
+  };
+};
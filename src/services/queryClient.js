@@ -0,0 +1,95 @@
+/**
+ * Query Client
+ * The app's shared TanStack Query client, with its cache persisted to
+ * IndexedDB so previously loaded pages keep working without a connection.
+ *
+ * @module services/queryClient
+ */
+
+import { QueryClient, dehydrate, hydrate } from '@tanstack/react-query';
+import { idbGet, idbSet, idbDelete } from '@/utils/idbStorage';
+
+const CACHE_KEY = 'query-cache';
+
+// Bump when cached response shapes change so old caches are dropped
+const CACHE_VERSION = 1;
+
+// Persisted data older than this is discarded on startup
+const MAX_CACHE_AGE = 24 * 60 * 60 * 1000;
+
+const PERSIST_THROTTLE_MS = 1000;
+
+export const queryClient = new QueryClient({
+  defaultOptions: {
+    queries: {
+      // Keep unused queries long enough for them to be persisted and restored
+      gcTime: MAX_CACHE_AGE
+    },
+    mutations: {
+      // Services queue writes themselves while offline, so mutations must
+      // run instead of pausing until the connection returns
+      networkMode: 'always'
+    }
+  }
+});
+
+// ============================================
+// PERSISTENCE
+// ============================================
+
+/**
+ * Load the persisted cache into the client
+ * @returns {Promise<void>}
+ */
+export const restoreQueryCache = async () => {
+  try {
+    const saved = await idbGet(CACHE_KEY);
+    if (!saved) return;
+    if (saved.version !== CACHE_VERSION || Date.now() - saved.timestamp > MAX_CACHE_AGE) {
+      await idbDelete(CACHE_KEY);
+      return;
+    }
+    hydrate(queryClient, saved.state);
+  } catch (error) {
+    console.warn('Could not restore cached data', error);
+  }
+};
+
+const writeCache = () => {
+  const state = dehydrate(queryClient);
+  // Error objects are not cloneable into IndexedDB and aren't worth keeping
+  state.queries = state.queries.map((query) => ({
+    ...query,
+    state: { ...query.state, error: null, fetchFailureReason: null }
+  }));
+  return idbSet(CACHE_KEY, { version: CACHE_VERSION, timestamp: Date.now(), state })
+    .catch((error) => console.warn('Could not persist cached data', error));
+};
+
+let persistTimer = null;
+
+/**
+ * Save the cache whenever it changes, at most once per second
+ * @returns {function} Unsubscribe
+ */
+export const startQueryCachePersistence = () =>
+  queryClient.getQueryCache().subscribe(() => {
+    if (persistTimer) return;
+    persistTimer = setTimeout(() => {
+      persistTimer = null;
+      writeCache();
+    }, PERSIST_THROTTLE_MS);
+  });
+
+/**
+ * Drop cached data from memory and disk, e.g. on logout
+ * @returns {Promise<void>}
+ */
+export const clearQueryCache = async () => {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  queryClient.clear();
+  await idbDelete(CACHE_KEY).catch(() => {});
+};
+
+export default queryClient;
@@ -7,7 +7,9 @@
  * @see FRONTEND_API_DOCUMENTATION.md Section 4: Applications - Resume Management
  */
 
+import { z } from 'zod';
 import api from './api';
+import { resumeSchema, paginated, validateResponse } from '@/schemas/domain';
 
 // ============================================
 // CONSTANTS
@@ -41,21 +43,25 @@ export const MAX_FILE_SIZE_DISPLAY = '5 MB';
 
 /**
  * List all resume versions for the authenticated user
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Object>} Paginated list of resumes
  */
-export const getResumes = async () => {
-  const response = await api.get('/applications/resumes/');
-  return response.data;
+export const getResumes = async ({ signal } = {}) => {
+  const response = await api.get('/applications/resumes/', { signal });
+  return validateResponse(z.union([z.array(resumeSchema), paginated(resumeSchema)]), response);
 };
 
 /**
  * Get a specific resume by ID
  * @param {number} id - Resume ID
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Object>} Resume details
  */
-export const getResume = async (id) => {
-  const response = await api.get(`/applications/resumes/${id}/`);
-  return response.data;
+export const getResume = async (id, { signal } = {}) => {
+  const response = await api.get(`/applications/resumes/${id}/`, { signal });
+  return validateResponse(resumeSchema, response);
 };
 
 /**
@@ -64,17 +70,14 @@ export const getResume = async (id) => {
  * @param {string} versionName - Name for this resume version
  * @param {boolean} [isDefault=false] - Set as default resume
  * @param {function} [onProgress] - Upload progress callback (0-100)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the upload; the promise rejects with a CanceledError
  * @returns {Promise<Object>} Uploaded resume details
  */
-export const uploadResume = async (file, versionName, isDefault = false, onProgress) => {
-  // Validate file type
-  if (!Object.keys(ALLOWED_FILE_TYPES).includes(file.type)) {
-    throw new Error('Invalid file type. Please upload a PDF or Word document.');
-  }
-
-  // Validate file size
-  if (file.size > MAX_FILE_SIZE) {
-    throw new Error(`File too large. Maximum size is ${MAX_FILE_SIZE_DISPLAY}.`);
+export const uploadResume = async (file, versionName, isDefault = false, onProgress, { signal } = {}) => {
+  const validation = validateResumeFile(file);
+  if (!validation.valid) {
+    throw new Error(validation.error);
   }
 
   const formData = new FormData();
@@ -84,19 +87,7 @@ export const uploadResume = async (file, versionName, isDefault = false, onProgr
     formData.append('is_default', 'true');
   }
 
-  const response = await api.post('/applications/resumes/upload/', formData, {
-    headers: {
-      'Content-Type': 'multipart/form-data'
-    },
-    onUploadProgress: (progressEvent) => {
-      if (onProgress && progressEvent.total) {
-        const percent = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-        onProgress(percent);
-      }
-    }
-  });
-
-  return response.data;
+  return uploadWithProgress('/applications/resumes/upload/', formData, { onProgress, schema: resumeSchema, signal });
 };
 
 /**
@@ -106,7 +97,7 @@ export const uploadResume = async (file, versionName, isDefault = false, onProgr
  */
 export const setDefaultResume = async (id) => {
   const response = await api.post(`/applications/resumes/${id}/set-default/`);
-  return response.data;
+  return validateResponse(resumeSchema, response);
 };
 
 /**
@@ -127,7 +118,7 @@ export const deleteResume = async (id) => {
  */
 export const updateResume = async (id, data) => {
   const response = await api.patch(`/applications/resumes/${id}/`, data);
-  return response.data;
+  return validateResponse(resumeSchema, response);
 };
 
 // ============================================
@@ -157,32 +148,73 @@ export const getFileExtension = (filename) => {
 };
 
 /**
- * Validate a file for resume upload
+ * Validate a file against a set of allowed MIME types and a size limit
  * @param {File} file - File to validate
+ * @param {Object} rules
+ * @param {Object.<string, Object>} rules.allowedTypes - Map keyed by MIME type
+ * @param {number} rules.maxSize - Maximum size in bytes
+ * @param {string} rules.maxSizeDisplay - Human-readable maximum size
+ * @param {string} rules.typeError - Message for a disallowed type
  * @returns {{ valid: boolean, error?: string }} Validation result
  */
-export const validateResumeFile = (file) => {
+export const validateFile = (file, { allowedTypes, maxSize, maxSizeDisplay, typeError }) => {
   if (!file) {
     return { valid: false, error: 'Please select a file.' };
   }
 
-  if (!Object.keys(ALLOWED_FILE_TYPES).includes(file.type)) {
-    return { 
-      valid: false, 
-      error: 'Invalid file type. Please upload a PDF or Word document (.pdf, .doc, .docx).' 
-    };
+  if (!Object.keys(allowedTypes).includes(file.type)) {
+    return { valid: false, error: typeError };
   }
 
-  if (file.size > MAX_FILE_SIZE) {
+  if (file.size > maxSize) {
     return { 
       valid: false, 
-      error: `File too large. Maximum size is ${MAX_FILE_SIZE_DISPLAY}.` 
+      error: `File too large. Maximum size is ${maxSizeDisplay}.` 
     };
   }
 
   return { valid: true };
 };
 
+/**
+ * Validate a file for resume upload
+ * @param {File} file - File to validate
+ * @returns {{ valid: boolean, error?: string }} Validation result
+ */
+export const validateResumeFile = (file) => validateFile(file, {
+  allowedTypes: ALLOWED_FILE_TYPES,
+  maxSize: MAX_FILE_SIZE,
+  maxSizeDisplay: MAX_FILE_SIZE_DISPLAY,
+  typeError: 'Invalid file type. Please upload a PDF or Word document (.pdf, .doc, .docx).'
+});
+
+/**
+ * POST multipart form data, reporting upload progress
+ * @param {string} url - Endpoint path
+ * @param {FormData} formData - Payload
+ * @param {Object} [options]
+ * @param {function} [options.onProgress] - Upload progress callback (0-100)
+ * @param {import('zod').ZodType} [options.schema] - Expected shape of the response, checked in development
+ * @param {AbortSignal} [options.signal] - Aborts the upload
+ * @returns {Promise<Object>} Response data
+ */
+export const uploadWithProgress = async (url, formData, { onProgress, schema, signal } = {}) => {
+  const response = await api.post(url, formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data'
+    },
+    signal,
+    onUploadProgress: (progressEvent) => {
+      if (onProgress && progressEvent.total) {
+        const percent = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+        onProgress(percent);
+      }
+    }
+  });
+
+  return schema ? validateResponse(schema, response) : response.data;
+};
+
 /**
  * Get icon name based on file type
  * @param {string} fileType - MIME type or filename
@@ -204,7 +236,9 @@ export default {
   updateResume,
   formatFileSize,
   getFileExtension,
+  validateFile,
   validateResumeFile,
+  uploadWithProgress,
   getFileIcon,
   ALLOWED_FILE_TYPES,
   MAX_FILE_SIZE,
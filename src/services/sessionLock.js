@@ -0,0 +1,105 @@
+/**
+ * Session Lock
+ * Locks the app after a period of inactivity and signs out once it has stayed
+ * locked for longer still, so salary and offer data isn't left open on a
+ * shared machine. Activity in any tab keeps every tab awake, and a lock
+ * applies to all of them. The lock screen covers the page without unmounting
+ * it, so unsaved form input is still there after unlocking.
+ *
+ * @module services/sessionLock
+ */
+
+import useSessionLockStore from '@/stores/useSessionLockStore';
+import useAuthStore from '@/stores/useAuthStore';
+import { authService } from './authService';
+import { replayQueue } from './offlineQueue';
+
+const MINUTE_MS = 60 * 1000;
+const CHECK_INTERVAL_MS = 15 * 1000;
+// Activity is saved at most this often; other tabs read it from storage
+const ACTIVITY_SAVE_INTERVAL_MS = 10 * 1000;
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart', 'scroll'];
+const STORAGE_KEY = 'session-lock';
+
+export const LOCK_AFTER_OPTIONS = [
+  { value: '0', label: 'Never' },
+  { value: '5', label: 'After 5 minutes' },
+  { value: '15', label: 'After 15 minutes' },
+  { value: '30', label: 'After 30 minutes' },
+  { value: '60', label: 'After 1 hour' }
+];
+
+export const SIGN_OUT_AFTER_OPTIONS = [
+  { value: '15', label: '15 minutes' },
+  { value: '60', label: '1 hour' },
+  { value: '240', label: '4 hours' },
+  { value: '480', label: '8 hours' }
+];
+
+/**
+ * When a lock that started at `lockedAt` turns into a sign-out
+ * @param {number} lockedAt
+ * @returns {number} Timestamp in ms
+ */
+export const getSignOutAt = (lockedAt) =>
+  lockedAt + useSessionLockStore.getState().signOutAfterMinutes * MINUTE_MS;
+
+const handleActivity = () => {
+  const { lockedAt, lastActiveAt, recordActivity } = useSessionLockStore.getState();
+  if (lockedAt || !useAuthStore.getState().isAuthenticated) return;
+  if (Date.now() - lastActiveAt >= ACTIVITY_SAVE_INTERVAL_MS) recordActivity();
+};
+
+let isSigningOut = false;
+
+const checkIdle = () => {
+  if (!useAuthStore.getState().isAuthenticated) return;
+  const { lockAfterMinutes, lastActiveAt, lock } = useSessionLockStore.getState();
+  let { lockedAt } = useSessionLockStore.getState();
+
+  if (!lockedAt && lockAfterMinutes && Date.now() - lastActiveAt >= lockAfterMinutes * MINUTE_MS) {
+    // Back-dated, so time spent with the app closed counts toward signing out
+    lockedAt = lastActiveAt + lockAfterMinutes * MINUTE_MS;
+    lock(lockedAt);
+  }
+
+  if (lockedAt && Date.now() >= getSignOutAt(lockedAt) && !isSigningOut) {
+    isSigningOut = true;
+    // Signing out discards unsynced changes, so give them one last chance to go through
+    replayQueue()
+      .catch(() => {})
+      .then(() => authService.logout())
+      .finally(() => {
+        isSigningOut = false;
+      });
+  }
+};
+
+// Other tabs save activity and lock changes; pick them up here
+const handleStorage = (event) => {
+  if (event.key === STORAGE_KEY) useSessionLockStore.persist.rehydrate();
+};
+
+/**
+ * Start watching for inactivity
+ * @returns {function} Stop watching
+ */
+export const startSessionLock = () => {
+  ACTIVITY_EVENTS.forEach((type) => window.addEventListener(type, handleActivity, { passive: true }));
+  window.addEventListener('storage', handleStorage);
+  const interval = setInterval(checkIdle, CHECK_INTERVAL_MS);
+
+  // Every sign-in and sign-out starts from an unlocked, active state
+  const unsubscribe = useAuthStore.subscribe((state, prevState) => {
+    if (state.isAuthenticated !== prevState.isAuthenticated) useSessionLockStore.getState().unlock();
+  });
+
+  checkIdle();
+
+  return () => {
+    ACTIVITY_EVENTS.forEach((type) => window.removeEventListener(type, handleActivity));
+    window.removeEventListener('storage', handleStorage);
+    clearInterval(interval);
+    unsubscribe();
+  };
+};
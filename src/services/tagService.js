@@ -0,0 +1,218 @@
+/**
+ * Tag Service
+ * Handles tag CRUD, merging, and assigning tags to applications.
+ * The API does not expose tags yet (proposed in docs/PROPOSED_API.md), so these
+ * operations are backed by the persisted tag store; callers treat them like any
+ * other async service.
+ *
+ * @module services/tagService
+ */
+
+import useTagStore from '@/stores/useTagStore';
+
+// ============================================
+// CONSTANTS & TYPES
+// ============================================
+
+/**
+ * Tag color palette
+ * @type {Object.<string, {bg: string, text: string, border: string}>}
+ */
+export const TAG_COLORS = {
+  slate: { bg: 'bg-slate-100', text: 'text-slate-700', border: 'border-slate-200' },
+  blue: { bg: 'bg-blue-100', text: 'text-blue-700', border: 'border-blue-200' },
+  teal: { bg: 'bg-teal-100', text: 'text-teal-700', border: 'border-teal-200' },
+  green: { bg: 'bg-emerald-100', text: 'text-emerald-700', border: 'border-emerald-200' },
+  amber: { bg: 'bg-amber-100', text: 'text-amber-700', border: 'border-amber-200' },
+  orange: { bg: 'bg-orange-100', text: 'text-orange-700', border: 'border-orange-200' },
+  red: { bg: 'bg-rose-100', text: 'text-rose-700', border: 'border-rose-200' },
+  purple: { bg: 'bg-purple-100', text: 'text-purple-700', border: 'border-purple-200' },
+  pink: { bg: 'bg-pink-100', text: 'text-pink-700', border: 'border-pink-200' }
+};
+
+/**
+ * @typedef {Object} Tag
+ * @property {number} id
+ * @property {string} name
+ * @property {string} color - Key of TAG_COLORS
+ * @property {string} created_at
+ * @property {number} application_count
+ * @property {string[]} application_ids
+ */
+
+/**
+ * Get color classes for a tag color, falling back to slate
+ * @param {string} color
+ * @returns {{bg: string, text: string, border: string}}
+ */
+export const getTagColorConfig = (color) => TAG_COLORS[color] || TAG_COLORS.slate;
+
+const normalizeName = (name) => name.trim().replace(/\s+/g, ' ');
+
+const assertUniqueName = (name, exceptId) => {
+  const { tags } = useTagStore.getState();
+  const taken = tags.some(
+    (tag) => tag.id !== exceptId && tag.name.toLowerCase() === name.toLowerCase()
+  );
+  if (taken) {
+    throw new Error(`A tag named "${name}" already exists`);
+  }
+};
+
+const findTag = (tagId) => {
+  const tag = useTagStore.getState().tags.find((t) => t.id === tagId);
+  if (!tag) {
+    throw new Error('Tag not found');
+  }
+  return tag;
+};
+
+// ============================================
+// TAG CRUD
+// ============================================
+
+/**
+ * Get all tags with usage counts, sorted by name
+ * @returns {Promise<{tags: Tag[]}>}
+ */
+export const getTags = async () => {
+  const { tags, assignments } = useTagStore.getState();
+
+  const usage = {};
+  Object.entries(assignments).forEach(([applicationId, tagIds]) => {
+    tagIds.forEach((tagId) => {
+      (usage[tagId] = usage[tagId] || []).push(applicationId);
+    });
+  });
+
+  return {
+    tags: tags
+      .map((tag) => ({
+        ...tag,
+        application_ids: usage[tag.id] || [],
+        application_count: (usage[tag.id] || []).length
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  };
+};
+
+/**
+ * Create a tag
+ * @param {{name: string, color?: string}} data
+ * @returns {Promise<Tag>}
+ */
+export const createTag = async ({ name, color = 'blue' }) => {
+  const tagName = normalizeName(name || '');
+  if (!tagName) {
+    throw new Error('Tag name is required');
+  }
+  assertUniqueName(tagName);
+
+  const tag = {
+    id: Date.now(),
+    name: tagName,
+    color: TAG_COLORS[color] ? color : 'slate',
+    created_at: new Date().toISOString()
+  };
+  useTagStore.getState().addTag(tag);
+  return { ...tag, application_ids: [], application_count: 0 };
+};
+
+/**
+ * Rename or recolor a tag
+ * @param {number} tagId
+ * @param {{name?: string, color?: string}} data
+ * @returns {Promise<Tag>}
+ */
+export const updateTag = async (tagId, data) => {
+  findTag(tagId);
+  const changes = {};
+
+  if (data.name !== undefined) {
+    changes.name = normalizeName(data.name);
+    if (!changes.name) {
+      throw new Error('Tag name is required');
+    }
+    assertUniqueName(changes.name, tagId);
+  }
+  if (data.color !== undefined) {
+    changes.color = TAG_COLORS[data.color] ? data.color : 'slate';
+  }
+
+  useTagStore.getState().updateTag(tagId, changes);
+  return findTag(tagId);
+};
+
+/**
+ * Delete a tag and remove it from every application
+ * @param {number} tagId
+ * @returns {Promise<void>}
+ */
+export const deleteTag = async (tagId) => {
+  findTag(tagId);
+  useTagStore.getState().removeTags([tagId]);
+};
+
+/**
+ * Merge tags into one: applications keep the target tag, sources are deleted
+ * @param {number[]} sourceIds - Tags to fold into the target
+ * @param {number} targetId - Tag that survives
+ * @returns {Promise<Tag>}
+ */
+export const mergeTags = async (sourceIds, targetId) => {
+  findTag(targetId);
+  const ids = sourceIds.filter((id) => id !== targetId);
+  const { reassignTags, removeTags } = useTagStore.getState();
+  reassignTags(ids, targetId);
+  removeTags(ids);
+  return findTag(targetId);
+};
+
+// ============================================
+// APPLICATION TAGS
+// ============================================
+
+/**
+ * Tag ids assigned to an application (synchronous, for filters)
+ * @param {number|string} applicationId
+ * @returns {number[]}
+ */
+export const getApplicationTagIds = (applicationId) =>
+  useTagStore.getState().assignments[applicationId] || [];
+
+/**
+ * Tags assigned to an application
+ * @param {number|string} applicationId
+ * @returns {Promise<Tag[]>}
+ */
+export const getApplicationTags = async (applicationId) => {
+  const tagIds = getApplicationTagIds(applicationId);
+  return useTagStore.getState().tags.filter((tag) => tagIds.includes(tag.id));
+};
+
+/**
+ * Replace the tags assigned to an application
+ * @param {number|string} applicationId
+ * @param {number[]} tagIds
+ * @returns {Promise<Tag[]>}
+ */
+export const setApplicationTags = async (applicationId, tagIds) => {
+  const { tags, setAssignments, clearAssignments } = useTagStore.getState();
+  const known = tagIds.filter((tagId) => tags.some((tag) => tag.id === tagId));
+
+  if (known.length) {
+    setAssignments(applicationId, known);
+  } else {
+    clearAssignments(applicationId);
+  }
+  return getApplicationTags(applicationId);
+};
+
+/**
+ * Forget every tag assignment for an application (e.g. after it is deleted)
+ * @param {number|string} applicationId
+ * @returns {Promise<void>}
+ */
+export const clearApplicationTags = async (applicationId) => {
+  useTagStore.getState().clearAssignments(applicationId);
+};
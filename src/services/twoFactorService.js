@@ -7,6 +7,14 @@
  */
 
 import api from './api';
+import {
+  twoFactorStatusSchema,
+  twoFactorSetupSchema,
+  twoFactorVerifySchema,
+  backupCodesSchema,
+  messageSchema,
+  validateResponse
+} from '@/schemas/domain';
 
 // ============================================
 // 2FA STATUS
@@ -14,11 +22,13 @@ import api from './api';
 
 /**
  * Get current 2FA status for authenticated user
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Object>} 2FA status including enabled, verified, backup codes count
  */
-export const get2FAStatus = async () => {
-  const response = await api.get('/2fa/status/');
-  return response.data;
+export const get2FAStatus = async ({ signal } = {}) => {
+  const response = await api.get('/2fa/status/', { signal });
+  return validateResponse(twoFactorStatusSchema, response);
 };
 
 // ============================================
@@ -31,7 +41,7 @@ export const get2FAStatus = async () => {
  */
 export const setup2FA = async () => {
   const response = await api.post('/2fa/setup/');
-  return response.data;
+  return validateResponse(twoFactorSetupSchema, response);
 };
 
 /**
@@ -41,7 +51,7 @@ export const setup2FA = async () => {
  */
 export const confirm2FA = async (code) => {
   const response = await api.post('/2fa/confirm/', { code });
-  return response.data;
+  return validateResponse(messageSchema, response);
 };
 
 // ============================================
@@ -55,7 +65,7 @@ export const confirm2FA = async (code) => {
  */
 export const verify2FA = async (code) => {
   const response = await api.post('/2fa/verify/', { code });
-  return response.data;
+  return validateResponse(twoFactorVerifySchema, response);
 };
 
 // ============================================
@@ -70,7 +80,7 @@ export const verify2FA = async (code) => {
  */
 export const disable2FA = async (code, password) => {
   const response = await api.post('/2fa/disable/', { code, password });
-  return response.data;
+  return validateResponse(messageSchema, response);
 };
 
 /**
@@ -80,7 +90,7 @@ export const disable2FA = async (code, password) => {
  */
 export const regenerateBackupCodes = async (code) => {
   const response = await api.post('/2fa/backup-codes/regenerate/', { code });
-  return response.data;
+  return validateResponse(backupCodesSchema, response);
 };
 
 // ============================================
@@ -8,6 +8,15 @@
  */
 
 import api from './api';
+import {
+  DELIVERY_STATUS,
+  webhookSchema,
+  webhookDeliverySchema,
+  webhookEventsSchema,
+  messageSchema,
+  paginated,
+  validateResponse
+} from '@/schemas/domain';
 
 // ============================================
 // WEBHOOK ENDPOINT OPERATIONS
@@ -17,21 +26,25 @@ import api from './api';
  * List all webhook endpoints for the authenticated user
  * @param {Object} [params] - Query parameters
  * @param {boolean} [params.is_active] - Filter by active status
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Object>} Paginated list of webhooks
  */
-export const getWebhooks = async (params = {}) => {
-  const response = await api.get('/webhooks/endpoints/', { params });
-  return response.data;
+export const getWebhooks = async (params = {}, { signal } = {}) => {
+  const response = await api.get('/webhooks/endpoints/', { params, signal });
+  return validateResponse(paginated(webhookSchema), response);
 };
 
 /**
  * Get a specific webhook endpoint by ID
  * @param {number} id - Webhook endpoint ID
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Object>} Webhook details
  */
-export const getWebhook = async (id) => {
-  const response = await api.get(`/webhooks/endpoints/${id}/`);
-  return response.data;
+export const getWebhook = async (id, { signal } = {}) => {
+  const response = await api.get(`/webhooks/endpoints/${id}/`, { signal });
+  return validateResponse(webhookSchema, response);
 };
 
 /**
@@ -45,7 +58,7 @@ export const getWebhook = async (id) => {
  */
 export const createWebhook = async (data) => {
   const response = await api.post('/webhooks/endpoints/', data);
-  return response.data;
+  return validateResponse(webhookSchema, response);
 };
 
 /**
@@ -56,7 +69,7 @@ export const createWebhook = async (data) => {
  */
 export const updateWebhook = async (id, data) => {
   const response = await api.put(`/webhooks/endpoints/${id}/`, data);
-  return response.data;
+  return validateResponse(webhookSchema, response);
 };
 
 /**
@@ -67,7 +80,7 @@ export const updateWebhook = async (id, data) => {
  */
 export const patchWebhook = async (id, data) => {
   const response = await api.patch(`/webhooks/endpoints/${id}/`, data);
-  return response.data;
+  return validateResponse(webhookSchema, response);
 };
 
 /**
@@ -90,7 +103,7 @@ export const deleteWebhook = async (id) => {
  */
 export const testWebhook = async (id) => {
   const response = await api.post(`/webhooks/endpoints/${id}/test/`);
-  return response.data;
+  return validateResponse(messageSchema, response);
 };
 
 // ============================================
@@ -104,7 +117,7 @@ export const testWebhook = async (id) => {
  */
 export const regenerateSecret = async (id) => {
   const response = await api.post(`/webhooks/endpoints/${id}/regenerate_secret/`);
-  return response.data;
+  return validateResponse(messageSchema, response);
 };
 
 // ============================================
@@ -115,23 +128,27 @@ export const regenerateSecret = async (id) => {
  * List webhook delivery attempts
  * @param {Object} [params] - Query parameters
  * @param {number} [params.endpoint] - Filter by endpoint ID
- * @param {string} [params.status] - Filter by status (success/failure)
+ * @param {string} [params.status] - Filter by status (pending, success, failed, retrying)
  * @param {string} [params.event_type] - Filter by event type
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Object>} Paginated list of deliveries
  */
-export const getDeliveries = async (params = {}) => {
-  const response = await api.get('/webhooks/deliveries/', { params });
-  return response.data;
+export const getDeliveries = async (params = {}, { signal } = {}) => {
+  const response = await api.get('/webhooks/deliveries/', { params, signal });
+  return validateResponse(paginated(webhookDeliverySchema), response);
 };
 
 /**
  * Get a specific delivery attempt details
  * @param {string} id - Delivery UUID
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Object>} Delivery details
  */
-export const getDelivery = async (id) => {
-  const response = await api.get(`/webhooks/deliveries/${id}/`);
-  return response.data;
+export const getDelivery = async (id, { signal } = {}) => {
+  const response = await api.get(`/webhooks/deliveries/${id}/`, { signal });
+  return validateResponse(webhookDeliverySchema, response);
 };
 
 /**
@@ -141,7 +158,7 @@ export const getDelivery = async (id) => {
  */
 export const retryDelivery = async (id) => {
   const response = await api.post(`/webhooks/deliveries/${id}/retry/`);
-  return response.data;
+  return validateResponse(messageSchema, response);
 };
 
 // ============================================
@@ -150,11 +167,13 @@ export const retryDelivery = async (id) => {
 
 /**
  * Get available webhook event types
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Array>} List of event types
  */
-export const getEventTypes = async () => {
-  const response = await api.get('/webhooks/endpoints/events/');
-  return response.data;
+export const getEventTypes = async ({ signal } = {}) => {
+  const response = await api.get('/webhooks/endpoints/events/', { signal });
+  return validateResponse(webhookEventsSchema, response);
 };
 
 // ============================================
@@ -200,30 +219,7 @@ export const validateWebhookUrl = (url) => {
  * @param {string} status - Status code
  * @returns {Object} Display info
  */
-export const formatDeliveryStatus = (status) => {
-  const statusMap = {
-    success: {
-      label: 'Success',
-      color: 'text-emerald-600',
-      bg: 'bg-emerald-100',
-      icon: '✓'
-    },
-    failure: {
-      label: 'Failed',
-      color: 'text-rose-600',
-      bg: 'bg-rose-100',
-      icon: '✗'
-    },
-    pending: {
-      label: 'Pending',
-      color: 'text-amber-600',
-      bg: 'bg-amber-100',
-      icon: '⋯'
-    }
-  };
-  
-  return statusMap[status] || statusMap.pending;
-};
+export const formatDeliveryStatus = (status) => DELIVERY_STATUS.get(status);
 
 // Export as default object for consistency
 export default {
@@ -17,6 +17,9 @@ const useAuthStore = create(
 
             setUser: (user) => set({ user }),
 
+            // Clears this session locally; other tabs follow via services/authSync.
+            // Signing out from the UI goes through authService.logout, which also
+            // blacklists the refresh token on the server.
             logout: () => set({
                 user: null,
                 accessToken: null,
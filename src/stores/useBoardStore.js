@@ -0,0 +1,29 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import { TERMINAL_STATUSES } from '@/services/applicationService'
+
+/**
+ * Pipeline board preferences: per-column WIP limits and collapsed columns.
+ * Terminal columns start collapsed so the active pipeline gets the space.
+ */
+const useBoardStore = create(
+    persist(
+        (set) => ({
+            wipLimits: {},
+            collapsed: Object.fromEntries(TERMINAL_STATUSES.map((status) => [status, true])),
+
+            setWipLimit: (status, limit) => set((state) => ({
+                wipLimits: { ...state.wipLimits, [status]: limit > 0 ? limit : null }
+            })),
+
+            toggleCollapsed: (status) => set((state) => ({
+                collapsed: { ...state.collapsed, [status]: !state.collapsed[status] }
+            })),
+        }),
+        {
+            name: 'board-preferences', // local storage key
+        }
+    )
+)
+
+export default useBoardStore
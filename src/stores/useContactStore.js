@@ -0,0 +1,58 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import { userScopedStorage, scopeToUser } from '@/utils/userScopedStorage'
+
+/**
+ * Contacts, the applications/interviews they are linked to, and the
+ * interaction log. The API has no contacts resource yet (see
+ * docs/PROPOSED_API.md), so this store keeps them per user and backs
+ * services/contactService.
+ */
+const useContactStore = create(
+    persist(
+        (set) => ({
+            contacts: [],
+            links: [], // { id, contact_id, type: 'application'|'interview', target_id, role, label, created_at }
+            interactions: [], // { id, contact_id, type, date, summary, created_at }
+
+            addContact: (contact) => set((state) => ({ contacts: [...state.contacts, contact] })),
+
+            updateContact: (id, changes) => set((state) => ({
+                contacts: state.contacts.map((contact) => contact.id === id ? { ...contact, ...changes } : contact)
+            })),
+
+            // Removes the contact along with its links and interactions
+            removeContact: (id) => set((state) => ({
+                contacts: state.contacts.filter((contact) => contact.id !== id),
+                links: state.links.filter((link) => link.contact_id !== id),
+                interactions: state.interactions.filter((interaction) => interaction.contact_id !== id),
+            })),
+
+            addLink: (link) => set((state) => ({ links: [...state.links, link] })),
+
+            removeLinks: (predicate) => set((state) => ({
+                links: state.links.filter((link) => !predicate(link))
+            })),
+
+            updateLinks: (predicate, changes) => set((state) => ({
+                links: state.links.map((link) => predicate(link) ? { ...link, ...changes } : link)
+            })),
+
+            addInteraction: (interaction) => set((state) => ({
+                interactions: [...state.interactions, interaction]
+            })),
+
+            removeInteraction: (id) => set((state) => ({
+                interactions: state.interactions.filter((interaction) => interaction.id !== id)
+            })),
+        }),
+        {
+            name: 'contacts', // local storage key, suffixed with the user id
+            storage: userScopedStorage,
+        }
+    )
+)
+
+scopeToUser(useContactStore)
+
+export default useContactStore
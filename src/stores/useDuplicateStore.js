@@ -0,0 +1,30 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import { pairKey } from '@/utils/duplicateDetection'
+
+/**
+ * Application pairs the user marked as "not duplicates",
+ * so the duplicate finder stops suggesting them
+ */
+const useDuplicateStore = create(
+    persist(
+        (set) => ({
+            ignoredPairs: [],
+
+            ignoreGroup: (ids) => set((state) => {
+                const pairs = new Set(state.ignoredPairs)
+                ids.forEach((idA, index) => {
+                    ids.slice(index + 1).forEach((idB) => pairs.add(pairKey(idA, idB)))
+                })
+                return { ignoredPairs: [...pairs] }
+            }),
+
+            clearIgnored: () => set({ ignoredPairs: [] }),
+        }),
+        {
+            name: 'duplicate-preferences', // local storage key
+        }
+    )
+)
+
+export default useDuplicateStore
@@ -0,0 +1,57 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import { userScopedStorage, scopeToUser } from '@/utils/userScopedStorage'
+import { DEFAULT_CRITERIA } from '@/utils/offerComparison'
+
+const criterionId = () => `custom-${Date.now()}`
+
+/**
+ * Offer details and comparison scoring.
+ * The API only stores a salary range per application, so the structured
+ * offer (bonus, equity, benefits...) and the user's ratings are kept here.
+ */
+const useOfferStore = create(
+    persist(
+        (set) => ({
+            offers: {}, // { [applicationId]: { base_salary, bonus_percent, ... } }
+            ratings: {}, // { [applicationId]: { [criterionId]: 1-5 } }
+            criteria: DEFAULT_CRITERIA,
+
+            setOfferField: (applicationId, key, value) => set((state) => ({
+                offers: {
+                    ...state.offers,
+                    [applicationId]: { ...state.offers[applicationId], [key]: value }
+                }
+            })),
+
+            setRating: (applicationId, id, rating) => set((state) => ({
+                ratings: {
+                    ...state.ratings,
+                    [applicationId]: { ...state.ratings[applicationId], [id]: rating }
+                }
+            })),
+
+            addCriterion: (label) => set((state) => ({
+                criteria: [...state.criteria, { id: criterionId(), label, weight: 3 }]
+            })),
+
+            updateCriterion: (id, changes) => set((state) => ({
+                criteria: state.criteria.map((criterion) => criterion.id === id ? { ...criterion, ...changes } : criterion)
+            })),
+
+            removeCriterion: (id) => set((state) => ({
+                criteria: state.criteria.filter((criterion) => criterion.id !== id)
+            })),
+
+            resetCriteria: () => set({ criteria: DEFAULT_CRITERIA }),
+        }),
+        {
+            name: 'offer-comparison', // local storage key, suffixed with the user id
+            storage: userScopedStorage,
+        }
+    )
+)
+
+scopeToUser(useOfferStore)
+
+export default useOfferStore
@@ -0,0 +1,58 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+
+// Replace every occurrence of a temporary id, including inside payloads
+const replaceId = (value, fromId, toId) => {
+    if (value === fromId) return toId
+    if (Array.isArray(value)) return value.map((item) => replaceId(item, fromId, toId))
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replaceId(item, fromId, toId)]))
+    }
+    return value
+}
+
+/**
+ * Writes made while offline, replayed in order once the connection returns.
+ * Entries are { id, key, args, entity, kind, targetId, parentId, label,
+ * baseUpdatedAt, status: 'pending'|'conflict'|'failed', error, createdAt }.
+ */
+const useOfflineQueueStore = create(
+    persist(
+        (set) => ({
+            queue: [],
+            isSyncing: false,
+
+            enqueue: (entry) => set((state) => ({ queue: [...state.queue, entry] })),
+
+            updateEntry: (id, changes) => set((state) => ({
+                queue: state.queue.map((entry) => entry.id === id ? { ...entry, ...changes } : entry)
+            })),
+
+            updateEntries: (predicate, changes) => set((state) => ({
+                queue: state.queue.map((entry) => predicate(entry) ? { ...entry, ...changes } : entry)
+            })),
+
+            removeEntry: (id) => set((state) => ({ queue: state.queue.filter((entry) => entry.id !== id) })),
+
+            // Point queued work at the real id once an offline create has synced
+            replaceTempId: (tempId, realId) => set((state) => ({
+                queue: state.queue.map((entry) => ({
+                    ...entry,
+                    args: replaceId(entry.args, tempId, realId),
+                    targetId: entry.targetId === tempId ? realId : entry.targetId,
+                    parentId: entry.parentId === tempId ? realId : entry.parentId,
+                }))
+            })),
+
+            setSyncing: (isSyncing) => set({ isSyncing }),
+
+            clearQueue: () => set({ queue: [] }),
+        }),
+        {
+            name: 'offline-queue', // local storage key
+            partialize: (state) => ({ queue: state.queue }),
+        }
+    )
+)
+
+export default useOfflineQueueStore
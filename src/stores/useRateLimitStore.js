@@ -0,0 +1,46 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import { userScopedStorage, scopeToUser } from '@/utils/userScopedStorage'
+
+// Documented default for AI generation endpoints, used until the API reports one
+export const AI_HOURLY_LIMIT = 20
+
+/**
+ * Latest X-RateLimit-* values seen per bucket ('general' or 'ai').
+ * Each entry is { limit, remaining, reset } with reset in epoch ms.
+ */
+const useRateLimitStore = create(
+    persist(
+        (set) => ({
+            buckets: {},
+
+            recordLimit: (bucket, info) => set((state) => ({
+                buckets: { ...state.buckets, [bucket]: { ...state.buckets[bucket], ...info } }
+            })),
+        }),
+        {
+            name: 'rate-limits', // local storage key, suffixed with the user id
+            storage: userScopedStorage,
+        }
+    )
+)
+
+scopeToUser(useRateLimitStore)
+
+/**
+ * Budget for a bucket as of `now`; a window that has already reset counts as full
+ * @param {{limit?: number, remaining?: number, reset?: number}} [entry]
+ * @param {number} now - Epoch ms
+ * @param {number} [fallbackLimit]
+ * @returns {{limit: number, remaining: number, reset: number|null}|null}
+ */
+export const getBudget = (entry, now, fallbackLimit) => {
+    const limit = entry?.limit ?? fallbackLimit
+    if (limit == null) return null
+    if (!entry || entry.remaining == null || (entry.reset && entry.reset <= now)) {
+        return { limit, remaining: limit, reset: null }
+    }
+    return { limit, remaining: entry.remaining, reset: entry.reset ?? null }
+}
+
+export default useRateLimitStore
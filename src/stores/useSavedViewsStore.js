@@ -0,0 +1,46 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+
+/**
+ * Saved application views
+ * A view is a named filter query string; pinned views appear in the sidebar.
+ */
+const useSavedViewsStore = create(
+    persist(
+        (set) => ({
+            views: [],
+
+            saveView: (name, query, pinned = false) => set((state) => ({
+                views: [...state.views, { id: Date.now(), name, query, pinned }]
+            })),
+
+            renameView: (id, name) => set((state) => ({
+                views: state.views.map((view) => view.id === id ? { ...view, name } : view)
+            })),
+
+            togglePinned: (id) => set((state) => ({
+                views: state.views.map((view) => view.id === id ? { ...view, pinned: !view.pinned } : view)
+            })),
+
+            deleteView: (id) => set((state) => ({
+                views: state.views.filter((view) => view.id !== id)
+            })),
+
+            // Moves a view to the position currently held by another one
+            moveView: (id, targetId) => set((state) => {
+                const from = state.views.findIndex((view) => view.id === id)
+                const to = state.views.findIndex((view) => view.id === targetId)
+                if (from === -1 || to === -1 || from === to) return state
+                const views = [...state.views]
+                const [moved] = views.splice(from, 1)
+                views.splice(to, 0, moved)
+                return { views }
+            }),
+        }),
+        {
+            name: 'saved-views', // local storage key
+        }
+    )
+)
+
+export default useSavedViewsStore
@@ -0,0 +1,33 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+
+/**
+ * Idle lock settings and state, shared by every tab through localStorage
+ * (see services/sessionLock)
+ */
+const useSessionLockStore = create(
+    persist(
+        (set) => ({
+            // 0 turns the lock off
+            lockAfterMinutes: 15,
+            signOutAfterMinutes: 60,
+            lastActiveAt: Date.now(),
+            lockedAt: null,
+
+            recordActivity: () => set({ lastActiveAt: Date.now() }),
+
+            lock: (at = Date.now()) => set((state) => (state.lockedAt ? state : { lockedAt: at })),
+
+            unlock: () => set({ lockedAt: null, lastActiveAt: Date.now() }),
+
+            setLockAfterMinutes: (minutes) => set({ lockAfterMinutes: minutes }),
+
+            setSignOutAfterMinutes: (minutes) => set({ signOutAfterMinutes: minutes }),
+        }),
+        {
+            name: 'session-lock', // local storage key
+        }
+    )
+)
+
+export default useSessionLockStore
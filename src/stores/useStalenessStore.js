@@ -0,0 +1,23 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import { DEFAULT_STALENESS_RULE } from '@/utils/staleness'
+
+/**
+ * Staleness rule used to flag applications with no response
+ */
+const useStalenessStore = create(
+    persist(
+        (set) => ({
+            rule: DEFAULT_STALENESS_RULE,
+
+            setRule: (changes) => set((state) => ({ rule: { ...state.rule, ...changes } })),
+
+            resetRule: () => set({ rule: DEFAULT_STALENESS_RULE }),
+        }),
+        {
+            name: 'staleness-rule', // local storage key
+        }
+    )
+)
+
+export default useStalenessStore
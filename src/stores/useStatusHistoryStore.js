@@ -0,0 +1,105 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import { userScopedStorage, scopeToUser } from '@/utils/userScopedStorage'
+
+const entryId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+
+const byDate = (a, b) => new Date(a.at) - new Date(b.at)
+
+/**
+ * Best guess at an application's history before any transitions were recorded:
+ * applied on `applied_date`, then in its current status since the last update
+ * @param {Object} application
+ * @returns {Array<{id: string, status: string, at: string, inferred: boolean}>}
+ */
+export const initialTransitions = (application) => {
+    const { status, applied_date, created_at, updated_at } = application
+    const transitions = []
+
+    if (status === 'wishlist') {
+        transitions.push({ status, at: created_at })
+    } else {
+        if (applied_date) transitions.push({ status: 'applied', at: applied_date })
+        if (status !== 'applied' || !applied_date) {
+            transitions.push({ status, at: status === 'applied' ? created_at : updated_at || created_at })
+        }
+    }
+
+    return transitions
+        .filter((transition) => transition.at)
+        .map((transition, index) => ({ ...transition, id: `inferred-${index}`, inferred: true }))
+}
+
+/**
+ * Status transition history per application.
+ * The API only stores the current status, so every change made from this
+ * client is recorded here as { id, status, at } entries sorted by date.
+ * Kept per user, since application ids are only unique within an account.
+ */
+const useStatusHistoryStore = create(
+    persist(
+        (set, get) => ({
+            history: {},
+
+            hasHistory: (applicationId) => (get().history[applicationId]?.length ?? 0) > 0,
+
+            // Starts an application's history from what the server already knows
+            seedHistory: (applicationId, transitions) => set((state) => ({
+                history: {
+                    ...state.history,
+                    [applicationId]: transitions.map(({ status, at }) => ({ id: entryId(), status, at })).sort(byDate)
+                }
+            })),
+
+            // Records a status change; repeated saves of the same status are ignored
+            recordTransition: (applicationId, status, at = new Date().toISOString()) => set((state) => {
+                const entries = state.history[applicationId] || []
+                if (entries[entries.length - 1]?.status === status) return state
+                return {
+                    history: {
+                        ...state.history,
+                        [applicationId]: [...entries, { id: entryId(), status, at }].sort(byDate)
+                    }
+                }
+            }),
+
+            // Backfills a transition that happened before it was tracked
+            addTransition: (applicationId, status, at) => set((state) => ({
+                history: {
+                    ...state.history,
+                    [applicationId]: [...(state.history[applicationId] || []), { id: entryId(), status, at }].sort(byDate)
+                }
+            })),
+
+            updateTransitionDate: (applicationId, id, at) => set((state) => ({
+                history: {
+                    ...state.history,
+                    [applicationId]: (state.history[applicationId] || [])
+                        .map((entry) => entry.id === id ? { ...entry, at } : entry)
+                        .sort(byDate)
+                }
+            })),
+
+            removeTransition: (applicationId, id) => set((state) => ({
+                history: {
+                    ...state.history,
+                    [applicationId]: (state.history[applicationId] || []).filter((entry) => entry.id !== id)
+                }
+            })),
+
+            clearHistory: (applicationId) => set((state) => {
+                const history = { ...state.history }
+                delete history[applicationId]
+                return { history }
+            }),
+        }),
+        {
+            name: 'status-history', // local storage key, suffixed with the user id
+            storage: userScopedStorage,
+        }
+    )
+)
+
+scopeToUser(useStatusHistoryStore)
+
+export default useStatusHistoryStore
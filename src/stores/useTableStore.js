@@ -0,0 +1,33 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+
+export const DEFAULT_TABLE_COLUMNS = [
+    'company_name', 'status', 'priority', 'work_type', 'location', 'salary', 'applied_date', 'updated_at'
+]
+
+/**
+ * Application table preferences: visible columns and sort order
+ */
+const useTableStore = create(
+    persist(
+        (set) => ({
+            visibleColumns: DEFAULT_TABLE_COLUMNS,
+            ordering: '',
+
+            toggleColumn: (key) => set((state) => ({
+                visibleColumns: state.visibleColumns.includes(key)
+                    ? state.visibleColumns.filter((column) => column !== key)
+                    : [...state.visibleColumns, key]
+            })),
+
+            resetColumns: () => set({ visibleColumns: DEFAULT_TABLE_COLUMNS }),
+
+            setOrdering: (ordering) => set({ ordering }),
+        }),
+        {
+            name: 'application-table', // local storage key
+        }
+    )
+)
+
+export default useTableStore
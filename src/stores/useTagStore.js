@@ -0,0 +1,63 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import { userScopedStorage, scopeToUser } from '@/utils/userScopedStorage'
+
+/**
+ * Tags and which applications carry them.
+ * The API has no tag resource yet (see docs/PROPOSED_API.md), so tags live
+ * here, per user, and are read and written through services/tagService.
+ */
+const useTagStore = create(
+    persist(
+        (set) => ({
+            tags: [],
+            assignments: {}, // { [applicationId]: tagId[] }
+
+            addTag: (tag) => set((state) => ({ tags: [...state.tags, tag] })),
+
+            updateTag: (id, changes) => set((state) => ({
+                tags: state.tags.map((tag) => tag.id === id ? { ...tag, ...changes } : tag)
+            })),
+
+            // Drops the tags and strips them from every application
+            removeTags: (ids) => set((state) => ({
+                tags: state.tags.filter((tag) => !ids.includes(tag.id)),
+                assignments: Object.fromEntries(
+                    Object.entries(state.assignments).map(([applicationId, tagIds]) => [
+                        applicationId,
+                        tagIds.filter((tagId) => !ids.includes(tagId))
+                    ])
+                )
+            })),
+
+            // Re-points every application tagged with a source tag to the target
+            reassignTags: (sourceIds, targetId) => set((state) => ({
+                assignments: Object.fromEntries(
+                    Object.entries(state.assignments).map(([applicationId, tagIds]) => {
+                        if (!tagIds.some((tagId) => sourceIds.includes(tagId))) return [applicationId, tagIds]
+                        const next = tagIds.filter((tagId) => !sourceIds.includes(tagId))
+                        return [applicationId, next.includes(targetId) ? next : [...next, targetId]]
+                    })
+                )
+            })),
+
+            setAssignments: (applicationId, tagIds) => set((state) => ({
+                assignments: { ...state.assignments, [applicationId]: tagIds }
+            })),
+
+            clearAssignments: (applicationId) => set((state) => {
+                const assignments = { ...state.assignments }
+                delete assignments[applicationId]
+                return { assignments }
+            }),
+        }),
+        {
+            name: 'tags', // local storage key, suffixed with the user id
+            storage: userScopedStorage,
+        }
+    )
+)
+
+scopeToUser(useTagStore)
+
+export default useTagStore
@@ -0,0 +1,176 @@
+import {
+    STATUS_OPTIONS, PRIORITY_OPTIONS, WORK_TYPE_OPTIONS, SOURCE_OPTIONS
+} from '@/services/applicationService'
+import useTagStore from '@/stores/useTagStore'
+
+/**
+ * Application filter definitions
+ * Filters marked `server` map 1:1 to query params the list endpoint supports.
+ * The rest have a `match` predicate and are applied client-side.
+ * Every key doubles as the URL query-string parameter, so views are shareable.
+ */
+export const APPLICATION_FILTERS = [
+    { key: 'search', label: 'Search', type: 'text', server: true },
+    { key: 'status', label: 'Status', type: 'select', options: STATUS_OPTIONS, server: true },
+    { key: 'priority', label: 'Priority', type: 'select', options: PRIORITY_OPTIONS, server: true },
+    { key: 'work_type', label: 'Work Type', type: 'select', options: WORK_TYPE_OPTIONS, server: true },
+    { key: 'source', label: 'Source', type: 'select', options: SOURCE_OPTIONS, server: true },
+    {
+        key: 'salary_min',
+        label: 'Salary at least',
+        type: 'number',
+        match: (app, value) => salaryCeiling(app) !== null && salaryCeiling(app) >= Number(value)
+    },
+    {
+        key: 'salary_max',
+        label: 'Salary at most',
+        type: 'number',
+        match: (app, value) => salaryFloor(app) !== null && salaryFloor(app) <= Number(value)
+    },
+    {
+        key: 'applied_from',
+        label: 'Applied from',
+        type: 'date',
+        match: (app, value) => !!app.applied_date && app.applied_date >= value
+    },
+    {
+        key: 'applied_to',
+        label: 'Applied to',
+        type: 'date',
+        match: (app, value) => !!app.applied_date && app.applied_date <= value
+    },
+    {
+        key: 'response_from',
+        label: 'Response from',
+        type: 'date',
+        match: (app, value) => !!app.response_date && app.response_date >= value
+    },
+    {
+        key: 'response_to',
+        label: 'Response to',
+        type: 'date',
+        match: (app, value) => !!app.response_date && app.response_date <= value
+    },
+    {
+        key: 'has_response',
+        label: 'Response',
+        type: 'select',
+        options: [
+            { value: 'true', label: 'Has response' },
+            { value: 'false', label: 'No response yet' },
+        ],
+        match: (app, value) => hasResponse(app) === (value === 'true')
+    },
+    {
+        key: 'days_min',
+        label: 'Days since applied ≥',
+        type: 'number',
+        match: (app, value) => app.days_since_applied != null && app.days_since_applied >= Number(value)
+    },
+    {
+        key: 'days_max',
+        label: 'Days since applied ≤',
+        type: 'number',
+        match: (app, value) => app.days_since_applied != null && app.days_since_applied <= Number(value)
+    },
+    {
+        // Comma-separated tag ids; an application must carry every one
+        key: 'tags',
+        label: 'Tags',
+        type: 'tags',
+        match: (app, value) => {
+            const tagIds = (useTagStore.getState().assignments[app.id] || []).map(String)
+            return value.split(',').every((id) => tagIds.includes(id))
+        },
+        describe: (value) => {
+            const { tags } = useTagStore.getState()
+            return value.split(',')
+                .map((id) => tags.find((tag) => String(tag.id) === id)?.name)
+                .filter(Boolean)
+                .join(', ')
+        }
+    },
+]
+
+const FILTERS_BY_KEY = Object.fromEntries(APPLICATION_FILTERS.map((filter) => [filter.key, filter]))
+
+function salaryFloor(app) {
+    return app.salary_min ?? app.salary_max ?? null
+}
+
+function salaryCeiling(app) {
+    return app.salary_max ?? app.salary_min ?? null
+}
+
+function hasResponse(app) {
+    return app.has_response ?? !!app.response_date
+}
+
+/**
+ * Read known filters from URL search params, dropping empty values
+ * @param {URLSearchParams} searchParams
+ * @returns {Object.<string, string>}
+ */
+export const parseFilters = (searchParams) => {
+    const filters = {}
+    APPLICATION_FILTERS.forEach(({ key }) => {
+        const value = searchParams.get(key)
+        if (value) filters[key] = value
+    })
+    return filters
+}
+
+/**
+ * Serialize filters back into a query string, in definition order
+ * @param {Object.<string, string>} filters
+ * @returns {string}
+ */
+export const filtersToQueryString = (filters) => {
+    const params = new URLSearchParams()
+    APPLICATION_FILTERS.forEach(({ key }) => {
+        if (filters[key]) params.set(key, filters[key])
+    })
+    return params.toString()
+}
+
+/**
+ * Pick the filters the list endpoint understands
+ * @param {Object.<string, string>} filters
+ * @returns {Object.<string, string>} Query params for applicationService.getApplications
+ */
+export const toApiParams = (filters) => Object.fromEntries(
+    Object.entries(filters).filter(([key]) => FILTERS_BY_KEY[key]?.server)
+)
+
+/**
+ * Whether any active filter has to be evaluated client-side
+ * @param {Object.<string, string>} filters
+ * @returns {boolean}
+ */
+export const hasClientFilters = (filters) => Object.keys(filters).some((key) => FILTERS_BY_KEY[key]?.match)
+
+/**
+ * Test an application against every active client-side filter
+ * @param {Object} application
+ * @param {Object.<string, string>} filters
+ * @returns {boolean}
+ */
+export const matchesClientFilters = (application, filters) => Object.entries(filters).every(([key, value]) => {
+    const filter = FILTERS_BY_KEY[key]
+    return !filter?.match || filter.match(application, value)
+})
+
+/**
+ * Human-readable label for an active filter, used by filter chips
+ * @param {string} key - Filter key
+ * @param {string} value - Filter value
+ * @returns {string}
+ */
+export const describeFilter = (key, value) => {
+    const filter = FILTERS_BY_KEY[key]
+    if (!filter) return `${key}: ${value}`
+    if (key === 'search') return `“${value}”`
+    if (filter.describe) return `${filter.label}: ${filter.describe(value) || value}`
+    const optionLabel = filter.options?.find((option) => option.value === value)?.label
+    return `${filter.label}: ${optionLabel || value}`
+}
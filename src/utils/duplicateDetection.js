@@ -0,0 +1,241 @@
+/**
+ * Duplicate application detection
+ * Fuzzy-matches applications on company name, job title and job URL.
+ * Used both before creating an application and by the "find duplicates" tool.
+ *
+ * @module utils/duplicateDetection
+ */
+
+const COMPANY_SUFFIXES = new Set([
+    'inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company',
+    'gmbh', 'plc', 'ag', 'sa', 'bv', 'pty', 'the',
+])
+
+const TITLE_ABBREVIATIONS = {
+    sr: 'senior',
+    jr: 'junior',
+    snr: 'senior',
+    eng: 'engineer',
+    engr: 'engineer',
+    swe: 'software engineer',
+    sde: 'software engineer',
+    dev: 'developer',
+    mgr: 'manager',
+    pm: 'product manager',
+    fe: 'frontend',
+    be: 'backend',
+    ml: 'machine learning',
+}
+
+// Titles that differ only by level are different roles ("Senior" vs "Staff" Engineer)
+const SENIORITY_WORDS = new Set([
+    'intern', 'junior', 'associate', 'mid', 'senior', 'staff', 'principal', 'lead', 'head', 'director',
+    'vp', 'chief', 'i', 'ii', 'iii', 'iv', 'v', '1', '2', '3', '4', '5',
+])
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|ref|refid|source|src|gh_src|trk|trackingid|lever-source|lipi|from)$/i
+
+// Fields copied onto the kept record when it has no value of its own
+const MERGEABLE_FIELDS = [
+    'job_url', 'job_description', 'location', 'salary_min', 'salary_max', 'source', 'referrer_name',
+    'cover_letter', 'resume_version', 'applied_date', 'response_date', 'next_action', 'next_action_date',
+]
+
+const COMPANY_THRESHOLD = 0.85
+const TITLE_THRESHOLD = 0.75
+
+/**
+ * @typedef {Object} DuplicateMatch
+ * @property {Object} application - The existing application
+ * @property {number} score - Similarity between 0 and 1
+ * @property {string[]} reasons - Human readable match reasons
+ */
+
+/**
+ * Find existing applications that look like the candidate
+ * @param {Object} candidate - Form values (company_name, job_title, job_url)
+ * @param {Object[]} applications - Existing applications
+ * @param {Object} [options]
+ * @param {number|string} [options.excludeId] - Ignore this application (e.g. when editing)
+ * @returns {DuplicateMatch[]} Best matches first
+ */
+export const findDuplicates = (candidate, applications, { excludeId } = {}) => {
+    const prepared = prepare(candidate)
+    return applications
+        .filter((application) => String(application.id) !== String(excludeId))
+        .map((application) => ({ application, ...compare(prepared, prepare(application)) }))
+        .filter((match) => match.score > 0)
+        .sort((a, b) => b.score - a.score)
+}
+
+/**
+ * Group applications that look like the same role
+ * @param {Object[]} applications
+ * @param {Function} [isIgnored] - (idA, idB) => boolean, for pairs marked "not duplicates"
+ * @returns {Array<{applications: Object[], reasons: string[], score: number}>} Largest groups first
+ */
+export const findDuplicateGroups = (applications, isIgnored = () => false) => {
+    const prepared = applications.map(prepare)
+    const parent = applications.map((_, index) => index)
+    const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])))
+    const matches = new Map()
+
+    for (let i = 0; i < prepared.length; i++) {
+        for (let j = i + 1; j < prepared.length; j++) {
+            if (isIgnored(applications[i].id, applications[j].id)) continue
+            const match = compare(prepared[i], prepared[j])
+            if (match.score === 0) continue
+            parent[find(j)] = find(i)
+            matches.set(`${i}:${j}`, match)
+        }
+    }
+
+    const groups = new Map()
+    applications.forEach((application, index) => {
+        const root = find(index)
+        if (!groups.has(root)) groups.set(root, { applications: [], reasons: new Set(), score: 0 })
+        groups.get(root).applications.push(application)
+    })
+    matches.forEach((match, key) => {
+        const group = groups.get(find(Number(key.split(':')[0])))
+        match.reasons.forEach((reason) => group.reasons.add(reason))
+        group.score = Math.max(group.score, match.score)
+    })
+
+    return [...groups.values()]
+        .filter((group) => group.applications.length > 1)
+        .map((group) => ({ ...group, reasons: [...group.reasons] }))
+        .sort((a, b) => b.applications.length - a.applications.length || b.score - a.score)
+}
+
+/**
+ * Build the patch that fills the kept record's empty fields from a duplicate
+ * @param {Object} primary - Application being kept
+ * @param {Object} duplicate - Application (or form values) being merged in
+ * @returns {Object} Fields to PATCH onto the primary
+ */
+export const mergeApplicationFields = (primary, duplicate) => {
+    const isEmpty = (value) => value === undefined || value === null || value === ''
+    return Object.fromEntries(
+        MERGEABLE_FIELDS
+            .filter((field) => isEmpty(primary[field]) && !isEmpty(duplicate[field]))
+            .map((field) => [field, duplicate[field]])
+    )
+}
+
+/**
+ * Stable key for a pair of application ids, regardless of order
+ * @param {number|string} idA
+ * @param {number|string} idB
+ * @returns {string}
+ */
+export const pairKey = (idA, idB) => [String(idA), String(idB)].sort().join(':')
+
+// ============================================
+// NORMALIZATION & SCORING
+// ============================================
+
+function prepare(application) {
+    const company = normalizeCompany(application.company_name)
+    const title = normalizeTitle(application.job_title)
+    return {
+        company,
+        companyBigrams: bigrams(company),
+        title,
+        titleTokens: new Set(title.split(' ').filter(Boolean)),
+        seniority: title.split(' ').filter((word) => SENIORITY_WORDS.has(word)).sort().join(' '),
+        titleBigrams: bigrams(title),
+        url: normalizeUrl(application.job_url),
+    }
+}
+
+function compare(a, b) {
+    if (a.url && a.url === b.url) {
+        return { score: 1, reasons: ['Same job URL'] }
+    }
+    if (!a.company || !b.company || !a.title || !b.title) return { score: 0, reasons: [] }
+
+    const companyScore = a.company === b.company ? 1 : dice(a.companyBigrams, b.companyBigrams)
+    if (companyScore < COMPANY_THRESHOLD) return { score: 0, reasons: [] }
+    if (a.seniority !== b.seniority) return { score: 0, reasons: [] }
+
+    const titleScore = a.title === b.title
+        ? 1
+        : Math.max(dice(a.titleBigrams, b.titleBigrams), tokenOverlap(a.titleTokens, b.titleTokens))
+    if (titleScore < TITLE_THRESHOLD) return { score: 0, reasons: [] }
+
+    return {
+        score: (companyScore + titleScore) / 2,
+        reasons: [
+            companyScore === 1 ? 'Same company' : 'Similar company name',
+            titleScore === 1 ? 'Same job title' : 'Similar job title',
+        ],
+    }
+}
+
+function normalizeCompany(name) {
+    return (name || '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter((word) => word && !COMPANY_SUFFIXES.has(word))
+        .join(' ')
+}
+
+function normalizeTitle(title) {
+    return (title || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((word) => TITLE_ABBREVIATIONS[word] || word)
+        .join(' ')
+}
+
+function normalizeUrl(url) {
+    if (!url) return ''
+    try {
+        const parsed = new URL(url.trim())
+        const params = [...parsed.searchParams.entries()]
+            .filter(([key]) => !TRACKING_PARAMS.test(key))
+            .sort(([a], [b]) => a.localeCompare(b))
+        const query = new URLSearchParams(params).toString()
+        const host = parsed.hostname.toLowerCase().replace(/^www\./, '')
+        return `${host}${parsed.pathname.replace(/\/+$/, '')}${query ? `?${query}` : ''}`
+    } catch {
+        return url.trim().toLowerCase()
+    }
+}
+
+function bigrams(value) {
+    const compacted = value.replace(/\s+/g, '')
+    const result = new Map()
+    for (let i = 0; i < compacted.length - 1; i++) {
+        const gram = compacted.slice(i, i + 2)
+        result.set(gram, (result.get(gram) || 0) + 1)
+    }
+    return result
+}
+
+// Sørensen–Dice coefficient over character bigrams
+function dice(a, b) {
+    let total = 0
+    let overlap = 0
+    a.forEach((count, gram) => {
+        total += count
+        overlap += Math.min(count, b.get(gram) || 0)
+    })
+    b.forEach((count) => { total += count })
+    return total === 0 ? 0 : (2 * overlap) / total
+}
+
+// Share of the shorter title's words found in the longer one ("Engineer" vs "Senior Engineer" is not enough)
+function tokenOverlap(a, b) {
+    const [shorter, longer] = a.size <= b.size ? [a, b] : [b, a]
+    if (shorter.size < 2) return 0
+    let shared = 0
+    shorter.forEach((token) => { if (longer.has(token)) shared++ })
+    return (shared / shorter.size) * (shorter.size / longer.size) ** 0.25
+}
@@ -0,0 +1,55 @@
+/**
+ * IndexedDB storage
+ * Minimal promise-based key-value store for data too large for localStorage.
+ *
+ * @module utils/idbStorage
+ */
+
+const DB_NAME = 'syncq'
+const STORE_NAME = 'keyval'
+
+let dbPromise = null
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1)
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME)
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => reject(request.error)
+        })
+        // Allow a later call to retry if opening failed, e.g. in private browsing
+        dbPromise.catch(() => { dbPromise = null })
+    }
+    return dbPromise
+}
+
+const run = async (mode, operation) => {
+    const db = await openDb()
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode)
+        const request = operation(transaction.objectStore(STORE_NAME))
+        transaction.oncomplete = () => resolve(request.result)
+        transaction.onerror = () => reject(transaction.error)
+        transaction.onabort = () => reject(transaction.error)
+    })
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<*>} Stored value, or undefined
+ */
+export const idbGet = (key) => run('readonly', (store) => store.get(key))
+
+/**
+ * @param {string} key
+ * @param {*} value - Any structured-cloneable value
+ * @returns {Promise<void>}
+ */
+export const idbSet = (key, value) => run('readwrite', (store) => store.put(value, key))
+
+/**
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+export const idbDelete = (key) => run('readwrite', (store) => store.delete(key))
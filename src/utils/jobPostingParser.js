@@ -0,0 +1,317 @@
+/**
+ * Job posting parser
+ * Turns pasted job-page HTML or plain text into ApplicationForm field values.
+ * schema.org JobPosting JSON-LD is used when present; otherwise heuristics
+ * pick out the title, company, location, salary range and work type.
+ *
+ * @module utils/jobPostingParser
+ */
+
+// Multipliers to turn schema.org unitText salaries into yearly figures
+const ANNUAL_MULTIPLIERS = {
+    HOUR: 2080,
+    DAY: 260,
+    WEEK: 52,
+    MONTH: 12,
+    YEAR: 1,
+}
+
+const HTML_PATTERN = /<\/?[a-z][\s\S]*?>/i
+
+const JSON_LD_PATTERN = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi
+
+/**
+ * @typedef {Object} ParsedPosting
+ * @property {'json-ld'|'heuristic'} source - How the fields were found
+ * @property {Object} fields - Values keyed by ApplicationForm field name
+ */
+
+/**
+ * Parse a pasted job posting
+ * @param {string} input - Raw HTML or text copied from a job page
+ * @returns {ParsedPosting}
+ */
+export const parseJobPosting = (input) => {
+    const raw = (input || '').trim()
+    if (!raw) return { source: 'heuristic', fields: {} }
+
+    const isHtml = HTML_PATTERN.test(raw)
+    const posting = isHtml ? findJsonLdPosting(raw) : null
+    const text = isHtml ? htmlToText(raw) : raw
+
+    if (posting) {
+        const structured = fromJsonLd(posting)
+        // Fill anything the structured data left out from the page text
+        const fallback = fromText(text, isHtml ? raw : null)
+        return { source: 'json-ld', fields: compact({ ...fallback, ...compact(structured) }) }
+    }
+
+    return { source: 'heuristic', fields: compact(fromText(text, isHtml ? raw : null)) }
+}
+
+// ============================================
+// JSON-LD
+// ============================================
+
+function findJsonLdPosting(html) {
+    for (const match of html.matchAll(JSON_LD_PATTERN)) {
+        try {
+            const posting = findPostingNode(JSON.parse(match[1].trim()))
+            if (posting) return posting
+        } catch {
+            // Malformed blocks are common on job boards; try the next one
+        }
+    }
+    return null
+}
+
+function findPostingNode(node) {
+    if (!node || typeof node !== 'object') return null
+    if (Array.isArray(node)) {
+        for (const item of node) {
+            const found = findPostingNode(item)
+            if (found) return found
+        }
+        return null
+    }
+    const types = [].concat(node['@type'] || [])
+    if (types.includes('JobPosting')) return node
+    return findPostingNode(node['@graph'])
+}
+
+function fromJsonLd(posting) {
+    const organization = [].concat(posting.hiringOrganization || [])[0]
+    const locations = [].concat(posting.jobLocation || [])
+    const isRemote = [].concat(posting.jobLocationType || []).includes('TELECOMMUTE')
+
+    const location = locations
+        .map((place) => formatAddress(place?.address))
+        .filter(Boolean)
+        .join(' / ')
+
+    const { salary_min, salary_max } = parseBaseSalary(posting.baseSalary || posting.estimatedSalary)
+
+    return {
+        job_title: decodeEntities(posting.title),
+        company_name: decodeEntities(typeof organization === 'string' ? organization : organization?.name),
+        location,
+        work_type: isRemote ? 'remote' : detectWorkType(`${posting.title || ''} ${location}`),
+        salary_min,
+        salary_max,
+        job_url: posting.url,
+        job_description: posting.description ? htmlToText(posting.description) : undefined,
+    }
+}
+
+function formatAddress(address) {
+    if (!address) return ''
+    if (typeof address === 'string') return address
+    const country = typeof address.addressCountry === 'object' ? address.addressCountry?.name : address.addressCountry
+    return [address.addressLocality, address.addressRegion, country].filter(Boolean).join(', ')
+}
+
+function parseBaseSalary(salary) {
+    const entry = [].concat(salary || [])[0]
+    const value = entry?.value ?? entry
+    if (value === undefined || value === null) return {}
+
+    const unit = (value.unitText || entry?.unitText || 'YEAR').toUpperCase()
+    const multiplier = ANNUAL_MULTIPLIERS[unit] || 1
+    const toAnnual = (amount) => {
+        const number = Number(amount)
+        return Number.isFinite(number) && number > 0 ? Math.round(number * multiplier) : undefined
+    }
+
+    if (typeof value !== 'object') {
+        const amount = toAnnual(value)
+        return { salary_min: amount, salary_max: amount }
+    }
+
+    return {
+        salary_min: toAnnual(value.minValue ?? value.value),
+        salary_max: toAnnual(value.maxValue ?? value.value),
+    }
+}
+
+// ============================================
+// HEURISTICS
+// ============================================
+
+function fromText(text, html) {
+    const lines = text.split('\n').map((line) => line.trim()).filter(Boolean)
+
+    const metaTitle = html && (readMeta(html, 'og:title') || readTag(html, 'title'))
+    const heading = html && readTag(html, 'h1')
+    const siteName = html && readMeta(html, 'og:site_name')
+
+    const titleSource = heading || metaTitle || lines.find((line) => !isDetailLine(line)) || ''
+    const { title, company: companyFromTitle } = splitTitle(titleSource)
+
+    const company = labeledValue(lines, ['company', 'employer', 'organization', 'hiring company'])
+        || companyFromTitle
+        || (metaTitle && splitTitle(metaTitle).company)
+        || siteName
+        || aboutCompany(lines)
+
+    const location = labeledValue(lines, ['location', 'locations', 'job location', 'office'])
+        || lines.find((line) => CITY_STATE_PATTERN.test(line) && line.length < 60)?.match(CITY_STATE_PATTERN)?.[0]
+
+    return {
+        job_title: title,
+        company_name: company,
+        location,
+        work_type: detectWorkType(text),
+        ...parseSalaryText(text),
+        job_description: text.length > 200 ? text : undefined,
+    }
+}
+
+const CITY_STATE_PATTERN = /\b[A-Z][a-zA-Z.]+(?:\s[A-Z][a-zA-Z.]+)*,\s(?:[A-Z]{2}|[A-Z][a-z]+(?:\s[A-Z][a-z]+)*)\b/
+
+// A line that is only a place: "Austin, TX", "Location: Berlin", "Remote - US"
+const LOCATION_LINE_PATTERN = /^(?:(?:job\s+)?locations?|office)\s*[:\-–]|^(?:remote|hybrid|on-?site)(?:\s*[-–(,].*)?$/i
+const CITY_STATE_LINE_PATTERN = /^[A-Z][a-zA-Z.]+(?:\s[A-Z][a-zA-Z.]+)*,\s[A-Z]{2}$/
+
+// Pay and location lines often come first in pasted text, but are never the title
+function isDetailLine(line) {
+    return SALARY_SINGLE_PATTERN.test(line) || LOCATION_LINE_PATTERN.test(line) || CITY_STATE_LINE_PATTERN.test(line)
+}
+
+// "Senior Engineer at Acme", "Senior Engineer - Acme | LinkedIn"
+function splitTitle(value) {
+    const cleaned = decodeEntities(value || '')
+        .replace(/\s*[|·]\s*(LinkedIn|Indeed|Glassdoor|Greenhouse|Lever|Workday|Careers?)\b.*$/i, '')
+        .trim()
+
+    const atMatch = cleaned.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i)
+    if (atMatch) return { title: atMatch[1].trim(), company: atMatch[2].trim() }
+
+    const dashMatch = cleaned.match(/^(.+?)\s+[-–—|]\s+(.+)$/)
+    if (dashMatch) return { title: dashMatch[1].trim(), company: dashMatch[2].trim() }
+
+    return { title: cleaned || undefined, company: undefined }
+}
+
+function labeledValue(lines, labels) {
+    const pattern = new RegExp(`^(?:${labels.join('|')})\\s*[:\\-–]\\s*(.+)$`, 'i')
+    for (const line of lines) {
+        const match = line.match(pattern)
+        if (match && match[1].length < 80) return match[1].trim()
+    }
+    return undefined
+}
+
+function aboutCompany(lines) {
+    for (const line of lines) {
+        const match = line.match(/^About\s+(?!the\s+(?:role|job|team|position)\b|us\b|you\b)(.{2,50}?)[:.]?$/i)
+        if (match) return match[1].trim()
+    }
+    return undefined
+}
+
+/**
+ * Detect the work arrangement mentioned in free text
+ * @param {string} text
+ * @returns {'remote'|'hybrid'|'onsite'|undefined}
+ */
+export const detectWorkType = (text) => {
+    if (/\bhybrid\b/i.test(text)) return 'hybrid'
+    if (/\b(?:fully\s+)?remote\b|work from home|\bwfh\b|telecommute/i.test(text)) return 'remote'
+    if (/\bon-?site\b|\bin[- ]office\b|in person/i.test(text)) return 'onsite'
+    return undefined
+}
+
+const AMOUNT = String.raw`\$\s?(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)\s?([kK])?`
+// "/hr", "per week", "a month", or straight after the amount "weekly" / "annually"
+const PERIOD = String.raw`(?:(?:\s*(?:/|per|an?)\s*|[ \t]*(?=(?:hour|week|month|year|annual)ly\b))(hour|hr|week|wk|month|mo|year|yr|annum|annual)(?:ly)?\b)?`
+const SALARY_RANGE_PATTERN = new RegExp(`${AMOUNT}\\s*(?:-|–|—|to)\\s*\\$?\\s?(\\d{1,3}(?:,\\d{3})+|\\d+(?:\\.\\d+)?)\\s?([kK])?${PERIOD}`, 'i')
+const SALARY_SINGLE_PATTERN = new RegExp(`${AMOUNT}${PERIOD}`, 'i')
+
+/**
+ * Extract a yearly salary range such as "$120k - $150k", "$60/hr" or "$1,500 a week"
+ * @param {string} text
+ * @returns {{salary_min?: number, salary_max?: number}}
+ */
+export const parseSalaryText = (text) => {
+    const toNumber = (amount, thousands) => {
+        const number = parseFloat(amount.replace(/,/g, ''))
+        return thousands ? number * 1000 : number
+    }
+    const annualize = (amount, period) => {
+        const unit = (period || '').toLowerCase()
+        if (unit.startsWith('h')) return Math.round(amount * ANNUAL_MULTIPLIERS.HOUR)
+        if (unit.startsWith('w')) return Math.round(amount * ANNUAL_MULTIPLIERS.WEEK)
+        if (unit.startsWith('mo')) return Math.round(amount * ANNUAL_MULTIPLIERS.MONTH)
+        return Math.round(amount)
+    }
+
+    const range = text.match(SALARY_RANGE_PATTERN)
+    if (range) {
+        const [, minAmount, minK, maxAmount, maxK, period] = range
+        // "$120-150k" puts the k on the upper bound only
+        const min = toNumber(minAmount, minK || (maxK && !minAmount.includes(',')))
+        const max = toNumber(maxAmount, maxK)
+        if (min > 0 && max >= min) {
+            return { salary_min: annualize(min, period), salary_max: annualize(max, period) }
+        }
+    }
+
+    const single = text.match(SALARY_SINGLE_PATTERN)
+    if (single) {
+        const [, amount, thousands, period] = single
+        const value = annualize(toNumber(amount, thousands), period)
+        // Ignore small dollar amounts that are clearly not a salary (e.g. "$50 gift card")
+        if (value >= 10000) return { salary_min: value, salary_max: value }
+    }
+
+    return {}
+}
+
+// ============================================
+// HTML HELPERS
+// ============================================
+
+function readMeta(html, property) {
+    const pattern = new RegExp(`<meta[^>]+(?:property|name)=["']${property}["'][^>]*content=["']([^"']*)["']`, 'i')
+    const reversed = new RegExp(`<meta[^>]+content=["']([^"']*)["'][^>]*(?:property|name)=["']${property}["']`, 'i')
+    const match = html.match(pattern) || html.match(reversed)
+    return match ? decodeEntities(match[1]).trim() : undefined
+}
+
+function readTag(html, tag) {
+    const match = html.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`, 'i'))
+    return match ? decodeEntities(match[1].replace(/<[^>]+>/g, '')).trim() || undefined : undefined
+}
+
+/**
+ * Convert an HTML fragment to readable plain text, keeping paragraph breaks
+ * @param {string} html
+ * @returns {string}
+ */
+export const htmlToText = (html) => decodeEntities(
+    html
+        .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|h[1-6]|tr|section|article|ul|ol)>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '• ')
+        .replace(/<[^>]+>/g, '')
+)
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n\s*\n+/g, '\n\n')
+    .trim()
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—' }
+
+function decodeEntities(value) {
+    if (!value) return value
+    return value
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&([a-z]+);/gi, (entity, name) => ENTITIES[name.toLowerCase()] ?? entity)
+}
+
+function compact(fields) {
+    return Object.fromEntries(
+        Object.entries(fields).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    )
+}
@@ -0,0 +1,138 @@
+/**
+ * Offer comparison
+ * Structured compensation for applications holding an offer, total
+ * compensation projections, and weighted scoring.
+ *
+ * @module utils/offerComparison
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * Statuses that carry an offer worth comparing
+ */
+export const OFFER_STATUSES = ['offer', 'accepted']
+
+/**
+ * Editable compensation fields, in display order
+ * @type {Array<{key: string, label: string, unit: 'currency'|'percent'|'years'|'months'|'days', hint?: string}>}
+ */
+export const OFFER_FIELDS = [
+    { key: 'base_salary', label: 'Base salary', unit: 'currency' },
+    { key: 'bonus_percent', label: 'Target bonus', unit: 'percent', hint: 'Annual, % of base' },
+    { key: 'sign_on', label: 'Sign-on bonus', unit: 'currency', hint: 'Paid once, first year' },
+    { key: 'equity_value', label: 'Equity grant', unit: 'currency', hint: 'Total value at grant' },
+    { key: 'vesting_years', label: 'Vesting period', unit: 'years' },
+    { key: 'cliff_months', label: 'Vesting cliff', unit: 'months' },
+    { key: 'benefits_value', label: 'Benefits', unit: 'currency', hint: '401k match, health, stipends per year' },
+    { key: 'pto_days', label: 'PTO', unit: 'days' },
+]
+
+/**
+ * Starting criteria; weights run 0 (ignore) to 5 (critical)
+ */
+export const DEFAULT_CRITERIA = [
+    { id: 'compensation', label: 'Compensation', weight: 5 },
+    { id: 'growth', label: 'Career growth', weight: 4 },
+    { id: 'work_life', label: 'Work-life balance', weight: 3 },
+    { id: 'team', label: 'Team & manager', weight: 3 },
+    { id: 'stability', label: 'Company stability', weight: 2 },
+]
+
+export const MAX_RATING = 5
+
+const PROJECTION_YEARS = 4
+
+// ============================================
+// COMPENSATION
+// ============================================
+
+/**
+ * Offer details for an application, with base salary falling back to the
+ * application's posted salary range
+ * @param {Object} application
+ * @param {Object} [saved] - Details previously entered for this offer
+ * @returns {Object}
+ */
+export const getOfferDetails = (application, saved = {}) => ({
+    base_salary: application.salary_max ?? application.salary_min ?? null,
+    bonus_percent: null,
+    sign_on: null,
+    equity_value: null,
+    vesting_years: 4,
+    cliff_months: 12,
+    benefits_value: null,
+    pto_days: null,
+    ...saved,
+})
+
+/**
+ * Equity vested by the end of a given year
+ * @param {Object} offer
+ * @param {number} year - 1-based
+ * @returns {number}
+ */
+const vestedBy = (offer, year) => {
+    const grant = offer.equity_value || 0
+    const months = Math.max(1, (offer.vesting_years || PROJECTION_YEARS) * 12)
+    const elapsed = year * 12
+    if (!grant || elapsed < (offer.cliff_months || 0)) return 0
+    return grant * Math.min(elapsed, months) / months
+}
+
+/**
+ * Cash and equity earned in each of the first four years.
+ * Assumes no raises or refreshers so offers are compared like for like.
+ * @param {Object} offer - Details from getOfferDetails
+ * @returns {{yearly: number[], firstYear: number, fourYear: number}}
+ */
+export const computeCompensation = (offer) => {
+    const base = offer.base_salary || 0
+    const bonus = base * (offer.bonus_percent || 0) / 100
+    const benefits = offer.benefits_value || 0
+
+    const yearly = Array.from({ length: PROJECTION_YEARS }, (_, index) => {
+        const year = index + 1
+        const equity = vestedBy(offer, year) - vestedBy(offer, year - 1)
+        const signOn = year === 1 ? offer.sign_on || 0 : 0
+        return base + bonus + benefits + equity + signOn
+    })
+
+    return {
+        yearly,
+        firstYear: yearly[0],
+        fourYear: yearly.reduce((sum, value) => sum + value, 0),
+    }
+}
+
+// ============================================
+// SCORING
+// ============================================
+
+/**
+ * Weighted score out of 100; unrated criteria are left out of the average
+ * @param {Object.<string, number>} ratings - Criterion id to rating (1-5)
+ * @param {Array<{id: string, weight: number}>} criteria
+ * @returns {number|null} Null until at least one weighted criterion is rated
+ */
+export const scoreOffer = (ratings = {}, criteria) => {
+    let total = 0
+    let weights = 0
+    criteria.forEach(({ id, weight }) => {
+        if (!weight || !ratings[id]) return
+        total += ratings[id] * weight
+        weights += weight
+    })
+    return weights ? Math.round(total / (weights * MAX_RATING) * 100) : null
+}
+
+/**
+ * Format a whole-dollar amount, e.g. $185,000
+ * @param {number|null} value
+ * @returns {string}
+ */
+export const formatCurrency = (value) => value == null
+    ? '—'
+    : new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(value)
@@ -0,0 +1,60 @@
+/**
+ * Resume usage
+ * How often each resume version was sent and how well it performed,
+ * based on the `resume_version` recorded on applications.
+ *
+ * @module utils/resumeUsage
+ */
+
+// Statuses reached only after the company engaged
+const INTERVIEW_STATUSES = ['screening', 'interviewing', 'offer', 'accepted']
+
+// Fewer sends than this is too small a sample to call a winner
+export const MIN_USES_FOR_RANKING = 3
+
+const hasResponse = (app) => app.has_response ?? !!app.response_date
+
+/**
+ * @typedef {Object} ResumeUsage
+ * @property {number} used - Applications sent with this resume (wishlist excluded)
+ * @property {number} responses - Applications that got any response
+ * @property {number} interviews - Applications that reached screening or later
+ * @property {number|null} responseRate - 0-100, null when unused
+ * @property {number|null} interviewRate - 0-100, null when unused
+ */
+
+/**
+ * Usage stats per resume id
+ * @param {Array<Object>} applications
+ * @returns {Object.<string, ResumeUsage>}
+ */
+export const getResumeUsage = (applications) => {
+    const usage = {}
+
+    applications.forEach((app) => {
+        if (!app.resume_version || app.status === 'wishlist') return
+        const stats = usage[app.resume_version] || (usage[app.resume_version] = { used: 0, responses: 0, interviews: 0 })
+        stats.used += 1
+        if (hasResponse(app)) stats.responses += 1
+        if (INTERVIEW_STATUSES.includes(app.status) || app.interviews_count > 0) stats.interviews += 1
+    })
+
+    Object.values(usage).forEach((stats) => {
+        stats.responseRate = Math.round(stats.responses / stats.used * 100)
+        stats.interviewRate = Math.round(stats.interviews / stats.used * 100)
+    })
+
+    return usage
+}
+
+/**
+ * Resume with the best response rate among those used enough to compare
+ * @param {Object.<string, ResumeUsage>} usage
+ * @returns {string|null} Resume id
+ */
+export const getTopResumeId = (usage) => {
+    const ranked = Object.entries(usage)
+        .filter(([, stats]) => stats.used >= MIN_USES_FOR_RANKING)
+        .sort(([, a], [, b]) => b.responseRate - a.responseRate || b.used - a.used)
+    return ranked.length > 1 ? ranked[0][0] : null
+}
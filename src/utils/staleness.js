@@ -0,0 +1,57 @@
+/**
+ * Staleness rule
+ * An application is stale when it has had no response for a configurable
+ * number of days and there is no follow-up scheduled.
+ *
+ * @module utils/staleness
+ */
+
+import { differenceInCalendarDays, parseISO } from 'date-fns'
+import { STATUS_OPTIONS, TERMINAL_STATUSES } from '@/services/applicationService'
+
+/**
+ * Statuses the staleness rule can be applied to
+ */
+export const STALE_STATUS_OPTIONS = STATUS_OPTIONS.filter(
+    (option) => !TERMINAL_STATUSES.includes(option.value) && !['offer', 'accepted', 'wishlist'].includes(option.value)
+)
+
+/**
+ * Default rule: applied three weeks ago and never heard back
+ */
+export const DEFAULT_STALENESS_RULE = {
+    enabled: true,
+    days: 21,
+    statuses: ['applied'],
+}
+
+/**
+ * Days since the application was sent; prefers the API's own count
+ * @param {Object} application
+ * @param {Date} [now]
+ * @returns {number|null}
+ */
+export const getDaysSinceApplied = (application, now = new Date()) => {
+    if (typeof application.days_since_applied === 'number') return application.days_since_applied
+    if (!application.applied_date) return null
+    return differenceInCalendarDays(now, parseISO(application.applied_date))
+}
+
+/**
+ * Whether an application matches the staleness rule
+ * @param {Object} application
+ * @param {{enabled: boolean, days: number, statuses: string[]}} rule
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isStale = (application, rule, now = new Date()) => {
+    if (!rule.enabled || !rule.statuses.includes(application.status) || application.has_response) return false
+
+    // A follow-up that isn't due yet means the user is already on it
+    if (application.next_action_date && differenceInCalendarDays(parseISO(application.next_action_date), now) >= 0) {
+        return false
+    }
+
+    const days = getDaysSinceApplied(application, now)
+    return days !== null && days >= rule.days
+}
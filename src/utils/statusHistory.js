@@ -0,0 +1,64 @@
+/**
+ * Status history helpers
+ * Derives the stage timeline and time-in-stage figures from recorded transitions.
+ *
+ * @module utils/statusHistory
+ */
+
+import { TERMINAL_STATUSES } from '@/services/applicationService'
+
+/**
+ * @typedef {Object} TimelineEntry
+ * @property {string} id
+ * @property {string} status - Stage entered
+ * @property {string|null} from - Stage left, null for the first entry
+ * @property {string} at - ISO date the stage was entered
+ * @property {number} durationMs - Time spent in the stage (until now for the current one)
+ * @property {boolean} isCurrent
+ */
+
+/**
+ * Turn sorted transitions into a timeline with time spent in each stage
+ * @param {Array<{id: string, status: string, at: string}>} entries - Sorted oldest first
+ * @param {Date} [now]
+ * @returns {TimelineEntry[]}
+ */
+export const buildTimeline = (entries, now = new Date()) => entries.map((entry, index) => {
+    const next = entries[index + 1]
+    const isCurrent = !next
+    // A closed-out application stops accruing time in its final stage
+    const end = next ? new Date(next.at) : TERMINAL_STATUSES.includes(entry.status) ? new Date(entry.at) : now
+    return {
+        ...entry,
+        from: index > 0 ? entries[index - 1].status : null,
+        durationMs: Math.max(0, end - new Date(entry.at)),
+        isCurrent,
+    }
+})
+
+/**
+ * Total time spent per stage, in first-seen order (stages can be revisited)
+ * @param {TimelineEntry[]} timeline
+ * @returns {Array<{status: string, durationMs: number}>}
+ */
+export const stageDurations = (timeline) => {
+    const totals = new Map()
+    timeline.forEach(({ status, durationMs }) => {
+        totals.set(status, (totals.get(status) || 0) + durationMs)
+    })
+    return [...totals].map(([status, durationMs]) => ({ status, durationMs }))
+}
+
+/**
+ * Compact duration label, e.g. "3d", "5h", "2mo"
+ * @param {number} ms
+ * @returns {string}
+ */
+export const formatStageDuration = (ms) => {
+    const hours = ms / 36e5
+    if (hours < 1) return '<1h'
+    if (hours < 24) return `${Math.round(hours)}h`
+    const days = hours / 24
+    if (days < 60) return `${Math.round(days)}d`
+    return `${Math.round(days / 30)}mo`
+}
@@ -0,0 +1,76 @@
+/**
+ * Task helpers
+ * An application's `next_action` / `next_action_date` pair is treated as a task.
+ *
+ * @module utils/tasks
+ */
+
+import { addDays, differenceInCalendarDays, endOfWeek, format, parseISO, startOfDay } from 'date-fns'
+import { TERMINAL_STATUSES } from '@/services/applicationService'
+
+/**
+ * Task groups in display order
+ */
+export const TASK_GROUPS = [
+    { value: 'overdue', label: 'Overdue' },
+    { value: 'today', label: 'Today' },
+    { value: 'this_week', label: 'This Week' },
+    { value: 'later', label: 'Later' },
+    { value: 'unscheduled', label: 'No Date' },
+]
+
+/**
+ * Snooze presets, in days from today
+ */
+export const SNOOZE_OPTIONS = [
+    { days: 1, label: 'Tomorrow' },
+    { days: 3, label: 'In 3 days' },
+    { days: 7, label: 'Next week' },
+]
+
+/**
+ * Which group a due date falls into
+ * @param {string|null} dueDate - `next_action_date` (yyyy-MM-dd)
+ * @param {Date} [now]
+ * @returns {string} One of the TASK_GROUPS values
+ */
+export const getTaskGroup = (dueDate, now = new Date()) => {
+    if (!dueDate) return 'unscheduled'
+    const days = differenceInCalendarDays(parseISO(dueDate), now)
+    if (days < 0) return 'overdue'
+    if (days === 0) return 'today'
+    if (parseISO(dueDate) <= endOfWeek(now, { weekStartsOn: 1 })) return 'this_week'
+    return 'later'
+}
+
+/**
+ * Pending tasks from a list of applications, soonest first.
+ * Closed-out applications no longer have anything to act on.
+ * @param {Object[]} applications
+ * @param {Date} [now]
+ * @returns {Array<{application: Object, action: string, dueDate: string|null, group: string, daysUntil: number|null}>}
+ */
+export const getTasks = (applications, now = new Date()) => applications
+    .filter((application) => (application.next_action || application.next_action_date)
+        && !TERMINAL_STATUSES.includes(application.status))
+    .map((application) => ({
+        application,
+        action: application.next_action || 'Follow up',
+        dueDate: application.next_action_date || null,
+        group: getTaskGroup(application.next_action_date, now),
+        daysUntil: application.next_action_date
+            ? differenceInCalendarDays(parseISO(application.next_action_date), now)
+            : null,
+    }))
+    .sort((a, b) => {
+        if (!a.dueDate) return 1
+        if (!b.dueDate) return -1
+        return a.dueDate.localeCompare(b.dueDate)
+    })
+
+/**
+ * `next_action_date` value a number of days from today
+ * @param {number} days
+ * @returns {string} yyyy-MM-dd
+ */
+export const dueDateFromToday = (days) => format(addDays(startOfDay(new Date()), days), 'yyyy-MM-dd')
@@ -0,0 +1,68 @@
+/**
+ * User-scoped storage
+ * Keeps a separate localStorage copy of a persisted store for each account,
+ * so data that only lives in this browser never shows up for whoever signs
+ * in next on the same machine.
+ *
+ * @module utils/userScopedStorage
+ */
+
+import { createJSONStorage } from 'zustand/middleware'
+import useAuthStore from '@/stores/useAuthStore'
+
+// The account a session belongs to, read from the access token's `user_id` claim
+const getUserId = ({ accessToken, user }) => {
+    try {
+        const payload = accessToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')
+        const { user_id } = JSON.parse(atob(payload))
+        if (user_id != null) return String(user_id)
+    } catch {
+        // Fall back to the cached profile below
+    }
+    return user?.id != null ? String(user.id) : null
+}
+
+const scopedKey = (name) => {
+    const userId = getUserId(useAuthStore.getState())
+    return userId && `${name}:${userId}`
+}
+
+/**
+ * Storage for zustand's persist middleware that reads and writes the signed-in
+ * user's copy. Nothing is read or saved while signed out.
+ */
+export const userScopedStorage = createJSONStorage(() => ({
+    getItem: (name) => {
+        const key = scopedKey(name)
+        return key ? localStorage.getItem(key) : null
+    },
+    setItem: (name, value) => {
+        const key = scopedKey(name)
+        if (key) localStorage.setItem(key, value)
+    },
+    removeItem: (name) => {
+        const key = scopedKey(name)
+        if (key) localStorage.removeItem(key)
+    },
+}))
+
+/**
+ * Swap a store persisted with userScopedStorage to the new account's copy, or
+ * back to its initial state, whenever a different user signs in or out
+ * @param {Object} store - Store created with persist({ storage: userScopedStorage })
+ * @returns {function} Unsubscribe
+ */
+export const scopeToUser = (store) => {
+    const initialState = store.getInitialState()
+    // Anything the next user hasn't saved starts from scratch rather than from the last user's state
+    store.persist.setOptions({
+        merge: (persistedState, currentState) => ({ ...currentState, ...initialState, ...persistedState }),
+    })
+
+    // Copies saved before data was kept per user can't be attributed to anyone
+    localStorage.removeItem(store.persist.getOptions().name)
+
+    return useAuthStore.subscribe((state, prevState) => {
+        if (getUserId(state) !== getUserId(prevState)) store.persist.rehydrate()
+    })
+}